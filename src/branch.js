@@ -17,6 +17,7 @@ class Branch {
 
         this.frequency = "";                // Frequency of this branch (either 'high', 'med', or 'low')
         this.groups = [];                   // The groups that this branch is a part of
+        this.retries = 0;                   // Number of times to retry this branch if it fails, overrides the runner's retries (set by a #retries=N in the branch)
 
         this.beforeEveryBranch = [];        // Array of Step, the steps to execute before this branch starts
         this.afterEveryBranch = [];         // Array of Step, the steps to execute after this branch is done
@@ -28,10 +29,15 @@ class Branch {
         this.isDebug = false;               // If true, a step in this branch has a ~ or ~~
 
         this.passedLastTime = false;        // If true, do not run this branch, but include it in the report
+        this.isCarriedOver = false;         // true if this branch's results were carried over from a previous generation of the tree (see Tree.carryOverResults()), and so it didn't run this time
         this.isPassed = false;              // true if every step in this branch passed after being run
         this.isFailed = false;              // true if at least one step in this branch failed after being run
         this.isSkipped = false;             // true if this branch was skipped after an attempted run
         this.isRunning = false;             // true if this branch is currently running
+        this.isFlaky = false;               // true if this branch passed, but only after at least one failed attempt
+        this.isQuarantined = false;         // true if this branch's failure is reported separately and doesn't fail the run (see Tree.quarantine)
+
+        this.attempts = [];                 // Array of objects that represent previous failed attempts at running this branch, if it was retried
 
         this.error = {};                    // If this branch failed, this represents the error that was thrown (only for failure that occurs within the branch but not within a particular step)
         this.log = [];                      // Array of objects that represent the logs of this branch (logs related to the branch but not to a particular step)
@@ -83,6 +89,10 @@ class Branch {
         if(stepNode.isDebug || functionDeclarationNode.isDebug) {
             this.isDebug = true;
         }
+        if(stepNode.hasOwnProperty('retries') || functionDeclarationNode.hasOwnProperty('retries')) {
+            let incomingRetries = Math.max(stepNode.retries || 0, functionDeclarationNode.retries || 0);
+            this.retries = Math.max(this.retries || 0, incomingRetries);
+        }
         if(stepNode.groups || functionDeclarationNode.groups) {
             let incomingGroups = (stepNode.groups || []).concat(functionDeclarationNode.groups || []);
             incomingGroups.forEach(g => {
@@ -125,6 +135,7 @@ class Branch {
 
         branch.nonParallelIds && (this.nonParallelIds = [].concat(this.nonParallelIds || []).concat(branch.nonParallelIds));
         branch.frequency && (this.frequency = branch.frequency);
+        branch.hasOwnProperty('retries') && (this.retries = Math.max(this.retries || 0, branch.retries));
 
         if(branch.groups) {
             if(typeof this.groups == 'undefined') {
@@ -183,7 +194,7 @@ class Branch {
 
         this.steps.forEach(step => {
             let stepNode = stepNodeIndex[step.id];
-            output += utils.getIndents(step.level + startIndent + 1) + stepNode.text + '\n';
+            output += utils.getIndents(step.level + startIndent + 1) + stepNode.text + (step.dataRow ? ` [row ${step.dataRow.index + 1}]` : '') + (step.repeatIteration ? (step.repeatIteration.index < step.repeatIteration.count ? ` [iteration ${step.repeatIteration.index + 1} of ${step.repeatIteration.count}]` : ` [after iteration ${step.repeatIteration.count}]`) : '') + '\n';
         });
 
         return output;
@@ -289,7 +300,9 @@ class Branch {
                  }
              }
 
-             combinedStr += utils.canonicalize(stepNode.text) + codeBlock + '\n';
+             let dataRow = step.dataRow ? JSON.stringify(step.dataRow.vars) : '';
+
+             combinedStr += utils.canonicalize(stepNode.text) + codeBlock + dataRow + '\n';
          });
          this.hash = md5(combinedStr);
      }
@@ -330,9 +343,11 @@ class Branch {
          delete this.isPassed;
          delete this.isFailed;
          delete this.isSkipped;
+         delete this.isFlaky;
 
          if(state == 'pass') {
              this.isPassed = true;
+             this.attempts && (this.isFlaky = true); // passed only after being retried
          }
          else if(state == 'fail') {
              this.isFailed = true;
@@ -439,6 +454,33 @@ class Branch {
          this.markBranch('pass', undefined, stepDataMode);
      }
 
+     /**
+      * Records the results of running this branch as a failed attempt, then resets this branch so that it can be run again from scratch
+      * @param {Array of Step} steps - This branch's steps, in the state they were in before this branch was first run
+      */
+     retry(steps) {
+         let attempt = this.serialize();
+         delete attempt.attempts;
+         delete attempt.isRunning;
+         delete attempt.hash;
+
+         if(!this.attempts) {
+             this.attempts = [];
+         }
+         this.attempts.push(attempt);
+
+         this.steps = steps.map(step => step.clone());
+
+         delete this.isPassed;
+         delete this.isFailed;
+         delete this.isSkipped;
+         delete this.isFlaky;
+
+         delete this.error;
+         delete this.log;
+         delete this.elapsed;
+     }
+
      /**
       * Logs the given item to this Branch
       * @param {Object or String} item - The item to log
@@ -470,9 +512,12 @@ class Branch {
              'isFailed',
              'isSkipped',
              'isRunning',
+             'isFlaky',
+             'isQuarantined',
 
              'error',
              'log',
+             'attempts',
 
              'elapsed',
 
@@ -3,6 +3,7 @@
 const readFiles = require('read-files-promise');
 const fs = require('fs');
 const path = require('path');
+const child_process = require('child_process');
 const glob = require('glob');
 const utils = require('./utils');
 const chalk = require('chalk');
@@ -13,6 +14,12 @@ const readline = require('readline');
 const Tree = require('./tree.js');
 const Runner = require('./runner.js');
 const Reporter = require('./reporter.js');
+const Coordinator = require('./coordinator.js');
+const Worker = require('./worker.js');
+const Formatter = require('./formatter.js');
+const Linter = require('./linter.js');
+const Differ = require('./differ.js');
+const Watcher = require('./watcher.js');
 const StepNode = require('./stepnode.js');
 
 // ***************************************
@@ -24,6 +31,11 @@ let runner = new Runner();
 let reporter = new Reporter(tree, runner);
 
 let isReport = true;
+let mergeDirs = null;
+let command = null;
+let isCheck = false;
+let dryRunFormat = null;
+let diffThreshold = undefined;
 
 const yellowChalk = chalk.hex("#ffb347");
 const hRule = chalk.gray("─".repeat(process.stdout.columns));
@@ -114,6 +126,37 @@ function processFlag(name, value) {
                 runner.skipPassed = false;
                 break;
 
+            case "bail":
+                noValue();
+                runner.maxFailures = 1;
+                break;
+
+            case "branch-timeout":
+                if(!value || !value.match(/^[0-9]+$/)) {
+                    utils.error(`Invalid branch-timeout. It must be a number of seconds.`);
+                }
+                runner.branchTimeout = parseInt(value);
+                break;
+
+            case "changed-since":
+                if(!value) {
+                    utils.error(`changed-since flag must be set to a git ref (e.g., --changed-since=main)`);
+                }
+                runner.changedLines = getChangedLines(value);
+                break;
+
+            case "check":
+                noValue();
+                isCheck = true;
+                break;
+
+            case "coordinator":
+                if(!value || !value.match(/^[0-9]+$/)) {
+                    utils.error(`Invalid coordinator. It must be set to the port to listen on.`);
+                }
+                runner.coordinator = new Coordinator(runner, parseInt(value));
+                break;
+
             case "debug":
                 if(!value) {
                     utils.error(`debug flag must be set to a hash`);
@@ -121,6 +164,20 @@ function processFlag(name, value) {
                 runner.debugHash = value;
                 break;
 
+            case "diff-threshold":
+                if(!value || !value.match(/^[0-9]+$/)) {
+                    utils.error(`Invalid diff-threshold. It must be a percentage (e.g., 50 for 50% slower).`);
+                }
+                diffThreshold = parseInt(value);
+                break;
+
+            case "dry-run":
+                if(value && !['text', 'json'].includes(value)) {
+                    utils.error(`Invalid dry-run. It must be either 'text' or 'json', or have no value (text).`);
+                }
+                dryRunFormat = value || 'text';
+                break;
+
             case "g":
                 runner.globalInit[varName] = value;
                 break;
@@ -130,6 +187,7 @@ function processFlag(name, value) {
                     utils.error(`groups flag must list the groups to run, separated by commas`);
                 }
                 runner.groups = value.split(/\s*\,\s*/);
+                runner.groups.forEach(group => utils.parseGroupExpression(group)); // validate expressions like "checkout and not slow" before anything runs
                 break;
 
             case "headless":
@@ -138,7 +196,15 @@ function processFlag(name, value) {
 
             case "help":
             case "?":
-                console.log(`Usage: smashtest [files] [options]
+                console.log(`Usage: smashtest [command] [files] [options]
+
+Commands
+
+  diff [<old>] [<new>]            Compare two runs, each a report data file, smashtest directory, or history:N (N runs ago).
+                                  Defaults to comparing the last two runs in smashtest/history.jsonl.
+                                  Slower steps are only found between report data files, since the history doesn't keep step times.
+  fmt                             Format files in place, or with --check, fail if any files aren't formatted
+  lint                            Check files for likely mistakes (unused functions, leftover ~'s and $'s, unset {vars}, etc.) without running them
 
 Files
 
@@ -153,29 +219,57 @@ Options
   -v                              Output the version of Smashtest
   -?                              Output this help prompt
 
+  --bail                          Stop running new branches after the first failure (same as --max-failures=1)
+  --branch-timeout=<N>            Fail a branch that runs longer than N seconds (After Every Branch hooks still run)
+  --changed-since=<git-ref>       Only run branches with a step or code block that changed since this commit, branch, or tag
+  --check                         Used with fmt. Fail if any files aren't formatted, without changing them.
+  --coordinator=<port>            Hand out branches to workers (see --worker) instead of running them here
   --debug=<hash>                  Only run the branch with the given hash, in debug mode
-  --groups="<group1>,<group2>"    Only run branches that are part of one of these groups
+  --diff-threshold=<N>            Used with diff. How much slower (in percent) a step or branch must get to count as slower (default 50).
+  --dry-run[=<text/json>]         Output the branches that would run, without running them (json goes to smashtest/dry-run.json)
+  --groups="<group1>,<group2>"    Only run branches that are part of one of these groups (each can be an expression, e.g., "checkout and not slow")
   --g:<name>="<value>"            Sets a global variable before every branch
   --headless=<true/false>         Whether to run browsers as headless
   --help                          Output this help prompt (-?)
+  --max-failures=<N>              Stop running new branches after N failures. Running branches finish, After Everything hooks still run.
   --max-parallel=<N>              Do not run more than N branches simultaneously
   --max-screenshots=<N>           Do not take more than N screenshots
+  --merge="<dir1>,<dir2>"         Merge the reports and passed data in these smashtest directories (e.g., from completed shards) into ./smashtest
   --min-frequency=<high/med/low>  Only run branches at or above this frequency
   --no-debug                      Fail if there are any $'s or ~'s. Useful to prevent debugging in CI.
   --output-errors=<true/false>    Whether to output all errors to console
   --p:<name>="<value>"            Set a persistent variable
+  --pairwise[=<N>]                Only run enough branches to cover every pair (or N-wise combination) of steps, chosen by hash
+  --quarantine=<file>             Report failures of the branches listed in this file (one hash per line) separately, without failing the run
+  --quarantine-groups="<g1>,<g2>" Same as --quarantine, but for the branches that are part of any of these groups
   --random=<true/false>           Whether to randomize the order of branches
   --repl                          Open the REPL (drive Smashtest from command line) (-r)
   --report-domain=<domain>        Domain and port where report server should run (domain or domain:port format)
+  --report-formats="<junit,tap>"  Also output the final report in these formats (smashtest/report.xml, smashtest/report.tap)
   --report-server=<true/false>    Whether to run a server during run for live report updates
+  --reporters="<file,package>"    Reporter plugins to notify of lifecycle events (filenames or npm packages)
+  --retries=<N>                   Retry a failed branch up to N times, marking it flaky if it passes on a retry
   --screenshots=<true/false>      Whether to take screenshots at each step
+  --shard=<N>/<M>                 Only run shard N out of M, where branches are split up deterministically by hash
+  --skip-groups="<g1>,<g2>"       Don't run branches that are part of any of these groups (e.g., "flaky,manual")
   --skip-passed=<true/false/file> Whether to skip branches that passed last time (-s/-a)
   --step-data=<all/fail/none>     Keep step data for all steps, only failed steps, or no steps
+  --step-timeout=<N>              Fail a step whose code block runs longer than N seconds (override with #timeout=N on a function declaration). That code is cut off: touching runInstance or a {variable} afterwards throws inside it.
   --test-server=<url>             Location of test server (e.g., http://localhost:4444/wd/hub for selenium server)
   --version                       Output the version of Smashtest (-v)
+  --watch                         Keep running after the run is complete, and re-run new or changed branches whenever a file changes
+  --worker=<url>                  Run branches handed out by the coordinator at this url (e.g., http://host:9000)
 `);
                 process.exit();
 
+            case "max-failures":
+                if(!value || !value.match(/^[0-9]+$/) || parseInt(value) == 0) {
+                    utils.error(`Invalid max-failures. It must be a positive integer above 0.`);
+                }
+
+                runner.maxFailures = parseInt(value);
+                break;
+
             case "max-parallel":
                 if(!value.match(/^[0-9]+$/) || parseInt(value) == 0) {
                     utils.error(`Invalid max-parallel. It must be a positive integer above 0.`);
@@ -192,6 +286,13 @@ Options
                 runner.maxScreenshots = parseInt(value);
                 break;
 
+            case "merge":
+                if(!value) {
+                    utils.error(`merge flag must list the smashtest directories to merge, separated by commas`);
+                }
+                mergeDirs = value.split(/\s*\,\s*/);
+                break;
+
             case "min-frequency":
                 if(Constants.FREQUENCIES.indexOf(value) == -1) {
                     utils.error(`Invalid min-frequency. It must be either 'high', 'med', or 'low'.`);
@@ -212,6 +313,34 @@ Options
                 runner.persistent[varName] = value;
                 break;
 
+            case "pairwise":
+                if(value && (!value.match(/^[0-9]+$/) || parseInt(value) < 1)) {
+                    utils.error(`Invalid pairwise. It must be a positive integer above 0 (e.g., 2 for all-pairs, 3 for all-triples).`);
+                }
+                runner.pairwise = value ? parseInt(value) : 2;
+                break;
+
+            case "quarantine":
+                if(!value) {
+                    utils.error(`quarantine flag must be set to a file listing the hashes of the branches to quarantine`);
+                }
+                let quarantineFile = null;
+                try {
+                    quarantineFile = fs.readFileSync(value, 'utf8');
+                }
+                catch(e) {
+                    utils.error(`The quarantine file '${value}' could not be found`);
+                }
+                runner.quarantine = quarantineFile.split('\n').map(line => line.replace(/#.*$/, '').trim()).filter(hash => hash); // anything after a # is a comment
+                break;
+
+            case "quarantine-groups":
+                if(!value) {
+                    utils.error(`quarantine-groups flag must list the groups to quarantine, separated by commas`);
+                }
+                runner.quarantineGroups = value.split(/\s*\,\s*/);
+                break;
+
             case "random":
                 runner.random = boolValue();
                 break;
@@ -229,10 +358,24 @@ Options
                 reporter.reportDomain = value;
                 break;
 
+            case "report-formats":
+                if(!value) {
+                    utils.error(`report-formats flag must list the formats to output, separated by commas`);
+                }
+                reporter.setReportFormats(value.split(/\s*\,\s*/));
+                break;
+
             case "report-server":
                 reporter.isReportServer = boolValue();
                 break;
 
+            case "reporters":
+                if(!value) {
+                    utils.error(`reporters flag must list the reporter plugins to load, separated by commas`);
+                }
+                value.split(/\s*\,\s*/).forEach(name => runner.loadPlugin(name));
+                break;
+
             case "s":
                 noValue();
                 runner.skipPassed = true;
@@ -242,6 +385,28 @@ Options
                 runner.screenshots = boolValue();
                 break;
 
+            case "retries":
+                if(!value || !value.match(/^[0-9]+$/)) {
+                    utils.error(`Invalid retries. It must be a number.`);
+                }
+                runner.retries = parseInt(value);
+                break;
+
+            case "shard":
+                let shardMatches = value ? value.match(/^([0-9]+)\/([0-9]+)$/) : null;
+                if(!shardMatches || parseInt(shardMatches[1]) == 0 || parseInt(shardMatches[1]) > parseInt(shardMatches[2])) {
+                    utils.error(`Invalid shard. It must be in the format N/M, where N is between 1 and M (e.g., 2/5).`);
+                }
+                runner.shard = { index: parseInt(shardMatches[1]), count: parseInt(shardMatches[2]) };
+                break;
+
+            case "skip-groups":
+                if(!value) {
+                    utils.error(`skip-groups flag must list the groups to skip, separated by commas`);
+                }
+                runner.skipGroups = value.split(/\s*\,\s*/);
+                break;
+
             case "skip-passed":
                 if(value == 'true') {
                     runner.skipPassed = true;
@@ -261,6 +426,13 @@ Options
                 tree.stepDataMode = value;
                 break;
 
+            case "step-timeout":
+                if(!value || !value.match(/^[0-9]+$/)) {
+                    utils.error(`Invalid step-timeout. It must be a number of seconds.`);
+                }
+                runner.stepTimeout = parseInt(value);
+                break;
+
             case "test-server":
                 if(!value.match(/^https?:\/\/.*$/)) {
                     utils.error(`Invalid test-server. It must be in the format 'http://...' or 'https://...'.`);
@@ -274,6 +446,20 @@ Options
                 noValue();
                 process.exit();
 
+            case "watch":
+                noValue();
+                runner.isWatch = true;
+                break;
+
+            case "worker":
+                if(!value || !value.match(/^https?\:\/\//)) {
+                    utils.error(`Invalid worker. It must be set to the url of the coordinator (e.g., http://host:9000).`);
+                }
+                runner.worker = new Worker(runner, value);
+                runner.addPlugin(runner.worker);
+                isReport = false; // the coordinator does the reporting
+                break;
+
             default:
                 utils.error(`Invalid flag '${name}'. See --help for details.`);
                 break;
@@ -301,6 +487,98 @@ Options
     }
 }
 
+/**
+ * Asks git which lines changed since the given ref, including uncommitted changes and new files that aren't committed yet
+ * @param {String} ref - The commit, branch, or tag to compare against
+ * @return {Object} The changed lines of each file, in the format returned by utils.parseDiff()
+ */
+function getChangedLines(ref) {
+    let git = (args) => child_process.execFileSync('git', args, { encoding: 'utf8', stdio: [ 'ignore', 'pipe', 'pipe' ], maxBuffer: 100 * 1024 * 1024 });
+
+    try {
+        let rootDir = git([ 'rev-parse', '--show-toplevel' ]).trim();
+        let changedLines = utils.parseDiff(git([ 'diff', '--unified=0', '--no-color', '--no-ext-diff', ref, '--' ]), rootDir);
+        git([ 'ls-files', '--others', '--exclude-standard', '--full-name' ]).split(/\r?\n/).filter(filename => filename).forEach(filename => {
+            changedLines[path.resolve(rootDir, utils.unquoteGitPath(filename))] = true;
+        });
+
+        return changedLines;
+    }
+    catch(e) {
+        utils.error(`Couldn't get the changes since '${ref}' from git: ${(e.stderr || e.message).toString().trim()}`);
+    }
+}
+
+/**
+ * Parses the given files into the given tree
+ * Test files that another parsed-in file imports are left out, since they're parsed in through that Import instead (and aren't global)
+ * @param {Tree} tree - The tree to parse the files into
+ * @param {Array of String} filenames - The test files, followed by the package files
+ * @param {Array of String} fileBuffers - The contents of each file in filenames
+ * @param {Number} testFilenamesLength - The number of test files at the front of filenames
+ */
+function parseFiles(tree, filenames, fileBuffers, testFilenamesLength) {
+    let filenamesToLeaveOut = tree.getFilenamesImportedByOthers(fileBuffers, filenames);
+
+    for(let i = 0; i < fileBuffers.length; i++) {
+        if(i < testFilenamesLength && filenamesToLeaveOut.includes(path.resolve(filenames[i]))) {
+            continue;
+        }
+
+        tree.parseIn(fileBuffers[i], filenames[i], i >= testFilenamesLength);
+    }
+}
+
+/**
+ * Loads a run for smashtest diff
+ * @param {String} source - A report data file (report-data.js or report-data-full.json), a smashtest directory (that contains one), or history:N for the run N runs ago in the history file
+ * @param {Differ} differ - The Differ that will compare the run
+ * @return {Object} The run, in the format returned by Differ.fromReportData()
+ * @throws {Error} If the run doesn't have every branch (see Differ.fromReportData() and Differ.fromHistoryRun()), since a missing branch would go unreported
+ */
+function loadRunToDiff(source, differ) {
+    let historyMatches = source.match(/^history:([0-9]+)$/);
+    if(historyMatches) {
+        reporter.history.load();
+        let runs = reporter.history.runs;
+        let index = runs.length - 1 - parseInt(historyMatches[1]);
+        if(index < 0) {
+            utils.error(`There ${runs.length == 1 ? `is only 1 run` : `are only ${runs.length} runs`} in the history, so ${source} doesn't exist`);
+        }
+
+        let run = differ.fromHistoryRun(runs[index]);
+        if(run.isPartial) {
+            utils.error(`${source} is from before the history kept track of the branches that didn't run, so it can't be diffed`);
+        }
+
+        return run;
+    }
+
+    // A smashtest directory's full report data has every branch, whereas report-data.js only has so many of each type
+    let filename = source;
+    if(fs.existsSync(filename) && fs.statSync(filename).isDirectory()) {
+        filename = path.join(filename, 'report-data-full.json');
+        if(!fs.existsSync(filename)) {
+            filename = path.join(source, 'report-data.js');
+        }
+    }
+
+    let str = null;
+    try {
+        str = fs.readFileSync(filename, 'utf8');
+    }
+    catch(e) {
+        utils.error(`The report data file '${filename}' could not be found`);
+    }
+
+    let run = differ.fromReportData(filename.endsWith('.json') ? reporter.parseFullReportData(str, source) : reporter.parseReportData(str, source));
+    if(run.isPartial) {
+        utils.error(`The report data file '${filename}' doesn't have every branch, since reports only include so many of each type. Diff the smashtest directory of a completed run instead, which has the full report data.`);
+    }
+
+    return run;
+}
+
 /**
  * Handles a generic error
  */
@@ -347,6 +625,7 @@ function plural(count) {
 
         let filenames = [];
         let fileBuffers = null;
+        let diffSources = []; // the runs to compare, for smashtest diff
 
         // Open config file, if there is one
         try {
@@ -371,7 +650,10 @@ function plural(count) {
         // Sort command line arguments into filenames and flags
         for(let i = 2; i < process.argv.length; i++) {
             let arg = process.argv[i];
-            if(arg.startsWith("-")) {
+            if(i == 2 && ['fmt', 'lint', 'diff'].includes(arg)) {
+                command = arg;
+            }
+            else if(arg.startsWith("-")) {
                 let matches = arg.match(/\-\-?([^\=]+)(\=(.*))?/);
                 if(!matches) {
                     utils.error(`Invalid argument: ${arg}`);
@@ -382,11 +664,49 @@ function plural(count) {
 
                 processFlag(name, value);
             }
+            else if(command == 'diff') {
+                diffSources.push(arg);
+            }
             else {
                 filenames.push(path.resolve(arg));
             }
         }
 
+        // --merge
+        if(mergeDirs) {
+            await reporter.merge(mergeDirs);
+            console.log(`Merged ${mergeDirs.length} report${mergeDirs.length == 1 ? `` : `s`}`);
+            console.log(`Report at: ` + chalk.gray.italic(reporter.getFullReportPath()));
+            console.log(``);
+            process.exit(0);
+        }
+
+        // smashtest diff
+        if(command == 'diff') {
+            if(diffSources.length == 0) {
+                diffSources = [ 'history:1', 'history:0' ];
+            }
+            else if(diffSources.length != 2) {
+                utils.error(`diff must be given the two runs to compare, or nothing to compare the last two runs`);
+            }
+
+            let differ = new Differ(diffThreshold);
+            let runs = diffSources.map(source => loadRunToDiff(source, differ));
+            let diff = differ.diff(runs[0], runs[1]);
+
+            let diffPath = path.join('smashtest', 'diff.html');
+            if(!fs.existsSync(path.dirname(diffPath))) {
+                fs.mkdirSync(path.dirname(diffPath));
+            }
+            fs.writeFileSync(diffPath, differ.outputHtml(diff));
+
+            console.log(``);
+            process.stdout.write(differ.outputConsole(diff));
+            console.log(`Diff at: ` + chalk.gray.italic(path.resolve(diffPath)));
+            console.log(``);
+            process.exit(diff.newlyFailing.length > 0 ? 1 : 0);
+        }
+
         if(filenames.length == 0 && !runner.isRepl) {
             let smashFiles = await new Promise((resolve, reject) => {
                 // if no filenames passed in, just choose all the .smash files
@@ -401,6 +721,31 @@ function plural(count) {
             }
         }
 
+        // smashtest fmt
+        if(command == 'fmt') {
+            let formatter = new Formatter();
+            let unformattedFilenames = [];
+
+            fileBuffers = await readFiles(filenames, {encoding: 'utf8'});
+            for(let i = 0; i < fileBuffers.length; i++) {
+                let formatted = formatter.format(fileBuffers[i], filenames[i]);
+                if(formatted != fileBuffers[i]) {
+                    unformattedFilenames.push(filenames[i]);
+                    if(!isCheck) {
+                        fs.writeFileSync(filenames[i], formatted);
+                    }
+                }
+            }
+
+            unformattedFilenames.forEach(filename => console.log((isCheck ? chalk.red(`Not formatted: `) : `Formatted: `) + chalk.gray(path.relative(process.cwd(), filename))));
+            if(unformattedFilenames.length > 0) {
+                console.log(``);
+            }
+            console.log(`${unformattedFilenames.length} of ${filenames.length} file${filenames.length == 1 ? `` : `s`} ${isCheck ? `need formatting` : `formatted`}`);
+            console.log(``);
+            process.exit(isCheck && unformattedFilenames.length > 0 ? 1 : 0);
+        }
+
         let packageFilenames = await new Promise((resolve, reject) => {
             glob(path.join(path.dirname(require.main.filename), '../packages', '*.smash'), async(err, packageFilenames) => { // new array of filenames under packages/
                 err ? reject(err) : resolve(packageFilenames);
@@ -426,14 +771,32 @@ function plural(count) {
             utils.error("No files found");
         }
 
-        for(let i = 0; i < fileBuffers.length; i++) {
-            tree.parseIn(fileBuffers[i], filenames[i], i >= originalFilenamesLength);
+        parseFiles(tree, filenames, fileBuffers, originalFilenamesLength);
+
+        // smashtest lint
+        if(command == 'lint') {
+            let warnings = new Linter(tree).lint(runner.globalInit);
+            warnings.forEach(warning => {
+                console.log(chalk.gray(`[${path.relative(process.cwd(), warning.filename)}:${warning.lineNumber}] `) + warning.message + chalk.gray(` (${warning.type})`));
+            });
+            if(warnings.length > 0) {
+                console.log(``);
+            }
+            console.log(warnings.length == 0 ? chalk.greenBright(`No problems found`) : chalk.yellowBright(`${warnings.length} problem${warnings.length == 1 ? `` : `s`} found`));
+            console.log(``);
+            process.exit(warnings.length > 0 ? 1 : 0);
         }
 
         // ***************************************
         //  Init the runner, build the tree
         // ***************************************
 
+        // Run the longest branches first, going by how long they took in previous runs
+        if(isReport && !runner.isRepl) {
+            reporter.history.load();
+            runner.branchDurations = reporter.history.getLatestDurations();
+        }
+
         // Generate branches
         process.stdout.write("Generating branches...\x1B[?25l"); // temporary message + hide cursor
         try {
@@ -466,6 +829,10 @@ function plural(count) {
             runner.screenshots = false;
         }
 
+        if(runner.isWatch && (tree.isDebug || runner.isRepl || runner.coordinator || runner.worker)) {
+            utils.error(`--watch cannot be used with a ~, --repl, --coordinator, or --worker`);
+        }
+
         // Link the reporter to the runner, if we're doing a report
         if(isReport) {
             runner.reporter = reporter;
@@ -476,13 +843,32 @@ function plural(count) {
         }
 
         // --skip-passed
-        if(tree.isDebug) { // no --skip-passed allowed with debug mode
+        if(tree.isDebug || runner.worker) { // no --skip-passed allowed with debug mode, and workers run whatever the coordinator hands out
             runner.skipPassed = false;
         }
         if(runner.skipPassed) {
             await reporter.markPassedFromPrevRun(runner.skipPassed === true ? undefined : runner.skipPassed);
         }
 
+        // --dry-run
+        if(dryRunFormat) {
+            let dryRun = tree.serializeDryRun();
+            if(dryRunFormat == 'json') {
+                let dryRunPath = path.join(SMASHTEST_DIR, 'dry-run.json');
+                fs.writeFileSync(dryRunPath, JSON.stringify(dryRun, null, 4));
+                console.log(`Dry run at: ` + chalk.gray.italic(path.resolve(dryRunPath)));
+            }
+            else {
+                console.log(tree.outputDryRun());
+            }
+
+            let counts = dryRun.counts;
+            console.log(`${counts.totalToRun} branch${plural(counts.totalToRun)} to run | ${counts.total} branch${plural(counts.total)} total` + (counts.skipped ? ` | ${counts.skipped} skipped` : ``) + (counts.passedLastTime ? ` | ${counts.passedLastTime} passed last time` : ``) + (counts.pruned ? ` | ${counts.pruned} pruned by --pairwise` : ``) + (counts.excluded ? ` | ${counts.excluded} excluded by --skip-groups` : ``) + (counts.unchanged ? ` | ${counts.unchanged} unchanged` : ``) + ` | ${counts.totalSteps} step${counts.totalSteps == 1 ? `` : `s`} to run`);
+            console.log(``);
+            restoreCursor();
+            process.exit(0);
+        }
+
         // Suppress maxlisteners warning from node
         require('events').EventEmitter.defaultMaxListeners = runner.maxParallel + 5;
 
@@ -498,6 +884,10 @@ function plural(count) {
         function outputCompleteMessage(outputCounts) {
             console.log(``);
             console.log(yellowChalk("Run complete"));
+            if(runner.isBailed) {
+                let notRun = tree.counts.totalToRun - tree.counts.complete;
+                console.log(chalk.redBright(`Stopped after ${runner.maxFailures} failure${plural(runner.maxFailures)}`) + ` (--max-failures), ${notRun} branch${plural(notRun)} not run`);
+            }
             if(outputCounts) {
                 console.log(getCounts());
             }
@@ -519,10 +909,16 @@ function plural(count) {
                 process.exit(0);
             }
 
-            console.log(`${tree.counts.totalToRun} branch${plural(tree.counts.totalToRun)} to run` + (isReport ? ` | ${tree.counts.total} branch${plural(tree.counts.total)} total` : ``) + (tree.isDebug ? ` | ` + yellowChalk(`In DEBUG mode`) : ``));
+            console.log(`${tree.counts.totalToRun} branch${plural(tree.counts.totalToRun)} to run` + (isReport ? ` | ${tree.counts.total} branch${plural(tree.counts.total)} total` : ``) + (tree.pairwisePruned ? ` | ${tree.pairwisePruned} pruned by --pairwise` : ``) + (tree.counts.excluded ? ` | ${tree.counts.excluded} excluded by --skip-groups` : ``) + (tree.changedSinceExcluded ? ` | ${tree.changedSinceExcluded} unchanged` : ``) + (tree.isDebug ? ` | ` + yellowChalk(`In DEBUG mode`) : ``));
             if(isReport) {
                 console.log(`Live report at: ` + chalk.gray.italic(reporter.getFullReportPath()));
             }
+            if(runner.coordinator) {
+                console.log(`Waiting for workers on port: ` + chalk.gray.italic(runner.coordinator.port));
+            }
+            else if(runner.worker) {
+                console.log(`Running branches from coordinator at: ` + chalk.gray.italic(runner.worker.coordinatorUrl));
+            }
 
             console.log(``);
         }
@@ -711,6 +1107,17 @@ function plural(count) {
             let progressBar = null;
             fullRun = true;
 
+            let watcher = new Watcher(rerun); // watches the files (--watch)
+            watcher.on('rerunError', e => {
+                // Keep watching, so that the next change can fix whatever went wrong
+                clearTimeout(timer);
+                onError(e, false, true);
+            });
+            watcher.on('waiting', () => {
+                console.log(chalk.gray(`Watching for changes... (Ctrl + C to quit)`));
+                console.log(``);
+            });
+
             if(PROGRESS_BAR_ON) {
                 // Progress bar
                 progressBar = generateProgressBar(true);
@@ -750,9 +1157,14 @@ function plural(count) {
                     console.log('');
                     outputCompleteMessage();
 
+                    if(runner.isWatch) {
+                        watchFiles();
+                        return;
+                    }
+
                     // If any branch failed, exit with 1, otherwise exit with 0
                     for(let i = 0; i < tree.branches.length; i++) {
-                        if(tree.branches[i].isFailed) {
+                        if(tree.branches[i].isFailed && !tree.branches[i].isQuarantined) { // quarantined failures don't fail the run
                             exit(false, 1);
                         }
                     }
@@ -763,6 +1175,50 @@ function plural(count) {
                 }
             }
 
+            /**
+             * Watches the test files, and re-runs whenever one of them changes (--watch)
+             * Called every time a run completes
+             */
+            function watchFiles() {
+                // Files imported by the test files are watched too (and can change from run to run)
+                watcher.watch(filenames.slice(0, originalFilenamesLength).concat(Object.keys(tree.importedRoots)));
+                watcher.done();
+            }
+
+            /**
+             * Re-parses all the files into a new tree and runs the branches that are new or changed since the previous run
+             * If this throws, the previous tree is kept and the watcher waits for the next change, which will hopefully fix the error
+             */
+            async function rerun() {
+                console.log(hRule);
+                console.log(yellowChalk(`File change detected`));
+                console.log(``);
+
+                let newTree = new Tree();
+                newTree.stepDataMode = tree.stepDataMode;
+
+                let newFileBuffers = await readFiles(filenames, {encoding: 'utf8'});
+                parseFiles(newTree, filenames, newFileBuffers, originalFilenamesLength);
+
+                let carriedOver = await runner.reinit(newTree);
+                tree = newTree;
+
+                let toRun = tree.branches.filter(branch => !branch.isComplete()).length;
+                console.log(`${toRun} new or changed branch${plural(toRun)} to run | ${carriedOver} branch${plural(carriedOver)} unchanged`);
+                if(isReport) {
+                    console.log(`Live report at: ` + chalk.gray.italic(reporter.getFullReportPath()));
+                }
+                console.log(``);
+
+                tree.updateCounts();
+                if(PROGRESS_BAR_ON) {
+                    progressBar.start(tree.counts.totalSteps, tree.counts.totalStepsComplete);
+                    activateProgressBarTimer();
+                }
+
+                await runner.run();
+            }
+
             /**
              * @return {Object} A new progress bar object
              */
@@ -805,7 +1261,9 @@ function plural(count) {
         function getCounts() {
             return (tree.counts.passed > 0 ? chalk.greenBright(`${tree.counts.passed} passed`) + ` | ` : ``) +
                    (tree.counts.failed > 0 ? chalk.redBright(`${tree.counts.failed} failed`) + ` | ` : ``) +
+                   (tree.counts.quarantined > 0 ? chalk.magentaBright(`${tree.counts.quarantined} failed in quarantine`) + ` | ` : ``) +
                    (tree.counts.skipped > 0 ? chalk.cyanBright(`${tree.counts.skipped} skipped`) + ` | ` : ``) +
+                   (tree.counts.flaky > 0 ? chalk.yellowBright(`${tree.counts.flaky} flaky`) + ` | ` : ``) +
                    (`${tree.counts.complete} branch${plural(tree.counts.complete)} complete`);
         }
     }
@@ -42,9 +42,34 @@ exports.VAR_WHOLE = new RegExp("^" + exports.VAR.source + "$");
 // Matches {var1} = Val1, {var2} = Val2, {{var3}} = Val3, etc. (minimum one {var}=Val) as the whole line
 exports.VARS_SET_WHOLE = /^(\s*((\{[^\{\}\\]+\})|(\{\{[^\{\}\\]+\}\}))\s*(\=|is)\s*(('([^\\']|(\\\\)*\\.)*'|"([^\\"]|(\\\\)*\\.)*"|\[([^\\\]]|(\\\\)*\\.)*\]|.*?)+?)\s*)(\,\s*((\{[^\{\}\\]+\})|(\{\{[^\{\}\\]+\}\}))\s*(\=|is)\s*(('([^\\']|(\\\\)*\\.)*'|"([^\\"]|(\\\\)*\\.)*"|\[([^\\\]]|(\\\\)*\\.)*\]|.*?)+?)\s*)*$/;
 
+// Matches the inside of a function declaration's {{param = 'default value'}} (or {param = 'default value'}) as the whole string
+exports.PARAM_DEFAULT_WHOLE = new RegExp("^(?<name>[^=]+?)\\s*=\\s*(?<value>" + exports.STRING_LITERAL.source + ")$");
+
 // Matches "string", 'string', [string], {var}, or {{var}}, handles escaped chars
 exports.FUNCTION_INPUT = new RegExp(exports.STRING_LITERAL.source + "|" + exports.VAR.source, "g");
 
+// Matches Data from 'file' or Data from "file" as the whole line (case insensitive)
+exports.DATA_STEP_WHOLE = new RegExp("^data\\s+from\\s+(" + exports.QUOTED_STRING_LITERAL.source + ")$", "i");
+
+// Matches If {var} is 'value', If {var} is not 'value', or If {var} as the whole line, where each side can be a string literal or {var} (case insensitive)
+// Else if is matched the same way
+exports.CONDITIONAL_STEP_WHOLE = new RegExp("^(?<keyword>else\\s+if|if)\\s+(?<left>" + exports.FUNCTION_INPUT.source + ")(\\s+(?<operator>is\\s+not|is)\\s+(?<right>" + exports.FUNCTION_INPUT.source + "))?$", "i");
+
+// Matches Else as the whole line (case insensitive)
+exports.ELSE_STEP_WHOLE = /^else$/i;
+
+// Matches Repeat N times as the whole line (case insensitive)
+exports.REPEAT_STEP_WHOLE = /^repeat\s+(?<count>[0-9]+)\s+times?$/i;
+
+// Matches Repeat until or Repeat up to N times until as the whole line (case insensitive), which comes before a code block
+exports.REPEAT_UNTIL_STEP_WHOLE = /^repeat\s+(up\s+to\s+(?<count>[0-9]+)\s+times?\s+)?until$/i;
+
+// Matches Import 'file.smash' or Import 'file.smash' as Namespace as the whole line (case insensitive)
+exports.IMPORT_STEP_WHOLE = new RegExp("^import\\s+(?<filename>" + exports.QUOTED_STRING_LITERAL.source + ")(\\s+as\\s+(?<namespace>[A-Za-z_][A-Za-z0-9_]*))?$", "i");
+
+// Matches the Namespace. at the start of a function call to a function from an Import with a namespace
+exports.NAMESPACE_PREFIX = /^\s*(?<namespace>[A-Za-z_][A-Za-z0-9_]*)\.(?=\s*[^\s\.])/;
+
 // Matches a line with only numbers (after whitespace stripped out)
 exports.NUMBERS_ONLY_WHOLE = /^[0-9\.\,]+$/;
 
@@ -53,9 +78,15 @@ exports.NUMBERS_ONLY_WHOLE = /^[0-9\.\,]+$/;
 // ***************************************
 exports.SPACES_PER_INDENT = 4;
 
+// The order modifiers are written in by the formatter (#hashtag modifiers go last, in their original order)
+exports.MODIFIER_ORDER = ['~~', '~', '$s', '$', '.s', '-s', '!!', '!', '..', '+?', '+', '-'];
+
 exports.HOOK_NAMES = ['before every branch', 'after every branch', 'before every step', 'after every step', 'before everything', 'after everything'];
 exports.FREQUENCIES = ['high', 'med', 'low'];
 
+// The most times a Repeat until step repeats, if it doesn't say (Repeat up to N times until)
+exports.REPEAT_UNTIL_DEFAULT_COUNT = 10;
+
 // ***************************************
 // CONSOLE
 // ***************************************
@@ -0,0 +1,277 @@
+const http = require('http');
+const utils = require('./utils.js');
+
+/**
+ * Hands out the branches of a Runner's tree to remote Workers over http, and collects their results
+ * Workers run on other processes or machines with the same files and flags as the coordinator
+ */
+class Coordinator {
+    /**
+     * @param {Runner} runner - The Runner whose tree's branches are to be handed out
+     * @param {Integer} port - The port to listen on
+     */
+    constructor(runner, port) {
+        this.runner = runner;              // The Runner whose tree's branches we're handing out
+        this.port = port;                  // The port to listen on
+
+        this.server = null;                // The http server Workers connect to
+        this.onComplete = null;            // Function to call once every branch is complete (resolves the promise returned by run())
+
+        this.leaseTimeout = 60000;         // Number of ms a Worker can go without being heard from about a branch it's running, before that branch is failed (e.g., the Worker crashed)
+        this.leases = {};                  // Object that maps the hash of each branch a Worker is running to the last time (in ms) we heard from that Worker about it
+        this.leaseTimer = null;            // Interval that checks for expired leases
+    }
+
+    /**
+     * Starts listening for Workers
+     * @return {Promise} Promise that resolves once every branch was run by a Worker, or this Coordinator was stopped
+     */
+    async run() {
+        let completePromise = new Promise(resolve => this.onComplete = resolve);
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, () => resolve());
+        });
+
+        this.leaseTimer = setInterval(() => {
+            this.checkLeases();
+            this.checkForComplete();
+        }, Math.max(this.leaseTimeout / 4, 10));
+
+        this.checkForComplete();
+        await completePromise;
+
+        this.stop();
+    }
+
+    /**
+     * Stops listening for Workers
+     */
+    stop() {
+        if(this.leaseTimer) {
+            clearInterval(this.leaseTimer);
+            this.leaseTimer = null;
+        }
+
+        if(this.server) {
+            this.server.close();
+            this.server = null;
+        }
+
+        if(this.onComplete) {
+            this.onComplete();
+            this.onComplete = null;
+        }
+    }
+
+    /**
+     * Handles a request from a Worker
+     * POST /next - responds with { hash } of the branch to run, { wait: true } if nothing can be run yet, or { done: true }
+     * POST /step - body is { hash, index, step }, where step is a serialized Step that just finished running
+     * POST /branch - body is { hash, branch }, where branch is a serialized Branch that just finished running
+     * POST /heartbeat - body is { hashes }, the hashes of the branches the Worker is still running
+     */
+    handleRequest(req, res) {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            let response = null;
+            try {
+                if(req.method != 'POST') {
+                    utils.error(`Invalid method '${req.method}'`);
+                }
+
+                let data = body ? JSON.parse(body) : {};
+
+                switch(req.url) {
+                    case '/next':
+                        response = this.next();
+                        break;
+
+                    case '/step':
+                        this.updateStep(data.hash, data.index, data.step);
+                        response = {};
+                        break;
+
+                    case '/branch':
+                        this.updateBranch(data.hash, data.branch);
+                        response = {};
+                        break;
+
+                    case '/heartbeat':
+                        (data.hashes || []).forEach(hash => this.leases.hasOwnProperty(hash) && (this.leases[hash] = Date.now()));
+                        response = {};
+                        break;
+
+                    default:
+                        utils.error(`Invalid url '${req.url}'`);
+                }
+            }
+            catch(e) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: e.message }));
+                return;
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+
+            this.checkForComplete();
+        });
+    }
+
+    /**
+     * Chooses the next branch for a Worker to run, honoring nonParallelIds
+     * @return {Object} The response to send back to the Worker
+     */
+    next() {
+        if(this.runner.isStopped || this.runner.checkMaxFailures()) {
+            return { done: true };
+        }
+
+        let branch = this.runner.tree.nextBranch();
+        if(branch) {
+            branch.timeStarted = new Date();
+            this.leases[branch.hash] = Date.now();
+            return { hash: branch.hash };
+        }
+        else if(this.runner.tree.branches.find(b => b.isRunning)) {
+            return { wait: true }; // the remaining branches can't be run until a running branch with the same nonParallelId completes
+        }
+        else {
+            return { done: true };
+        }
+    }
+
+    /**
+     * Copies the results of a step that a Worker ran into the corresponding step in the tree
+     * @param {String} hash - The hash of the branch that contains the step
+     * @param {Integer} index - The index of the step within the branch
+     * @param {Object} serializedStep - The serialized Step that the Worker ran
+     * @throws {Error} If the step could not be found
+     */
+    updateStep(hash, index, serializedStep) {
+        let branch = this.getRunningBranch(hash);
+        let step = branch.steps[index];
+        if(!step) {
+            utils.error(`Step ${index} not found in branch with hash ${hash}`);
+        }
+
+        this.copyStepResults(step, serializedStep);
+        this.leases[hash] = Date.now();
+
+        // Mark the next step as running, for the live report
+        branch.steps.forEach(s => delete s.isRunning);
+        let nextStep = branch.steps[index + 1];
+        nextStep && !nextStep.isComplete() && (nextStep.isRunning = true);
+    }
+
+    /**
+     * Copies the results of a branch that a Worker finished running into the corresponding branch in the tree
+     * @param {String} hash - The hash of the branch
+     * @param {Object} serializedBranch - The serialized Branch that the Worker ran
+     * @throws {Error} If the branch could not be found
+     */
+    updateBranch(hash, serializedBranch) {
+        let branch = this.getRunningBranch(hash);
+
+        delete branch.isPassed;
+        delete branch.isFailed;
+        delete branch.isSkipped;
+        delete branch.isFlaky;
+
+        utils.copyProps(branch, serializedBranch, [
+            'isPassed',
+            'isFailed',
+            'isSkipped',
+            'isFlaky',
+
+            'error',
+            'log',
+            'attempts',
+
+            'elapsed'
+        ]);
+
+        serializedBranch.steps.forEach((serializedStep, i) => {
+            branch.steps[i] && this.copyStepResults(branch.steps[i], serializedStep);
+        });
+
+        branch.timeEnded = new Date();
+        branch.stop(); // no longer running
+        delete this.leases[hash];
+    }
+
+    /**
+     * Fails every running branch whose Worker hasn't been heard from in this.leaseTimeout ms, so that the run can still complete
+     * Results that Worker sends in later on are rejected, since the branch is no longer running
+     */
+    checkLeases() {
+        let now = Date.now();
+        for(let hash in this.leases) {
+            if(now - this.leases[hash] <= this.leaseTimeout) {
+                continue;
+            }
+
+            delete this.leases[hash];
+
+            let branch = this.runner.tree.branches.find(b => b.hash == hash && b.isRunning);
+            if(branch) {
+                branch.markBranch('fail', new Error(`The worker running this branch stopped responding (not heard from in ${this.leaseTimeout / 1000} seconds)`));
+                branch.timeEnded = new Date();
+                branch.stop();
+            }
+        }
+    }
+
+    /**
+     * @return {Branch} The running branch in the tree with the given hash
+     * @throws {Error} If a running branch with the given hash could not be found
+     */
+    getRunningBranch(hash) {
+        let branch = this.runner.tree.branches.find(b => b.hash == hash && b.isRunning);
+        if(!branch) {
+            utils.error(`No running branch with hash ${hash}`);
+        }
+
+        return branch;
+    }
+
+    /**
+     * Calls this.onComplete if every branch is complete
+     */
+    checkForComplete() {
+        if(this.onComplete && (this.runner.isStopped || this.runner.tree.branches.every(b => b.isComplete() || (this.runner.isBailed && !b.isRunning)))) {
+            this.onComplete();
+            this.onComplete = null;
+        }
+    }
+
+    /**
+     * Replaces the results in step with those in serializedStep
+     */
+    copyStepResults(step, serializedStep) {
+        delete step.isPassed;
+        delete step.isFailed;
+        delete step.isSkipped;
+        delete step.isRunning;
+
+        utils.copyProps(step, serializedStep, [
+            'isPassed',
+            'isFailed',
+            'isSkipped',
+
+            'error',
+            'log',
+
+            'elapsed',
+
+            'beforeScreenshot',
+            'afterScreenshot',
+            'targetCoords'
+        ]);
+    }
+}
+module.exports = Coordinator;
@@ -0,0 +1,305 @@
+const chalk = require('chalk');
+const utils = require('./utils.js');
+
+const MIN_REGRESSION_MS = 100; // ignore regressions smaller than this, since they're likely just noise
+
+/**
+ * Compares the results of two runs (from report data files or history entries), to see what changed between them
+ */
+class Differ {
+    /**
+     * @param {Number} [threshold] - How much slower (as a percentage) a step or branch has to get to count as a regression
+     */
+    constructor(threshold) {
+        this.threshold = typeof threshold == 'undefined' ? 50 : threshold; // Percentage a step or branch's elapsed time has to go up by to count as a regression
+    }
+
+    /**
+     * @param {Object} reportData - The object contained in a report data file (see Reporter.parseReportData())
+     * @return {Object} The run in reportData, in the format { timeStarted, isPartial, hasSteps, branches, notRun },
+     * where branches maps each branch hash to an Object in the format { name, status, elapsed, steps }, and each step is in the format { key, text, elapsed }
+     * notRun is an Array of the hashes of branches that are in the run but didn't run (they passed last time, or didn't complete)
+     * isPartial is true if the report data left out some of the branches (report-data.js only includes so many branches of each type), in which case
+     * a branch that newly failed could be missing, so the run shouldn't be diffed
+     * hasSteps is true, since report data has the elapsed time of each step
+     */
+    fromReportData(reportData) {
+        let tree = reportData.tree;
+        let run = {
+            timeStarted: tree.timeStarted,
+            isPartial: !!tree.counts && tree.counts.total > tree.branches.length,
+            hasSteps: true,
+            branches: {},
+            notRun: []
+        };
+
+        tree.branches.forEach(branch => {
+            // A branch that passed last time didn't run, but is serialized as passed, without an elapsed time
+            let status = branch.passedLastTime || (branch.isPassed && typeof branch.elapsed != 'number') ? null : this.getStatus(branch);
+            if(!status) {
+                run.notRun.push(branch.hash);
+                return;
+            }
+
+            let steps = branch.steps.map(step => {
+                let stepNode = tree.stepNodeIndex[step.id] || {};
+                return {
+                    key: `${stepNode.filename}:${stepNode.lineNumber}`,
+                    text: stepNode.text,
+                    elapsed: step.elapsed
+                };
+            });
+
+            run.branches[branch.hash] = {
+                name: steps.map(step => step.text).join(' ').trim(),
+                status: status,
+                elapsed: branch.elapsed,
+                steps: steps
+            };
+        });
+
+        return run;
+    }
+
+    /**
+     * @param {Object} historyRun - A run from the history file (see History.serializeRun())
+     * @return {Object} The run in the same format as fromReportData(), but without steps (the history file doesn't keep those), so hasSteps is false
+     * Runs written before the history file kept notRun are marked isPartial, since there's no telling which branches they left out
+     */
+    fromHistoryRun(historyRun) {
+        let names = historyRun.names || {};
+        let run = {
+            timeStarted: historyRun.timeStarted,
+            isPartial: !historyRun.notRun,
+            hasSteps: false,
+            branches: {},
+            notRun: historyRun.notRun || []
+        };
+
+        for(let hash in historyRun.branches) {
+            let result = historyRun.branches[hash];
+            run.branches[hash] = {
+                name: names[hash] || '',
+                status: result.status,
+                elapsed: result.elapsed
+            };
+        }
+
+        return run;
+    }
+
+    /**
+     * @return {String} 'passed', 'failed', or 'skipped', or null if the given serialized branch didn't complete
+     */
+    getStatus(branch) {
+        if(branch.isPassed) {
+            return 'passed';
+        }
+        else if(branch.isFailed) {
+            return 'failed';
+        }
+        else if(branch.isSkipped) {
+            return 'skipped';
+        }
+        else {
+            return null;
+        }
+    }
+
+    /**
+     * Compares two runs, each in the format returned by fromReportData() or fromHistoryRun()
+     * @param {Object} oldRun - The earlier run
+     * @param {Object} newRun - The later run
+     * @return {Object} An Object in the format { newlyFailing, newlyPassing, added, removed, slowerBranches, slowerSteps, hasSteps }
+     * Each branch is in the format { hash, name }, with slower branches also having { oldElapsed, newElapsed }
+     * Each slower step is in the format { key, text, oldElapsed, newElapsed }, where elapsed is the average across every branch the step is in
+     * A branch that didn't run in one of the runs (see notRun) counts as unchanged, rather than added or removed
+     * hasSteps is false if either run doesn't have step times (e.g., it's from the history file), in which case slowerSteps is left empty
+     */
+    diff(oldRun, newRun) {
+        let diff = {
+            newlyFailing: [],
+            newlyPassing: [],
+            added: [],
+            removed: [],
+            slowerBranches: [],
+            slowerSteps: [],
+            hasSteps: !!(oldRun.hasSteps && newRun.hasSteps)
+        };
+
+        let oldNotRun = new Set(oldRun.notRun || []);
+        let newNotRun = new Set(newRun.notRun || []);
+
+        let nameOf = (hash) => (newRun.branches[hash] && newRun.branches[hash].name) || (oldRun.branches[hash] && oldRun.branches[hash].name) || '';
+
+        for(let hash in newRun.branches) {
+            let newBranch = newRun.branches[hash];
+            let oldBranch = oldRun.branches[hash];
+
+            if(!oldBranch) {
+                if(oldNotRun.has(hash)) {
+                    continue; // unchanged
+                }
+                diff.added.push({ hash: hash, name: nameOf(hash) });
+            }
+            else if(oldBranch.status != 'failed' && newBranch.status == 'failed') {
+                diff.newlyFailing.push({ hash: hash, name: nameOf(hash) });
+            }
+            else if(oldBranch.status == 'failed' && newBranch.status == 'passed') {
+                diff.newlyPassing.push({ hash: hash, name: nameOf(hash) });
+            }
+            else if(oldBranch.status == 'passed' && newBranch.status == 'passed' && this.isRegression(oldBranch.elapsed, newBranch.elapsed)) {
+                diff.slowerBranches.push({ hash: hash, name: nameOf(hash), oldElapsed: oldBranch.elapsed, newElapsed: newBranch.elapsed });
+            }
+        }
+
+        for(let hash in oldRun.branches) {
+            if(!newRun.branches[hash] && !newNotRun.has(hash)) {
+                diff.removed.push({ hash: hash, name: nameOf(hash) });
+            }
+        }
+
+        // Compare the average elapsed time of each step, across every branch it's in
+        if(diff.hasSteps) {
+            let oldSteps = this.getAverageStepElapsed(oldRun);
+            let newSteps = this.getAverageStepElapsed(newRun);
+            for(let key in newSteps) {
+                if(oldSteps[key] && this.isRegression(oldSteps[key].elapsed, newSteps[key].elapsed)) {
+                    diff.slowerSteps.push({ key: key, text: newSteps[key].text, oldElapsed: oldSteps[key].elapsed, newElapsed: newSteps[key].elapsed });
+                }
+            }
+        }
+
+        diff.slowerBranches.sort((a, b) => (b.newElapsed - b.oldElapsed) - (a.newElapsed - a.oldElapsed));
+        diff.slowerSteps.sort((a, b) => (b.newElapsed - b.oldElapsed) - (a.newElapsed - a.oldElapsed));
+
+        return diff;
+    }
+
+    /**
+     * @return {Object} Object that maps the key of each step that ran in the given run to an Object in the format { text, elapsed },
+     * where elapsed is the step's average elapsed time across every branch it's in
+     */
+    getAverageStepElapsed(run) {
+        let totals = {};
+        for(let hash in run.branches) {
+            (run.branches[hash].steps || []).forEach(step => {
+                if(typeof step.elapsed != 'number' || step.elapsed < 0) {
+                    return; // didn't run
+                }
+
+                let total = totals[step.key] = totals[step.key] || { text: step.text, elapsed: 0, count: 0 };
+                total.elapsed += step.elapsed;
+                total.count++;
+            });
+        }
+
+        let averages = {};
+        for(let key in totals) {
+            averages[key] = { text: totals[key].text, elapsed: Math.round(totals[key].elapsed / totals[key].count) };
+        }
+
+        return averages;
+    }
+
+    /**
+     * @return {Boolean} True if going from oldElapsed to newElapsed (in ms) is slower by more than this.threshold percent
+     */
+    isRegression(oldElapsed, newElapsed) {
+        if(typeof oldElapsed != 'number' || typeof newElapsed != 'number') {
+            return false;
+        }
+
+        return newElapsed - oldElapsed >= MIN_REGRESSION_MS && newElapsed > oldElapsed * (1 + this.threshold / 100);
+    }
+
+    /**
+     * @param {Object} diff - An Object returned by diff()
+     * @return {String} diff, formatted for the console
+     */
+    outputConsole(diff) {
+        let output = '';
+
+        let section = (items, header, color, format) => {
+            if(items.length > 0) {
+                output += color(`${header} (${items.length})`) + '\n';
+                items.forEach(item => output += `  ${format(item)}\n`);
+                output += '\n';
+            }
+        };
+        let branchText = (item) => (item.name ? item.name + ' ' : '') + chalk.gray(`[${item.hash}]`);
+        let elapsedText = (item) => chalk.gray(` ${item.oldElapsed}ms --> ${item.newElapsed}ms`);
+
+        section(diff.newlyFailing, `Newly failing branches`, chalk.redBright, branchText);
+        section(diff.newlyPassing, `Newly passing branches`, chalk.greenBright, branchText);
+        section(diff.added, `Added branches`, chalk.cyanBright, branchText);
+        section(diff.removed, `Removed branches`, chalk.cyanBright, branchText);
+        section(diff.slowerBranches, `Slower branches`, chalk.yellowBright, item => branchText(item) + elapsedText(item));
+        section(diff.slowerSteps, `Slower steps`, chalk.yellowBright, item => item.text + chalk.gray(` [${item.key}]`) + elapsedText(item));
+
+        if(!output) {
+            output += `No differences found\n\n`;
+        }
+        if(!diff.hasSteps) {
+            output += chalk.gray(`Steps weren't compared, since the history doesn't keep step times. Diff two report data files or smashtest directories to compare steps.`) + '\n\n';
+        }
+
+        return output;
+    }
+
+    /**
+     * @param {Object} diff - An Object returned by diff()
+     * @return {String} diff, formatted as an html page
+     */
+    outputHtml(diff) {
+        let html = '';
+
+        let section = (items, header, className, format) => {
+            if(items.length > 0) {
+                html += `    <h2 class="${className}">${header} (${items.length})</h2>\n`;
+                html += `    <ul>\n`;
+                items.forEach(item => html += `        <li>${format(item)}</li>\n`);
+                html += `    </ul>\n`;
+            }
+        };
+        let branchText = (item) => (item.name ? utils.escapeXml(item.name) + ' ' : '') + `<span class="gray">[${utils.escapeXml(item.hash)}]</span>`;
+        let elapsedText = (item) => ` <span class="gray">${item.oldElapsed}ms --&gt; ${item.newElapsed}ms</span>`;
+
+        section(diff.newlyFailing, `Newly failing branches`, `failed`, branchText);
+        section(diff.newlyPassing, `Newly passing branches`, `passed`, branchText);
+        section(diff.added, `Added branches`, `changed`, branchText);
+        section(diff.removed, `Removed branches`, `changed`, branchText);
+        section(diff.slowerBranches, `Slower branches`, `slower`, item => branchText(item) + elapsedText(item));
+        section(diff.slowerSteps, `Slower steps`, `slower`, item => utils.escapeXml(item.text) + ` <span class="gray">[${utils.escapeXml(item.key)}]</span>` + elapsedText(item));
+
+        if(!html) {
+            html += `    <p>No differences found</p>\n`;
+        }
+        if(!diff.hasSteps) {
+            html += `    <p class="gray">Steps weren't compared, since the history doesn't keep step times. Diff two report data files or smashtest directories to compare steps.</p>\n`;
+        }
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Smashtest Diff</title>
+    <style>
+        body { font-family: sans-serif; font-size: 14px; margin: 20px; }
+        h2 { font-size: 16px; }
+        li { padding: 2px 0; }
+        .gray { color: rgb(110,110,110); }
+        .failed { color: red; }
+        .passed { color: green; }
+        .changed { color: rgb(0,150,150); }
+        .slower { color: rgb(230,140,0); }
+    </style>
+</head>
+<body>
+    <h1>Smashtest Diff</h1>
+${html}</body>
+</html>
+`;
+    }
+}
+module.exports = Differ;
@@ -0,0 +1,187 @@
+const Constants = require('./constants.js');
+const StepNode = require('./stepnode.js');
+const utils = require('./utils.js');
+
+/**
+ * Rewrites .smash files in a canonical format
+ * Canonical 4-space indentation, normalized modifier ordering, aligned // comments, and preserved code blocks
+ */
+class Formatter {
+    /**
+     * @param {String} buffer - Contents of a .smash file
+     * @param {String} [filename] - Name of the file, used in errors
+     * @return {String} buffer, formatted
+     * @throws {Error} If buffer couldn't be parsed
+     */
+    format(buffer, filename) {
+        let lines = buffer.replace(/\r\n/g, '\n').split('\n');
+
+        let outputLines = [];        // Array of Object in the format { code, comment, level, isStep }
+        let widths = [];             // stack of the indent widths (in spaces) of the steps above the current line, one per level
+        let pendingLines = [];       // full-line comments and .. lines waiting to be indented to the level of the step below them
+
+        for(let i = 0, lineNumber = 1; i < lines.length; i++, lineNumber++) {
+            let line = this.expandTabs(lines[i]);
+
+            if(line.trim() == '') {
+                outputLines.push({ code: '' });
+                continue;
+            }
+
+            if(line.match(Constants.FULL_LINE_COMMENT)) {
+                let outputLine = { code: line.trim(), level: 0 };
+                outputLines.push(outputLine);
+                pendingLines.push(outputLine);
+                continue;
+            }
+
+            if(line.match(Constants.SEQ_MODIFIER_LINE)) {
+                let outputLine = { code: '..', comment: line.match(Constants.SEQ_MODIFIER_LINE)[1], level: 0 };
+                outputLines.push(outputLine);
+                pendingLines.push(outputLine);
+                continue;
+            }
+
+            // Figure out this step's level from how its indent compares to the indents of the steps above it
+            // (any deeper indent is exactly one level deeper, no matter how many spaces it's by)
+            let width = line.match(/^ */)[0].length;
+            while(widths.length > 0 && width < widths[widths.length - 1]) {
+                widths.pop();
+            }
+            if(widths.length == 0 || width > widths[widths.length - 1]) {
+                widths.push(width);
+            }
+            let level = widths.length - 1;
+
+            pendingLines.forEach(outputLine => outputLine.level = level);
+            pendingLines = [];
+
+            let stepNode = new StepNode().parseLine(line, filename, lineNumber);
+            let outputLine = this.formatStepLine(line, stepNode);
+            outputLine.level = level;
+            outputLine.isStep = true;
+            outputLines.push(outputLine);
+
+            // Copy over the code block, shifting it by however much its step moved over
+            // (lines indented no further than the step, such as the insides of multi-line strings, are left alone)
+            if(stepNode.hasCodeBlock()) {
+                let shift = level * Constants.SPACES_PER_INDENT - width;
+                let codeBlockLineNumber = lineNumber;
+
+                for(i++, lineNumber++; ; i++, lineNumber++) {
+                    if(i >= lines.length) {
+                        utils.error(`An unclosed code block was found`, filename, codeBlockLineNumber);
+                    }
+
+                    let codeLine = lines[i];
+                    let endMatches = this.expandTabs(codeLine).match(/^( *)\}\s*(\/\/.*?)?\s*$/);
+                    if(endMatches && endMatches[1].length == width) {
+                        outputLines.push({ code: '}', comment: endMatches[2], level: level });
+                        break;
+                    }
+
+                    if(this.expandTabs(codeLine).match(/^ */)[0].length > width) {
+                        if(shift > 0) {
+                            codeLine = ' '.repeat(shift) + codeLine;
+                        }
+                        else if(shift < 0) {
+                            codeLine = codeLine.replace(new RegExp(`^ {0,${-shift}}`), '');
+                        }
+                    }
+                    outputLines.push({ code: codeLine, isCode: true });
+                }
+            }
+        }
+
+        this.alignComments(outputLines);
+
+        let output = outputLines.map(outputLine => {
+            if(outputLine.isCode) {
+                return outputLine.code;
+            }
+
+            let str = outputLine.code ? utils.getIndents(outputLine.level) + outputLine.code : '';
+            if(outputLine.comment) {
+                str += (outputLine.commentPadding || ' ') + outputLine.comment;
+            }
+            return str.replace(/\s+$/, '');
+        });
+
+        // Exactly one newline at the end of the file
+        while(output.length > 0 && output[output.length - 1] == '') {
+            output.pop();
+        }
+
+        return output.length > 0 ? output.join('\n') + '\n' : '';
+    }
+
+    /**
+     * @param {String} line - A line that isn't blank, a full-line comment, or a .. line
+     * @param {StepNode} stepNode - The StepNode parsed from line
+     * @return {Object} Object in the format { code, comment }, where code is the step (without indents) and comment is its // comment, if any
+     */
+    formatStepLine(line, stepNode) {
+        let matches = line.match(Constants.LINE_WHOLE);
+        let parts = this.sortModifiers(stepNode.frontModifiers || []);
+
+        if(matches[5]) { // lone [ or ]
+            parts.push(matches[5].trim());
+            return { code: parts.join(' '), comment: matches[6] && matches[6].trim() };
+        }
+
+        if(matches[4]) { // *, **, or ***
+            parts.push(matches[4].trim());
+        }
+        if(stepNode.text.trim()) {
+            parts.push(stepNode.text);
+        }
+
+        parts = parts.concat(this.sortModifiers(stepNode.backModifiers || []));
+
+        if(matches[17]) { // start of a code block
+            parts.push(matches[17].trim());
+        }
+        else if(matches[18]) { // start of a multi-level step block
+            parts.push('[');
+        }
+
+        return { code: parts.join(' '), comment: stepNode.comment && stepNode.comment.trim() };
+    }
+
+    /**
+     * @param {Array of String} modifiers - Modifiers from one side of a step
+     * @return {Array of String} modifiers, in the order of Constants.MODIFIER_ORDER, with #hashtag modifiers last
+     */
+    sortModifiers(modifiers) {
+        return Constants.MODIFIER_ORDER
+            .filter(modifier => modifiers.includes(modifier))
+            .concat(modifiers.filter(modifier => !Constants.MODIFIER_ORDER.includes(modifier)));
+    }
+
+    /**
+     * Sets commentPadding on the steps in outputLines, so that the // comments in each run of consecutive steps line up
+     */
+    alignComments(outputLines) {
+        let run = [];
+        outputLines.concat([{}]).forEach(outputLine => {
+            if(outputLine.isStep) {
+                run.push(outputLine);
+                return;
+            }
+
+            let commented = run.filter(s => s.comment);
+            let column = Math.max(...commented.map(s => utils.getIndents(s.level).length + s.code.length));
+            commented.forEach(s => s.commentPadding = ' '.repeat(column - utils.getIndents(s.level).length - s.code.length + 1));
+
+            run = [];
+        });
+    }
+
+    /**
+     * @return {String} line, with the tabs in its leading whitespace converted to spaces
+     */
+    expandTabs(line) {
+        return line.replace(/^[ \t]+/, whitespace => whitespace.replace(/\t/g, ' '.repeat(Constants.SPACES_PER_INDENT)));
+    }
+}
+module.exports = Formatter;
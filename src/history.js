@@ -0,0 +1,211 @@
+const fs = require('fs');
+
+/**
+ * Keeps the results of past runs, one run per line of JSON in a history file, so that branches can be compared across runs
+ * Runs are looked up by branch hash, so a branch's history carries over as long as its steps don't change
+ */
+class History {
+    /**
+     * @param {String} filename - The history file to read from and append to
+     * @param {Integer} [maxRuns] - The most runs to keep in the history file, older ones are dropped once there are more
+     */
+    constructor(filename, maxRuns) {
+        this.filename = filename;            // The history file, where each line is a run in the format returned by serializeRun()
+        this.maxRuns = maxRuns || 100;       // The most runs to keep in the history file
+        this.runs = [];                      // Array of Object, the runs in the history file, oldest first
+    }
+
+    /**
+     * Reads in the runs from the history file. A missing file means there's no history yet.
+     * Lines that aren't valid JSON (e.g., from a run that was cut off while it was being written) are ignored.
+     */
+    load() {
+        this.runs = [];
+
+        let str = '';
+        try {
+            str = fs.readFileSync(this.filename, 'utf8');
+        }
+        catch(e) {
+            if(e.code == 'ENOENT') { // not finding the file is ok
+                return;
+            }
+            throw e;
+        }
+
+        str.split('\n').forEach(line => {
+            if(!line.trim()) {
+                return;
+            }
+
+            try {
+                this.runs.push(JSON.parse(line));
+            }
+            catch(e) {}
+        });
+    }
+
+    /**
+     * @param {Tree} tree - A tree that was just run
+     * @return {Object} The results of the branches that ran in tree, in the format { timeStarted, elapsed, counts, branches, names, notRun },
+     * where branches maps each branch hash to an Object in the format { status, elapsed, isFlaky, error }, and names maps each of those hashes to the branch's name
+     * Branches that didn't complete, or that passed last time or were carried over from a previous generation of the tree (and so didn't run), are left out of branches,
+     * and their hashes are listed in notRun instead
+     */
+    serializeRun(tree) {
+        let run = {
+            timeStarted: tree.timeStarted instanceof Date ? tree.timeStarted.toISOString() : tree.timeStarted,
+            elapsed: tree.elapsed,
+            counts: {
+                passed: 0,
+                failed: 0,
+                skipped: 0
+            },
+            branches: {},
+            names: {},
+            notRun: []
+        };
+
+        tree.branches.forEach(branch => {
+            if(branch.passedLastTime || branch.isCarriedOver) {
+                run.notRun.push(branch.hash);
+                return;
+            }
+
+            let status = null;
+            if(branch.isPassed) {
+                status = 'passed';
+            }
+            else if(branch.isFailed) {
+                status = 'failed';
+            }
+            else if(branch.isSkipped) {
+                status = 'skipped';
+            }
+            else {
+                run.notRun.push(branch.hash); // didn't complete
+                return;
+            }
+
+            run.counts[status]++;
+
+            let result = { status: status, elapsed: branch.elapsed || 0 };
+            if(branch.isFlaky) {
+                result.isFlaky = true;
+            }
+            if(branch.isFailed) {
+                let failedStep = branch.steps.find(step => step.isFailed && step.error);
+                let error = branch.error || (failedStep ? failedStep.error : null);
+                if(error && error.message) {
+                    result.error = error.message;
+                }
+            }
+
+            run.branches[branch.hash] = result;
+            run.names[branch.hash] = branch.quickOutput(tree.stepNodeIndex).trim();
+        });
+
+        return run;
+    }
+
+    /**
+     * Adds the results of the given tree to the end of the history file
+     * If that puts the history over this.maxRuns, the oldest runs are dropped and the file is rewritten
+     * @param {Tree} tree - A tree that was just run
+     */
+    append(tree) {
+        let run = this.serializeRun(tree);
+        this.runs.push(run);
+
+        if(this.runs.length > this.maxRuns) {
+            this.runs = this.runs.slice(-this.maxRuns);
+            fs.writeFileSync(this.filename, this.runs.map(run => JSON.stringify(run) + '\n').join(''));
+        }
+        else {
+            fs.appendFileSync(this.filename, JSON.stringify(run) + '\n');
+        }
+    }
+
+    /**
+     * @param {String} hash - The hash of the branch
+     * @param {Integer} [maxRuns] - The most runs to include (the most recent ones), all of them if omitted
+     * @return {Object} The branch's history in the format { runs, passed, failed, averageElapsed, flakiness, firstFailed }, or null if the branch never ran before
+     * runs is an Array of Object in the format { timeStarted, status, elapsed, isFlaky, error }, oldest first
+     * flakiness is a score from 0 to 1, the fraction of runs (that weren't skipped) where the branch only passed after a retry, or had a different result than the run before
+     * firstFailed is the timeStarted of the run where the branch started failing, if it failed in its most recent run
+     */
+    getBranchHistory(hash, maxRuns) {
+        let runs = [];
+        this.runs.forEach(run => {
+            let result = run.branches && run.branches[hash];
+            if(result) {
+                runs.push(Object.assign({ timeStarted: run.timeStarted }, result));
+            }
+        });
+
+        if(runs.length == 0) {
+            return null;
+        }
+
+        let history = {
+            runs: maxRuns ? runs.slice(-maxRuns) : runs,
+            passed: runs.filter(run => run.status == 'passed').length,
+            failed: runs.filter(run => run.status == 'failed').length
+        };
+
+        let timedRuns = runs.filter(run => run.status != 'skipped');
+        if(timedRuns.length > 0) {
+            history.averageElapsed = Math.round(timedRuns.reduce((total, run) => total + run.elapsed, 0) / timedRuns.length);
+
+            let unstableRuns = timedRuns.filter((run, i) => run.isFlaky || (i > 0 && run.status != timedRuns[i - 1].status));
+            history.flakiness = Math.round(unstableRuns.length * 100 / timedRuns.length) / 100;
+        }
+
+        // Walk back through the streak of failures at the end, skipping over runs where the branch was skipped
+        for(let i = runs.length - 1; i >= 0; i--) {
+            if(runs[i].status == 'passed') {
+                break;
+            }
+            else if(runs[i].status == 'failed') {
+                history.firstFailed = runs[i].timeStarted;
+            }
+        }
+
+        return history;
+    }
+
+    /**
+     * @return {Object} Object that maps the hash of each branch that ran before to how long (in ms) it took in the most recent run where it passed or failed
+     */
+    getLatestDurations() {
+        let durations = {};
+        this.runs.forEach(run => {
+            for(let hash in run.branches) {
+                let result = run.branches[hash];
+                if(result.status != 'skipped') {
+                    durations[hash] = result.elapsed;
+                }
+            }
+        });
+
+        return durations;
+    }
+
+    /**
+     * @param {Tree} tree - The tree being reported on
+     * @param {Integer} maxRuns - The most runs to include for each branch
+     * @return {Object} Object that maps the hash of each branch in tree to its history (see getBranchHistory()), leaving out branches that never ran before
+     */
+    serializeForReport(tree, maxRuns) {
+        let o = {};
+        tree.branches.forEach(branch => {
+            let history = this.getBranchHistory(branch.hash, maxRuns);
+            if(history) {
+                o[branch.hash] = history;
+            }
+        });
+
+        return o;
+    }
+}
+module.exports = History;
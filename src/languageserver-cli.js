@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+const LanguageServer = require('./languageserver.js');
+
+// Speaks the Language Server Protocol over stdin/stdout, so nothing else may be written to stdout
+console.log = console.error;
+
+let server = new LanguageServer();
+server.on('exit', code => process.exit(code));
+server.listen(process.stdin, process.stdout);
@@ -0,0 +1,492 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const glob = require('glob');
+const Tree = require('./tree.js');
+
+/**
+ * Language server for .smash files, which speaks the Language Server Protocol (LSP) over a stream (e.g., stdin/stdout)
+ * Offers diagnostics, go to definition, find references, hover, and completion of function names
+ * Emits 'exit' with an exit code when the client asks it to exit
+ */
+class LanguageServer extends EventEmitter {
+    constructor() {
+        super();
+
+        this.files = {};                  // Object where keys are absolute filenames and values are their contents, for the .smash files in the workspace
+        this.packageFiles = {};           // Object where keys are absolute filenames and values are their contents, for packages/*.smash
+        this.openFilenames = [];          // Array of String, the absolute filenames of the documents currently open in the editor
+
+        this.tree = new Tree();           // Tree of every file, as of the latest analyze()
+        this.errors = [];                 // Array of Object in the format { message, filename, lineNumber }, the errors found by the latest analyze()
+        this.declarationIndex = {};       // Object where keys are function call step node ids and values are Arrays of the function declaration step nodes they were matched to by branchify()
+
+        this.analyzeDelay = 300;          // ms to wait after the latest change to a document before re-analyzing, so that typing doesn't re-analyze the whole workspace on every keystroke
+        this.analyzeTimer = null;         // timer that goes off when it's time to re-analyze after a change (see changeFile())
+
+        this.output = null;               // Stream we send messages to
+        this.buffer = '';                 // Data from the input stream that hasn't been handled yet
+        this.isShutdown = false;          // true once the client asked us to shut down
+    }
+
+    /**
+     * Reads in LSP messages from input and writes responses to output
+     * @param {Stream} input - The stream messages come in on (e.g., process.stdin)
+     * @param {Stream} output - The stream responses and notifications go out on (e.g., process.stdout)
+     */
+    listen(input, output) {
+        this.output = output;
+
+        input.setEncoding('utf8');
+        input.on('data', data => {
+            this.buffer += data;
+
+            // Each message is in the format Content-Length: <N>\r\n\r\n<N bytes of JSON>
+            while(true) {
+                let headerEnd = this.buffer.indexOf('\r\n\r\n');
+                if(headerEnd == -1) {
+                    break;
+                }
+
+                let matches = this.buffer.slice(0, headerEnd).match(/Content-Length: ([0-9]+)/i);
+                let length = matches ? parseInt(matches[1]) : 0;
+                let body = Buffer.from(this.buffer.slice(headerEnd + 4), 'utf8');
+                if(body.length < length) {
+                    break; // wait for the rest of the message
+                }
+
+                this.buffer = body.slice(length).toString('utf8');
+                this.receive(body.slice(0, length).toString('utf8'));
+            }
+        });
+    }
+
+    /**
+     * Parses and handles a message from the client
+     * A message that isn't valid JSON, or that causes an error while being handled, gets a JSON-RPC error back instead of taking down the server
+     * @param {String} json - The body of the message
+     */
+    receive(json) {
+        let message = null;
+        try {
+            message = JSON.parse(json);
+        }
+        catch(e) {
+            this.send({ id: null, error: { code: -32700, message: `Parse error: ${e.message}` } });
+            return;
+        }
+
+        try {
+            this.handleMessage(message);
+        }
+        catch(e) {
+            if(message && typeof message.id != 'undefined') {
+                this.send({ id: message.id, error: { code: -32603, message: `Internal error: ${e.message}` } });
+            }
+            else { // notifications can't be responded to, so log the error in the client instead
+                this.send({ method: 'window/logMessage', params: { type: 1, message: `Error handling ${message && message.method}: ${e.message}` } });
+            }
+        }
+    }
+
+    /**
+     * Sends the given message to the client
+     * @param {Object} message - The JSON-RPC message to send
+     */
+    send(message) {
+        message.jsonrpc = '2.0';
+        let json = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf8')}\r\n\r\n${json}`);
+    }
+
+    /**
+     * Handles a message from the client, and sends back a response if it's a request
+     * @param {Object} message - The JSON-RPC message that came in
+     */
+    handleMessage(message) {
+        let params = message.params || {};
+        let filename = params.textDocument ? this.toFilename(params.textDocument.uri) : null;
+        let line = params.position ? params.position.line : null;
+        let result = null;
+
+        if(typeof message.id != 'undefined') {
+            this.flushAnalysis(); // answer requests from the latest contents of each document
+        }
+
+        switch(message.method) {
+            case 'initialize':
+                this.initialize(params.rootUri ? this.toFilename(params.rootUri) : params.rootPath);
+                result = {
+                    capabilities: {
+                        textDocumentSync: 1, // full text on every change
+                        definitionProvider: true,
+                        referencesProvider: true,
+                        hoverProvider: true,
+                        completionProvider: {}
+                    }
+                };
+                break;
+
+            case 'textDocument/didOpen':
+                this.openFilenames.includes(filename) || this.openFilenames.push(filename);
+                this.setFile(filename, params.textDocument.text);
+                break;
+
+            case 'textDocument/didChange':
+                this.changeFile(filename, params.contentChanges[params.contentChanges.length - 1].text);
+                break;
+
+            case 'textDocument/didClose':
+                this.openFilenames = this.openFilenames.filter(f => f != filename);
+                this.send({ method: 'textDocument/publishDiagnostics', params: { uri: this.toUri(filename), diagnostics: [] } });
+                break;
+
+            case 'textDocument/definition':
+                result = this.getDefinition(filename, line);
+                break;
+
+            case 'textDocument/references':
+                result = this.getReferences(filename, line);
+                break;
+
+            case 'textDocument/hover':
+                result = this.getHover(filename, line);
+                break;
+
+            case 'textDocument/completion':
+                result = this.getCompletions();
+                break;
+
+            case 'shutdown':
+                this.isShutdown = true;
+                break;
+
+            case 'exit':
+                clearTimeout(this.analyzeTimer);
+                this.emit('exit', this.isShutdown ? 0 : 1);
+                break;
+
+            default:
+                if(typeof message.id != 'undefined') {
+                    this.send({ id: message.id, error: { code: -32601, message: `Unhandled method ${message.method}` } });
+                }
+                return;
+        }
+
+        if(typeof message.id != 'undefined') {
+            this.send({ id: message.id, result: result });
+        }
+    }
+
+    /**
+     * Loads in packages/*.smash, and all .smash files under rootPath
+     * @param {String} [rootPath] - The workspace's root directory, if there is one
+     */
+    initialize(rootPath) {
+        glob.sync(path.join(__dirname, '../packages', '*.smash')).forEach(filename => {
+            this.packageFiles[path.resolve(filename)] = fs.readFileSync(filename, 'utf8');
+        });
+
+        if(rootPath) {
+            glob.sync('**/*.smash', { cwd: rootPath, absolute: true, ignore: 'node_modules/**' }).forEach(filename => {
+                this.files[path.resolve(filename)] = fs.readFileSync(filename, 'utf8');
+            });
+        }
+
+        this.analyze();
+    }
+
+    /**
+     * Sets the contents of the given file, re-analyzes, and sends diagnostics for every open document
+     * @param {String} filename - The absolute filename of the file
+     * @param {String} text - The file's new contents
+     */
+    setFile(filename, text) {
+        this.files[filename] = text;
+        this.reanalyze();
+    }
+
+    /**
+     * Sets the contents of the given file, and re-analyzes once this.analyzeDelay ms go by without another change
+     * @param {String} filename - The absolute filename of the file
+     * @param {String} text - The file's new contents
+     */
+    changeFile(filename, text) {
+        this.files[filename] = text;
+
+        clearTimeout(this.analyzeTimer);
+        this.analyzeTimer = setTimeout(() => this.reanalyze(), this.analyzeDelay);
+    }
+
+    /**
+     * Re-analyzes right away if a change is waiting to be analyzed
+     */
+    flushAnalysis() {
+        if(this.analyzeTimer) {
+            this.reanalyze();
+        }
+    }
+
+    /**
+     * Re-analyzes, and sends diagnostics for every open document
+     */
+    reanalyze() {
+        clearTimeout(this.analyzeTimer);
+        this.analyzeTimer = null;
+
+        this.analyze();
+
+        if(this.output) {
+            this.openFilenames.forEach(openFilename => {
+                this.send({ method: 'textDocument/publishDiagnostics', params: { uri: this.toUri(openFilename), diagnostics: this.getDiagnostics(openFilename) } });
+            });
+        }
+    }
+
+    /**
+     * Parses and branchifies every file into a new this.tree, setting this.errors and this.declarationIndex
+     * Files that another file imports are parsed in through that Import, and not on their own (as the cli does)
+     */
+    analyze() {
+        this.tree = new Tree();
+        this.errors = [];
+        this.declarationIndex = {};
+
+        // Parse each file on its own first, so that a syntax error in one file doesn't hide the errors in another
+        let filenames = Object.keys(this.files);
+        let goodFilenames = filenames.filter(filename => {
+            try {
+                new Tree().parseIn(this.files[filename], filename);
+                return true;
+            }
+            catch(e) {
+                this.errors.push(this.parseError(e));
+                return false;
+            }
+        });
+
+        let importedFilenames = this.tree.getFilenamesImportedByOthers(goodFilenames.map(filename => this.files[filename]), goodFilenames);
+        goodFilenames
+            .filter(filename => !importedFilenames.includes(filename))
+            .forEach(filename => this.tree.parseIn(this.files[filename], filename));
+        for(let filename in this.packageFiles) {
+            this.tree.parseIn(this.packageFiles[filename], filename, true);
+        }
+
+        if(goodFilenames.length < filenames.length) {
+            return; // function calls can't be reliably matched when a file is missing
+        }
+
+        let branches = [];
+        try {
+            branches = this.tree.branchify(this.tree.root);
+        }
+        catch(e) {
+            if(e.name == "RangeError" && this.tree.latestBranchifiedStepNode) {
+                let stepNode = this.tree.latestBranchifiedStepNode;
+                this.errors.push({ message: `Infinite loop detected`, filename: stepNode.filename, lineNumber: stepNode.lineNumber });
+            }
+            else {
+                this.errors.push(this.parseError(e));
+            }
+        }
+
+        branches.forEach(branch => {
+            branch.steps.forEach(step => {
+                if(step.fid) {
+                    let declarations = this.declarationIndex[step.id] || (this.declarationIndex[step.id] = []);
+                    let functionDeclarationNode = this.tree.stepNodeIndex[step.fid];
+                    declarations.includes(functionDeclarationNode) || declarations.push(functionDeclarationNode);
+                }
+            });
+        });
+    }
+
+    /**
+     * @param {Error} error - An error thrown by utils.error()
+     * @return {Object} Object in the format { message, filename, lineNumber }
+     */
+    parseError(error) {
+        let matches = error.message.match(/^([\s\S]*) \[([^\[\]]*):([0-9]*)\]$/);
+        if(matches) {
+            return { message: matches[1].trim(), filename: matches[2], lineNumber: parseInt(matches[3]) || 1 };
+        }
+        else {
+            return { message: error.message, filename: null, lineNumber: 1 };
+        }
+    }
+
+    /**
+     * @param {String} filename - The absolute filename of a file
+     * @return {Array of Object} The LSP Diagnostics for the given file
+     */
+    getDiagnostics(filename) {
+        return this.errors
+            .filter(error => error.filename == filename)
+            .map(error => {
+                return {
+                    range: this.getLineRange(filename, error.lineNumber),
+                    severity: 1, // error
+                    source: 'smashtest',
+                    message: error.message
+                };
+            });
+    }
+
+    /**
+     * @param {String} filename - The absolute filename of a file
+     * @param {Integer} line - The line number within the file (0-based)
+     * @return {StepNode} The function call or function declaration step node on the given line, null if there isn't one
+     */
+    getStepNodeAt(filename, line) {
+        for(let id in this.tree.stepNodeIndex) {
+            let stepNode = this.tree.stepNodeIndex[id];
+            if(stepNode.filename == filename && stepNode.lineNumber == line + 1 && stepNode.text && (stepNode.isFunctionCall || stepNode.isFunctionDeclaration)) {
+                return stepNode;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {StepNode} functionCallNode - A function call step node
+     * @return {Array of StepNode} The function declarations that functionCallNode calls
+     * Uses the matches found by branchify() (which uses Tree.findFunctionDeclarations()), and falls back to matching by text for function calls that were never reached
+     */
+    getDeclarations(functionCallNode) {
+        if(this.declarationIndex[functionCallNode.id]) {
+            return this.declarationIndex[functionCallNode.id];
+        }
+
+        let declarations = [];
+        for(let id in this.tree.stepNodeIndex) {
+            let stepNode = this.tree.stepNodeIndex[id];
+            if(stepNode.isFunctionDeclaration && !stepNode.isHook && stepNode.text) {
+                try {
+                    functionCallNode.isFunctionMatch(stepNode) && declarations.push(stepNode);
+                }
+                catch(e) {} // not a match
+            }
+        }
+
+        return declarations;
+    }
+
+    /**
+     * @return {Array of Object} LSP Locations of the function declarations called at the given line, [] if there's no function call there
+     */
+    getDefinition(filename, line) {
+        let stepNode = this.getStepNodeAt(filename, line);
+        if(!stepNode || !stepNode.isFunctionCall) {
+            return [];
+        }
+
+        return this.getDeclarations(stepNode).map(functionDeclarationNode => this.toLocation(functionDeclarationNode));
+    }
+
+    /**
+     * @return {Array of Object} LSP Locations of every call to the function declared (or called) at the given line
+     */
+    getReferences(filename, line) {
+        let stepNode = this.getStepNodeAt(filename, line);
+        if(!stepNode) {
+            return [];
+        }
+
+        let declarations = stepNode.isFunctionDeclaration ? [ stepNode ] : this.getDeclarations(stepNode);
+        let references = [];
+        for(let id in this.tree.stepNodeIndex) {
+            let functionCallNode = this.tree.stepNodeIndex[id];
+            if(functionCallNode.isFunctionCall && functionCallNode.text && this.getDeclarations(functionCallNode).find(d => declarations.includes(d))) {
+                references.push(this.toLocation(functionCallNode));
+            }
+        }
+
+        return references;
+    }
+
+    /**
+     * @return {Object} LSP Hover showing the code block of the function declared (or called) at the given line, null if there's no code block to show
+     */
+    getHover(filename, line) {
+        let stepNode = this.getStepNodeAt(filename, line);
+        if(!stepNode) {
+            return null;
+        }
+
+        let functionDeclarationNode = stepNode.isFunctionDeclaration ? stepNode : this.getDeclarations(stepNode)[0];
+        if(!functionDeclarationNode || !functionDeclarationNode.hasCodeBlock()) {
+            return null;
+        }
+
+        return {
+            contents: {
+                kind: 'markdown',
+                value: `**${functionDeclarationNode.text}**\n\n\`\`\`javascript\n${functionDeclarationNode.codeBlock.replace(/^\n/, '')}\n\`\`\``
+            },
+            range: this.getLineRange(filename, line + 1)
+        };
+    }
+
+    /**
+     * @return {Array of Object} LSP CompletionItems for the names of every function declared in packages/*.smash and the workspace
+     */
+    getCompletions() {
+        let items = [];
+        let labels = [];
+
+        for(let id in this.tree.stepNodeIndex) {
+            let stepNode = this.tree.stepNodeIndex[id];
+            if(stepNode.isFunctionDeclaration && !stepNode.isHook && stepNode.text && !labels.includes(stepNode.text)) {
+                labels.push(stepNode.text);
+                items.push({
+                    label: stepNode.text,
+                    kind: 3, // function
+                    detail: `${path.basename(stepNode.filename)}:${stepNode.lineNumber}`
+                });
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * @return {Object} LSP Range covering the given line (1-based) of the given file
+     */
+    getLineRange(filename, lineNumber) {
+        let text = this.files[filename] || this.packageFiles[filename] || '';
+        let lineText = text.split('\n')[lineNumber - 1] || '';
+
+        return {
+            start: { line: lineNumber - 1, character: lineText.length - lineText.trimStart().length },
+            end: { line: lineNumber - 1, character: lineText.replace(/\r$/, '').length }
+        };
+    }
+
+    /**
+     * @return {Object} LSP Location of the given step node
+     */
+    toLocation(stepNode) {
+        return {
+            uri: this.toUri(stepNode.filename),
+            range: this.getLineRange(stepNode.filename, stepNode.lineNumber)
+        };
+    }
+
+    /**
+     * @return {String} The absolute filename for the given file:// uri
+     */
+    toFilename(uri) {
+        return path.resolve(url.fileURLToPath(uri));
+    }
+
+    /**
+     * @return {String} The file:// uri for the given absolute filename
+     */
+    toUri(filename) {
+        return url.pathToFileURL(filename).href;
+    }
+}
+module.exports = LanguageServer;
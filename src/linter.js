@@ -0,0 +1,207 @@
+const Constants = require('./constants.js');
+const utils = require('./utils.js');
+
+/**
+ * Finds likely mistakes in a parsed Tree, without running it
+ */
+class Linter {
+    /**
+     * @param {Tree} tree - The Tree to lint, with all files (including packages) already parsed in
+     */
+    constructor(tree) {
+        this.tree = tree;              // The Tree being linted
+        this.warnings = [];            // Array of Object in the format { type, message, filename, lineNumber }, the problems found by lint()
+    }
+
+    /**
+     * Branchifies the tree (without running anything) and looks for problems in the step nodes that aren't from packages
+     * @param {Object} [globals] - Global variables that will be set at the start of every branch (e.g., from --g:name=value)
+     * @return {Array of Object} this.warnings, sorted by filename and line number
+     * @throws {Error} If the tree couldn't be branchified
+     */
+    lint(globals) {
+        this.warnings = [];
+        this.tree.branchify(this.tree.root);
+
+        let stepNodes = Object.values(this.tree.stepNodeIndex).filter(stepNode => stepNode.text && stepNode.text.trim() && stepNode.lineNumber && !stepNode.isPackaged);
+
+        this.lintUnusedFunctions(stepNodes);
+        this.lintDebugModifiers(stepNodes);
+        this.lintUnsetVars(stepNodes, globals || {});
+        this.lintDuplicateFunctions(stepNodes);
+        this.lintTextualStepTypos(stepNodes);
+
+        this.warnings.sort((a, b) => a.filename.localeCompare(b.filename) || a.lineNumber - b.lineNumber);
+        return this.warnings;
+    }
+
+    /**
+     * Adds a warning to this.warnings
+     */
+    warn(type, message, stepNode) {
+        this.warnings.push({ type: type, message: message, filename: stepNode.filename, lineNumber: stepNode.lineNumber });
+    }
+
+    /**
+     * Warns about function declarations that are never called
+     */
+    lintUnusedFunctions(stepNodes) {
+        stepNodes.forEach(stepNode => {
+            if(stepNode.isFunctionDeclaration && !stepNode.isHook && !stepNode.used) {
+                this.warn('unused-function', `The function \`${stepNode.text}\` is never called`, stepNode);
+            }
+        });
+    }
+
+    /**
+     * Warns about ~, ~~, $, and $s modifiers, which are meant to be removed once debugging is done
+     */
+    lintDebugModifiers(stepNodes) {
+        stepNodes.forEach(stepNode => {
+            (stepNode.modifiers || []).forEach(modifier => {
+                if(['~', '~~', '$', '$s'].includes(modifier)) {
+                    this.warn('debug-modifier', `Leftover ${modifier} modifier`, stepNode);
+                }
+            });
+        });
+    }
+
+    /**
+     * Warns about {vars} and {{vars}} that are read, but that aren't set anywhere in the tree
+     * A var counts as set if it's set with {var}=, is a function declaration's parameter, is set from a code block
+     * (e.g., setGlobal('var', ...) or g('var', ...)), is a column of a data file (Data from 'file.csv'), or is in globals
+     */
+    lintUnsetVars(stepNodes, globals) {
+        let setVars = Object.keys(globals).map(name => `{${utils.keepCaseCanonicalize(name)}}`);
+
+        Object.values(this.tree.stepNodeIndex).forEach(stepNode => {
+            if(!stepNode.text) {
+                return;
+            }
+
+            stepNode.getVarsBeingSet().forEach(varBeingSet => setVars.push(this.varKey(varBeingSet.name, varBeingSet.isLocal)));
+
+            if(stepNode.isFunctionDeclaration) {
+                stepNode.getFunctionParams().forEach(param => setVars.push(this.varKey(param.name, param.isLocal)));
+            }
+
+            if(stepNode.dataRows) {
+                stepNode.dataRows.forEach(row => Object.keys(row).forEach(name => setVars.push(this.varKey(utils.stripBrackets(name), name.trim().startsWith('{{')))));
+            }
+
+            if(stepNode.hasCodeBlock()) {
+                let matches = stepNode.codeBlock.match(/\b(setGlobal|setLocal|g|l)\(\s*(['"`])(.*?)\2/g) || [];
+                matches.forEach(match => {
+                    let parts = match.match(/^(setGlobal|setLocal|g|l)\(\s*(['"`])(.*?)\2$/);
+                    setVars.push(this.varKey(parts[3], ['setLocal', 'l'].includes(parts[1])));
+                });
+            }
+        });
+
+        stepNodes.forEach(stepNode => {
+            if(stepNode.isFunctionDeclaration) {
+                return; // the vars in a function declaration are its parameters
+            }
+
+            let varsBeingSet = stepNode.getVarsBeingSet();
+            let textsRead = varsBeingSet.length > 0 ? varsBeingSet.map(varBeingSet => varBeingSet.value) : [ stepNode.text ];
+            textsRead.forEach(text => {
+                (text.match(Constants.VAR) || []).forEach(v => {
+                    let isLocal = v.startsWith('{{');
+                    if(!setVars.includes(this.varKey(utils.stripBrackets(v), isLocal))) {
+                        this.warn('unset-var', `The variable ${v} is read, but never set`, stepNode);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * @return {String} A key that's the same for every reference to the given var (e.g., {Var Name}, {Var  Name:}, etc.)
+     */
+    varKey(name, isLocal) {
+        name = utils.keepCaseCanonicalize(name.replace(/\:\s*$/, ''));
+        return isLocal ? `{{${name}}}` : `{${name}}`;
+    }
+
+    /**
+     * Warns about function declarations with the same name as a function declaration above them, at the same scope
+     */
+    lintDuplicateFunctions(stepNodes) {
+        let parents = [];
+        stepNodes.forEach(stepNode => stepNode.parent && !parents.includes(stepNode.parent) && parents.push(stepNode.parent));
+
+        parents.forEach(parent => {
+            let declarations = {};
+            parent.children.forEach(child => {
+                if(!child.isFunctionDeclaration || child.isHook || child.isPackaged || !child.text.trim()) {
+                    return;
+                }
+
+                let text = child.canonicalizeFunctionDeclarationText();
+                if(declarations[text]) {
+                    let original = declarations[text];
+                    this.warn('duplicate-function', `The function \`${child.text}\` is already declared at this scope [${original.filename}:${original.lineNumber}]`, child);
+                }
+                else {
+                    declarations[text] = child;
+                }
+            });
+        });
+    }
+
+    /**
+     * Warns about textual steps (-) whose text is the same as, or within a couple typos of, the name of a function declaration
+     */
+    lintTextualStepTypos(stepNodes) {
+        let functionNames = {};
+        Object.values(this.tree.stepNodeIndex).forEach(stepNode => {
+            if(stepNode.isFunctionDeclaration && !stepNode.isHook && stepNode.text && stepNode.text.trim()) {
+                functionNames[stepNode.canonicalizeFunctionDeclarationText()] = stepNode.text;
+            }
+        });
+
+        stepNodes.forEach(stepNode => {
+            if(!stepNode.isTextualStep || stepNode.isSkip) {
+                return;
+            }
+
+            let text = utils.canonicalize(utils.unescape(stepNode.text.replace(Constants.STRING_LITERAL, '{}').replace(Constants.VAR, '{}')));
+            if(text.length < 5) {
+                return; // too short to tell apart a typo from a different name
+            }
+
+            for(let functionName in functionNames) {
+                if(this.getEditDistance(text, functionName) <= Math.min(2, Math.floor(functionName.length / 5))) {
+                    this.warn('possible-typo', `This textual step looks like a call to the function \`${functionNames[functionName]}\`. Is there a typo, or a - that shouldn't be there?`, stepNode);
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * @return {Integer} The minimum number of single character insertions, deletions, or substitutions to turn a into b
+     */
+    getEditDistance(a, b) {
+        let prevRow = [];
+        for(let j = 0; j <= b.length; j++) {
+            prevRow.push(j);
+        }
+
+        for(let i = 1; i <= a.length; i++) {
+            let row = [ i ];
+            for(let j = 1; j <= b.length; j++) {
+                row.push(Math.min(
+                    prevRow[j] + 1,
+                    row[j - 1] + 1,
+                    prevRow[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1)
+                ));
+            }
+            prevRow = row;
+        }
+
+        return prevRow[b.length];
+    }
+}
+module.exports = Linter;
@@ -6,12 +6,25 @@ const utils = require('./utils.js');
 const chalk = require('chalk');
 const getPort = require('get-port');
 const WebSocket = require('ws');
+const History = require('./history.js');
 
 const REPORT_FILENAME = path.join('smashtest', 'report.html');
 const REPORT_DATA_FILENAME = path.join('smashtest', 'report-data.js');
+const FULL_REPORT_DATA_FILENAME = path.join('smashtest', 'report-data-full.json');
 const PASSED_DATA_FILENAME = path.join('smashtest', 'passed-data');
+const HISTORY_FILENAME = path.join('smashtest', 'history.jsonl');
 const SMASHTEST_SS_DIR = path.join('smashtest', 'screenshots');
 
+const MAX_HISTORY_RUNS_IN_REPORT = 20; // the most previous runs of a branch to show in the report
+const MAX_BRANCHES_PER_TYPE = 500;    // the most branches of each type (passed, skipped, etc.) to include in report-data.js, the full report data has all of them
+const MAX_BRANCHES_PER_FAILED = 1000; // the most failed branches to include in report-data.js
+
+// Additional report formats, which are written once, when the run is complete
+const REPORT_FORMATS = {
+    junit: { filename: path.join('smashtest', 'report.xml'), serialize: tree => tree.serializeJUnit() },
+    tap: { filename: path.join('smashtest', 'report.tap'), serialize: tree => tree.serializeTap() }
+};
+
 /**
  * Generates a report on the status of the tree and runner
  */
@@ -25,13 +38,19 @@ class Reporter {
 
         this.isReportServer = true;     // whether or not to run the report server
         this.reportDomain = null;       // domain:port where report server's api is available
+        this.reportFormats = [];        // Array of String, additional formats to output the final report in (keys of REPORT_FORMATS)
         this.wsServer = null;           // websocket server object
 
+        this.history = new History(HISTORY_FILENAME); // results of previous runs, which this run is added to once it's done
+        this.historyData = {};          // history of each branch in this.tree, included in the report data
+        this.isHistoryAppended = false; // true if this.tree's run has been added to this.history
+
         this.prevSnapshot = null;       // previous snapshot sent over websockets
 
         this.timerFull = null;          // timer that goes off when it's time to do a full write
         this.timerSnapshot = null;      // timer that goes off when it's time to do a snapshot write
 
+        this.started = false;           // true if this Reporter has been started
         this.stopped = false;           // true if this Reporter has been stopped
     }
 
@@ -42,10 +61,27 @@ class Reporter {
         return path.join(process.cwd(), REPORT_FILENAME);
     }
 
+    /**
+     * Sets the additional formats to output the final report in
+     * @param {Array of String} formats - The formats (e.g., ['junit', 'tap'])
+     * @throws {Error} If one of the formats is invalid
+     */
+    setReportFormats(formats) {
+        formats.forEach(format => {
+            if(!REPORT_FORMATS.hasOwnProperty(format)) {
+                utils.error(`Invalid report format '${format}'. It must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}.`);
+            }
+        });
+
+        this.reportFormats = formats;
+    }
+
     /**
      * Starts the reporter, which generates and writes to disk a new report once every REPORT_GENERATE_FREQUENCY ms
      */
     async start() {
+        this.started = true;
+
         // Clear out existing screenshots (one by one)
         try {
             let files = fs.readdirSync(SMASHTEST_SS_DIR);
@@ -64,12 +100,8 @@ class Reporter {
             }
         }
 
-        // Load template
-        let buffers = await readFiles([path.join(path.dirname(require.main.filename), `report-template.html`)] , {encoding: 'utf8'});
-        if(!buffers || !buffers[0]) {
-            utils.error(`report-template.html not found`);
-        }
-        this.reportTemplate = buffers[0];
+        await this.loadReportTemplate();
+        this.loadHistory();
 
         // Start server
         if(this.isReportServer) {
@@ -104,9 +136,65 @@ class Reporter {
                 await this.writeSnapshot();
             }
             await this.writeFull();
+
+            this.appendHistory();
+        }
+    }
+
+    /**
+     * Adds the run of this.tree to the history, once
+     * Runs that were stopped, paused, or bailed are left out, since the branches they didn't get to would throw off flakiness and when a branch first failed
+     */
+    appendHistory() {
+        let runner = this.runner;
+        if(this.isHistoryAppended || (runner && (!runner.isComplete || runner.isStopped || runner.isPaused || runner.isBailed))) {
+            return;
+        }
+
+        this.history.append(this.tree);
+        this.isHistoryAppended = true;
+    }
+
+    /**
+     * Switches this Reporter over to a new tree (e.g., a new generation of the tree in --watch mode)
+     * If already started, writes the report right away, keeping the report server up so that open reports update live
+     * @param {Tree} tree - The tree to report on
+     */
+    async setTree(tree) {
+        this.tree = tree;
+        this.prevSnapshot = null;
+        this.isHistoryAppended = false;
+
+        if(this.started && !this.stopped) {
+            this.historyData = this.history.serializeForReport(this.tree, MAX_HISTORY_RUNS_IN_REPORT);
+
+            if(this.timerFull) {
+                clearTimeout(this.timerFull);
+                this.timerFull = null;
+            }
+            await this.writeFull();
         }
     }
 
+    /**
+     * Loads the html report template into this.reportTemplate
+     */
+    async loadReportTemplate() {
+        let buffers = await readFiles([path.join(path.dirname(require.main.filename), `report-template.html`)] , {encoding: 'utf8'});
+        if(!buffers || !buffers[0]) {
+            utils.error(`report-template.html not found`);
+        }
+        this.reportTemplate = buffers[0];
+    }
+
+    /**
+     * Loads the results of previous runs, and picks out the history of each branch in this.tree for the report
+     */
+    loadHistory() {
+        this.history.load();
+        this.historyData = this.history.serializeForReport(this.tree, MAX_HISTORY_RUNS_IN_REPORT);
+    }
+
     /**
      * Starts WebSocket server
      */
@@ -175,28 +263,33 @@ class Reporter {
      * Generates and writes report and report data to disk. Notifies all connected websockets. Continues doing so periodically.
      */
     async writeFull() {
-        const MAX_BRANCHES_PER_TYPE = 500;
-        const MAX_BRANCHES_PER_FAILED = 1000;
-
         this.reportTime = new Date();
 
         // Generate report data file
-        let reportData = 'onReportData(String.raw`' + utils.escapeBackticks(JSON.stringify({
-            tree: this.tree.serialize(MAX_BRANCHES_PER_TYPE, MAX_BRANCHES_PER_FAILED),
-            runner: this.runner.serialize(),
-            reportTime: this.reportTime,
-            reportDomain: this.reportDomain
-        })) + '`);';
+        let reportData = 'onReportData(String.raw`' + utils.escapeBackticks(JSON.stringify(this.getReportData(MAX_BRANCHES_PER_TYPE, MAX_BRANCHES_PER_FAILED))) + '`);';
 
         // Generate passed data file
         let passedData = this.tree.serializePassed();
 
         // Write report, report data, and passed data to disk
-        await Promise.all([
+        let writes = [
             new Promise((res, rej) => fs.writeFile(REPORT_FILENAME, this.reportTemplate, err => err ? rej(err) : res())),
             new Promise((res, rej) => fs.writeFile(REPORT_DATA_FILENAME, reportData, err => err ? rej(err) : res())),
             new Promise((res, rej) => fs.writeFile(PASSED_DATA_FILENAME, passedData, err => err ? rej(err) : res()))
-        ]);
+        ];
+
+        // Write the full report data (used to merge and diff runs) and additional report formats, but only on the final write
+        if(this.stopped) {
+            let fullReportData = JSON.stringify(this.getReportData());
+            writes.push(new Promise((res, rej) => fs.writeFile(FULL_REPORT_DATA_FILENAME, fullReportData, err => err ? rej(err) : res())));
+
+            this.reportFormats.forEach(format => {
+                let data = REPORT_FORMATS[format].serialize(this.tree);
+                writes.push(new Promise((res, rej) => fs.writeFile(REPORT_FORMATS[format].filename, data, err => err ? rej(err) : res())));
+            });
+        }
+
+        await Promise.all(writes);
 
         // Notify all connected websockets that new data is available on disk
         if(this.isReportServer && this.wsServer) {
@@ -213,6 +306,21 @@ class Reporter {
         }
     }
 
+    /**
+     * @param {Number} [max] - Maximum number of branches to include per type (passed, skipped, etc.), no limit if omitted
+     * @param {Number} [maxFailed] - Maximum number of failed branches to include, no limit if omitted
+     * @return {Object} The report data of this.tree and this.runner
+     */
+    getReportData(max, maxFailed) {
+        return {
+            tree: this.tree.serialize(max, maxFailed),
+            runner: this.runner.serialize(),
+            reportTime: this.reportTime,
+            reportDomain: this.reportDomain,
+            history: this.historyData
+        };
+    }
+
     /**
      * Sends a snapshot of the tree to all connected websockets. Continues doing so periodically.
      */
@@ -242,6 +350,229 @@ class Reporter {
         }
     }
 
+    /**
+     * Merges the reports and passed data of separate runs (e.g., shards that ran on different CI jobs) into one
+     * Reads the full report data of each run, since report-data.js only has so many branches of each type
+     * Writes the merged report, report data, full report data, and passed data to the smashtest directory
+     * @param {Array of String} dirs - The directories containing the reports to merge (the smashtest directory of each completed run)
+     */
+    async merge(dirs) {
+        let reportDatas = [];
+        let passedDatas = [];
+
+        for(let i = 0; i < dirs.length; i++) {
+            let dir = dirs[i];
+            let fileBuffers = null;
+            try {
+                fileBuffers = await readFiles([ path.join(dir, path.basename(FULL_REPORT_DATA_FILENAME)), path.join(dir, path.basename(PASSED_DATA_FILENAME)) ], {encoding: 'utf8'});
+            }
+            catch(e) {
+                utils.error(`The full report data in '${dir}' could not be found (it's written once a run is complete)`);
+            }
+
+            reportDatas.push(this.parseFullReportData(fileBuffers[0], dir));
+            passedDatas.push(fileBuffers[1]);
+        }
+
+        let reportData = this.mergeReportData(reportDatas);
+        reportData.reportTime = new Date();
+
+        let limitedReportData = Object.assign({}, reportData, {
+            tree: Object.assign({}, reportData.tree, { branches: this.limitBranches(reportData.tree.branches, MAX_BRANCHES_PER_TYPE, MAX_BRANCHES_PER_FAILED) })
+        });
+
+        let passedData = this.mergePassedData(passedDatas);
+
+        await this.loadReportTemplate();
+
+        if(!fs.existsSync(path.dirname(REPORT_FILENAME))) {
+            fs.mkdirSync(path.dirname(REPORT_FILENAME));
+        }
+
+        await Promise.all([
+            new Promise((res, rej) => fs.writeFile(REPORT_FILENAME, this.reportTemplate, err => err ? rej(err) : res())),
+            new Promise((res, rej) => fs.writeFile(REPORT_DATA_FILENAME, 'onReportData(String.raw`' + utils.escapeBackticks(JSON.stringify(limitedReportData)) + '`);', err => err ? rej(err) : res())),
+            new Promise((res, rej) => fs.writeFile(FULL_REPORT_DATA_FILENAME, JSON.stringify(reportData), err => err ? rej(err) : res())),
+            new Promise((res, rej) => fs.writeFile(PASSED_DATA_FILENAME, passedData, err => err ? rej(err) : res()))
+        ]);
+    }
+
+    /**
+     * @param {Array of Object} branches - Serialized branches
+     * @param {Number} max - Maximum number of branches to keep per type (running, passed, skipped, not run yet)
+     * @param {Number} maxFailed - Maximum number of failed branches to keep
+     * @return {Array of Object} The branches to include in report-data.js, in the same order and up to the same limits as Tree.serialize()
+     */
+    limitBranches(branches, max, maxFailed) {
+        let ofType = (isOfType, limit) => branches.filter(isOfType).slice(0, limit);
+
+        return ofType(branch => branch.isRunning, max)
+            .concat(ofType(branch => branch.isFailed, maxFailed))
+            .concat(ofType(branch => branch.isPassed, max))
+            .concat(ofType(branch => branch.isSkipped, max))
+            .concat(ofType(branch => !branch.isRunning && !branch.isFailed && !branch.isPassed && !branch.isSkipped, max));
+    }
+
+    /**
+     * @param {String} str - The contents of a report data file
+     * @param {String} dir - The directory the report data file is in
+     * @return {Object} The object contained in the given report data file
+     * @throws {Error} If the report data file is malformed
+     */
+    parseReportData(str, dir) {
+        let matches = str.match(/^onReportData\(String\.raw`([\s\S]*)`\);$/);
+        if(!matches) {
+            utils.error(`The report data in '${dir}' is malformed`);
+        }
+
+        return JSON.parse(utils.unescapeBackticks(matches[1]));
+    }
+
+    /**
+     * @param {String} str - The contents of a full report data file
+     * @param {String} dir - The directory the full report data file is in
+     * @return {Object} The object contained in the given full report data file, in the same format as a report data file's
+     * @throws {Error} If the full report data file is malformed
+     */
+    parseFullReportData(str, dir) {
+        try {
+            return JSON.parse(str);
+        }
+        catch(e) {
+            utils.error(`The full report data in '${dir}' is malformed`);
+        }
+    }
+
+    /**
+     * @param {Array of Object} reportDatas - Objects contained in report data files, where each is from a separate run of the same files
+     * @return {Object} A single report data object that includes the branches and counts of all the given ones
+     * A branch that's in more than one of them (e.g., from overlapping shards) is only included and counted once,
+     * using the result from the first one where it completed
+     */
+    mergeReportData(reportDatas) {
+        let first = reportDatas[0];
+        let tree = Object.assign({}, first.tree, {
+            stepNodeIndex: {},
+            branches: [],
+            counts: {}
+        });
+
+        let isComplete = true;
+        let isBailed = false;
+        let branchIndexes = {}; // maps the hash of each branch included so far to its index in tree.branches
+        let history = {};
+
+        reportDatas.forEach(reportData => {
+            Object.assign(tree.stepNodeIndex, reportData.tree.stepNodeIndex);
+            Object.assign(history, reportData.history);
+
+            for(let key in reportData.tree.counts) {
+                if(key == 'excluded') {
+                    // --skip-groups removes the same branches from every run, before they're split into shards
+                    tree.counts[key] = Math.max(tree.counts[key] || 0, reportData.tree.counts[key]);
+                }
+                else {
+                    tree.counts[key] = (tree.counts[key] || 0) + reportData.tree.counts[key];
+                }
+            }
+
+            // Take duplicates back out of the counts, which were summed per report data
+            reportData.tree.branches.forEach(branch => {
+                let index = branchIndexes[branch.hash];
+                if(typeof index == 'undefined') {
+                    branchIndexes[branch.hash] = tree.branches.length;
+                    tree.branches.push(branch);
+                }
+                else if(!isBranchComplete(tree.branches[index]) && isBranchComplete(branch)) {
+                    this.countBranch(tree.counts, tree.branches[index], -1);
+                    tree.branches[index] = branch;
+                }
+                else {
+                    this.countBranch(tree.counts, branch, -1);
+                }
+            });
+
+            // The merged run spans from the earliest start to the latest end
+            reportData.tree.timeStarted < tree.timeStarted && (tree.timeStarted = reportData.tree.timeStarted);
+            reportData.tree.timeEnded > tree.timeEnded && (tree.timeEnded = reportData.tree.timeEnded);
+            if(tree.elapsed != -1) {
+                tree.elapsed = reportData.tree.elapsed == -1 ? -1 : Math.max(tree.elapsed, reportData.tree.elapsed);
+            }
+
+            isComplete = isComplete && reportData.runner.isComplete;
+            isBailed = isBailed || reportData.runner.isBailed;
+        });
+
+        let runner = Object.assign({}, first.runner);
+        delete runner.isComplete;
+        isComplete && (runner.isComplete = true);
+        delete runner.isBailed;
+        isBailed && (runner.isBailed = true);
+
+        return {
+            tree: tree,
+            runner: runner,
+            reportTime: first.reportTime,
+            reportDomain: null,
+            history: history
+        };
+
+        function isBranchComplete(branch) {
+            return branch.isPassed || branch.isFailed || branch.isSkipped || branch.passedLastTime;
+        }
+    }
+
+    /**
+     * Adds the given serialized branch to the given counts, in the same way Tree.updateCounts() counts it
+     * @param {Object} counts - The counts to add to (see Tree.updateCounts())
+     * @param {Object} branch - The serialized branch
+     * @param {Number} [sign] - 1 to add the branch to the counts (default), -1 to take it out
+     */
+    countBranch(counts, branch, sign) {
+        sign = sign || 1;
+
+        let isPassed = branch.isPassed || branch.passedLastTime;
+        let isComplete = isPassed || branch.isFailed || branch.isSkipped;
+        let isRunnable = !branch.passedLastTime && !branch.isSkipped;
+
+        let add = (key, condition) => condition && (counts[key] = (counts[key] || 0) + sign);
+        add('running', branch.isRunning);
+        add('passed', isPassed);
+        add('failed', branch.isFailed && !branch.isQuarantined);
+        add('quarantined', branch.isFailed && branch.isQuarantined);
+        add('skipped', branch.isSkipped);
+        add('flaky', isPassed && branch.isFlaky);
+        add('complete', isComplete);
+        add('total', true);
+        add('totalToRun', isRunnable);
+
+        if(isRunnable) {
+            let steps = branch.steps || [];
+            counts.totalSteps = (counts.totalSteps || 0) + sign * steps.length;
+            counts.totalStepsComplete = (counts.totalStepsComplete || 0) + sign * steps.filter(step => isComplete || step.isPassed || step.isFailed || step.isSkipped).length;
+        }
+    }
+
+    /**
+     * @param {Array of String} passedDatas - The contents of passed data files
+     * @return {String} The contents of a single passed data file that includes the hashes in all the given ones
+     */
+    mergePassedData(passedDatas) {
+        let hashesIncluded = {};
+        let str = '';
+
+        passedDatas.forEach(passedData => {
+            passedData.split('\n').forEach(hash => {
+                if(hash && !hashesIncluded[hash]) {
+                    str += hash + '\n';
+                    hashesIncluded[hash] = true;
+                }
+            });
+        });
+
+        return str;
+    }
+
     /**
      * Reads in the given passed data file and marks passed branches as passed in this.tree
      * @param {String} [filename] - The relative filename to use, uses passed data file filename if omitted
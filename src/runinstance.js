@@ -27,6 +27,7 @@ class RunInstance {
         this.localsPassedIntoFunc = {};                 // local variables being passed into the function at the current step
 
         this.stepsRan = new Branch();                   // record of all steps ran by this RunInstance, for inject()
+        this.stepsBeforeRun = null;                     // clones of this.currBranch's steps from before it was run, used to retry it
     }
 
     /**
@@ -40,6 +41,7 @@ class RunInstance {
         }
 
         let wasPaused = false;
+        let isRetry = false;
         let overrideDebug = false;
         if(this.isPaused) {
             this.setPause(false); // resume if we're already paused
@@ -47,7 +49,7 @@ class RunInstance {
             overrideDebug = true;
         }
         else { // we're starting off from scratch (not paused)
-            this.currBranch = this.tree.nextBranch();
+            this.currBranch = await this.runner.nextBranch();
         }
 
         while(this.currBranch) {
@@ -57,6 +59,11 @@ class RunInstance {
 
             this.currBranch.timeStarted = new Date();
 
+            if(!wasPaused && !isRetry) {
+                this.stepsBeforeRun = this.currBranch.steps.map(step => step.clone());
+                await this.runner.emit('onBranchStart', this.currBranch, this);
+            }
+
             // Reset variable state
             this.global = {};
             Object.assign(this.global, this.runner.globalInit);
@@ -105,10 +112,11 @@ class RunInstance {
                 }
             }
 
-            // Execute After Every Branch steps
-            await this.runAfterEveryBranch();
-
-            this.currBranch = this.tree.nextBranch();
+            // Execute After Every Branch steps, then move on to the next branch, unless this one is being retried
+            isRetry = await this.runAfterEveryBranch();
+            if(!isRetry) {
+                this.currBranch = await this.runner.nextBranch();
+            }
         }
     }
 
@@ -172,10 +180,14 @@ class RunInstance {
             step.timeStarted = new Date();
 
             // Find the previous step
+            // Steps skipped because of an If, Else if, Else, or Repeat until never touched the local stack, so look past them
             let prevStep = null;
             let index = branch.steps.indexOf(step);
-            if(index >= 1) {
-                prevStep = branch.steps[index - 1];
+            for(let i = index - 1; i >= 0; i--) {
+                prevStep = branch.steps[i];
+                if(!prevStep.isSkippedByCondition) {
+                    break;
+                }
             }
 
             // Handle the stack for {{local vars}}
@@ -209,6 +221,11 @@ class RunInstance {
 
             // Execute the step
             try {
+                let timeLimit = this.getTimeLimit(step, branch);
+                if(timeLimit.ms == -1) {
+                    throw new Error(timeLimit.message);
+                }
+
                 let varsBeingSet = stepNode.getVarsBeingSet();
 
                 // Passing inputs into function calls
@@ -218,41 +235,47 @@ class RunInstance {
 
                     // Set {vars} based on function declaration signature and function call signature
 
-                    let varList = functionDeclarationNode.text.match(Constants.VAR);
-                    if(varList) {
-                        let inputList = stepNode.text.match(Constants.FUNCTION_INPUT);
-                        if(inputList) {
-                            if(varsBeingSet && varsBeingSet.length > 0) {
-                                // step is a {{var}} = Function {{var2}} {{var3}}, so skip the first var
-                                inputList.shift();
+                    let paramList = functionDeclarationNode.getFunctionParams();
+                    if(paramList.length > 0) {
+                        let inputList = stepNode.text.match(Constants.FUNCTION_INPUT) || [];
+                        if(varsBeingSet && varsBeingSet.length > 0) {
+                            // step is a {{var}} = Function {{var2}} {{var3}}, so skip the first var
+                            inputList.shift();
+                        }
+
+                        // Params left out of the function call get their default values
+                        let functionMatch = stepNode.getFunctionMatch(functionDeclarationNode) || stepNode.getFunctionMatch(functionDeclarationNode, stepNode.getNamespace());
+                        let omitted = functionMatch ? functionMatch.omitted : [];
+
+                        for(let i = 0; i < paramList.length; i++) {
+                            let param = paramList[i];
+                            let paramText = param.isLocal ? `{{${param.name}}}` : `{${param.name}}`;
+                            let isDefault = omitted.includes(i);
+                            let value = isDefault ? param.defaultValue : inputList.shift();
+
+                            if(typeof value == 'undefined') {
+                                break; // NOTE: probably unreachable as the function call has an input for every param that isn't left out
+                            }
+
+                            if(value.match(Constants.STRING_LITERAL_WHOLE)) { // 'string', "string", or [string]
+                                value = utils.stripQuotes(value);
+                                value = this.replaceVars(value); // replace vars with their values
+                            }
+                            else if(value.match(Constants.VAR_WHOLE)) { // {var} or {{var}}
+                                let isLocal = value.startsWith('{{');
+                                value = utils.stripBrackets(value);
+                                value = this.findVarValue(value, isLocal);
                             }
 
-                            for(let i = 0; i < varList.length; i++) {
-                                let isLocal = varList[i].includes('{{');
-                                let varname = utils.stripBrackets(varList[i]);
-                                let value = inputList[i];
-
-                                if(value.match(Constants.STRING_LITERAL_WHOLE)) { // 'string', "string", or [string]
-                                    value = utils.stripQuotes(value);
-                                    value = this.replaceVars(value); // replace vars with their values
-                                }
-                                else if(value.match(Constants.VAR_WHOLE)) { // {var} or {{var}}
-                                    let isLocal = value.startsWith('{{');
-                                    value = utils.stripBrackets(value);
-                                    value = this.findVarValue(value, isLocal);
-                                }
-
-                                if(isLocal) { // local
-                                    this.setLocalPassedIn(varname, value);
-                                }
-                                else { // global
-                                    this.setGlobal(varname, value);
-                                }
-
-                                this.appendToLog(`Function parameter ${varList[i]} is ${this.getLogValue(value)}`, step);
+                            if(param.isLocal) { // local
+                                this.setLocalPassedIn(param.name, value);
                             }
+                            else { // global
+                                this.setGlobal(param.name, value);
+                            }
+
+                            this.appendToLog(`Function parameter ${paramText} is ${this.getLogValue(value)}${isDefault ? ' (default)' : ''}`, step);
                         }
-                        // NOTE: else probably unreachable as varList and inputList are supposed to be the same size
                     }
                 }
 
@@ -273,15 +296,43 @@ class RunInstance {
                     }
                 }
 
+                // Step is Data from 'file.csv', so set the {vars} from its row
+                if(step.dataRow) {
+                    this.appendToLog(`Using row ${step.dataRow.index + 1} of ${stepNode.dataFilename}`, step);
+                    for(let name in step.dataRow.vars) {
+                        let varBeingSet = { name: utils.stripBrackets(name), isLocal: name.trim().startsWith('{{') };
+                        let value = step.dataRow.vars[name];
+                        this.setVarBeingSet(varBeingSet, value);
+
+                        if(varBeingSet.isLocal) {
+                            this.appendToLog(`Setting {{${varBeingSet.name}}} to ${this.getLogValue(value)}`, step);
+                        }
+                        else {
+                            this.appendToLog(`Setting {${varBeingSet.name}} to ${this.getLogValue(value)}`, step);
+                        }
+                    }
+                }
+
+                // Step is If, so choose which block of it and the Else ifs and Else below it to run, and skip the others
+                if(stepNode.isConditional && !stepNode.isElse) {
+                    this.chooseConditionalBlock(step, branch);
+                }
+
+                // Step is Repeat N times, or starts the first iteration of a Repeat until (whose condition is first checked after that iteration), so log which iteration is starting
+                let isIterationStart = step.repeatIteration && (!this.tree.hasCodeBlock(step) || step.repeatIteration.index == 0);
+                if(isIterationStart) {
+                    this.appendToLog(`Starting iteration ${step.repeatIteration.index + 1} of ${step.repeatIteration.count}`, step);
+                }
+
                 // Step has a code block to execute
-                if(this.tree.hasCodeBlock(step)) {
+                if(this.tree.hasCodeBlock(step) && !isIterationStart) {
                     if(stepNode.isFunctionCall) {
                         // Push existing local let context to stack, create fresh local let context
                         this.pushLocalStack();
                     }
 
                     inCodeBlock = true;
-                    let retVal = await this.evalCodeBlock(this.tree.getCodeBlock(step), stepNode.text, this.getFilenameOfCodeBlock(step), this.getLineNumberOffset(step), step);
+                    let retVal = await this.evalCodeBlockInTime(this.tree.getCodeBlock(step), stepNode.text, this.getFilenameOfCodeBlock(step), this.getLineNumberOffset(step), step, timeLimit);
                     inCodeBlock = false;
 
                     this.g('prev', retVal);
@@ -293,6 +344,29 @@ class RunInstance {
                         this.setVarBeingSet(varsBeingSet[0], retVal);
                     }
 
+                    // Step is Repeat until { code block }, so stop repeating once the code block returns true
+                    if(step.repeatIteration) {
+                        let iteration = step.repeatIteration;
+                        if(retVal) {
+                            this.appendToLog(`Condition met after ${iteration.index} iteration${iteration.index == 1 ? '' : 's'}`, step);
+
+                            // Skip the iterations that are left, up until the steps after the loop
+                            let index = branch.steps.indexOf(step);
+                            let end = index + 1;
+                            while(end < branch.steps.length &&
+                                ((branch.steps[end].blockLevel || 0) > (step.blockLevel || 0) || (branch.steps[end].id == step.id && branch.steps[end].repeatIteration))) {
+                                end++;
+                            }
+                            this.skipSteps(branch, index + 1, end);
+                        }
+                        else if(iteration.index == iteration.count) {
+                            utils.error(`The condition was still not met after ${iteration.count} iteration${iteration.count == 1 ? '' : 's'}`);
+                        }
+                        else {
+                            this.appendToLog(`Starting iteration ${iteration.index + 1} of ${iteration.count}`, step);
+                        }
+                    }
+
                     // If this RunInstance was stopped, just exit without marking this step (which likely could have failed as the framework was being torn down)
                     if(this.isStopped) {
                         return;
@@ -341,6 +415,8 @@ class RunInstance {
             }
         }
 
+        await this.runner.emit('onStepEnd', step, branch, this);
+
         // Pause if pauseOnFail is set and the step failed
         if(this.runner.pauseOnFail && step.isFailed) {
             this.setPause(true);
@@ -385,9 +461,10 @@ class RunInstance {
 
         let stepNode = this.tree.stepNodeIndex[step.id];
         let codeBlock = this.tree.getCodeBlock(step);
+        let timeLimit = this.getTimeLimit(step);
 
         try {
-            await this.evalCodeBlock(codeBlock, stepNode.text, stepNode.filename, stepNode.lineNumber, stepToGetError || branchToGetError);
+            await this.evalCodeBlockInTime(codeBlock, stepNode.text, stepNode.filename, stepNode.lineNumber, stepToGetError || branchToGetError, timeLimit);
         }
         catch(e) {
             if(this.isStopped) {
@@ -828,7 +905,7 @@ class RunInstance {
             padding += '//\n';
         }
 
-        code = padding + `(` + (isSync ? `` : `async`) + ` function CodeBlock` + funcName + `(runInstance) { ` + header + `{` + code + `\n }})(this);`; // all on one line so line numbers in stack traces correspond to line numbers in code blocks, code enclosed in {} so you can declare vars with the same name as vars in header
+        code = padding + `(` + (isSync ? `` : `async`) + ` function CodeBlock` + funcName + `(runInstance) { ` + header + `{` + code + `\n }})(runInstance);`; // all on one line so line numbers in stack traces correspond to line numbers in code blocks, code enclosed in {} so you can declare vars with the same name as vars in header
 
         // Evaluate
         if(isSync) {
@@ -871,6 +948,131 @@ class RunInstance {
         }
     }
 
+    /**
+     * Evaluates the given code block, failing if it runs longer than the given time limit
+     * Code that runs out of time can't be halted, so it's cut off from this RunInstance instead: from then on, touching runInstance (or a {variable}, log(), etc.) throws inside of it, so that it can't affect the steps that run after it
+     * @param {String} code - The code to evaluate
+     * @param {String} funcName - Same as in evalCodeBlock()
+     * @param {String} filename - Same as in evalCodeBlock()
+     * @param {Number} lineNumber - Same as in evalCodeBlock()
+     * @param {Step or Branch} logHere - Same as in evalCodeBlock()
+     * @param {Object} timeLimit - Object in the format { ms, message }, from getTimeLimit()
+     * @return {Promise} Promise that resolves with the value returned by the code, or rejects with the error it throws, or with an Error of timeLimit.message if time runs out
+     */
+    evalCodeBlockInTime(code, funcName, filename, lineNumber, logHere, timeLimit) {
+        if(!timeLimit.ms) {
+            return this.evalCodeBlock(code, funcName, filename, lineNumber, logHere);
+        }
+
+        // The code gets a stand-in for this RunInstance, which stops working once time runs out
+        let isCutOff = false;
+        let checkCutOff = () => {
+            if(isCutOff) {
+                utils.error(`This code ran out of time (${timeLimit.message}), so it can no longer affect the run`);
+            }
+        };
+        let standIn = new Proxy(this, {
+            get: (...args) => {
+                checkCutOff();
+                return Reflect.get(...args);
+            },
+            set: (...args) => {
+                checkCutOff();
+                return Reflect.set(...args);
+            }
+        });
+
+        return utils.timeLimit(standIn.evalCodeBlock(code, funcName, filename, lineNumber, logHere), timeLimit.ms, timeLimit.message, () => isCutOff = true);
+    }
+
+    /**
+     * Marks the given range of steps as skipped because of an If, Else if, Else, or Repeat until
+     * @param {Branch} branch - The branch containing the steps
+     * @param {Number} start - Index of the first step to skip
+     * @param {Number} end - Index just past the last step to skip
+     */
+    skipSteps(branch, start, end) {
+        for(let i = start; i < end; i++) {
+            branch.steps[i].isSkipped = true;
+            branch.steps[i].isSkippedByCondition = true;
+        }
+    }
+
+    /**
+     * Evaluates the conditions of the given If step and the Else ifs below it, all against the current {vars}, until one is met (or an Else is reached)
+     * Skips the blocks of the ones that aren't met, along with the Else if and Else steps that won't be run
+     * @param {Step} step - The If step
+     * @param {Branch} branch - The branch step is in, where step is followed by its block, then by each Else if or Else and its block
+     * @throws {Error} If a condition uses a {variable} that isn't set
+     */
+    chooseConditionalBlock(step, branch) {
+        let isMet = false;
+        let currStep = step;
+        let currStepNode = this.tree.stepNodeIndex[step.id];
+        let index = branch.steps.indexOf(step);
+
+        while(true) {
+            let blockEnd = index + 1;
+            while(blockEnd < branch.steps.length && (branch.steps[blockEnd].blockLevel || 0) > (currStep.blockLevel || 0)) {
+                blockEnd++;
+            }
+
+            if(!isMet && (!currStepNode.condition || this.evalCondition(currStepNode.condition))) {
+                isMet = true;
+            }
+            else if(currStep === step) {
+                this.appendToLog(`Condition not met, skipping the steps under this one`, step);
+                this.skipSteps(branch, index + 1, blockEnd);
+            }
+            else {
+                this.skipSteps(branch, index, blockEnd);
+            }
+
+            // Move on to the Else if or Else right after this block, if there is one
+            let nextStep = branch.steps[blockEnd];
+            if(!nextStep || this.tree.stepNodeIndex[nextStep.id].prevConditionId != currStepNode.id) {
+                break;
+            }
+
+            currStep = nextStep;
+            currStepNode = this.tree.stepNodeIndex[nextStep.id];
+            index = blockEnd;
+        }
+    }
+
+    /**
+     * @param {Object} condition - The condition of an If or Else if step node, in the format { left, operator, right }
+     * @return {Boolean} True if the condition is true with the current {vars}
+     * @throws {Error} If the condition uses a {variable} that isn't set
+     */
+    evalCondition(condition) {
+        const getValue = (operand) => {
+            if(operand.match(Constants.VAR_WHOLE)) {
+                return this.findVarValue(utils.stripBrackets(operand), operand.startsWith('{{'));
+            }
+            else {
+                return this.replaceVars(utils.stripQuotes(operand));
+            }
+        };
+
+        if(!condition.operator) {
+            // If {var} is met when {var} is set to something other than '', false, or null
+            let value = undefined;
+            if(condition.left.match(Constants.VAR_WHOLE)) {
+                let name = utils.stripBrackets(condition.left);
+                value = condition.left.startsWith('{{') ? this.getLocal(name) : this.getGlobal(name);
+            }
+            else {
+                value = getValue(condition.left);
+            }
+
+            return typeof value != 'undefined' && value !== null && value !== false && value !== '';
+        }
+
+        let isEqual = String(getValue(condition.left)) == String(getValue(condition.right));
+        return condition.operator == 'is' ? isEqual : !isEqual;
+    }
+
     /**
      * @param {String} text - The text whose vars the replace, escaped (i.e., has backslash-n but not the newline char)
      * @param {Boolean} [lookAnywhere] - If true, first checks if a var is already set, and if not, looks down the branch to the first place that var is set. Ignores the presence or absence of : in the variable name.
@@ -1031,7 +1233,8 @@ class RunInstance {
 
     /**
      * Executes all After Every Branch steps, sequentially, and finishes off the branch
-     * @return {Promise} Promise that resolves once all of them finish running
+     * If the branch failed and has retries left, resets it so that it can be run again
+     * @return {Promise} Promise that resolves once all of them finish running, resolves to true if the branch is to be retried
      */
     async runAfterEveryBranch() {
         if(this.currBranch.afterEveryBranch) {
@@ -1055,12 +1258,68 @@ class RunInstance {
             this.currBranch.elapsed = this.currBranch.timeEnded - this.currBranch.timeStarted;
         }
 
+        if(this.canRetryBranch()) {
+            if(this.runner.consoleOutput) {
+                console.log("Branch failed, retrying");
+                console.log("");
+            }
+
+            this.currBranch.retry(this.stepsBeforeRun);
+            this.currStep = null;
+            return true;
+        }
+
         if(this.runner.consoleOutput) {
             console.log("Branch complete");
             console.log("");
         }
 
         delete this.currBranch.isRunning;
+
+        await this.runner.emit('onBranchEnd', this.currBranch, this);
+        return false;
+    }
+
+    /**
+     * @return {Boolean} True if this.currBranch failed and has retries left (set by the runner's retries, or overridden by a #retries=N in the branch)
+     */
+    canRetryBranch() {
+        let branch = this.currBranch;
+        let retries = typeof branch.retries != 'undefined' ? branch.retries : this.runner.retries;
+        let attemptsSoFar = branch.attempts ? branch.attempts.length : 0;
+
+        return !!(branch.isFailed && this.stepsBeforeRun && !this.runner.pauseOnFail && !this.isStopped && attemptsSoFar < retries);
+    }
+
+    /**
+     * NOTE: A code block that runs out of time can't be halted, so it's cut off from the run instead (see evalCodeBlockInTime())
+     * @param {Step} step - The step about to be executed
+     * @param {Branch} [branch] - The branch being executed, if the runner's branchTimeout is to be enforced on step
+     * @return {Object} Object in the format { ms, message }, where ms is how long step's code block may run (0 for no limit, -1 if time already ran out), and message is the error to fail step with once time runs out
+     */
+    getTimeLimit(step, branch) {
+        let stepNode = this.tree.stepNodeIndex[step.id];
+        let functionDeclarationNode = stepNode.isFunctionCall ? this.tree.stepNodeIndex[step.fid] : null;
+
+        // A #timeout=N on the function declaration overrides the runner's stepTimeout
+        let seconds = this.runner.stepTimeout;
+        if(functionDeclarationNode && functionDeclarationNode.hasOwnProperty('timeout')) {
+            seconds = functionDeclarationNode.timeout;
+        }
+        else if(stepNode.hasOwnProperty('timeout')) {
+            seconds = stepNode.timeout;
+        }
+
+        let timeLimit = { ms: seconds * 1000, message: `Step timed out after ${seconds}s` };
+
+        if(branch && branch.timeStarted && this.runner.branchTimeout) {
+            let msLeft = branch.timeStarted.getTime() + this.runner.branchTimeout * 1000 - Date.now();
+            if(!timeLimit.ms || msLeft < timeLimit.ms) {
+                timeLimit = { ms: msLeft > 0 ? msLeft : -1, message: `Branch timed out after ${this.runner.branchTimeout}s` };
+            }
+        }
+
+        return timeLimit;
     }
 
     /**
@@ -1,6 +1,7 @@
 const RunInstance = require('./runinstance.js');
 const Tree = require('./tree.js');
 const chalk = require('chalk');
+const path = require('path');
 const utils = require('./utils.js');
 
 /**
@@ -13,25 +14,40 @@ class Runner {
     constructor() {
         this.tree = null;                // The tree to run (just parsed in)
         this.reporter = null;            // The Reporter to use
+        this.plugins = [];               // Array of reporter plugins, which are notified of lifecycle events during a run (see addPlugin())
+        this.coordinator = null;         // If set, this Coordinator hands out branches to remote workers instead of them being run here
+        this.worker = null;              // If set, this Worker gets the branches to run from a remote coordinator
 
         this.flags = {};                 // Flags passed in through the command line (e.g., --max-parallel=7 --no-debug --groups="one,two" --> {"max-parallel": "7", "no-debug": "true", "groups": "one,two"})
 
+        this.branchDurations = undefined; // Object that maps branch hashes to how long (in ms) they took last time, used to run the longest branches first
+        this.branchTimeout = 0;          // Number of seconds a branch may run before it fails, 0 for no limit
+        this.changedLines = undefined;   // Object in the format returned by utils.parseDiff(). Only run branches with a step from one of these lines, no restrictions if this is undefined.
         this.debugHash = undefined;      // Set to the hash of the branch to run as debug (overrides any $'s, ~'s, groups, or minFrequency)
-        this.groups = undefined;         // Array of string. Only run branches that are a part of one of these groups, no restrictions if this is undefined.
+        this.groups = undefined;         // Array of string. Only run branches that are a part of one of these groups (or match one of these group expressions, e.g., "checkout and not slow"), no restrictions if this is undefined.
         this.headless = undefined;       // If true, run external processes (e.g., browsers) as headless, if possible
+        this.maxFailures = undefined;    // Stop running new branches once this many have failed (not counting quarantined ones), no limit if this is undefined
         this.maxParallel = 5;            // The maximum number of simultaneous branches to run
         this.maxScreenshots = -1;        // The maximum number of screenshots to take, -1 for no limit
         this.minFrequency = undefined;   // Only run branches at or above this frequency, no restrictions if this is undefined
         this.noDebug = false;            // If true, a compile error will occur if a $, ~, or ~~ is present anywhere in the tree
+        this.pairwise = undefined;       // If set, reduce branches to a set that covers every combination of this many steps (2 for all-pairs), no reduction if this is undefined
         this.outputErrors = true;        // If true, output errors to console
+        this.quarantine = undefined;     // Array of string, hashes of branches whose failures are reported separately and don't fail the run
+        this.quarantineGroups = undefined; // Array of string, branches part of any of these groups are quarantined too
         this.random = true;              // If true, randomize the order of branches
+        this.retries = 0;                // Number of times to retry a branch that fails, before considering it failed
         this.screenshots = true;         // If true, take screenshots when possible
+        this.shard = undefined;          // Object in the format { index, count }. Only run the branches in shard number index (1-based) out of count shards, no restrictions if this is undefined.
+        this.skipGroups = undefined;     // Array of string. Don't run branches that are a part of any of these groups, no restrictions if this is undefined.
         this.skipPassed = undefined;     // If true, carry over branches that passed last time
+        this.stepTimeout = 0;            // Number of seconds a step's code block may run before it fails and is cut off from the run, 0 for no limit (overridden by a #timeout=N on a function declaration)
         this.testServer = undefined;     // Location of test server (e.g., http://localhost:4444/wd/hub for selenium server)
 
         this.pauseOnFail = false;        // If true, pause when a step fails (there must only be one branch in the tree)
         this.consoleOutput = true;       // If true, output debug info to console
         this.isRepl = false;             // If true, run in REPL mode
+        this.isWatch = false;            // If true, keep the reporter running after a run completes, so that a new generation of the tree can be run (see reinit())
 
         this.persistent = {};            // stores variables which persist from branch to branch, for the life of the Runner
         this.globalInit = {};            // init each branch with these global variables
@@ -40,6 +56,7 @@ class Runner {
         this.isPaused = false;           // True if this runner has been paused (set by the RunInstance within this.runInstances)
         this.isStopped = false;          // True if this runner has been stopped
         this.isComplete = false;         // True if this runner is done running its tree
+        this.isBailed = false;           // True if this runner stopped running new branches because maxFailures was reached
 
         this.screenshotCount = 0;        // Number of screenshots taken
     }
@@ -53,9 +70,16 @@ class Runner {
         this.tree = tree;
 
         this.tree.groups = this.groups;
+        this.tree.skipGroups = this.skipGroups;
         this.tree.minFrequency = this.minFrequency;
         this.tree.noDebug = this.noDebug;
         this.tree.debugHash = this.debugHash;
+        this.tree.shard = this.shard;
+        this.tree.pairwise = this.pairwise;
+        this.tree.changedLines = this.changedLines;
+        this.tree.quarantine = this.quarantine;
+        this.tree.quarantineGroups = this.quarantineGroups;
+        this.tree.branchDurations = this.branchDurations;
         this.tree.noRandom = noRandom || !this.random;
         this.tree.noCondNonParallel = typeof this.testServer != 'undefined';
 
@@ -67,6 +91,28 @@ class Runner {
         }
     }
 
+    /**
+     * Re-initializes this runner with a new generation of the tree (e.g., after a file changed in --watch mode), so that it can be run again
+     * Branches whose hash didn't change carry over their results from the previous tree, so that only new or changed branches run
+     * @param {Tree} tree - The new tree, just parsed in
+     * @return {Promise} Promise that gets resolved with the number of branches carried over from the previous tree
+     */
+    async reinit(tree) {
+        let previousTree = this.tree;
+        this.init(tree);
+        let carriedOver = this.tree.carryOverResults(previousTree);
+
+        this.runInstances = [];
+        this.isComplete = false;
+        this.isBailed = false;
+
+        if(this.reporter) {
+            await this.reporter.setTree(this.tree);
+        }
+
+        return carriedOver;
+    }
+
     /**
      * Starts or resumes running the branches from this.tree
      * Parallelizes runs to up to this.maxParallel simultaneously running tests
@@ -95,7 +141,13 @@ class Runner {
                 await this.end();
             }
         }
+        else if(this.coordinator) { // branches are run by remote workers
+            await this.emit('onRunStart', this);
+            await this.coordinator.run();
+            await this.end();
+        }
         else { // starting from the beginning
+            await this.emit('onRunStart', this);
             if(await this.runBeforeEverything()) {
                 // Before Everythings passed
                 await this.runBranches(numInstances);
@@ -121,10 +173,17 @@ class Runner {
             this.runInstances.forEach(runInstance => {
                 runInstance.stop();
             });
+            this.coordinator && this.coordinator.stop();
 
             await this.runAfterEverything();
             await this.stopReporter();
         }
+
+        if(this.isWatch) {
+            // The reporter was kept running in between runs, so stop it for good
+            this.isWatch = false;
+            await this.stopReporter();
+        }
     }
 
     /**
@@ -229,10 +288,110 @@ class Runner {
         let o = {};
         this.isStopped && (o.isStopped = true);
         this.isComplete && (o.isComplete = true);
+        this.isBailed && (o.isBailed = true);
 
         return o;
     }
 
+    /**
+     * Finds a branch that hasn't run yet and marks it for the caller
+     * Asks the remote coordinator for it if this is a worker
+     * @return {Promise} Promise that resolves to the chosen Branch, or null if nothing left at all
+     */
+    async nextBranch() {
+        if(this.worker) {
+            return await this.worker.nextBranch();
+        }
+        else if(this.checkMaxFailures()) {
+            return null;
+        }
+        else {
+            return this.tree.nextBranch();
+        }
+    }
+
+    /**
+     * Sets this.isBailed if this.maxFailures branches have failed, so that no more branches get handed out
+     * Branches that already started are left to finish, and the rest stay not run
+     * @return {Boolean} True if this.maxFailures was reached
+     */
+    checkMaxFailures() {
+        if(!this.isBailed && this.maxFailures) {
+            let failed = this.tree.branches.filter(branch => branch.isFailed && !branch.isQuarantined).length; // quarantined failures don't count
+            this.isBailed = failed >= this.maxFailures;
+        }
+
+        return this.isBailed;
+    }
+
+    /**
+     * Adds a reporter plugin, which gets notified of lifecycle events during a run
+     * A plugin is an object that implements any of these functions (all of which can be async):
+     *     onRunStart(runner)
+     *     onBranchStart(branch, runInstance)
+     *     onStepEnd(step, branch, runInstance)
+     *     onBranchEnd(branch, runInstance)
+     *     onRunEnd(runner)
+     * @param {Object or Function} plugin - The plugin object, or a class whose constructor takes in this Runner and generates a plugin object
+     * @return {Object} The plugin object that was added
+     */
+    addPlugin(plugin) {
+        if(typeof plugin == 'function') {
+            plugin = new plugin(this);
+        }
+
+        if(!plugin || typeof plugin != 'object') {
+            utils.error(`A reporter plugin must be an object or a class`);
+        }
+
+        this.plugins.push(plugin);
+        return plugin;
+    }
+
+    /**
+     * Loads a reporter plugin from the given file or npm package, and adds it
+     * @param {String} name - A filename (relative to the current working directory) or npm package name
+     * @return {Object} The plugin object that was added
+     * @throws {Error} If the plugin could not be found
+     */
+    loadPlugin(name) {
+        let modulePath = null;
+        try {
+            modulePath = require.resolve(name.match(/^\.\.?\//) ? path.resolve(name) : name, { paths: [ process.cwd() ] });
+        }
+        catch(e) {
+            utils.error(`The reporter plugin '${name}' could not be found`);
+        }
+
+        return this.addPlugin(require(modulePath));
+    }
+
+    /**
+     * Calls the given lifecycle function on every plugin that implements it, in the order the plugins were added
+     * An error thrown by a plugin is logged and doesn't stop the run, since a bug in a reporter shouldn't fail the tests
+     * @param {String} eventName - The name of the lifecycle function (e.g., 'onBranchStart')
+     * @param {...*} args - The arguments to pass into the lifecycle function
+     * @return {Promise} Promise that resolves once every plugin is done handling the event
+     */
+    async emit(eventName, ...args) {
+        for(let i = 0; i < this.plugins.length; i++) {
+            let plugin = this.plugins[i];
+            if(typeof plugin[eventName] == 'function') {
+                try {
+                    await plugin[eventName](...args);
+                }
+                catch(e) {
+                    if(this.consoleOutput) {
+                        console.log(``);
+                        console.log(chalk.red.bold(`Reporter plugin error occurred in ${eventName}():`));
+                        console.log(e && e.stack ? e.stack : e);
+                        console.log(``);
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * @return Value of the given persistent variable (can be undefined)
      */
@@ -306,8 +465,9 @@ class Runner {
      */
     async runAfterEverything() {
         let hookExecInstance = new RunInstance(this);
-        for(let i = 0; i < this.tree.afterEverything.length; i++) {
-            let s = this.tree.afterEverything[i];
+        let afterEverything = this.coordinator ? [] : this.tree.afterEverything; // hooks are run by the workers when coordinating
+        for(let i = 0; i < afterEverything.length; i++) {
+            let s = afterEverything[i];
             await hookExecInstance.runHookStep(s, s, null);
             if(this.consoleOutput && s.error) {
                 console.log(``);
@@ -323,6 +483,8 @@ class Runner {
         }
 
         this.isComplete = true;
+
+        await this.emit('onRunEnd', this);
     }
 
     /**
@@ -359,20 +521,25 @@ class Runner {
     }
 
     /**
-     * Starts the reporter, if there is one
+     * Starts the reporter, if there is one and it isn't already running
      */
     async startReporter() {
-        if(this.reporter) {
+        if(this.reporter && !this.reporter.started) {
             await this.reporter.start();
         }
     }
 
     /**
-     * Stops the reporter, if there is one
+     * Stops the reporter, if there is one (unless we're in --watch mode, where it keeps running in between runs, and only adds the run to the history)
      */
     async stopReporter() {
         if(this.reporter) {
-            await this.reporter.stop();
+            if(!this.isWatch) {
+                await this.reporter.stop();
+            }
+            else {
+                this.reporter.appendHistory(); // the reporter keeps running in --watch mode, but each run still goes into the history
+            }
         }
     }
 }
@@ -14,12 +14,16 @@ class Step {
 
         this.fid = -1;                        // id of StepNode that corresponds to the function declaration, if this step is a function call
         this.level = 0;                       // number of function calls deep this step is within its branch
+        this.dataRow = {};                    // if this step is from a data step node (Data from 'file.csv'), the row it sets {vars} from, in the format { index, vars }, where index is 0-based and vars maps column names to values
+        this.repeatIteration = {};            // if this step is from a Repeat step node, the iteration it starts, in the format { index, count }, where index is 0-based (index == count for the final check of a Repeat until)
+        this.blockLevel = 0;                  // number of If, Else if, Else, and Repeat blocks this step is in (a block is made of every step below one of those step nodes)
 
         SET AFTER STEP IS RUN
 
         this.isPassed = false;                // true if this step passed after being run
         this.isFailed = false;                // true if this step failed after being run
         this.isSkipped = false;               // true if this step was skipped
+        this.isSkippedByCondition = false;    // true if this step was skipped because of an If, Else if, Else, or Repeat until above it
         this.isRunning = false;               // true if this step is currently running
 
         this.error = {};                      // if this step failed, this is the Error that was thrown
@@ -75,6 +79,9 @@ class Step {
         };
 
         utils.copyProps(o, this, [
+            'dataRow',
+            'repeatIteration',
+
             'isPassed',
             'isFailed',
             'isSkipped',
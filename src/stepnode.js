@@ -26,13 +26,26 @@ class StepNode {
         this.frontModifiers = [];             // Array of String, modifiers in front of the step node's text
         this.backModifiers = [];              // Array of String, modifiers in back of the step node's text
         this.groups = [];                     // Array of Strings, the group/freq hashtag modifiers
+        this.retries = 0;                     // Number of times to retry a branch containing this step node, if it fails (#retries=N hashtag modifier)
+        this.timeout = 0;                     // Number of seconds this step node's code block may run before failing, 0 for no limit (#timeout=N hashtag modifier)
         this.codeBlock = "";                  // code block contents that come after the { and not including the line with the }
+        this.dataFilename = "";               // if this is a data step node, the CSV or JSON file its rows come from (relative to this step node's file)
+        this.condition = {};                  // if this is an If or Else if step node, its condition, in the format { left, operator, right } (operator is 'is', 'is not', or undefined for If {var})
+        this.prevConditionId = -1;            // if this is an Else if or Else step node, id of the If or Else if step node directly above it
+        this.repeatCount = 0;                 // if this is a Repeat step node, the number of times the steps under it repeat (at most, if it's a Repeat until)
+        this.importFilename = "";             // if this is an Import step node, the file whose function declarations it imports (relative to this step node's file)
+        this.importNamespace = "";            // if this is an Import step node with an as Namespace, the namespace that calls to the imported functions start with (e.g., Namespace.Function name)
         this.comment = "";                    // text of the comment at the end of the line (e.g., '// comment here')
 
         this.isFunctionDeclaration = false;          // true if this is a function declaration
         this.isFunctionCall = false;                 // true if this is a function call
         this.isPrivateFunctionDeclaration = false;   // true if this is a private function declaration
         this.isTextualStep = false;                  // true if this is a textual (-) step node and not a function call
+        this.isDataStep = false;                     // true if this is a data step node (Data from 'file.csv'), which expands into one branch per row of the file
+        this.isConditional = false;                  // true if this is an If, Else if, or Else step node, which skips the steps under it when its condition isn't met
+        this.isElse = false;                         // true if this is an Else if or Else step node
+        this.isRepeat = false;                       // true if this is a Repeat N times or Repeat until { code block } step node, whose steps under it are repeated
+        this.isImport = false;                       // true if this is an Import step node, which makes the function declarations of another file callable from this file
 
         this.isMultiBlockFunctionDeclaration = false;   // true if this is the '[' from a multi-level step block (implemented under the hood as a function call/declaration)
         this.isMultiBlockFunctionCall = false;          // true if this is the ']' from a multi-level step block (implemented under the hood as a function call/declaration)
@@ -59,6 +72,7 @@ class StepNode {
         this.containingStepBlock = {};        // the StepBlockNode that contains this StepNode
 
         this.used = false;                    // set to true if this step node is used in a branch at least once
+        this.dataRows = [];                   // if this is a data step node, the rows loaded from its data file, set the first time it's branchified (see Tree.loadDataRows())
         */
     }
 
@@ -159,9 +173,17 @@ class StepNode {
 
         // Function Declaration
         if(this.isFunctionDeclaration) {
-            if(this.text.match(Constants.STRING_LITERAL)) {
+            if(this.text.replace(Constants.VAR, '{}').match(Constants.STRING_LITERAL)) { // the default value of a {{param = 'value'}} is allowed
                 utils.error(`A function declaration cannot have 'strings', "strings", or [strings] inside of it`, filename, lineNumber);
             }
+
+            // Validate the default values of {{params}}
+            (this.text.match(Constants.VAR) || []).forEach(v => {
+                let name = utils.stripBrackets(v);
+                if(name.includes('=') && !name.match(Constants.PARAM_DEFAULT_WHOLE)) {
+                    utils.error(`The default value of a {{parameter}} must be a 'string', "string", or [string]`, filename, lineNumber);
+                }
+            });
         }
         else { // not a function declaration
             // Validate that a non-function declaration isn't using a hook step name
@@ -231,7 +253,21 @@ class StepNode {
             }
 
             this.modifiers.forEach(mod => {
-                if(mod.startsWith('#')) {
+                if(mod.startsWith('#retries=')) {
+                    let retries = mod.slice('#retries='.length);
+                    if(!retries.match(/^[0-9]+$/)) {
+                        utils.error(`#retries must be set to a number (e.g., #retries=2)`, filename, lineNumber);
+                    }
+                    this.retries = parseInt(retries);
+                }
+                else if(mod.startsWith('#timeout=')) {
+                    let timeout = mod.slice('#timeout='.length);
+                    if(!timeout.match(/^[0-9]+$/)) {
+                        utils.error(`#timeout must be set to a number of seconds (e.g., #timeout=30)`, filename, lineNumber);
+                    }
+                    this.timeout = parseInt(timeout);
+                }
+                else if(mod.startsWith('#')) {
                     if(!this.groups) {
                         this.groups = [];
                     }
@@ -322,6 +358,58 @@ class StepNode {
                 }
             }
         }
+        else if(this.text.match(Constants.DATA_STEP_WHOLE) && !this.isTextualStep && !this.isFunctionDeclaration && !this.hasCodeBlock()) {
+            // This step is Data from 'file.csv'
+            this.isDataStep = true;
+            this.dataFilename = utils.stripQuotes(this.text.match(Constants.DATA_STEP_WHOLE)[1]);
+
+            if(!this.dataFilename.match(/\.(csv|json)$/i)) {
+                utils.error(`A data file must be a .csv or .json file`, filename, lineNumber);
+            }
+        }
+        else if((this.text.match(Constants.CONDITIONAL_STEP_WHOLE) || this.text.match(Constants.ELSE_STEP_WHOLE)) && !this.isTextualStep && !this.isFunctionDeclaration && !this.hasCodeBlock()) {
+            // This step is If {var} is 'value', Else if {var} is 'value', or Else
+            this.isConditional = true;
+
+            let matches = this.text.match(Constants.CONDITIONAL_STEP_WHOLE);
+            if(matches) {
+                if(matches.groups.keyword.match(/^else/i)) {
+                    this.isElse = true;
+                }
+                this.condition = {
+                    left: matches.groups.left,
+                    operator: matches.groups.operator ? matches.groups.operator.toLowerCase().replace(/\s+/g, ' ') : undefined,
+                    right: matches.groups.right
+                };
+            }
+            else {
+                this.isElse = true;
+            }
+        }
+        else if(((this.text.match(Constants.REPEAT_STEP_WHOLE) && !this.hasCodeBlock()) || (this.text.match(Constants.REPEAT_UNTIL_STEP_WHOLE) && this.hasCodeBlock())) && !this.isTextualStep && !this.isFunctionDeclaration) {
+            // This step is Repeat N times, or Repeat until { code block } (which stops repeating once the code block returns true)
+            this.isRepeat = true;
+
+            let matches = this.text.match(Constants.REPEAT_STEP_WHOLE) || this.text.match(Constants.REPEAT_UNTIL_STEP_WHOLE);
+            this.repeatCount = matches.groups.count ? parseInt(matches.groups.count) : Constants.REPEAT_UNTIL_DEFAULT_COUNT;
+
+            if(this.repeatCount < 1) {
+                utils.error(`A Repeat step must repeat at least once`, filename, lineNumber);
+            }
+        }
+        else if(this.text.match(Constants.IMPORT_STEP_WHOLE) && !this.isTextualStep && !this.isFunctionDeclaration && !this.hasCodeBlock()) {
+            // This step is Import 'file.smash' or Import 'file.smash' as Namespace
+            let matches = this.text.match(Constants.IMPORT_STEP_WHOLE);
+            this.isImport = true;
+            this.importFilename = utils.stripQuotes(matches.groups.filename);
+            if(matches.groups.namespace) {
+                this.importNamespace = matches.groups.namespace;
+            }
+
+            if(this.modifiers && this.modifiers.length > 0) {
+                utils.error(`An Import cannot have any modifiers (${this.modifiers[0]})`, filename, lineNumber);
+            }
+        }
         else { // this step is not a {var}= step
             // Set isFunctionCall
             if(!this.isTextualStep && !this.isFunctionDeclaration) {
@@ -383,15 +471,105 @@ class StepNode {
      * @return {Boolean} true if they match, false if they don't
      * @throws {Error} if there's a case insensitive match but not a case sensitive match
      */
-    isFunctionMatch(functionDeclarationNode) {
+    isFunctionMatch(functionDeclarationNode, namespace) {
+        return !!this.getFunctionMatch(functionDeclarationNode, namespace);
+    }
+
+    /**
+     * Same as isFunctionMatch(), only returns how this step matches the given function declaration node
+     * @param {StepNode} functionDeclarationNode - A function declaration node
+     * @param {String} [namespace] - If set, this step must start with namespace and a . (e.g., Namespace.Function name), which are left out when matching
+     * @return {Object} The matching object from functionDeclarationNode.getFunctionDeclarationVariants(), null if they don't match
+     */
+    getFunctionMatch(functionDeclarationNode, namespace) {
         let functionCallText = this.canonicalizeFunctionCallText();
-        let functionDeclarationText = functionDeclarationNode.canonicalizeFunctionDeclarationText();
-        if(functionCallText == functionDeclarationText) {
-            return true;
+        if(namespace) {
+            if(utils.canonicalize(this.getNamespace() || '') != utils.canonicalize(namespace)) {
+                return null;
+            }
+            functionCallText = utils.canonicalize(functionCallText.replace(Constants.NAMESPACE_PREFIX, ''));
         }
-        else {
-            functionCallText = functionCallText.replace(/^\s*(given|when|then|and)\s*/i, '');
-            return functionCallText == functionDeclarationText;
+        let strippedFunctionCallText = functionCallText.replace(/^\s*(given|when|then|and)\s*/i, '');
+        let variants = functionDeclarationNode.getFunctionDeclarationVariants();
+
+        return variants.find(variant => variant.text == functionCallText) || variants.find(variant => variant.text == strippedFunctionCallText) || null;
+    }
+
+    /**
+     * @return {String} The namespace at the start of this function call (e.g., Namespace in Namespace.Function name), null if there isn't one
+     */
+    getNamespace() {
+        let functionCallText = this.getFunctionCallText();
+        let matches = functionCallText && functionCallText.match(Constants.NAMESPACE_PREFIX);
+        return matches ? matches.groups.namespace : null;
+    }
+
+    /**
+     * @return {Array of Object} The {vars} in this function declaration's text, which are its parameters, in the format { name, isLocal, defaultValue }
+     * defaultValue is the 'string', "string", or [string] after the = in {{param = 'default value'}}, undefined if there isn't one
+     */
+    getFunctionParams() {
+        return (this.text.match(Constants.VAR) || []).map(v => {
+            let name = utils.stripBrackets(v);
+            let matches = name.match(Constants.PARAM_DEFAULT_WHOLE);
+            return {
+                name: matches ? matches.groups.name : name,
+                isLocal: v.startsWith('{{'),
+                defaultValue: matches ? matches.groups.value : undefined
+            };
+        });
+    }
+
+    /**
+     * A function call can leave out any {{param}} that has a default value. If that {{param}} is the only one inside a ( ), the ( ) is left out with it.
+     * For example, * Wait until {{element}} is visible (up to {{n = '15'}} secs) can be called with or without (up to 'N' secs).
+     * @return {Array of Object} Every way this function declaration can be called, in the format { text, omitted }, where text is canonicalized (like canonicalizeFunctionDeclarationText()) and omitted is an Array of the indexes (into getFunctionParams()) of the params left out. The first one leaves nothing out, and later params are left out before earlier ones.
+     */
+    getFunctionDeclarationVariants() {
+        let params = this.getFunctionParams();
+        let omittables = []; // Array of { index, start, end }, the optional parts of this.text
+
+        let varRegex = new RegExp(Constants.VAR.source, 'g');
+        let match = null;
+        for(let index = 0; (match = varRegex.exec(this.text)) !== null; index++) {
+            if(typeof params[index].defaultValue == 'undefined') {
+                continue;
+            }
+
+            let start = match.index;
+            let end = match.index + match[0].length;
+
+            let openIndex = this.text.lastIndexOf('(', start);
+            let closeIndex = this.text.indexOf(')', end);
+            if(openIndex != -1 && closeIndex != -1) {
+                let inside = this.text.slice(openIndex + 1, closeIndex);
+                if(!inside.match(/[()]/) && inside.match(Constants.VAR).length == 1) {
+                    start = openIndex;
+                    end = closeIndex + 1;
+                }
+            }
+
+            omittables.push({ index: index, start: start, end: end });
+        }
+
+        let variants = [];
+        for(let mask = 0; mask < Math.pow(2, omittables.length); mask++) {
+            let text = this.text;
+            let omitted = [];
+            for(let i = omittables.length - 1; i >= 0; i--) {
+                if(mask & (1 << (omittables.length - 1 - i))) {
+                    text = text.slice(0, omittables[i].start) + ' ' + text.slice(omittables[i].end);
+                    omitted.unshift(omittables[i].index);
+                }
+            }
+
+            variants.push({ text: canonicalize(text), omitted: omitted });
+        }
+
+        return variants;
+
+        function canonicalize(text) {
+            return utils.canonicalize(utils.unescape(text.replace(Constants.VAR, '{}')));
         }
     }
 
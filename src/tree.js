@@ -4,6 +4,8 @@ const Step = require('./step.js');
 const Branch = require('./branch.js');
 const Constants = require('./constants.js');
 const util = require('util');
+const fs = require('fs');
+const path = require('path');
 const utils = require('./utils.js');
 
 /**
@@ -26,15 +28,28 @@ class Tree {
 
         this.stepDataMode = 'all';            // Keep step data for all steps, failed steps only, or no steps ('all', 'fail', or 'none')
 
+        this.importedRoots = {};              // object where keys are the absolute filenames of imported files and values are the StepNodes their contents were parsed in under (instead of this.root)
+        this.imports = {};                    // object where keys are filenames and values are Arrays of Objects in the format { root, namespace }, one for each Import in that file
+
         /*
         OPTIONAL
 
-        this.groups = [];                     // Array of String, only generate branches part of at least one of these groups, no group restrictions if this is undefined
+        this.groups = [];                     // Array of String, only generate branches part of at least one of these groups (each can also be an expression like "checkout and not slow"), no group restrictions if this is undefined
+        this.skipGroups = [];                 // Array of String, don't generate branches that are part of any of these groups
+        this.skipGroupsExcluded = 0;          // Number of branches removed because of this.skipGroups
         this.minFrequency = '';               // Only generate branches at or above this frequency ('high', 'med', or 'low'), no frequency restrictions if this is undefined
         this.noDebug = false;                 // If true, throws an error if at least one ~, ~~, or $ is encountered in the tree at or below the given step
         this.noRandom = false;                // If true, does not randomize the order of branches generated
         this.debugHash = '';                  // If set, only generate the one branch with this hash in debug mode and ignore all $'s, ~'s, groups, and minFrequency
         this.noCondNonParallel = false;       // If true, conditional non-parallel modifiers (!!) are ignored
+        this.shard = { index: 1, count: 1 };  // If set, only keep the branches in shard number index (1-based) out of count shards
+        this.pairwise = 2;                    // If set, only keep enough branches so that every combination of this many steps that occurs together in a branch is still covered (2 for all-pairs)
+        this.pairwisePruned = 0;              // Number of branches removed because of this.pairwise
+        this.changedLines = {};               // If set, only keep branches with a step (or a function declaration's code block) from one of these lines, in the format returned by utils.parseDiff()
+        this.changedSinceExcluded = 0;        // Number of branches removed because of this.changedLines
+        this.quarantine = [];                 // Array of String, hashes of branches whose failures are reported separately and don't fail the run
+        this.quarantineGroups = [];           // Array of String, branches part of any of these groups are quarantined too
+        this.branchDurations = {};            // Object that maps branch hashes to how long (in ms) they took the last time they ran, if set the longest branches are run first
 
         this.elapsed = 0;                    // number of ms it took for all branches to execute, set to -1 if paused
         this.timeStarted = {};               // Date object (time) of when this tree started being executed
@@ -43,8 +58,10 @@ class Tree {
         this.counts = {
             running = 0,                    // total number of branches currently running
             passed = 0,                     // total number of passed branches in this tree (including the ones that passed last time)
-            failed = 0,                     // total number of failed branches in this tree
+            failed = 0,                     // total number of failed branches in this tree (not including quarantined ones)
+            quarantined = 0,                // total number of failed branches in this tree that are quarantined
             skipped = 0,                    // total number of skipped branches in this tree
+            flaky = 0,                      // total number of branches that passed, but only after being retried
             complete = 0,                   // total number of complete branches in this tree (passed, failed, or skipped)
             total = 0,                      // total number of branches in this tree
             totalToRun = 0,                 // total number of branches that will be in the next run (total number of branches minus branches passed last time if we're doing a --skip-passed)
@@ -124,8 +141,13 @@ class Tree {
      * @param {String} buffer - Contents of a test file
      * @param {String} filename - Name of the test file
      * @param {Boolean} [isPackaged] - If true, filename is a package file
+     * @param {StepNode} [root] - The StepNode to add the contents onto, this.root if omitted (see importFile())
      */
-    parseIn(buffer, filename, isPackaged) {
+    parseIn(buffer, filename, isPackaged, root) {
+        if(!root) {
+            root = this.root;
+        }
+
         let lines = buffer.split(/\n/);
 
         // Convert each string in lines to a StepNode object
@@ -206,6 +228,25 @@ class Tree {
             }
         }
 
+        // Import step nodes bring in the function declarations of another file, but don't go into the tree themselves, so replace them with empty lines
+        for(let i = 0; i < lines.length; i++) {
+            if(lines[i].isImport) {
+                let importNode = lines[i];
+                if(importNode.indents != 0) {
+                    utils.error(`An Import must not be indented`, filename, importNode.lineNumber);
+                }
+                if(i + 1 < lines.length && lines[i+1].text != '' && lines[i+1].indents > 0) {
+                    utils.error(`An Import cannot have any steps under it`, filename, importNode.lineNumber);
+                }
+
+                this.importFile(importNode, isPackaged);
+
+                lines[i] = this.newStepNode().parseLine('', filename, importNode.lineNumber);
+                lines[i].indents = 0;
+                this.deleteStepNode(importNode.id);
+            }
+        }
+
         // Look for groups of consecutive steps that consititute a step block, and replace them with a StepBlockNode object
         // A step block:
         // 1) all lines are at the same indent level
@@ -263,6 +304,11 @@ class Tree {
                             utils.error(`You cannot have a function declaration within a step block`, filename, potentialStepBlock.steps[k].lineNumber);
                         }
                     }
+
+                    // Validate that a step block member is not an If, Else if, or Else
+                    if(potentialStepBlock.steps[k].isConditional) {
+                        utils.error(`You cannot have an If, Else if, or Else within a step block`, filename, potentialStepBlock.steps[k].lineNumber);
+                    }
                 }
 
                 // Have the StepBlockNode object we created replace its corresponding StepNodes
@@ -300,7 +346,7 @@ class Tree {
         }
 
         // Set the parents and children of each StepNode/StepBlockNode in lines, based on the indents of each StepNode/StepBlockNode
-        // Insert the contents of lines into the tree (under this.root)
+        // Insert the contents of lines into the tree (under root)
         let prevStepNode = null;
         for(let i = 0; i < lines.length; i++) {
             let currStepNode = lines[i]; // either a StepNode or StepBlockNode object
@@ -321,7 +367,7 @@ class Tree {
                     currStepNode.parent = prevStepNode.parent;
                 }
                 else { // only the root has been inserted thus far
-                    currStepNode.parent = this.root;
+                    currStepNode.parent = root;
                 }
 
                 currStepNode.parent.children.push(currStepNode);
@@ -343,6 +389,18 @@ class Tree {
                 parent.children.push(currStepNode);
             }
 
+            // If current step node is an Else if or Else, link it to the If or Else if directly above it
+            if(currStepNode.isElse) {
+                let siblings = currStepNode.parent.children;
+                let lastSibling = siblings.length > 1 ? siblings[siblings.length - 2] : null;
+                if(lastSibling && lastSibling.isConditional && lastSibling.condition) {
+                    currStepNode.prevConditionId = lastSibling.id;
+                }
+                else {
+                    utils.error(`An Else if or Else must be directly below an If or Else if, at the same indent level`, filename, currStepNode.lineNumber);
+                }
+            }
+
             // If current step node is a multi-level-step-block function call
             if(currStepNode.isMultiBlockFunctionCall) {
                 const ERR_MSG = `Cannot find the '[' that corresponds to this ']'`;
@@ -372,10 +430,94 @@ class Tree {
         }
     }
 
+    /**
+     * Parses in the file that an Import step node refers to (only the first time that file is imported), and lets the file with the Import call its function declarations
+     * Only the function declarations at the top of the imported file (0 indents) can be called, and not private ones (**), which only the imported file itself can call
+     * @param {StepNode} importNode - The Import step node
+     * @param {Boolean} [isPackaged] - If true, the Import is in a package file
+     * @throws {Error} If the imported file couldn't be read or parsed
+     */
+    importFile(importNode, isPackaged) {
+        let filename = path.resolve(path.dirname(importNode.filename), importNode.importFilename);
+
+        if(!this.importedRoots[filename]) {
+            let buffer = null;
+            try {
+                buffer = fs.readFileSync(filename, 'utf8');
+            }
+            catch(e) {
+                utils.error(`The imported file '${importNode.importFilename}' could not be read`, importNode.filename, importNode.lineNumber);
+            }
+
+            this.importedRoots[filename] = new StepNode(); // set before parsing, so that files that import each other don't loop forever
+            this.parseIn(buffer, filename, isPackaged, this.importedRoots[filename]);
+        }
+
+        if(!this.imports[importNode.filename]) {
+            this.imports[importNode.filename] = [];
+        }
+        this.imports[importNode.filename].push({ root: this.importedRoots[filename], namespace: importNode.importNamespace });
+    }
+
+    /**
+     * @param {String} buffer - Contents of a file
+     * @param {String} filename - The name of the file
+     * @return {Array of String} The absolute filenames of the files imported by the given file, without parsing it in
+     * @throws {Error} If an Import line couldn't be parsed
+     */
+    getImportedFilenames(buffer, filename) {
+        let importedFilenames = [];
+        let codeBlockEndRegex = null; // if we're currently inside a code block, matches the line that ends it
+
+        buffer.split(/\n/).forEach((line, i) => {
+            if(codeBlockEndRegex) {
+                line.match(codeBlockEndRegex) && (codeBlockEndRegex = null);
+            }
+            else if(!line.match(Constants.FULL_LINE_COMMENT)) {
+                let stepNode = new StepNode().parseLine(line, filename, i + 1);
+                if(stepNode.hasCodeBlock()) {
+                    codeBlockEndRegex = new RegExp(`^[ ]{${utils.numIndents(line, filename, i + 1) * Constants.SPACES_PER_INDENT}}\\}\\s*(\\/\\/.*?)?\\s*$`);
+                }
+                else if(stepNode.isImport && utils.numIndents(line, filename, i + 1) == 0) {
+                    importedFilenames.push(path.resolve(path.dirname(filename), stepNode.importFilename));
+                }
+            }
+        });
+
+        return importedFilenames;
+    }
+
+    /**
+     * @param {Array of String} buffers - The contents of each file
+     * @param {Array of String} filenames - The names of the files
+     * @return {Array of String} The absolute filenames of the given files that get parsed in through an Import in another one of them, following the Imports from the files that nothing imports
+     * These files shouldn't also be parsed in on their own, since their function declarations aren't global
+     * @throws {Error} If an Import line couldn't be parsed
+     */
+    getFilenamesImportedByOthers(buffers, filenames) {
+        let absoluteFilenames = filenames.map(filename => path.resolve(filename));
+        let importedFilenames = buffers.map((buffer, i) => this.getImportedFilenames(buffer, absoluteFilenames[i]).filter(filename => filename != absoluteFilenames[i]));
+
+        let filenamesImported = [];
+        let filenamesToVisit = absoluteFilenames.filter(filename => !importedFilenames.find(imports => imports.includes(filename)));
+        while(filenamesToVisit.length > 0) {
+            let index = absoluteFilenames.indexOf(filenamesToVisit.shift());
+            (importedFilenames[index] || []).forEach(filename => {
+                if(!filenamesImported.includes(filename)) {
+                    filenamesImported.push(filename);
+                    filenamesToVisit.push(filename);
+                }
+            });
+        }
+
+        return filenamesImported;
+    }
+
     /**
      * Finds the nearest function declaration step node(s) that match a given function call step
      * Does not choose a function declaration (or equivalent) with a corresponding function call already inside branchAbove (a function cannot call itself)
      * Matches multiple function declarations when they're equivalents (e.g., * A > * B and * A > * B somewhere else in the tree are equivalents)
+     * Looks in the function call's scope first, then at the top of its own file (if it's an imported file), then in the files its file imports, and lastly among the global function declarations
      * @param {Step} functionCall - The function call Step whose function declaration we're trying to find
      * @param {Branch} branchAbove - Post-branchify Branch of steps that come before functionCall
      * @return {Array of StepNode} The nearest function declaration step nodes that match the function call step
@@ -403,6 +545,8 @@ class Tree {
             }
         }
 
+        let rootStep = null; // the step in branchAbove whose siblings are the global function declarations, which are searched last
+
         // Try to find the function declarations we're looking for
         for(let index = branchAbove.steps.length - 1; index >= 0; index--) {
             let currStep = branchAbove.steps[index];
@@ -410,10 +554,15 @@ class Tree {
             let parent = currStepNode.parent || currStepNode.containingStepBlock.parent;
             let siblings = parent.children;
 
-            let foundDeclarationNodes = searchAmong(siblings, currStep);
-            if(foundDeclarationNodes.length > 0) {
-                branchAbove.steps.pop(); // restore branchAbove to how it was when it was passed in
-                return foundDeclarationNodes;
+            if(parent === this.root) {
+                rootStep = rootStep || currStep;
+            }
+            else {
+                let foundDeclarationNodes = searchAmong(siblings, currStep);
+                if(foundDeclarationNodes.length > 0) {
+                    branchAbove.steps.pop(); // restore branchAbove to how it was when it was passed in
+                    return foundDeclarationNodes;
+                }
             }
 
             // If nothing found yet, try going to the step right above (P), finding its corresponding function declaration (*P),
@@ -439,6 +588,46 @@ class Tree {
             }
         }
 
+        // If the function call is in an imported file, try the function declarations at the top of that file, private ones included
+        let ownRoot = this.importedRoots[functionCallNode.filename];
+        if(ownRoot) {
+            let foundDeclarationNodes = ownRoot.children.filter(sn =>
+                sn.isFunctionDeclaration &&
+                functionCallNodeToMatch.isFunctionMatch(sn) &&
+                !untouchables.includes(sn)
+            );
+
+            if(foundDeclarationNodes.length > 0) {
+                branchAbove.steps.pop(); // restore branchAbove to how it was when it was passed in
+                return foundDeclarationNodes;
+            }
+        }
+
+        // Then try the function declarations of the files imported by the function call's file, in the order they were imported
+        let imports = this.imports[functionCallNode.filename] || [];
+        for(let i = 0; i < imports.length; i++) {
+            let foundDeclarationNodes = imports[i].root.children.filter(sn =>
+                sn.isFunctionDeclaration &&
+                !sn.isPrivateFunctionDeclaration &&
+                functionCallNodeToMatch.isFunctionMatch(sn, imports[i].namespace) &&
+                !untouchables.includes(sn)
+            );
+
+            if(foundDeclarationNodes.length > 0) {
+                branchAbove.steps.pop(); // restore branchAbove to how it was when it was passed in
+                return foundDeclarationNodes;
+            }
+        }
+
+        // Finally, try the global function declarations
+        if(rootStep) {
+            let foundDeclarationNodes = searchAmong(this.root.children, rootStep);
+            if(foundDeclarationNodes.length > 0) {
+                branchAbove.steps.pop(); // restore branchAbove to how it was when it was passed in
+                return foundDeclarationNodes;
+            }
+        }
+
         utils.error(`The function \`${functionCallNode.getFunctionCallText()}\` cannot be found. Is there a typo, or did you mean to make this a textual step (with a - at the end)?
 
 Trace:
@@ -589,6 +778,67 @@ ${outputBranchAbove(this)}
         }
     }
 
+    /**
+     * Loads the rows of the CSV or JSON file of the given data step node (Data from 'file.csv'), relative to the file the step node is in
+     * CSV files must have a header row with the column names. JSON files must contain an array of objects.
+     * @param {StepNode} stepNode - The data step node
+     * @return {Array of Object} The rows, each of which maps column names to values (Strings)
+     * @throws {Error} If the file couldn't be read, isn't in the right format, or has no rows
+     */
+    loadDataRows(stepNode) {
+        if(stepNode.dataRows) {
+            return stepNode.dataRows; // already loaded
+        }
+
+        let dataFilename = stepNode.dataFilename;
+        let buffer = null;
+        try {
+            buffer = fs.readFileSync(path.resolve(path.dirname(stepNode.filename), dataFilename), 'utf8');
+        }
+        catch(e) {
+            utils.error(`The data file '${dataFilename}' could not be read`, stepNode.filename, stepNode.lineNumber);
+        }
+
+        let rows = [];
+        if(dataFilename.match(/\.json$/i)) {
+            try {
+                rows = JSON.parse(buffer);
+            }
+            catch(e) {
+                utils.error(`The data file '${dataFilename}' is not valid JSON`, stepNode.filename, stepNode.lineNumber);
+            }
+
+            if(!Array.isArray(rows) || rows.find(row => !row || typeof row != 'object' || Array.isArray(row))) {
+                utils.error(`The data file '${dataFilename}' must contain an array of objects`, stepNode.filename, stepNode.lineNumber);
+            }
+
+            rows = rows.map(row => {
+                let vars = {};
+                for(let name in row) {
+                    vars[name] = typeof row[name] == 'string' ? row[name] : JSON.stringify(row[name]);
+                }
+                return vars;
+            });
+        }
+        else { // csv
+            let csvRows = utils.parseCsv(buffer);
+            let header = (csvRows.shift() || []).map(name => name.trim());
+
+            rows = csvRows.map(csvRow => {
+                let vars = {};
+                header.forEach((name, i) => vars[name] = csvRow[i] || '');
+                return vars;
+            });
+        }
+
+        if(rows.length == 0) {
+            utils.error(`The data file '${dataFilename}' has no rows`, stepNode.filename, stepNode.lineNumber);
+        }
+
+        stepNode.dataRows = rows;
+        return rows;
+    }
+
     /**
      * Converts the given step node and its children into branches. Expands function calls, step blocks, etc.
      * @param {Step} stepNode - StepNode to convert to branches (NOTE: do not set step to a StepBlockNode unless it's a sequential StepBlockNode)
@@ -756,6 +1006,17 @@ ${outputBranchAbove(this)}
                 return null;
             }
         }
+        else if(stepNode.isDataStep) {
+            // One branch per row of the data file, each of which sets that row's {vars}
+            this.loadDataRows(stepNode).forEach((row, index) => {
+                let rowStep = step.clone();
+                rowStep.dataRow = { index: index, vars: row };
+
+                let branch = new Branch;
+                branch.push(rowStep, this.stepNodeIndex);
+                branchesFromThisStepNode.push(branch);
+            });
+        }
         else { // Textual steps, non-function-declaration code block steps, {var}='string'
             let branch = new Branch;
             branch.push(step, this.stepNodeIndex);
@@ -865,14 +1126,41 @@ ${outputBranchAbove(this)}
         // 4) Fill branchesBelow by cross joining branchesFromThisStepNode with the branches that come from its children
         // ***************************************
 
+        let isBlockStepNode = stepNode.isConditional || stepNode.isRepeat; // every step below this step node makes up its block
+
         /**
          * Gets branches derived from the children of stepNode (children variable)
          */
         function getBranchesFromChildren(branchFromThisStepNode, self) {
             let branchesFromChildren = []; // Array of Branch
 
-            children.forEach(child => {
-                if(child instanceof StepBlockNode && !child.isSequential) {
+            children.forEach((child, i) => {
+                if(child.isElse) {
+                    // Else ifs and Elses are branchified along with the If at the top of their chain (below)
+                }
+                else if(child.isConditional) {
+                    // If this child is an If, branchify it and the Else ifs and Elses below it into one unit,
+                    // where the If, Else ifs, and Else come one after the other, each followed by its block
+                    let branchesFromChain = [];
+                    for(let j = i; j < children.length && (j == i || children[j].isElse); j++) {
+                        let branchesFromMember = placeOntoBranchAbove(branchFromThisStepNode.steps, () => self.branchify(children[j], branchAbove, level, false, isSequential));
+                        if(j == i) {
+                            branchesFromChain = branchesFromMember;
+                            continue;
+                        }
+
+                        let newBranchesFromChain = [];
+                        branchesFromChain.forEach(branchFromChain => {
+                            branchesFromMember.forEach(branchFromMember => {
+                                newBranchesFromChain.push(branchFromChain.clone().mergeToEnd(branchFromMember.clone()));
+                            });
+                        });
+                        branchesFromChain = newBranchesFromChain;
+                    }
+
+                    branchesFromChildren = branchesFromChildren.concat(branchesFromChain);
+                }
+                else if(child instanceof StepBlockNode && !child.isSequential) {
                     // If this child is a non-sequential step block, just call branchify() directly on each member
                     child.steps.forEach(s => {
                         let branchesFromChild = placeOntoBranchAbove(branchFromThisStepNode.steps, () => self.branchify(s, branchAbove, level, false, isSequential));
@@ -916,6 +1204,8 @@ ${outputBranchAbove(this)}
                 });
             });
             branchesBelow = [ bigBranch ];
+
+            isBlockStepNode && makeBlock(bigBranch);
         }
         else {
             // Cross-join between branchesFromThisStepNode and branches from children
@@ -923,13 +1213,47 @@ ${outputBranchAbove(this)}
                 let branchesFromChildren = getBranchesFromChildren(branchFromThisStepNode, this);
                 branchesFromChildren = this.removeUnwantedBranches(branchesFromChildren, stepNode.indents == -1);
                 branchesFromChildren.forEach(branchFromChild => {
-                    branchesBelow.push(branchFromThisStepNode.clone().mergeToEnd(branchFromChild.clone()));
+                    let branchBelow = branchFromThisStepNode.clone().mergeToEnd(branchFromChild.clone());
+                    isBlockStepNode && makeBlock(branchBelow);
+                    branchesBelow.push(branchBelow);
                 });
             });
 
             if(branchesBelow.length == 0 && branchesFromThisStepNode.length >= 1 && branchesFromThisStepNode[0].steps.length > 0) {
                 branchesBelow = branchesFromThisStepNode;
+                isBlockStepNode && branchesBelow.forEach(branchBelow => makeBlock(branchBelow));
+            }
+        }
+
+        /**
+         * Turns the given branch, which starts with an If, Else if, Else, or Repeat step, into a block
+         * The steps after that step make up its block, and are put one blockLevel deeper (a Repeat's block is also repeated)
+         */
+        function makeBlock(branch) {
+            let blockSteps = branch.steps.slice(1);
+            blockSteps.forEach(s => s.blockLevel = (s.blockLevel || 0) + 1);
+
+            let steps = [ branch.steps[0] ];
+            if(stepNode.isRepeat) {
+                // Repeat the block repeatCount times, each time after a copy of this step
+                // A Repeat until gets one more copy of this step at the end, which fails if the code block still hasn't returned true
+                steps = [];
+                let iterationCount = stepNode.hasCodeBlock() ? stepNode.repeatCount + 1 : stepNode.repeatCount;
+                for(let i = 0; i < iterationCount; i++) {
+                    let repeatStep = branch.steps[0].clone();
+                    repeatStep.repeatIteration = { index: i, count: stepNode.repeatCount };
+                    steps.push(repeatStep);
+
+                    if(i < stepNode.repeatCount) {
+                        steps = steps.concat(blockSteps.map(s => s.clone()));
+                    }
+                }
             }
+            else {
+                steps = steps.concat(blockSteps);
+            }
+
+            branch.steps = steps;
         }
 
         // ***************************************
@@ -993,7 +1317,7 @@ ${outputBranchAbove(this)}
     /**
      * @param {Array of Branch} branches - An array of branches that came from a step's children
      * @param {Boolean} [isRoot] - If true, branches are the children of the root step in the tree
-     * @return {Array of Branch} Branches from branches that are not being removed due to $, ~, minFrequency, or groups
+     * @return {Array of Branch} Branches from branches that are not being removed due to $, ~, minFrequency, groups, or skipGroups
      */
     removeUnwantedBranches(branches, isRoot) {
         if(this.debugHash) {
@@ -1033,22 +1357,13 @@ ${outputBranchAbove(this)}
         //    (but only for steps at the top of the tree)
         // ***************************************
         if(this.groups && isRoot) {
+            // Each of this.groups is a group name or an expression of them (e.g., checkout and not slow), and a branch only needs to match one
+            let groupExpressions = this.groups.map(group => utils.parseGroupExpression(group));
+
             for(let i = 0; i < branches.length;) {
                 let branch = branches[i];
 
-                if(!branch.groups) {
-                    removeBranch(this);
-                    continue;
-                }
-
-                let isGroupMatched = false;
-                for(let j = 0; j < this.groups.length; j++) {
-                    let groupAllowedToRun = this.groups[j];
-                    if(branch.groups.indexOf(groupAllowedToRun) != -1) {
-                        isGroupMatched = true;
-                        break;
-                    }
-                }
+                let isGroupMatched = groupExpressions.some(matches => matches(branch.groups || []));
 
                 if(isGroupMatched) {
                     i++;
@@ -1070,6 +1385,27 @@ ${outputBranchAbove(this)}
             }
         }
 
+        // ***************************************
+        // 2b) Remove branches by skipGroups
+        //     (but only for steps at the top of the tree)
+        // ***************************************
+        if(this.skipGroups && isRoot) {
+            let numBranches = branches.length;
+
+            branches = branches.filter(branch => {
+                let isSkipGroupMatched = (branch.groups || []).some(group => this.skipGroups.includes(group));
+                if(isSkipGroupMatched && branch.isDebug) {
+                    let debugStep = findModifierDepth(branch, '~', this).step;
+                    let debugStepNode = this.stepNodeIndex[debugStep.id];
+                    utils.error(`This step contains a ~, but is inside one of the groups being skipped. Either remove it from the groups being skipped or remove the ~.`, debugStepNode.filename, debugStepNode.lineNumber);
+                }
+
+                return !isSkipGroupMatched;
+            });
+
+            this.skipGroupsExcluded = numBranches - branches.length;
+        }
+
         // ***************************************
         // 3) Remove branches by frequency
         //    (but only for steps at the top of the tree)
@@ -1346,10 +1682,242 @@ ${outputBranchAbove(this)}
                 utils.error(`Couldn't find the branch with the given hash`);
             }
         }
+        else {
+            if(this.changedLines) {
+                let numBranches = this.branches.length;
+                let changedFilenames = this.getChangedFilenames(this.changedLines);
+
+                // A hook whose lines changed changes every branch it applies to (a changed module only changes the steps in the files that load it, and not their hooks)
+                let isHookChanged = step => this.isStepNodeChanged(this.stepNodeIndex[step.id], this.changedLines);
+                let isEveryBranchChanged = this.beforeEverything.concat(this.afterEverything).some(isHookChanged);
+
+                this.branches = this.branches.filter(branch => {
+                    let hooks = [].concat(branch.beforeEveryBranch || [], branch.afterEveryBranch || [], branch.beforeEveryStep || [], branch.afterEveryStep || []);
+                    return isEveryBranchChanged || hooks.some(isHookChanged) || branch.steps.some(step => {
+                        return this.isStepNodeChanged(this.stepNodeIndex[step.id], changedFilenames) || this.isStepNodeChanged(this.stepNodeIndex[step.fid], changedFilenames);
+                    });
+                });
+                this.changedSinceExcluded = numBranches - this.branches.length;
+            }
+
+            if(this.pairwise) {
+                let numBranches = this.branches.length;
+                this.branches = this.getCoveringBranches(this.branches, this.pairwise);
+                this.pairwisePruned = numBranches - this.branches.length;
+            }
+
+            if(this.shard) {
+                this.branches = this.getShard(this.branches, this.shard.index, this.shard.count);
+            }
+
+            if(this.branchDurations) {
+                this.sortByDuration(this.branchDurations);
+            }
+        }
+
+        // Marks quarantined branches, by hash or by group
+        if(this.quarantine || this.quarantineGroups) {
+            this.branches.forEach(branch => {
+                if((this.quarantine || []).includes(branch.hash) || (branch.groups || []).some(group => (this.quarantineGroups || []).includes(group))) {
+                    branch.isQuarantined = true;
+                }
+            });
+        }
 
         this.initCounts();
     }
 
+    /**
+     * @param {Object} changedLines - The changed lines of each file, in the format returned by utils.parseDiff()
+     * @return {Object} changedLines, but with every file whose code blocks load a changed module (e.g., i('./js/browserinstance.js')) also counting as changed in full
+     */
+    getChangedFilenames(changedLines) {
+        let changedFilenames = Object.assign({}, changedLines);
+        let changedModules = Object.keys(changedLines).filter(filename => changedLines[filename] === true);
+
+        Object.values(this.stepNodeIndex).forEach(stepNode => {
+            if(!stepNode.hasCodeBlock() || !stepNode.filename) {
+                return;
+            }
+
+            let matches = stepNode.codeBlock.match(/(['"`])\.\.?\/.*?\1/g) || [];
+            matches.forEach(match => {
+                let modulePath = path.resolve(path.dirname(stepNode.filename), match.slice(1, -1));
+                if(changedModules.some(filename => filename == modulePath || filename.replace(/\.js$/i, '') == modulePath)) {
+                    changedFilenames[path.resolve(stepNode.filename)] = true;
+                }
+            });
+        });
+
+        return changedFilenames;
+    }
+
+    /**
+     * @param {StepNode} stepNode - The step node to check
+     * @param {Object} changedFilenames - The changed lines of each file, in the format returned by getChangedFilenames()
+     * @return {Boolean} True if stepNode's line (or one of the lines of its code block, or its data file) was changed
+     */
+    isStepNodeChanged(stepNode, changedFilenames) {
+        if(!stepNode || !stepNode.filename) {
+            return false;
+        }
+
+        if(stepNode.dataFilename && changedFilenames[path.resolve(path.dirname(stepNode.filename), stepNode.dataFilename)]) {
+            return true;
+        }
+
+        let lines = changedFilenames[path.resolve(stepNode.filename)];
+        if(!lines) {
+            return false;
+        }
+        else if(lines === true) {
+            return true;
+        }
+
+        let lastLineNumber = stepNode.lineNumber + (stepNode.hasCodeBlock() ? stepNode.codeBlock.split('\n').length : 0); // includes the line with the closing }
+        return lines.some(lineNumber => lineNumber >= stepNode.lineNumber && lineNumber <= lastLineNumber);
+    }
+
+    /**
+     * Sorts this.branches so that the longest ones run first, which shortens the whole run when branches run in parallel
+     * Only the branches with a known duration are reordered, among the positions they already hold within their frequency (high, med, low),
+     * so branches with an unknown duration stay where they are
+     * @param {Object} durations - Object that maps branch hashes to how long (in ms) they took the last time they ran
+     */
+    sortByDuration(durations) {
+        let positions = {}; // Object that maps each frequency to the indexes in this.branches of its branches with a known duration
+        this.branches.forEach((branch, index) => {
+            if(typeof durations[branch.hash] == 'number') {
+                let frequency = branch.frequency || 'med';
+                (positions[frequency] = positions[frequency] || []).push(index);
+            }
+        });
+
+        let branches = this.branches.slice();
+        for(let frequency in positions) {
+            let indexes = positions[frequency];
+            let sortedIndexes = indexes.slice().sort((a, b) => (durations[this.branches[b].hash] - durations[this.branches[a].hash]) || (a - b));
+            indexes.forEach((index, i) => branches[index] = this.branches[sortedIndexes[i]]);
+        }
+
+        this.branches = branches;
+    }
+
+    /**
+     * Splits the given branches into shards, deterministically by hash, and returns the ones in the given shard
+     * Branches that share a nonParallelId are always kept together in the same shard
+     * The order of the branches that are returned is preserved
+     * @param {Array of Branch} branches - The branches to split up, whose hashes have been updated
+     * @param {Integer} index - The number of the shard to return (1-based)
+     * @param {Integer} count - The total number of shards
+     * @return {Array of Branch} The branches in the given shard
+     */
+    getShard(branches, index, count) {
+        // Group together branches that are connected by nonParallelIds
+        // Every branch starts in its own group, and groups are joined whenever they share a nonParallelId
+        let groupOf = branches.map((branch, i) => i);
+        let branchWithNonParallelId = {}; // maps a nonParallelId to the index of a branch that has it
+
+        function findGroup(i) {
+            while(groupOf[i] != i) {
+                i = groupOf[i] = groupOf[groupOf[i]];
+            }
+            return i;
+        }
+
+        branches.forEach((branch, i) => {
+            if(branch.nonParallelIds) {
+                branch.nonParallelIds.forEach(nonParallelId => {
+                    if(branchWithNonParallelId.hasOwnProperty(nonParallelId)) {
+                        groupOf[findGroup(i)] = findGroup(branchWithNonParallelId[nonParallelId]);
+                    }
+                    else {
+                        branchWithNonParallelId[nonParallelId] = i;
+                    }
+                });
+            }
+        });
+
+        // Each group is identified by the smallest hash within it, which doesn't depend on the order of branches
+        let groupHash = {};
+        branches.forEach((branch, i) => {
+            let group = findGroup(i);
+            if(!groupHash.hasOwnProperty(group) || branch.hash < groupHash[group]) {
+                groupHash[group] = branch.hash;
+            }
+        });
+
+        return branches.filter((branch, i) => {
+            let hash = groupHash[findGroup(i)];
+            return parseInt(hash.substr(0, 8), 16) % count == index - 1;
+        });
+    }
+
+    /**
+     * Reduces the given branches to a smaller set that still covers every combination of n steps that occur together in at least one branch
+     * (n = 2 is all-pairs testing). Steps that are in every branch don't count towards combinations, so a branch with a step no other branch has is always kept.
+     * The set is chosen greedily, deterministically by hash. Skipped branches are always kept. The order of the branches that are returned is preserved.
+     * @param {Array of Branch} branches - The branches to reduce, whose hashes have been updated
+     * @param {Integer} n - The number of steps in each combination that must be covered
+     * @return {Array of Branch} The branches in the covering set
+     */
+    getCoveringBranches(branches, n) {
+        let candidates = branches.filter(branch => !branch.isSkipped).sort((a, b) => a.hash < b.hash ? -1 : (a.hash > b.hash ? 1 : 0));
+
+        // Identify each step by its step node, the function declaration it calls, and its data row
+        let keysOfBranch = candidates.map(branch => {
+            let keys = branch.steps.map(step => step.id + (step.hasOwnProperty('fid') ? `:${step.fid}` : ``) + (step.dataRow ? `#${step.dataRow.index}` : ``));
+            return Array.from(new Set(keys)).sort();
+        });
+
+        // Steps that are in every branch are covered no matter what
+        let occurrences = {};
+        keysOfBranch.forEach(keys => keys.forEach(key => occurrences[key] = (occurrences[key] || 0) + 1));
+        keysOfBranch = keysOfBranch.map(keys => keys.filter(key => occurrences[key] < candidates.length));
+
+        // List the combinations each branch covers (a branch with fewer than n varying steps covers just the one combination of all of them, even if it's empty)
+        let combinationsOfBranch = keysOfBranch.map(keys => getCombinations(keys, Math.min(n, keys.length)).map(combination => combination.join('|')));
+
+        let uncovered = new Set();
+        combinationsOfBranch.forEach(combinations => combinations.forEach(combination => uncovered.add(combination)));
+
+        // Greedily take whichever branch covers the most uncovered combinations, until all of them are covered
+        let chosen = new Set();
+        while(uncovered.size > 0) {
+            let bestIndex = -1;
+            let bestCount = 0;
+            combinationsOfBranch.forEach((combinations, i) => {
+                if(!chosen.has(candidates[i])) {
+                    let count = combinations.filter(combination => uncovered.has(combination)).length;
+                    if(count > bestCount) {
+                        bestIndex = i;
+                        bestCount = count;
+                    }
+                }
+            });
+
+            chosen.add(candidates[bestIndex]);
+            combinationsOfBranch[bestIndex].forEach(combination => uncovered.delete(combination));
+        }
+
+        return branches.filter(branch => branch.isSkipped || chosen.has(branch));
+
+        /**
+         * @return {Array of Array} All combinations of size k from arr, each of which keeps the order of arr
+         */
+        function getCombinations(arr, k) {
+            if(k == 0) {
+                return [ [] ];
+            }
+
+            let combinations = [];
+            for(let i = 0; i <= arr.length - k; i++) {
+                getCombinations(arr.slice(i + 1), k - 1).forEach(rest => combinations.push([ arr[i] ].concat(rest)));
+            }
+            return combinations;
+        }
+    }
+
     /**
      * Attaches counts to the given object
      */
@@ -1484,6 +2052,245 @@ ${outputBranchAbove(this)}
         return str;
     }
 
+    /**
+     * Generates a JUnit XML report, where each branch is a test case
+     * Updates counts
+     * @return {String} A JUnit XML document representing this tree
+     */
+    serializeJUnit() {
+        this.updateCounts();
+
+        let notPassedOrFailed = this.counts.total - this.counts.passed - this.counts.failed;
+        let summary = `tests="${this.counts.total}" failures="${this.counts.failed}" skipped="${notPassedOrFailed}" time="${secs(this.elapsed)}"`;
+
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<testsuites name="smashtest" ${summary}>\n`;
+        xml += `    <testsuite name="smashtest" ${summary}` + (this.timeStarted instanceof Date ? ` timestamp="${this.timeStarted.toISOString()}"` : ``) + `>\n`;
+
+        this.branches.forEach(branch => {
+            let name = utils.escapeXml(branch.quickOutput(this.stepNodeIndex).trim());
+            let error = this.getBranchError(branch);
+
+            xml += `        <testcase name="${name}" classname="smashtest" time="${secs(branch.elapsed)}">\n`;
+            xml += `            <properties>\n`;
+            xml += `                <property name="hash" value="${branch.hash}"/>\n`;
+            if(branch.attempts) {
+                xml += `                <property name="attempts" value="${branch.attempts.length + 1}"/>\n`;
+                branch.isFlaky && (xml += `                <property name="flaky" value="true"/>\n`);
+            }
+            xml += `            </properties>\n`;
+
+            if(branch.isFailed && branch.isQuarantined) {
+                xml += `            <skipped message="Quarantined failure${error && error.message ? ': ' + utils.escapeXml(error.message) : ''}"/>\n`;
+            }
+            else if(branch.isFailed) {
+                let message = error ? utils.escapeXml(String(error.message || '')) : '';
+                let stack = error ? utils.escapeXml(String(error.stack || error.message || '')) : ''; // a thrown non-Error, or a deserialized error, may not have a stack
+                xml += `            <failure message="${message}" type="Error">${stack}</failure>\n`;
+            }
+            else if(branch.isSkipped) {
+                xml += `            <skipped/>\n`;
+            }
+            else if(!branch.isPassed && !branch.passedLastTime) {
+                xml += `            <skipped message="Not run"/>\n`;
+            }
+
+            xml += `            <system-out>${utils.escapeXml(this.outputStepsWithState(branch))}</system-out>\n`;
+            xml += `        </testcase>\n`;
+        });
+
+        xml += `    </testsuite>\n`;
+        xml += `</testsuites>\n`;
+
+        return xml;
+
+        /**
+         * @return {String} The given number of ms, in seconds
+         */
+        function secs(ms) {
+            return ((ms > 0 ? ms : 0) / 1000).toFixed(3);
+        }
+    }
+
+    /**
+     * Generates a TAP (version 13) report, where each branch is a test point
+     * @return {String} A TAP document representing this tree
+     */
+    serializeTap() {
+        let tap = `TAP version 13\n`;
+        tap += `1..${this.branches.length}\n`;
+
+        this.branches.forEach((branch, i) => {
+            let name = branch.quickOutput(this.stepNodeIndex).trim().replace(/#/g, '\\#');
+            let error = this.getBranchError(branch);
+
+            let isOk = !branch.isFailed;
+            let directive = '';
+            if(branch.isSkipped) {
+                directive = ' # SKIP';
+            }
+            else if(branch.isFailed && branch.isQuarantined) {
+                directive = ' # TODO quarantined';
+            }
+            else if(!branch.isFailed && !branch.isPassed && !branch.passedLastTime) {
+                directive = ' # SKIP not run';
+            }
+
+            tap += `${isOk ? 'ok' : 'not ok'} ${i + 1} - ${name}${directive}\n`;
+            tap += `  ---\n`;
+            tap += `  hash: ${branch.hash}\n`;
+            tap += `  elapsed: ${branch.elapsed > 0 ? branch.elapsed : 0}\n`;
+            if(branch.attempts) {
+                tap += `  attempts: ${branch.attempts.length + 1}\n`;
+                branch.isFlaky && (tap += `  flaky: true\n`);
+            }
+            if(branch.isFailed && error) {
+                tap += `  message: ${JSON.stringify(error.message || '')}\n`;
+                tap += `  stack: ${JSON.stringify(error.stack || error.message || '')}\n`;
+            }
+            tap += `  steps:\n`;
+            this.outputStepsWithState(branch).split('\n').forEach(line => {
+                line && (tap += `    - ${JSON.stringify(line)}\n`);
+            });
+            tap += `  ...\n`;
+        });
+
+        return tap;
+    }
+
+    /**
+     * Used by --dry-run, to see which branches would run without running them
+     * @return {Object} An Object representing the branches in this tree and their counts, able to be converted to JSON
+     */
+    serializeDryRun() {
+        this.updateCounts();
+
+        return {
+            counts: {
+                total: this.counts.total,
+                totalToRun: this.counts.totalToRun,
+                skipped: this.counts.skipped,
+                passedLastTime: this.branches.filter(branch => branch.passedLastTime).length,
+                pruned: this.pairwisePruned || 0,
+                excluded: this.counts.excluded,
+                unchanged: this.changedSinceExcluded || 0,
+                totalSteps: this.counts.totalSteps
+            },
+            branches: this.branches.map(branch => {
+                let o = {
+                    hash: branch.hash,
+                    steps: branch.steps.map(step => {
+                        let stepNode = this.stepNodeIndex[step.id];
+                        return {
+                            text: stepNode.text,
+                            level: step.level,
+                            filename: stepNode.filename,
+                            lineNumber: stepNode.lineNumber
+                        };
+                    })
+                };
+
+                utils.copyProps(o, branch, [
+                    'groups',
+                    'frequency',
+                    'isSkipped',
+                    'passedLastTime'
+                ]);
+
+                return o;
+            })
+        };
+    }
+
+    /**
+     * Used by --dry-run, to see which branches would run without running them
+     * @return {String} The branches in this tree, each followed by its steps
+     */
+    outputDryRun() {
+        return this.branches.map((branch, i) => {
+            let branchName = `Branch ${i + 1} [${branch.hash}]`;
+            if(branch.isSkipped) {
+                branchName += ` (skipped)`;
+            }
+            else if(branch.passedLastTime) {
+                branchName += ` (passed last time)`;
+            }
+
+            return branch.output(this.stepNodeIndex, branchName);
+        }).join('\n');
+    }
+
+    /**
+     * @param {Branch} branch - The branch whose error to get
+     * @return {Object} The error that failed the given branch (either the branch's own error or the error of its first failed step), null if none
+     */
+    getBranchError(branch) {
+        if(branch.error && branch.error.message) {
+            return branch.error;
+        }
+
+        let failedStep = branch.steps.find(step => step.isFailed && step.error);
+        return failedStep ? failedStep.error : null;
+    }
+
+    /**
+     * @param {Branch} branch - The branch to output
+     * @return {String} The steps of the given branch, one per line, indented by level and followed by their state (if they have one)
+     */
+    outputStepsWithState(branch) {
+        let output = '';
+        branch.steps.forEach(step => {
+            let stepNode = this.stepNodeIndex[step.id];
+            let state = '';
+            if(step.isFailed) {
+                state = ' [failed]';
+            }
+            else if(step.isSkipped) {
+                state = ' [skipped]';
+            }
+            else if(step.isPassed || branch.isPassed) {
+                state = ' [passed]';
+            }
+
+            output += utils.getIndents(step.level) + stepNode.text.trim() + state + '\n';
+        });
+
+        return output;
+    }
+
+    /**
+     * Copies the results of completed branches in previousTree over to the branches in this tree with the same hash, so that they don't need to run again
+     * Used by --watch, when a file changes and the tree is regenerated
+     * @param {Tree} previousTree - The previous generation of this tree, which has already run
+     * @return {Number} Number of branches whose results were carried over
+     */
+    carryOverResults(previousTree) {
+        const BRANCH_RESULTS = [ 'passedLastTime', 'isPassed', 'isFailed', 'isSkipped', 'isFlaky', 'attempts', 'error', 'log', 'elapsed', 'timeStarted', 'timeEnded' ];
+        const STEP_RESULTS = [ 'isPassed', 'isFailed', 'isSkipped', 'error', 'log', 'elapsed', 'timeStarted', 'timeEnded', 'targetCoords' ];
+
+        let prevBranches = {};
+        previousTree.branches.forEach(branch => {
+            if(branch.isComplete() && !branch.isRunning) {
+                prevBranches[branch.hash] = branch;
+            }
+        });
+
+        let count = 0;
+        this.branches.forEach(branch => {
+            let prevBranch = prevBranches[branch.hash];
+            if(!prevBranch || prevBranch.steps.length != branch.steps.length) {
+                return;
+            }
+
+            utils.copyProps(branch, prevBranch, BRANCH_RESULTS);
+            branch.isCarriedOver = true;
+            branch.steps.forEach((step, i) => utils.copyProps(step, prevBranch.steps[i], STEP_RESULTS));
+            count++;
+        });
+
+        return count;
+    }
+
     /**
      * Marks branches as passed if they passed in a previous run
      * @param {String} previous - A list of hashes of passed branches from a completed previous run. Same string that serializePassed() returns.
@@ -1516,9 +2323,10 @@ ${outputBranchAbove(this)}
      * @param {Boolean} [failedOnly] - If true, only count branches that have failed
      * @param {Boolean} [skippedOnly] - If true, only count branches that have skipped
      * @param {Boolean} [runningOnly] - If true, only count branches that are currently running
+     * @param {Boolean} [flakyOnly] - If true, only count branches that passed only after being retried
      * @return {Number} Number of branches
      */
-    getBranchCount(runnableOnly, completeOnly, passedOnly, failedOnly, skippedOnly, runningOnly) {
+    getBranchCount(runnableOnly, completeOnly, passedOnly, failedOnly, skippedOnly, runningOnly, flakyOnly) {
         let count = 0;
         for(let i = 0; i < this.branches.length; i++) {
             let branch = this.branches[i];
@@ -1547,6 +2355,10 @@ ${outputBranchAbove(this)}
                 continue;
             }
 
+            if(flakyOnly && !branch.isFlaky) {
+                continue;
+            }
+
             count++;
         }
 
@@ -1753,10 +2565,13 @@ ${outputBranchAbove(this)}
             running: 0,
             passed: 0,
             failed: 0,
+            quarantined: 0,
             skipped: 0,
+            flaky: 0,
             complete: 0,
             total: this.getBranchCount(false, false),
             totalToRun: this.getBranchCount(true, false),
+            excluded: this.skipGroupsExcluded || 0,
 
             // Step counts
             totalStepsComplete: 0,
@@ -1768,15 +2583,20 @@ ${outputBranchAbove(this)}
      * Updates the counts
      */
     updateCounts() {
+        let quarantined = this.branches.filter(branch => branch.isFailed && branch.isQuarantined).length;
+
         this.counts = {
             // Update branch counts
             running: this.getBranchCount(false, false, false, false, false, true),
             passed: this.getBranchCount(false, true, true, false, false),
-            failed: this.getBranchCount(false, true, false, true, false),
+            failed: this.getBranchCount(false, true, false, true, false) - quarantined,
+            quarantined: quarantined,
             skipped: this.getBranchCount(false, true, false, false, true),
+            flaky: this.getBranchCount(false, true, true, false, false, false, true),
             complete: this.getBranchCount(false, true),
             total: this.getBranchCount(false, false),
             totalToRun: this.getBranchCount(true, false),
+            excluded: this.skipGroupsExcluded || 0,
 
             // Update step counts
             totalStepsComplete: this.getStepCount(true, true, false),
@@ -1,4 +1,5 @@
 const util = require('util');
+const path = require('path');
 const Constants = require('./constants.js');
 
 /**
@@ -65,6 +66,18 @@ exports.unescapeBackticks = (str) => {
         .replace(/&amp;/g, "&");
 }
 
+/**
+ * @return {String} str, but with &, <, >, ", and ' escaped to xml entities
+ */
+exports.escapeXml = (str) => {
+    return str
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
 /**
  * @return {String} str, but with \ escaped to \\, " escaped to \", etc.
  */
@@ -218,6 +231,223 @@ exports.breather = async () => {
     await new Promise(r => setTimeout(r, 0));
 }
 
+/**
+ * @param {Promise} promise - The promise to race against the clock
+ * @param {Number} ms - Number of ms to wait before giving up, no limit if 0
+ * @param {String} message - The message of the Error to reject with if time runs out
+ * @param {Function} [onTimeout] - Called if time runs out, before the rejection
+ * @return {Promise} Promise that settles the same way as promise, or rejects with an Error if ms elapses first
+ */
+exports.timeLimit = (promise, ms, message, onTimeout) => {
+    if(!ms) {
+        return promise;
+    }
+
+    let timer = null;
+    let timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            onTimeout && onTimeout();
+            reject(new Error(message));
+        }, ms);
+    });
+
+    return Promise.race([ promise, timeoutPromise ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {String} str - Contents of a CSV file
+ * @return {Array of Array of String} The rows in str, each of which is an array of its values. Handles "quoted" values with commas, newlines, and "" (escaped quotes) inside them. Blank lines are skipped.
+ */
+exports.parseCsv = (str) => {
+    let rows = [];
+    let row = [];
+    let value = '';
+    let isQuoted = false;
+
+    str = str.replace(/^\uFEFF/, ''); // strip the byte order mark, if there is one
+
+    for(let i = 0; i < str.length; i++) {
+        let c = str[i];
+        if(isQuoted) {
+            if(c == '"' && str[i + 1] == '"') {
+                value += '"';
+                i++;
+            }
+            else if(c == '"') {
+                isQuoted = false;
+            }
+            else {
+                value += c;
+            }
+        }
+        else if(c == '"') {
+            isQuoted = true;
+        }
+        else if(c == ',') {
+            row.push(value);
+            value = '';
+        }
+        else if(c == '\n' || c == '\r') {
+            if(c == '\r' && str[i + 1] == '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        }
+        else {
+            value += c;
+        }
+    }
+
+    if(value != '' || row.length > 0) { // last line doesn't end in a newline
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows.filter(row => row.length > 1 || row[0].trim() != '');
+}
+
+/**
+ * Parses a boolean expression of group names, such as checkout and not slow, or (chrome or firefox) and smoke
+ * not binds tighter than and, which binds tighter than or. The keywords are case insensitive, but group names are not.
+ * @param {String} expression - The expression to parse
+ * @return {Function} A function that takes an Array of String (the groups of a branch), and returns true if those groups satisfy expression
+ * @throws {Error} If expression isn't written correctly
+ */
+exports.parseGroupExpression = (expression) => {
+    let tokens = expression.match(/\(|\)|[^\s()]+/g) || [];
+    let index = 0;
+
+    let isKeyword = (token, keyword) => typeof token == 'string' && token.toLowerCase() == keyword;
+    let fail = (message) => exports.error(`Invalid group expression \`${expression}\`: ${message}`);
+
+    let parseOr = () => {
+        let operands = [ parseAnd() ];
+        while(isKeyword(tokens[index], 'or')) {
+            index++;
+            operands.push(parseAnd());
+        }
+        return operands.length == 1 ? operands[0] : (groups => operands.some(operand => operand(groups)));
+    };
+
+    let parseAnd = () => {
+        let operands = [ parseNot() ];
+        while(isKeyword(tokens[index], 'and')) {
+            index++;
+            operands.push(parseNot());
+        }
+        return operands.length == 1 ? operands[0] : (groups => operands.every(operand => operand(groups)));
+    };
+
+    let parseNot = () => {
+        if(isKeyword(tokens[index], 'not')) {
+            index++;
+            let operand = parseNot();
+            return groups => !operand(groups);
+        }
+        return parsePrimary();
+    };
+
+    let parsePrimary = () => {
+        let token = tokens[index++];
+        if(typeof token == 'undefined') {
+            fail(`expected a group name at the end`);
+        }
+        else if(token == '(') {
+            let inside = parseOr();
+            if(tokens[index++] != ')') {
+                fail(`missing a )`);
+            }
+            return inside;
+        }
+        else if(token == ')' || isKeyword(token, 'and') || isKeyword(token, 'or')) {
+            fail(`expected a group name, but found \`${token}\``);
+        }
+        else {
+            return groups => groups.includes(token);
+        }
+    };
+
+    let matches = parseOr();
+    if(index < tokens.length) {
+        fail(`unexpected \`${tokens[index]}\``);
+    }
+
+    return matches;
+}
+
+/**
+ * Parses the output of git diff --unified=0 into the lines that were added or changed in each file
+ * A line that was only deleted counts as a change to the lines around it. Files other than .smash files count as changed in full.
+ * @param {String} diff - The output of git diff --unified=0 --no-color
+ * @param {String} rootDir - The absolute path of the git repo the diff is from
+ * @return {Object} Object where keys are absolute filenames and values are Arrays of changed line numbers (or true if the whole file changed). Deleted files are left out.
+ */
+exports.parseDiff = (diff, rootDir) => {
+    let changedLines = {};
+    let filename = null;
+
+    diff.split(/\r?\n/).forEach(line => {
+        let matches = null;
+        if(matches = line.match(/^\+\+\+ (.*?)\t?$/)) { // git ends the filename with a tab if it contains a space
+            let name = exports.unquoteGitPath(matches[1]).replace(/^b\//, '');
+            filename = name == '/dev/null' ? null : path.resolve(rootDir, name);
+            if(filename && !filename.match(/\.smash$/i)) {
+                changedLines[filename] = true;
+            }
+        }
+        else if((matches = line.match(/^@@ -[0-9,]+ \+([0-9]+)(?:,([0-9]+))? @@/)) && filename && changedLines[filename] !== true) {
+            let start = parseInt(matches[1]);
+            let count = typeof matches[2] == 'undefined' ? 1 : parseInt(matches[2]);
+            let lines = changedLines[filename] = changedLines[filename] || [];
+
+            if(count == 0) {
+                // Lines were deleted after line start
+                lines.push(Math.max(start, 1), start + 1);
+            }
+            else {
+                for(let i = start; i < start + count; i++) {
+                    lines.push(i);
+                }
+            }
+        }
+    });
+
+    return changedLines;
+}
+
+/**
+ * @param {String} str - A filename output by git, which git puts in double quotes with C-style escapes if it has special characters (e.g., "caf\303\251.smash")
+ * @return {String} The filename, unquoted and unescaped
+ */
+exports.unquoteGitPath = (str) => {
+    if(!str.match(/^".*"$/)) {
+        return str;
+    }
+
+    const ESCAPES = { a: '\x07', b: '\b', t: '\t', n: '\n', v: '\v', f: '\f', r: '\r' };
+    let bytes = [];
+    let inner = str.slice(1, -1);
+    for(let i = 0; i < inner.length; i++) {
+        let octal = inner.slice(i).match(/^\\([0-7]{3})/);
+        if(octal) { // a byte of a multibyte character
+            bytes.push(parseInt(octal[1], 8));
+            i += 3;
+        }
+        else if(inner[i] == '\\') {
+            i++;
+            bytes = bytes.concat(Array.from(Buffer.from(ESCAPES[inner[i]] || inner[i])));
+        }
+        else {
+            bytes = bytes.concat(Array.from(Buffer.from(inner[i])));
+        }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+}
+
 /**
  * @param {Object} destination - The object to receive properties
  * @param {Object} source - The object whose properties to copy
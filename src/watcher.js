@@ -0,0 +1,97 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
+/**
+ * Watches files and re-runs whenever one of them changes (--watch)
+ * Emits 'rerunError' with the error when a rerun throws, and 'waiting' when it's waiting for the next change
+ */
+class Watcher extends EventEmitter {
+    /**
+     * @param {Function} rerun - Async function that re-parses the files and re-runs them, called when a watched file changes. It's done once done() is called, or once it throws.
+     */
+    constructor(rerun) {
+        super();
+
+        this.rerun = rerun;
+
+        this.filenames = [];              // the files being watched
+        this.isRerunning = false;         // true from when a file change is detected until that run is done
+        this.isRerunPending = false;      // true if a file changed while a run was still going
+
+        this.interval = 500;              // ms between checks of whether a watched file changed
+        this.delay = 200;                 // ms to wait after a change for a burst of changes (e.g., an editor saving multiple files) to finish
+        this.timer = null;                // timer that goes off when it's time to re-run after a change
+    }
+
+    /**
+     * Starts watching the given files, skipping the ones already being watched
+     * @param {Array of String} filenames - The files to watch
+     */
+    watch(filenames) {
+        filenames.forEach(filename => {
+            if(this.filenames.includes(filename)) {
+                return;
+            }
+
+            this.filenames.push(filename);
+            fs.watchFile(filename, { interval: this.interval }, (curr, prev) => {
+                if(curr.mtimeMs != prev.mtimeMs) {
+                    this.change();
+                }
+            });
+        });
+    }
+
+    /**
+     * Called when a watched file changes. Re-runs once the changes stop coming in.
+     */
+    change() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.start(), this.delay);
+    }
+
+    /**
+     * Re-runs, or if a run is still going, re-runs once it's done
+     * A rerun that throws is done, so that the next change can fix whatever went wrong
+     */
+    async start() {
+        if(this.isRerunning) {
+            this.isRerunPending = true;
+            return;
+        }
+        this.isRerunning = true;
+
+        try {
+            await this.rerun();
+        }
+        catch(e) {
+            this.emit('rerunError', e);
+            this.done();
+        }
+    }
+
+    /**
+     * Called when a run is done. Re-runs if a file changed during it, otherwise waits for the next change.
+     */
+    done() {
+        this.isRerunning = false;
+
+        if(this.isRerunPending) {
+            this.isRerunPending = false;
+            this.start();
+        }
+        else {
+            this.emit('waiting');
+        }
+    }
+
+    /**
+     * Stops watching all files
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.filenames.forEach(filename => fs.unwatchFile(filename));
+        this.filenames = [];
+    }
+}
+module.exports = Watcher;
@@ -0,0 +1,152 @@
+const request = require('request-promise-native');
+const utils = require('./utils.js');
+
+/**
+ * Runs branches handed out by a remote Coordinator, and streams results back to it
+ * Acts as a plugin of the Runner it's attached to (see Runner.addPlugin())
+ */
+class Worker {
+    /**
+     * @param {Runner} runner - The Runner that will run the branches, which must have the same files and flags as the Coordinator
+     * @param {String} coordinatorUrl - The url of the Coordinator (e.g., http://localhost:9000)
+     */
+    constructor(runner, coordinatorUrl) {
+        this.runner = runner;                                    // The Runner that runs the branches we're handed
+        this.coordinatorUrl = coordinatorUrl.replace(/\/+$/, ''); // The url of the Coordinator
+
+        this.waitInterval = 500;                                 // Number of ms to wait before asking the Coordinator again, when there's nothing we can run yet
+        this.heartbeatInterval = 10000;                          // Number of ms between telling the Coordinator which branches we're still running (see Coordinator.leaseTimeout)
+        this.heartbeatTimer = null;                              // Interval that sends heartbeats
+        this.isConnected = false;                                // true once the Coordinator has responded at least once
+        this.isDisconnected = false;                             // true once sending results to the Coordinator failed, after which no more branches are taken
+    }
+
+    /**
+     * Starts sending heartbeats to the Coordinator
+     */
+    onRunStart() {
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+        this.heartbeatTimer.unref && this.heartbeatTimer.unref(); // don't keep the process alive just for heartbeats
+    }
+
+    /**
+     * Stops sending heartbeats to the Coordinator
+     */
+    onRunEnd() {
+        if(this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Asks the Coordinator for the next branch to run, and marks it as running
+     * @return {Promise} Promise that resolves to the Branch to run, or null if there are none left
+     * @throws {Error} If the Coordinator couldn't be reached, or if it hands out a branch that's not in this Worker's tree
+     */
+    async nextBranch() {
+        while(!this.runner.isStopped && !this.isDisconnected) {
+            let response = null;
+            try {
+                response = await this.post('/next', {});
+                this.isConnected = true;
+            }
+            catch(e) {
+                if(this.isConnected) {
+                    return null; // the Coordinator finished and went away
+                }
+                else {
+                    utils.error(`Could not connect to the coordinator at ${this.coordinatorUrl}`);
+                }
+            }
+
+            if(response.hash) {
+                let branch = this.runner.tree.branches.find(b => b.hash == response.hash && !b.isCompleteOrRunning());
+                if(!branch) {
+                    utils.error(`The coordinator handed out a branch that doesn't exist here (hash ${response.hash}). Make sure the coordinator and workers are run with the same files and flags.`);
+                }
+
+                branch.isRunning = true;
+                return branch;
+            }
+            else if(response.wait) {
+                await new Promise(resolve => setTimeout(resolve, this.waitInterval));
+            }
+            else {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Sends the results of a step to the Coordinator
+     */
+    async onStepEnd(step, branch) {
+        let index = branch.steps.indexOf(step);
+        if(index != -1) {
+            await this.send('/step', { hash: branch.hash, index: index, step: step.serialize() });
+        }
+    }
+
+    /**
+     * Sends the results of a branch to the Coordinator
+     */
+    async onBranchEnd(branch) {
+        await this.send('/branch', { hash: branch.hash, branch: branch.serialize() });
+    }
+
+    /**
+     * Tells the Coordinator which branches we're still running, so that it doesn't give up on them
+     * Errors are ignored, since a Coordinator that went away is handled when results are sent
+     */
+    async sendHeartbeat() {
+        let hashes = this.runner.tree.branches.filter(b => b.isRunning).map(b => b.hash);
+        if(hashes.length > 0 && !this.isDisconnected) {
+            try {
+                await this.post('/heartbeat', { hashes: hashes });
+            }
+            catch(e) {}
+        }
+    }
+
+    /**
+     * Sends results to the Coordinator
+     * If that fails (e.g., the Coordinator went away, or it gave up on the branch), logs the error and stops taking branches,
+     * letting the branches already running finish without sending in their results
+     * @param {String} path - The path to post to (e.g., '/step')
+     * @param {Object} body - The object to send
+     * @return {Promise} Promise that resolves once the results are sent or the error is handled
+     */
+    async send(path, body) {
+        if(this.isDisconnected) {
+            return;
+        }
+
+        try {
+            await this.post(path, body);
+        }
+        catch(e) {
+            this.isDisconnected = true;
+            if(this.runner.outputErrors) {
+                console.log(`Could not send results to the coordinator at ${this.coordinatorUrl}, so no more branches will be run here: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Sends the given object to the Coordinator
+     * @param {String} path - The path to post to (e.g., '/next')
+     * @param {Object} body - The object to send
+     * @return {Promise} Promise that resolves to the Coordinator's response
+     */
+    post(path, body) {
+        return request.post({
+            uri: this.coordinatorUrl + path,
+            body: body,
+            json: true
+        });
+    }
+}
+module.exports = Worker;
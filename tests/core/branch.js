@@ -821,6 +821,78 @@ describe("Branch", () => {
         });
     });
 
+    describe("retry()", () => {
+        it("records the failed attempt and resets the branch", () => {
+            let branch = new Branch();
+            branch.hash = 'abc';
+            branch.steps = [ new Step(1), new Step(2), new Step(3) ];
+            branch.steps[2].isSkipped = true;
+
+            let stepsBeforeRun = branch.steps.map(step => step.clone());
+
+            branch.steps[0].isPassed = true;
+            branch.steps[1].isFailed = true;
+            branch.steps[1].error = { message: "oops" };
+            branch.isRunning = true;
+            branch.isFailed = true;
+            branch.elapsed = 10;
+            branch.appendToLog("foobar");
+
+            branch.retry(stepsBeforeRun);
+
+            Comparer.expect(branch).to.match({
+                steps: [
+                    { id: 1, isPassed: undefined },
+                    { id: 2, isFailed: undefined, error: undefined },
+                    { id: 3, isSkipped: true }
+                ],
+                isFailed: undefined,
+                isRunning: true,
+                error: undefined,
+                log: undefined,
+                elapsed: undefined,
+                attempts: [
+                    {
+                        steps: [
+                            { id: 1, isPassed: true },
+                            { id: 2, isFailed: true, error: { message: "oops" } },
+                            { id: 3, isSkipped: true }
+                        ],
+                        isFailed: true,
+                        elapsed: 10,
+                        log: [ { text: "foobar" } ],
+                        hash: undefined,
+                        isRunning: undefined,
+                        attempts: undefined
+                    }
+                ]
+            });
+
+            // The steps of the next attempt are fresh copies
+            expect(branch.steps[2]).to.not.equal(stepsBeforeRun[2]);
+
+            branch.markBranch('fail');
+            branch.retry(stepsBeforeRun);
+            expect(branch.attempts).to.have.lengthOf(2);
+            expect(branch.attempts[1].attempts).to.be.undefined;
+        });
+
+        it("marks a branch as flaky if it passes after a retry", () => {
+            let branch = new Branch();
+            branch.steps = [ new Step(1) ];
+            let stepsBeforeRun = branch.steps.map(step => step.clone());
+
+            branch.markBranch('fail');
+            expect(branch.isFlaky).to.be.undefined;
+
+            branch.retry(stepsBeforeRun);
+            branch.markBranch('pass');
+
+            expect(branch.isPassed).to.be.true;
+            expect(branch.isFlaky).to.be.true;
+        });
+    });
+
     describe("serialize()", () => {
         it("returns a serialized object", () => {
             let b = new Branch();
@@ -0,0 +1,215 @@
+const chai = require('chai');
+const chaiAsPromised = require("chai-as-promised");
+const expect = chai.expect;
+const assert = chai.assert;
+const getPort = require('get-port');
+const Tree = require('../../src/tree.js');
+const Runner = require('../../src/runner.js');
+const Coordinator = require('../../src/coordinator.js');
+const Worker = require('../../src/worker.js');
+
+chai.use(chaiAsPromised);
+
+describe("Coordinator", () => {
+    /**
+     * @return {Runner} A new, initialized Runner for the given text
+     */
+    function createRunner(text) {
+        let tree = new Tree();
+        tree.parseIn(text, "file.txt");
+
+        let runner = new Runner();
+        runner.init(tree, true);
+        runner.consoleOutput = false;
+        runner.outputErrors = false;
+
+        return runner;
+    }
+
+    /**
+     * @return {Runner} A new Runner that works for the coordinator at the given port
+     */
+    function createWorker(text, port) {
+        let runner = createRunner(text);
+        runner.worker = new Worker(runner, `http://localhost:${port}/`);
+        runner.worker.waitInterval = 10;
+        runner.addPlugin(runner.worker);
+
+        return runner;
+    }
+
+    describe("run()", () => {
+        it("hands out branches to workers and collects their results", async () => {
+            let text = `
+A -
+    B -
+    C {
+        throw new Error("oops");
+    }
+    D -
+`;
+
+            let port = await getPort();
+            let coordinatorRunner = createRunner(text);
+            coordinatorRunner.coordinator = new Coordinator(coordinatorRunner, port);
+
+            let coordinatorPromise = coordinatorRunner.run();
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            let worker1 = createWorker(text, port);
+            let worker2 = createWorker(text, port);
+            await Promise.all([ worker1.run(), worker2.run(), coordinatorPromise ]);
+
+            let tree = coordinatorRunner.tree;
+            expect(coordinatorRunner.isComplete).to.be.true;
+            expect(tree.branches.every(branch => branch.isComplete())).to.be.true;
+            expect(tree.branches.find(branch => branch.isRunning)).to.be.undefined;
+
+            let branchB = tree.branches.find(branch => tree.stepNodeIndex[branch.steps[1].id].text == 'B');
+            let branchC = tree.branches.find(branch => tree.stepNodeIndex[branch.steps[1].id].text == 'C');
+            expect(branchB.isPassed).to.be.true;
+            expect(branchC.isFailed).to.be.true;
+            expect(branchC.steps[0].isPassed).to.be.true;
+            expect(branchC.steps[1].isFailed).to.be.true;
+            expect(branchC.steps[1].error.message).to.equal("oops");
+
+            // Each branch was run by exactly one worker
+            let ranByWorker1 = worker1.tree.branches.filter(branch => branch.isComplete()).length;
+            let ranByWorker2 = worker2.tree.branches.filter(branch => branch.isComplete()).length;
+            expect(ranByWorker1 + ranByWorker2).to.equal(3);
+        });
+
+        it("doesn't hand out branches with the same nonParallelId at the same time", async () => {
+            let text = `
+! A -
+    B {
+        runInstance.runner.p('running', (runInstance.runner.p('running') || 0) + 1);
+        if(runInstance.runner.p('running') > 1) {
+            throw new Error("ran in parallel");
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+        runInstance.runner.p('running', runInstance.runner.p('running') - 1);
+    }
+    C -
+    D -
+`;
+
+            let port = await getPort();
+            let coordinatorRunner = createRunner(text);
+            coordinatorRunner.coordinator = new Coordinator(coordinatorRunner, port);
+
+            let coordinatorPromise = coordinatorRunner.run();
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            // Both workers share persistent vars, so they can detect running in parallel
+            let worker1 = createWorker(text, port);
+            let worker2 = createWorker(text, port);
+            worker2.persistent = worker1.persistent;
+
+            await Promise.all([ worker1.run(), worker2.run(), coordinatorPromise ]);
+
+            let tree = coordinatorRunner.tree;
+            expect(tree.branches).to.have.lengthOf(3);
+            expect(tree.branches.every(branch => branch.isPassed)).to.be.true;
+        });
+
+        it("fails a branch whose worker stopped responding, so that the run still completes", async () => {
+            let port = await getPort();
+            let coordinatorRunner = createRunner(`
+A -
+`);
+            coordinatorRunner.coordinator = new Coordinator(coordinatorRunner, port);
+            coordinatorRunner.coordinator.leaseTimeout = 40;
+
+            let coordinatorPromise = coordinatorRunner.run();
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            coordinatorRunner.coordinator.next(); // a worker takes the branch, then crashes
+            await coordinatorPromise;
+
+            let branch = coordinatorRunner.tree.branches[0];
+            expect(coordinatorRunner.isComplete).to.be.true;
+            expect(branch.isFailed).to.be.true;
+            expect(branch.isRunning).to.be.undefined;
+            expect(branch.error.message).to.equal("The worker running this branch stopped responding (not heard from in 0.04 seconds)");
+        });
+
+        it("resolves immediately if there are no branches left to run", async () => {
+            let port = await getPort();
+            let coordinatorRunner = createRunner(`
+A -
+`);
+            coordinatorRunner.coordinator = new Coordinator(coordinatorRunner, port);
+            coordinatorRunner.tree.branches[0].passedLastTime = true;
+
+            await coordinatorRunner.run();
+            expect(coordinatorRunner.isComplete).to.be.true;
+            expect(coordinatorRunner.coordinator.server).to.equal(null);
+        });
+    });
+
+    describe("next()", () => {
+        it("tells the worker to wait when the remaining branches share a nonParallelId with a running branch", () => {
+            let runner = createRunner(`
+! A -
+    B -
+    C -
+`);
+            let coordinator = new Coordinator(runner, 0);
+
+            let response = coordinator.next();
+            expect(response.hash).to.equal(runner.tree.branches[0].hash);
+
+            expect(coordinator.next()).to.eql({ wait: true });
+
+            coordinator.updateBranch(response.hash, { isPassed: true, steps: [] });
+
+            response = coordinator.next();
+            expect(response.hash).to.equal(runner.tree.branches[1].hash);
+
+            coordinator.updateBranch(response.hash, { isPassed: true, steps: [] });
+
+            expect(coordinator.next()).to.eql({ done: true });
+        });
+    });
+
+    describe("checkLeases()", () => {
+        it("only fails branches whose worker hasn't been heard from within the lease timeout", () => {
+            let runner = createRunner(`
+A -
+B -
+`);
+            let coordinator = new Coordinator(runner, 0);
+            coordinator.leaseTimeout = 1000;
+
+            let hashA = coordinator.next().hash;
+            let hashB = coordinator.next().hash;
+            coordinator.leases[hashA] = Date.now() - 2000;
+            coordinator.leases[hashB] = Date.now() - 2000;
+
+            coordinator.updateStep(hashB, 0, { isPassed: true }); // hearing from a worker renews its lease
+            coordinator.checkLeases();
+
+            expect(runner.tree.branches[0].isFailed).to.be.true;
+            expect(runner.tree.branches[1].isRunning).to.be.true;
+            expect(Object.keys(coordinator.leases)).to.eql([ hashB ]);
+
+            assert.throws(() => {
+                coordinator.updateBranch(hashA, { isPassed: true, steps: [] });
+            }, `No running branch with hash ${hashA}`);
+        });
+    });
+
+    describe("updateBranch()", () => {
+        it("throws an error if no running branch has the given hash", () => {
+            let runner = createRunner(`
+A -
+`);
+            let coordinator = new Coordinator(runner, 0);
+
+            assert.throws(() => {
+                coordinator.updateBranch('foo', { isPassed: true, steps: [] });
+            }, "No running branch with hash foo");
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const chai = require('chai');
+const expect = chai.expect;
+const Differ = require('../../src/differ.js');
+
+describe("Differ", () => {
+    /**
+     * @return {Object} A run in the format returned by Differ.fromReportData(), with the given statuses and elapsed times for each hash
+     */
+    function makeRun(branches) {
+        let run = { timeStarted: 't', isPartial: false, hasSteps: true, branches: {}, notRun: [] };
+        for(let hash in branches) {
+            run.branches[hash] = Object.assign({ name: `Branch ${hash}`, elapsed: 100 }, branches[hash]);
+        }
+        return run;
+    }
+
+    describe("fromReportData()", () => {
+        it("converts report data into a run, listing branches that didn't complete as not run", () => {
+            let reportData = {
+                tree: {
+                    timeStarted: 't',
+                    counts: { total: 3 },
+                    stepNodeIndex: {
+                        1: { text: "A", filename: "file.smash", lineNumber: 1 },
+                        2: { text: "B", filename: "file.smash", lineNumber: 2 }
+                    },
+                    branches: [
+                        { hash: 'h1', isPassed: true, elapsed: 30, steps: [ { id: 1, elapsed: 10 }, { id: 2, elapsed: 20 } ] },
+                        { hash: 'h2', isFailed: true, elapsed: 10, steps: [ { id: 1, elapsed: 10 } ] },
+                        { hash: 'h3', isRunning: true, steps: [ { id: 2 } ] }
+                    ]
+                }
+            };
+
+            expect(new Differ().fromReportData(reportData)).to.eql({
+                timeStarted: 't',
+                isPartial: false,
+                hasSteps: true,
+                notRun: [ 'h3' ],
+                branches: {
+                    h1: {
+                        name: "A B",
+                        status: 'passed',
+                        elapsed: 30,
+                        steps: [
+                            { key: "file.smash:1", text: "A", elapsed: 10 },
+                            { key: "file.smash:2", text: "B", elapsed: 20 }
+                        ]
+                    },
+                    h2: {
+                        name: "A",
+                        status: 'failed',
+                        elapsed: 10,
+                        steps: [
+                            { key: "file.smash:1", text: "A", elapsed: 10 }
+                        ]
+                    }
+                }
+            });
+        });
+
+        it("marks a run as partial if the report data left out branches", () => {
+            let reportData = {
+                tree: { counts: { total: 5 }, stepNodeIndex: {}, branches: [] }
+            };
+
+            expect(new Differ().fromReportData(reportData).isPartial).to.equal(true);
+        });
+
+        it("lists branches that passed last time as not run", () => {
+            let reportData = {
+                tree: {
+                    counts: { total: 2 },
+                    stepNodeIndex: { 1: { text: "A", filename: "file.smash", lineNumber: 1 } },
+                    branches: [
+                        { hash: 'h1', isPassed: true, steps: [ { id: 1 } ] },
+                        { hash: 'h2', isPassed: true, passedLastTime: true, steps: [ { id: 1 } ] }
+                    ]
+                }
+            };
+
+            let run = new Differ().fromReportData(reportData);
+            expect(run.branches).to.eql({});
+            expect(run.notRun).to.eql([ 'h1', 'h2' ]);
+        });
+    });
+
+    describe("fromHistoryRun()", () => {
+        it("converts a run from the history file into a run", () => {
+            let historyRun = {
+                timeStarted: 't',
+                counts: { passed: 1, failed: 0, skipped: 0 },
+                branches: { h1: { status: 'passed', elapsed: 10, isFlaky: true } },
+                names: { h1: "A B" },
+                notRun: [ 'h2' ]
+            };
+
+            expect(new Differ().fromHistoryRun(historyRun)).to.eql({
+                timeStarted: 't',
+                isPartial: false,
+                hasSteps: false,
+                branches: { h1: { name: "A B", status: 'passed', elapsed: 10 } },
+                notRun: [ 'h2' ]
+            });
+        });
+
+        it("marks a run as partial if the history file didn't list the branches it left out", () => {
+            let historyRun = {
+                timeStarted: 't',
+                branches: { h1: { status: 'passed', elapsed: 10 } }
+            };
+
+            let run = new Differ().fromHistoryRun(historyRun);
+            expect(run.isPartial).to.equal(true);
+            expect(run.branches.h1.name).to.equal('');
+        });
+    });
+
+    describe("diff()", () => {
+        it("finds newly failing and newly passing branches", () => {
+            let oldRun = makeRun({ h1: { status: 'passed' }, h2: { status: 'failed' }, h3: { status: 'failed' }, h4: { status: 'skipped' } });
+            let newRun = makeRun({ h1: { status: 'failed' }, h2: { status: 'passed' }, h3: { status: 'failed' }, h4: { status: 'failed' } });
+
+            let diff = new Differ().diff(oldRun, newRun);
+            expect(diff.newlyFailing).to.eql([ { hash: 'h1', name: "Branch h1" }, { hash: 'h4', name: "Branch h4" } ]);
+            expect(diff.newlyPassing).to.eql([ { hash: 'h2', name: "Branch h2" } ]);
+        });
+
+        it("finds added and removed branches by hash", () => {
+            let oldRun = makeRun({ h1: { status: 'passed' }, h2: { status: 'passed' } });
+            let newRun = makeRun({ h2: { status: 'passed' }, h3: { status: 'failed' } });
+
+            let diff = new Differ().diff(oldRun, newRun);
+            expect(diff.added).to.eql([ { hash: 'h3', name: "Branch h3" } ]);
+            expect(diff.removed).to.eql([ { hash: 'h1', name: "Branch h1" } ]);
+            expect(diff.newlyFailing).to.eql([]);
+        });
+
+        it("treats a branch that didn't run in one of the runs as unchanged, rather than added or removed", () => {
+            let oldRun = makeRun({ h1: { status: 'failed' } });
+            oldRun.notRun = [ 'h2' ];
+            let newRun = makeRun({ h2: { status: 'passed' } });
+            newRun.notRun = [ 'h1' ];
+
+            let diff = new Differ().diff(oldRun, newRun);
+            expect(diff.added).to.eql([]);
+            expect(diff.removed).to.eql([]);
+            expect(diff.newlyPassing).to.eql([]);
+        });
+
+        it("uses the name of a branch from either run", () => {
+            let oldRun = makeRun({ h1: { status: 'passed' } });
+            let newRun = { branches: { h1: { status: 'failed', elapsed: 100 } } };
+
+            expect(new Differ().diff(oldRun, newRun).newlyFailing).to.eql([ { hash: 'h1', name: "Branch h1" } ]);
+            expect(new Differ().diff(newRun, { branches: {} }).removed).to.eql([ { hash: 'h1', name: "" } ]);
+        });
+
+        it("finds passing branches that got slower by more than the threshold", () => {
+            let oldRun = makeRun({ h1: { status: 'passed', elapsed: 1000 }, h2: { status: 'passed', elapsed: 1000 }, h3: { status: 'passed', elapsed: 10 } });
+            let newRun = makeRun({ h1: { status: 'passed', elapsed: 1400 }, h2: { status: 'passed', elapsed: 1600 }, h3: { status: 'passed', elapsed: 90 } });
+
+            expect(new Differ().diff(oldRun, newRun).slowerBranches).to.eql([
+                { hash: 'h2', name: "Branch h2", oldElapsed: 1000, newElapsed: 1600 }
+            ]);
+            expect(new Differ(30).diff(oldRun, newRun).slowerBranches.map(item => item.hash)).to.eql([ 'h2', 'h1' ]);
+        });
+
+        it("finds steps whose average elapsed time across branches got slower by more than the threshold", () => {
+            let oldRun = makeRun({
+                h1: { status: 'passed', steps: [ { key: "f:1", text: "A", elapsed: 100 }, { key: "f:2", text: "B", elapsed: 500 } ] },
+                h2: { status: 'passed', steps: [ { key: "f:1", text: "A", elapsed: 300 } ] }
+            });
+            let newRun = makeRun({
+                h1: { status: 'passed', steps: [ { key: "f:1", text: "A", elapsed: 500 }, { key: "f:2", text: "B", elapsed: 600 } ] },
+                h2: { status: 'failed', steps: [ { key: "f:1", text: "A", elapsed: 700 } ] },
+                h3: { status: 'passed', steps: [ { key: "f:3", text: "C", elapsed: 5000 } ] }
+            });
+
+            expect(new Differ().diff(oldRun, newRun).slowerSteps).to.eql([
+                { key: "f:1", text: "A", oldElapsed: 200, newElapsed: 600 }
+            ]);
+
+            oldRun.hasSteps = false;
+            let diff = new Differ().diff(oldRun, newRun);
+            expect(diff.hasSteps).to.equal(false);
+            expect(diff.slowerSteps).to.eql([]);
+        });
+    });
+
+    describe("outputHtml()", () => {
+        it("outputs each section that has branches or steps in it, escaped", () => {
+            let diff = new Differ().diff(makeRun({ h1: { status: 'passed', name: "A <b>" } }), makeRun({ h1: { status: 'failed', name: "A <b>" } }));
+            let html = new Differ().outputHtml(diff);
+
+            expect(html).to.contain(`<h2 class="failed">Newly failing branches (1)</h2>`);
+            expect(html).to.contain(`<li>A &lt;b&gt; <span class="gray">[h1]</span></li>`);
+            expect(html).to.not.contain(`Newly passing branches`);
+        });
+
+        it("says when there are no differences", () => {
+            let html = new Differ().outputHtml(new Differ().diff(makeRun({}), makeRun({})));
+            expect(html).to.contain(`<p>No differences found</p>`);
+            expect(html).to.not.contain(`Steps weren't compared`);
+        });
+
+        it("says when steps weren't compared", () => {
+            let oldRun = makeRun({});
+            oldRun.hasSteps = false;
+
+            let html = new Differ().outputHtml(new Differ().diff(oldRun, makeRun({})));
+            expect(html).to.contain(`<p class="gray">Steps weren't compared, since the history doesn't keep step times.`);
+        });
+    });
+});
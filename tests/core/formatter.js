@@ -0,0 +1,175 @@
+const chai = require('chai');
+const expect = chai.expect;
+const assert = chai.assert;
+const Formatter = require('../../src/formatter.js');
+
+describe("Formatter", () => {
+    let formatter = new Formatter();
+
+    describe("format()", () => {
+        it("leaves a formatted file as is", () => {
+            let text = `Open Chrome
+    Navigate to 'site.com'
+
+        Click 'Sign In' // comment
+`;
+            expect(formatter.format(text, "file.smash")).to.equal(text);
+        });
+
+        it("rewrites indents that aren't multiples of 4 spaces", () => {
+            expect(formatter.format(`A -
+  B -
+    C -
+  D -
+E -
+     F -
+`, "file.smash")).to.equal(`A -
+    B -
+        C -
+    D -
+E -
+    F -
+`);
+        });
+
+        it("rewrites an indent that's more than one level deeper as one level deeper", () => {
+            expect(formatter.format(`A -
+            B -
+    C -
+`, "file.smash")).to.equal(`A -
+    B -
+    C -
+`);
+        });
+
+        it("converts tabs to 4 spaces", () => {
+            expect(formatter.format(`A -
+\tB -
+\t\tC -
+`, "file.smash")).to.equal(`A -
+    B -
+        C -
+`);
+        });
+
+        it("unindents the first step", () => {
+            expect(formatter.format(`  A -
+      B -
+`, "file.smash")).to.equal(`A -
+    B -
+`);
+        });
+
+        it("normalizes the order of modifiers, keeping them on the same side", () => {
+            expect(formatter.format(`$ ~ A #two - + #one
+  .. ~~ B -s
+`, "file.smash")).to.equal(`~ $ A + - #two #one
+    ~~ .. B -s
+`);
+        });
+
+        it("normalizes the spacing around function declarations, modifiers, and brackets", () => {
+            expect(formatter.format(`*   F    +    $
+**  G
+***   Before Every Branch {
+}
+H   [
+    I -
+]
+`, "file.smash")).to.equal(`* F $ +
+** G
+*** Before Every Branch {
+}
+H [
+    I -
+]
+`);
+        });
+
+        it("aligns the comments of consecutive steps", () => {
+            expect(formatter.format(`A -   // one
+  Longer step - // two
+  C -
+
+  D -      // three
+`, "file.smash")).to.equal(`A -               // one
+    Longer step - // two
+    C -
+
+    D - // three
+`);
+        });
+
+        it("indents full-line comments to the level of the step below", () => {
+            expect(formatter.format(`A -
+// comment
+  B -
+`, "file.smash")).to.equal(`A -
+    // comment
+    B -
+`);
+        });
+
+        it("preserves code blocks, shifting them along with their step", () => {
+            expect(formatter.format(`A -
+  B {
+      let x = \`
+line
+\`;
+        if(x) {
+          foo();
+        }
+  }
+`, "file.smash")).to.equal(`A -
+    B {
+        let x = \`
+line
+\`;
+          if(x) {
+            foo();
+          }
+    }
+`);
+        });
+
+        it("keeps blank lines, but removes trailing whitespace and extra blank lines at the end of the file", () => {
+            expect(formatter.format(`
+A -
+
+B -
+
+
+`, "file.smash")).to.equal(`
+A -
+
+B -
+`);
+        });
+
+        it("keeps sequential (..) lines", () => {
+            expect(formatter.format(`..
+  A -
+  B -
+`, "file.smash")).to.equal(`..
+A -
+B -
+`);
+        });
+
+        it("throws an error for an unclosed code block", () => {
+            assert.throws(() => {
+                formatter.format(`A -
+  B {
+    foo();
+`, "file.smash");
+            }, "An unclosed code block was found [file.smash:2]");
+        });
+
+        it("throws an error for a step that can't be parsed", () => {
+            assert.throws(() => {
+                formatter.format(`* F -
+`, "file.smash");
+            }, "A function declaration cannot be a textual step (-) as well [file.smash:1]");
+        });
+    });
+});
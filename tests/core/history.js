@@ -0,0 +1,214 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const History = require('../../src/history.js');
+const Tree = require('../../src/tree.js');
+const Branch = require('../../src/branch.js');
+const Step = require('../../src/step.js');
+
+describe("History", () => {
+    let filename = path.join(os.tmpdir(), `smashtest-history-test-${process.pid}.jsonl`);
+
+    afterEach(() => {
+        if(fs.existsSync(filename)) {
+            fs.unlinkSync(filename);
+        }
+    });
+
+    /**
+     * @return {Tree} A tree with a branch for each of the given objects, whose properties are copied onto the branch
+     */
+    function makeTree(branchProps, timeStarted) {
+        let tree = new Tree();
+        tree.timeStarted = new Date(timeStarted || '2020-01-01T00:00:00.000Z');
+        tree.elapsed = 1000;
+        tree.stepNodeIndex = { 1: { text: "Step one" }, 2: { text: "Step two" } };
+        tree.branches = branchProps.map(props => {
+            let branch = new Branch();
+            branch.steps = [ new Step(1) ];
+            return Object.assign(branch, props);
+        });
+        return tree;
+    }
+
+    describe("load()", () => {
+        it("has no runs if the history file doesn't exist", () => {
+            let history = new History(filename);
+            history.load();
+            expect(history.runs).to.eql([]);
+        });
+
+        it("reads in each line as a run, ignoring lines that aren't valid JSON", () => {
+            fs.writeFileSync(filename, `{"timeStarted":"one","branches":{}}\n{"timeSta\n\n{"timeStarted":"two","branches":{}}\n`);
+
+            let history = new History(filename);
+            history.load();
+            expect(history.runs.map(run => run.timeStarted)).to.eql([ "one", "two" ]);
+        });
+    });
+
+    describe("serializeRun()", () => {
+        it("serializes the results and names of the branches that completed, keyed by hash, and lists the ones that didn't", () => {
+            let failedStep = new Step(2);
+            failedStep.isFailed = true;
+            failedStep.error = new Error("oops");
+
+            let tree = makeTree([
+                { hash: 'A', isPassed: true, elapsed: 10 },
+                { hash: 'B', isPassed: true, isFlaky: true, elapsed: 20 },
+                { hash: 'C', isFailed: true, elapsed: 30, steps: [ failedStep ] },
+                { hash: 'D', isSkipped: true },
+                { hash: 'E', passedLastTime: true },
+                { hash: 'F', isRunning: true }
+            ]);
+
+            expect(new History(filename).serializeRun(tree)).to.eql({
+                timeStarted: '2020-01-01T00:00:00.000Z',
+                elapsed: 1000,
+                counts: { passed: 2, failed: 1, skipped: 1 },
+                branches: {
+                    A: { status: 'passed', elapsed: 10 },
+                    B: { status: 'passed', elapsed: 20, isFlaky: true },
+                    C: { status: 'failed', elapsed: 30, error: 'oops' },
+                    D: { status: 'skipped', elapsed: 0 }
+                },
+                names: {
+                    A: "Step one",
+                    B: "Step one",
+                    C: "Step two",
+                    D: "Step one"
+                },
+                notRun: [ 'E', 'F' ]
+            });
+        });
+
+        it("leaves out branches carried over from a previous generation of the tree", () => {
+            let tree = makeTree([
+                { hash: 'A', isPassed: true, elapsed: 10 },
+                { hash: 'B', isFailed: true, isCarriedOver: true, elapsed: 20 }
+            ]);
+
+            let run = new History(filename).serializeRun(tree);
+            expect(run.branches).to.eql({ A: { status: 'passed', elapsed: 10 } });
+            expect(run.counts).to.eql({ passed: 1, failed: 0, skipped: 0 });
+            expect(run.notRun).to.eql([ 'B' ]);
+        });
+    });
+
+    describe("append()", () => {
+        it("appends a run to the history file", () => {
+            let history = new History(filename);
+            history.load();
+            history.append(makeTree([ { hash: 'A', isPassed: true, elapsed: 10 } ], '2020-01-01'));
+            history.append(makeTree([ { hash: 'A', isFailed: true, elapsed: 20 } ], '2020-01-02'));
+
+            let reloaded = new History(filename);
+            reloaded.load();
+            expect(reloaded.runs.map(run => run.branches.A.status)).to.eql([ 'passed', 'failed' ]);
+            expect(fs.readFileSync(filename, 'utf8').split('\n')).to.have.lengthOf(3);
+        });
+
+        it("drops the oldest runs once there are more than maxRuns", () => {
+            let history = new History(filename, 2);
+            history.load();
+            history.append(makeTree([ { hash: 'A', isPassed: true, elapsed: 1 } ]));
+            history.append(makeTree([ { hash: 'A', isPassed: true, elapsed: 2 } ]));
+            history.append(makeTree([ { hash: 'A', isPassed: true, elapsed: 3 } ]));
+
+            let reloaded = new History(filename);
+            reloaded.load();
+            expect(reloaded.runs.map(run => run.branches.A.elapsed)).to.eql([ 2, 3 ]);
+        });
+    });
+
+    describe("getBranchHistory()", () => {
+        let history = null;
+
+        beforeEach(() => {
+            history = new History(filename);
+            history.runs = [
+                { timeStarted: 't1', branches: { A: { status: 'failed', elapsed: 40 }, B: { status: 'passed', elapsed: 10 } } },
+                { timeStarted: 't2', branches: { A: { status: 'passed', elapsed: 20 } } },
+                { timeStarted: 't3', branches: { A: { status: 'failed', elapsed: 30 }, B: { status: 'passed', elapsed: 20 } } },
+                { timeStarted: 't4', branches: { A: { status: 'skipped', elapsed: 0 } } },
+                { timeStarted: 't5', branches: { A: { status: 'failed', elapsed: 10 } } }
+            ];
+        });
+
+        it("returns the runs a branch was in, with pass/fail counts and its average duration", () => {
+            expect(history.getBranchHistory('B')).to.eql({
+                runs: [
+                    { timeStarted: 't1', status: 'passed', elapsed: 10 },
+                    { timeStarted: 't3', status: 'passed', elapsed: 20 }
+                ],
+                passed: 2,
+                failed: 0,
+                averageElapsed: 15,
+                flakiness: 0
+            });
+        });
+
+        it("scores flakiness by how often a branch's result changed, or it needed a retry to pass", () => {
+            expect(history.getBranchHistory('A').flakiness).to.equal(0.5); // fail, pass (changed), fail (changed), skip, fail
+
+            history.runs = [
+                { timeStarted: 't1', branches: { C: { status: 'passed', elapsed: 10, isFlaky: true } } },
+                { timeStarted: 't2', branches: { C: { status: 'passed', elapsed: 10 } } },
+                { timeStarted: 't3', branches: { C: { status: 'passed', elapsed: 10 } } },
+                { timeStarted: 't4', branches: { C: { status: 'passed', elapsed: 10 } } }
+            ];
+            expect(history.getBranchHistory('C').flakiness).to.equal(0.25);
+        });
+
+        it("doesn't score a branch that always fails as flaky", () => {
+            history.runs = [
+                { timeStarted: 't1', branches: { C: { status: 'failed', elapsed: 10 } } },
+                { timeStarted: 't2', branches: { C: { status: 'failed', elapsed: 10 } } }
+            ];
+            expect(history.getBranchHistory('C').flakiness).to.equal(0);
+        });
+
+        it("sets firstFailed to the run where the current streak of failures started, ignoring skipped runs", () => {
+            let branchHistory = history.getBranchHistory('A');
+            expect(branchHistory.firstFailed).to.equal('t3');
+            expect(branchHistory.passed).to.equal(1);
+            expect(branchHistory.failed).to.equal(3);
+            expect(branchHistory.averageElapsed).to.equal(25);
+        });
+
+        it("only includes the most recent maxRuns runs", () => {
+            expect(history.getBranchHistory('A', 2).runs.map(run => run.timeStarted)).to.eql([ 't4', 't5' ]);
+        });
+
+        it("returns null for a branch that never ran before", () => {
+            expect(history.getBranchHistory('C')).to.equal(null);
+        });
+    });
+
+    describe("getLatestDurations()", () => {
+        it("maps each branch to how long it took the last time it passed or failed", () => {
+            let history = new History(filename);
+            history.runs = [
+                { timeStarted: 't1', branches: { A: { status: 'passed', elapsed: 10 }, B: { status: 'failed', elapsed: 20 } } },
+                { timeStarted: 't2', branches: { A: { status: 'failed', elapsed: 30 }, B: { status: 'skipped', elapsed: 0 } } }
+            ];
+
+            expect(history.getLatestDurations()).to.eql({ A: 30, B: 20 });
+        });
+    });
+
+    describe("serializeForReport()", () => {
+        it("includes the history of each branch in the tree that ran before", () => {
+            let history = new History(filename);
+            history.runs = [
+                { timeStarted: 't1', branches: { A: { status: 'passed', elapsed: 10 }, Z: { status: 'passed', elapsed: 10 } } }
+            ];
+
+            let report = history.serializeForReport(makeTree([ { hash: 'A' }, { hash: 'B' } ]), 20);
+            expect(Object.keys(report)).to.eql([ 'A' ]);
+            expect(report.A.runs).to.have.lengthOf(1);
+        });
+    });
+});
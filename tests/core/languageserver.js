@@ -0,0 +1,317 @@
+const chai = require('chai');
+const expect = chai.expect;
+const assert = chai.assert;
+const fs = require('fs');
+const path = require('path');
+const LanguageServer = require('../../src/languageserver.js');
+
+describe("LanguageServer", () => {
+    const FILE1 = path.resolve('/project/file1.smash');
+    const FILE2 = path.resolve('/project/file2.smash');
+
+    let server = null;
+
+    beforeEach(() => {
+        server = new LanguageServer();
+        server.initialize();
+    });
+
+    describe("getDiagnostics()", () => {
+        it("returns no diagnostics for a valid file", () => {
+            server.setFile(FILE1, `
+{x} = '1'
+    Verify {x} is '1'
+`);
+            expect(server.getDiagnostics(FILE1)).to.eql([]);
+        });
+
+        it("returns a parse error at its line", () => {
+            server.setFile(FILE1, `
+A -
+        B -
+`);
+            let diagnostics = server.getDiagnostics(FILE1);
+            expect(diagnostics).to.have.lengthOf(1);
+            expect(diagnostics[0].message).to.equal("You cannot have a step that has 2 or more indents beyond the previous step");
+            expect(diagnostics[0].range).to.eql({ start: { line: 2, character: 8 }, end: { line: 2, character: 11 } });
+        });
+
+        it("returns parse errors for each file separately", () => {
+            server.setFile(FILE1, `
+A -
+        B -
+`);
+            server.setFile(FILE2, `
+C {
+`);
+            expect(server.getDiagnostics(FILE1)).to.have.lengthOf(1);
+            expect(server.getDiagnostics(FILE2)).to.have.lengthOf(1);
+            expect(server.getDiagnostics(FILE2)[0].message).to.equal("An unclosed code block was found");
+        });
+
+        it("returns an error for a function call with no matching function declaration", () => {
+            server.setFile(FILE1, `
+A -
+    Missing function
+`);
+            let diagnostics = server.getDiagnostics(FILE1);
+            expect(diagnostics).to.have.lengthOf(1);
+            expect(diagnostics[0].message).to.match(/^The function `Missing function` cannot be found/);
+            expect(diagnostics[0].range.start.line).to.equal(2);
+        });
+
+        it("doesn't make the functions in an imported file global, as the cli doesn't", () => {
+            const MAIN = path.join(__dirname, 'main.smash');
+            const AUTH = path.join(__dirname, 'imports/auth.smash');
+            const HELPERS = path.join(__dirname, 'imports/helpers.smash');
+            const OTHER = path.join(__dirname, 'other.smash');
+
+            server.files[AUTH] = fs.readFileSync(AUTH, 'utf8');
+            server.files[HELPERS] = fs.readFileSync(HELPERS, 'utf8');
+            server.files[MAIN] = `
+Import 'imports/auth.smash'
+
+Log in as 'bob'
+`;
+            server.setFile(OTHER, `
+Log in as 'alice'
+`);
+
+            expect(server.getDiagnostics(MAIN)).to.eql([]);
+            expect(server.getDiagnostics(AUTH)).to.eql([]);
+            expect(server.getDiagnostics(OTHER)).to.have.lengthOf(1);
+            expect(server.getDiagnostics(OTHER)[0].message).to.match(/^The function `Log in as 'alice'` cannot be found/);
+        });
+    });
+
+    describe("getDefinition()", () => {
+        it("finds the function declaration called at the given line, in another file", () => {
+            server.setFile(FILE1, `
+F
+`);
+            server.setFile(FILE2, `
+* F {
+    foo();
+}
+`);
+            expect(server.getDefinition(FILE1, 1)).to.eql([{
+                uri: 'file://' + FILE2,
+                range: { start: { line: 1, character: 0 }, end: { line: 1, character: 5 } }
+            }]);
+        });
+
+        it("finds the nearest function declaration, as branchify() would", () => {
+            server.setFile(FILE1, `
+A -
+    F
+
+    * F
+
+* F
+`);
+            let definition = server.getDefinition(FILE1, 2);
+            expect(definition).to.have.lengthOf(1);
+            expect(definition[0].range.start.line).to.equal(4);
+        });
+
+        it("finds function declarations in packages", () => {
+            server.setFile(FILE1, `
+Verify {{x}} is '1'
+`);
+            let definition = server.getDefinition(FILE1, 1);
+            expect(definition).to.have.lengthOf(1);
+            expect(definition[0].uri).to.match(/packages\/asserts\.smash$/);
+        });
+
+        it("returns an empty array if there's no function call at the given line", () => {
+            server.setFile(FILE1, `
+A -
+`);
+            expect(server.getDefinition(FILE1, 1)).to.eql([]);
+            expect(server.getDefinition(FILE1, 5)).to.eql([]);
+        });
+    });
+
+    describe("getReferences()", () => {
+        it("finds every call to a function declaration", () => {
+            server.setFile(FILE1, `
+F
+    G
+
+* F
+
+* G
+    F
+`);
+            let references = server.getReferences(FILE1, 4);
+            expect(references.map(r => r.range.start.line)).to.eql([ 1, 7 ]);
+
+            // From a function call
+            references = server.getReferences(FILE1, 7);
+            expect(references.map(r => r.range.start.line)).to.eql([ 1, 7 ]);
+        });
+    });
+
+    describe("getHover()", () => {
+        it("shows the code block of the function being called", () => {
+            server.setFile(FILE1, `
+F
+
+* F {
+    foo();
+}
+`);
+            let hover = server.getHover(FILE1, 1);
+            expect(hover.contents.kind).to.equal('markdown');
+            expect(hover.contents.value).to.equal("**F**\n\n```javascript\n    foo();\n```");
+        });
+
+        it("returns null if there's no code block to show", () => {
+            server.setFile(FILE1, `
+F
+
+* F
+`);
+            expect(server.getHover(FILE1, 1)).to.equal(null);
+        });
+    });
+
+    describe("getCompletions()", () => {
+        it("includes function names from packages and the workspace", () => {
+            server.setFile(FILE1, `
+* My function
+`);
+            let labels = server.getCompletions().map(item => item.label);
+            expect(labels).to.include('My function');
+            expect(labels).to.include("Verify {{a}} is {{b}}");
+        });
+    });
+
+    describe("handleMessage()", () => {
+        it("responds to requests and publishes diagnostics for open documents", () => {
+            let messages = [];
+            server.output = {
+                write: str => messages.push(JSON.parse(str.replace(/^Content-Length: [0-9]+\r\n\r\n/, '')))
+            };
+
+            server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: {
+                textDocument: { uri: 'file://' + FILE1, text: `\nA -\n        B -\n` }
+            }});
+
+            expect(messages).to.have.lengthOf(1);
+            expect(messages[0].method).to.equal('textDocument/publishDiagnostics');
+            expect(messages[0].params.uri).to.equal('file://' + FILE1);
+            expect(messages[0].params.diagnostics).to.have.lengthOf(1);
+
+            server.handleMessage({ jsonrpc: '2.0', id: 7, method: 'textDocument/definition', params: {
+                textDocument: { uri: 'file://' + FILE1 },
+                position: { line: 1, character: 0 }
+            }});
+
+            expect(messages[1]).to.eql({ id: 7, result: [], jsonrpc: '2.0' });
+
+            server.handleMessage({ jsonrpc: '2.0', id: 8, method: 'foo/bar' });
+            expect(messages[2].id).to.equal(8);
+            expect(messages[2].error.code).to.equal(-32601);
+        });
+
+        it("re-analyzes once changes stop coming in, or right away when a request comes in", async () => {
+            let messages = [];
+            server.output = {
+                write: str => messages.push(JSON.parse(str.replace(/^Content-Length: [0-9]+\r\n\r\n/, '')))
+            };
+            server.analyzeDelay = 10;
+
+            let analyzeCount = 0;
+            let analyze = server.analyze;
+            server.analyze = function() {
+                analyzeCount++;
+                analyze.call(this);
+            };
+
+            server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: {
+                textDocument: { uri: 'file://' + FILE1, text: `\nA -\n` }
+            }});
+            expect(analyzeCount).to.equal(1);
+
+            server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didChange', params: {
+                textDocument: { uri: 'file://' + FILE1 },
+                contentChanges: [ { text: `\nA -\n    F\n` } ]
+            }});
+            server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didChange', params: {
+                textDocument: { uri: 'file://' + FILE1 },
+                contentChanges: [ { text: `\nA -\n    F\n\n* F\n` } ]
+            }});
+            expect(analyzeCount).to.equal(1);
+
+            server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'textDocument/definition', params: {
+                textDocument: { uri: 'file://' + FILE1 },
+                position: { line: 2, character: 4 }
+            }});
+            expect(analyzeCount).to.equal(2);
+            expect(messages[messages.length - 1].result).to.have.lengthOf(1);
+
+            server.handleMessage({ jsonrpc: '2.0', method: 'textDocument/didChange', params: {
+                textDocument: { uri: 'file://' + FILE1 },
+                contentChanges: [ { text: `\nA -\n    G\n` } ]
+            }});
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(analyzeCount).to.equal(3);
+            expect(messages[messages.length - 1].method).to.equal('textDocument/publishDiagnostics');
+            expect(messages[messages.length - 1].params.diagnostics).to.have.lengthOf(1);
+        });
+
+        it("emits an exit event with the exit code", () => {
+            let codes = [];
+            server.on('exit', code => codes.push(code));
+            server.output = { write: () => {} };
+
+            server.handleMessage({ jsonrpc: '2.0', method: 'exit' });
+            server.handleMessage({ jsonrpc: '2.0', id: 1, method: 'shutdown' });
+            server.handleMessage({ jsonrpc: '2.0', method: 'exit' });
+
+            expect(codes).to.eql([ 1, 0 ]);
+        });
+    });
+
+    describe("receive()", () => {
+        let messages = null;
+
+        beforeEach(() => {
+            messages = [];
+            server.output = {
+                write: str => messages.push(JSON.parse(str.replace(/^Content-Length: [0-9]+\r\n\r\n/, '')))
+            };
+        });
+
+        it("responds with a parse error to a message that isn't valid JSON", () => {
+            server.receive('{"jsonrpc": "2.0", "id": 1, ');
+
+            expect(messages).to.have.lengthOf(1);
+            expect(messages[0].id).to.equal(null);
+            expect(messages[0].error.code).to.equal(-32700);
+        });
+
+        it("responds with an internal error to a request that fails, and keeps handling messages", () => {
+            server.getHover = () => { throw new Error("oops"); };
+
+            server.receive(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'textDocument/hover', params: {
+                textDocument: { uri: 'file://' + FILE1 },
+                position: { line: 0, character: 0 }
+            }}));
+            server.receive(JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'textDocument/completion' }));
+
+            expect(messages[0]).to.eql({ id: 3, error: { code: -32603, message: "Internal error: oops" }, jsonrpc: '2.0' });
+            expect(messages[1].id).to.equal(4);
+            expect(messages[1].result).to.be.an('array');
+        });
+
+        it("logs an error in a notification to the client", () => {
+            server.receive('null');
+
+            expect(messages).to.have.lengthOf(1);
+            expect(messages[0].method).to.equal('window/logMessage');
+        });
+    });
+});
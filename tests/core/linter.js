@@ -0,0 +1,201 @@
+const chai = require('chai');
+const expect = chai.expect;
+const assert = chai.assert;
+const path = require('path');
+const Tree = require('../../src/tree.js');
+const Linter = require('../../src/linter.js');
+
+describe("Linter", () => {
+    /**
+     * @return {Array of Object} The warnings of the given type found in text
+     */
+    function lint(text, type, globals) {
+        let tree = new Tree();
+        tree.parseIn(text, "file.txt");
+        return new Linter(tree).lint(globals).filter(warning => warning.type == type);
+    }
+
+    describe("lint()", () => {
+        it("throws an error if the tree can't be branchified", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+Missing function
+`, "file.txt");
+
+            assert.throws(() => {
+                new Linter(tree).lint();
+            }, /The function `Missing function` cannot be found/);
+        });
+
+        it("ignores step nodes from packages", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+$ A ~ -
+
+* Never called
+`, "package.txt", true);
+
+            expect(new Linter(tree).lint()).to.eql([]);
+        });
+
+        it("sorts warnings by filename and line number", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+* Never called
+`, "b.txt");
+            tree.parseIn(`
+A ~ -
+    B ~ -
+`, "a.txt");
+
+            let warnings = new Linter(tree).lint();
+            expect(warnings.map(w => `${w.filename}:${w.lineNumber}`)).to.eql([ 'a.txt:2', 'a.txt:3', 'b.txt:2' ]);
+        });
+
+        context("unused functions", () => {
+            it("warns about function declarations that are never called", () => {
+                let warnings = lint(`
+F
+
+* F
+    * G
+
+* H
+
+*** After Every Branch {
+}
+`, 'unused-function');
+
+                expect(warnings).to.eql([
+                    { type: 'unused-function', message: "The function `G` is never called", filename: "file.txt", lineNumber: 5 },
+                    { type: 'unused-function', message: "The function `H` is never called", filename: "file.txt", lineNumber: 7 }
+                ]);
+            });
+        });
+
+        context("debug modifiers", () => {
+            it("warns about leftover ~, ~~, $, and $s modifiers", () => {
+                let warnings = lint(`
+~ A -
+    B ~~ -
+        $ C -
+            $s D -
+                .s E - + #group
+`, 'debug-modifier');
+
+                expect(warnings.map(w => [ w.message, w.lineNumber ])).to.eql([
+                    [ "Leftover ~ modifier", 2 ],
+                    [ "Leftover ~~ modifier", 3 ],
+                    [ "Leftover $ modifier", 4 ],
+                    [ "Leftover $s modifier", 5 ]
+                ]);
+            });
+        });
+
+        context("unset vars", () => {
+            it("warns about vars that are read but never set", () => {
+                let warnings = lint(`
+{a} = 'one'
+    F {a} {b}
+        {c} = 'two {d}'
+
+* F {{x}} {{y}}
+    Type {{x}} into {{z}} -
+`, 'unset-var');
+
+                expect(warnings.map(w => [ w.message, w.lineNumber ])).to.eql([
+                    [ "The variable {b} is read, but never set", 3 ],
+                    [ "The variable {d} is read, but never set", 4 ],
+                    [ "The variable {{z}} is read, but never set", 7 ]
+                ]);
+            });
+
+            it("counts vars set from code blocks, lookahead vars, and globals as set", () => {
+                let warnings = lint(`
+A {
+    g('one', 1);
+    setGlobal("two", 2);
+    l('three', 3);
+}
+    B {one} {two} {{three}} {four:} {Five} -
+        {four} = '4'
+`, 'unset-var', { Five: '5' });
+
+                expect(warnings).to.eql([]);
+            });
+
+            it("counts function declaration {{params}} with default values as set", () => {
+                let warnings = lint(`
+F
+
+* F {{x = 'one'}}
+    Type {{x}} -
+`, 'unset-var');
+
+                expect(warnings).to.eql([]);
+            });
+
+            it("counts the columns of data files as set", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Data from 'data/users.csv'
+    Log in as {username} {password} {{note}} {email} -
+`, path.join(__dirname, "file.txt"));
+
+                let warnings = new Linter(tree).lint().filter(warning => warning.type == 'unset-var');
+                expect(warnings.map(w => w.message)).to.eql([ "The variable {email} is read, but never set" ]);
+            });
+        });
+
+        context("duplicate functions", () => {
+            it("warns about function declarations declared twice at the same scope", () => {
+                let warnings = lint(`
+F
+    G
+
+* F
+
+* f
+
+* G
+    * F
+`, 'duplicate-function');
+
+                expect(warnings).to.eql([
+                    { type: 'duplicate-function', message: "The function `f` is already declared at this scope [file.txt:5]", filename: "file.txt", lineNumber: 7 }
+                ]);
+            });
+        });
+
+        context("textual step typos", () => {
+            it("warns about textual steps that match or nearly match a function name", () => {
+                let warnings = lint(`
+Log in as 'bob' -
+    Log inn as 'bob' -
+        Log out -
+            Logout and leave -
+                Open the browser -
+
+* Log in as {{user}}
+
+* Logout and leave
+`, 'possible-typo');
+
+                expect(warnings.map(w => w.lineNumber)).to.eql([ 2, 3, 5 ]);
+                expect(warnings[0].message).to.equal("This textual step looks like a call to the function `Log in as {{user}}`. Is there a typo, or a - that shouldn't be there?");
+            });
+        });
+    });
+
+    describe("getEditDistance()", () => {
+        it("counts insertions, deletions, and substitutions", () => {
+            let linter = new Linter(new Tree());
+            expect(linter.getEditDistance('log in', 'log in')).to.equal(0);
+            expect(linter.getEditDistance('log in', 'log inn')).to.equal(1);
+            expect(linter.getEditDistance('log in', 'lg in')).to.equal(1);
+            expect(linter.getEditDistance('log in', 'lag in')).to.equal(1);
+            expect(linter.getEditDistance('kitten', 'sitting')).to.equal(3);
+            expect(linter.getEditDistance('', 'abc')).to.equal(3);
+        });
+    });
+});
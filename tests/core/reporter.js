@@ -0,0 +1,206 @@
+const chai = require('chai');
+const expect = chai.expect;
+const Tree = require('../../src/tree.js');
+const Runner = require('../../src/runner.js');
+const Reporter = require('../../src/reporter.js');
+
+describe("Reporter", () => {
+    /**
+     * @return {Object} The report data of a tree parsed from the given text, after setting each branch's results with setResults(branches)
+     */
+    function makeReportData(text, setResults) {
+        let tree = new Tree();
+        tree.parseIn(text, "file.smash");
+        tree.noRandom = true;
+        tree.generateBranches();
+        setResults(tree.branches);
+
+        let runner = new Runner();
+        runner.tree = tree;
+        runner.isComplete = true;
+
+        return {
+            tree: tree.serialize(),
+            runner: runner.serialize(),
+            reportTime: new Date()
+        };
+    }
+
+    let text = `
+A -
+B -
+C -
+D -
+`;
+
+    describe("mergeReportData()", () => {
+        it("merges the branches and counts of disjoint shards", () => {
+            let shard1 = makeReportData(text, branches => {
+                branches[0].isPassed = true;
+                branches[1].isFailed = true;
+                branches.splice(2, 2);
+            });
+            let shard2 = makeReportData(text, branches => {
+                branches[2].isPassed = true;
+                branches[3].isSkipped = true;
+                branches.splice(0, 2);
+            });
+
+            let merged = new Reporter().mergeReportData([ shard1, shard2 ]);
+
+            expect(merged.tree.branches).to.have.lengthOf(4);
+            expect(merged.tree.counts).to.include({
+                passed: 2,
+                failed: 1,
+                skipped: 1,
+                complete: 4,
+                total: 4,
+                totalToRun: 3,
+                totalSteps: 3,
+                totalStepsComplete: 3
+            });
+            expect(merged.runner.isComplete).to.be.true;
+        });
+
+        it("counts a branch that's in overlapping shards only once, keeping the result where it completed", () => {
+            let shard1 = makeReportData(text, branches => {
+                branches[0].isPassed = true;
+                branches[1].isFailed = true;
+                branches.splice(3, 1); // C isn't run here
+            });
+            let shard2 = makeReportData(text, branches => {
+                branches[1].isFailed = true;
+                branches[2].isPassed = true;
+                branches[3].isPassed = true;
+                branches.splice(0, 1);
+            });
+
+            let merged = new Reporter().mergeReportData([ shard1, shard2 ]);
+
+            expect(merged.tree.branches.map(branch => branch.hash)).to.have.lengthOf(4);
+            expect(merged.tree.branches.filter(branch => branch.isPassed)).to.have.lengthOf(3);
+            expect(merged.tree.counts).to.include({
+                passed: 3,
+                failed: 1,
+                complete: 4,
+                total: 4,
+                totalToRun: 4,
+                totalSteps: 4,
+                totalStepsComplete: 4
+            });
+        });
+
+        it("counts the branches excluded by skip groups once, since every shard excludes the same ones", () => {
+            let shard1 = makeReportData(text, branches => {
+                branches.splice(2, 2);
+            });
+            let shard2 = makeReportData(text, branches => {
+                branches.splice(0, 2);
+            });
+            shard1.tree.counts.excluded = 3;
+            shard2.tree.counts.excluded = 3;
+
+            let merged = new Reporter().mergeReportData([ shard1, shard2 ]);
+
+            expect(merged.tree.counts.excluded).to.equal(3);
+            expect(merged.tree.counts.total).to.equal(4);
+        });
+
+        it("isn't complete unless every run is complete", () => {
+            let shard1 = makeReportData(text, branches => {});
+            let shard2 = makeReportData(text, branches => {});
+            shard2.runner = {};
+
+            expect(new Reporter().mergeReportData([ shard1, shard2 ]).runner.isComplete).to.be.undefined;
+        });
+    });
+
+    describe("appendHistory()", () => {
+        let reporter = null;
+        let appended = null;
+
+        beforeEach(() => {
+            reporter = new Reporter(new Tree(), new Runner());
+            reporter.runner.isComplete = true;
+            appended = [];
+            reporter.history = { append: tree => appended.push(tree) };
+        });
+
+        it("adds a complete run to the history once", () => {
+            reporter.appendHistory();
+            reporter.appendHistory();
+            expect(appended).to.eql([ reporter.tree ]);
+        });
+
+        it("adds the run of each tree set by setTree()", async () => {
+            let firstTree = reporter.tree;
+            reporter.appendHistory();
+
+            let secondTree = new Tree();
+            await reporter.setTree(secondTree);
+            reporter.appendHistory();
+
+            expect(appended).to.have.lengthOf(2);
+            expect(appended[0]).to.equal(firstTree);
+            expect(appended[1]).to.equal(secondTree);
+        });
+
+        it("leaves out runs that didn't complete, or were stopped, paused, or bailed", () => {
+            reporter.runner.isComplete = false;
+            reporter.appendHistory();
+
+            [ 'isStopped', 'isPaused', 'isBailed' ].forEach(flag => {
+                reporter.runner = new Runner();
+                reporter.runner.isComplete = true;
+                reporter.runner[flag] = true;
+                reporter.appendHistory();
+            });
+
+            expect(appended).to.eql([]);
+        });
+    });
+
+    describe("mergePassedData()", () => {
+        it("includes every hash once", () => {
+            expect(new Reporter().mergePassedData([ "a\nb\n", "b\nc\n" ])).to.equal("a\nb\nc\n");
+        });
+    });
+
+    describe("limitBranches()", () => {
+        it("keeps up to max branches of each type, and up to maxFailed failed branches, in the order Tree.serialize() puts them", () => {
+            let branches = [
+                { hash: 'p1', isPassed: true },
+                { hash: 'f1', isFailed: true },
+                { hash: 'p2', isPassed: true },
+                { hash: 'n1' },
+                { hash: 'f2', isFailed: true },
+                { hash: 'r1', isRunning: true },
+                { hash: 'f3', isFailed: true },
+                { hash: 's1', isSkipped: true },
+                { hash: 'n2' }
+            ];
+
+            expect(new Reporter().limitBranches(branches, 1, 2).map(branch => branch.hash)).to.eql([ 'r1', 'f1', 'f2', 'p1', 's1', 'n1' ]);
+        });
+    });
+
+    describe("parseFullReportData()", () => {
+        it("parses a full report data file", () => {
+            expect(new Reporter().parseFullReportData('{"a":1}', 'dir')).to.eql({ a: 1 });
+        });
+
+        it("throws an error if the full report data file is malformed", () => {
+            expect(() => new Reporter().parseFullReportData('onReportData(', 'dir')).to.throw("The full report data in 'dir' is malformed");
+        });
+    });
+
+    describe("parseReportData()", () => {
+        it("parses a report data file", () => {
+            expect(new Reporter().parseReportData('onReportData(String.raw`{"a":1}`);', 'dir')).to.eql({ a: 1 });
+        });
+
+        it("throws an error if the report data file is malformed", () => {
+            expect(() => new Reporter().parseReportData('foo', 'dir')).to.throw("The report data in 'dir' is malformed");
+        });
+    });
+});
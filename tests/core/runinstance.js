@@ -3,6 +3,7 @@ const chaiAsPromised = require("chai-as-promised");
 const expect = chai.expect;
 const assert = chai.assert;
 const util = require('util');
+const path = require('path');
 const Step = require('../../src/step.js');
 const Branch = require('../../src/branch.js');
 const Tree = require('../../src/tree.js');
@@ -1159,6 +1160,635 @@ First step -
                 expect(tree.branches[0].timeStarted instanceof Date).to.equal(true);
             });
         });
+
+        context("If, Else if, and Else", () => {
+            it("runs the block of the first condition that's met, including the steps nested in it, and skips the other blocks", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+{role} = 'editor'
+    If {role} is 'admin'
+        A {
+            runInstance.ranA = true;
+        }
+    Else if {role} is not "admin"
+        B {
+            runInstance.ranB = true;
+        }
+            C {
+                runInstance.ranC = true;
+            }
+    Else
+        D {
+            runInstance.ranD = true;
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.ranA).to.equal(undefined);
+                expect(runInstance.ranB).to.be.true;
+                expect(runInstance.ranC).to.be.true;
+                expect(runInstance.ranD).to.equal(undefined);
+
+                let steps = tree.branches[0].steps;
+                expect(tree.branches).to.have.lengthOf(1);
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(steps[1].isPassed).to.be.true; // If
+                expect(steps[1].log[0].text).to.equal("Condition not met, skipping the steps under this one");
+                expect(steps[2].isSkipped).to.be.true; // A
+                expect(steps[3].isPassed).to.be.true; // Else if
+                expect(steps[4].isPassed).to.be.true; // B
+                expect(steps[5].isPassed).to.be.true; // C
+                expect(steps[6].isSkipped).to.be.true; // Else
+                expect(steps[7].isSkipped).to.be.true; // D
+            });
+
+            it("evaluates the conditions of an If and its Else ifs once, before any of their blocks run", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+{x} = '1'
+    If {x} is '1'
+        {x} = '2'
+    Else if {x} is '2'
+        B {
+            runInstance.ranB = true;
+        }
+    Else
+        C {
+            runInstance.ranC = true;
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.ranB).to.equal(undefined);
+                expect(runInstance.ranC).to.equal(undefined);
+                expect(runInstance.g('x')).to.equal('2');
+                expect(tree.branches).to.have.lengthOf(1);
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(tree.branches[0].steps.map(step => !!step.isSkipped)).to.eql([ false, false, false, true, true, true, true ]);
+            });
+
+            it("runs the steps after an If block whether or not its condition is met, and skips every step nested in a block that isn't taken", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+S .. -
+    If 'one' is 'two'
+        A {
+            runInstance.ranA = true;
+        }
+    B {
+        runInstance.ranB = true;
+    }
+
+If 'three' is 'four'
+    C {
+        runInstance.ranC = true;
+    }
+        D {
+            runInstance.ranD = true;
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.ranA).to.equal(undefined);
+                expect(runInstance.ranB).to.be.true;
+                expect(runInstance.ranC).to.equal(undefined);
+                expect(runInstance.ranD).to.equal(undefined);
+
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(tree.branches[0].steps.map(step => !!step.isSkipped)).to.eql([ false, false, true, false ]);
+                expect(tree.branches[1].isPassed).to.be.true;
+                expect(tree.branches[1].steps.map(step => !!step.isSkipped)).to.eql([ false, true, true ]);
+            });
+
+            it("treats If {var} as met when {var} is set to something other than ''", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+{a} = 'yes', {{b}} = ''
+    If {a}
+        A {
+            runInstance.ranA = true;
+        }
+    If {{b}}
+        B {
+            runInstance.ranB = true;
+        }
+    If {c}
+        C {
+            runInstance.ranC = true;
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.ranA).to.be.true;
+                expect(runInstance.ranB).to.equal(undefined);
+                expect(runInstance.ranC).to.equal(undefined);
+            });
+
+            it("skips the rest of a function's steps, then continues with the steps after the function call", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+{{x}} = 'outer'
+    F
+        G {
+            runInstance.x = x;
+        }
+
+* F
+    If 'one' is 'two'
+        H {
+            runInstance.ranH = true;
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.ranH).to.equal(undefined);
+                expect(runInstance.x).to.equal("outer");
+                expect(tree.branches[0].steps[3].isSkipped).to.be.true;
+                expect(tree.branches[0].steps[4].isPassed).to.be.true;
+                expect(tree.branches[0].isPassed).to.be.true;
+            });
+
+            it("fails the If step if its condition uses a {variable} that isn't set", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+If {a} is 'one'
+    A -
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(tree.branches[0].isFailed).to.be.true;
+                expect(tree.branches[0].steps[0].error.message).to.contain("The variable {a} wasn't set");
+            });
+        });
+
+        context("Repeat", () => {
+            it("runs the steps under a Repeat N times step N times, logging each iteration", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Repeat 3 times
+    A {
+        runInstance.count = (runInstance.count || 0) + 1;
+    }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.count).to.equal(3);
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(tree.branches[0].steps[0].log[0].text).to.equal("Starting iteration 1 of 3");
+                expect(tree.branches[0].steps[4].log[0].text).to.equal("Starting iteration 3 of 3");
+            });
+
+            it("runs the steps nested below a Repeat step's children on every iteration", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Repeat 3 times
+    A {
+        runInstance.ran = (runInstance.ran || []).concat('A');
+    }
+        B {
+            runInstance.ran.push('B');
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.ran).to.eql([ 'A', 'B', 'A', 'B', 'A', 'B' ]);
+                expect(tree.branches[0].isPassed).to.be.true;
+            });
+
+            it("runs a Repeat until step's block once before checking its code block", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Repeat up to 3 times until {
+    return true;
+}
+    A {
+        runInstance.count = (runInstance.count || 0) + 1;
+    }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runInstance.count).to.equal(1);
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(tree.branches[0].steps[2].log[0].text).to.equal("Condition met after 1 iteration");
+            });
+
+            it("stops repeating once a Repeat until step's code block returns true, and skips the rest", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Repeat up to 5 times until {
+    return runInstance.count == 2;
+}
+    A {
+        runInstance.count = (runInstance.count || 0) + 1;
+    }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                let steps = tree.branches[0].steps;
+                expect(runInstance.count).to.equal(2);
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(steps[0].log[0].text).to.equal("Starting iteration 1 of 5");
+                expect(steps[4].isPassed).to.be.true;
+                expect(steps[4].log[0].text).to.equal("Condition met after 2 iterations");
+                expect(steps.slice(5).every(step => step.isSkipped)).to.be.true;
+            });
+
+            it("fails a Repeat until step whose code block never returns true", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Repeat up to 2 times until {
+    return false;
+}
+    A -
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(tree.branches[0].isFailed).to.be.true;
+                expect(tree.branches[0].steps[4].error.message).to.equal("The condition was still not met after 2 iterations");
+            });
+        });
+
+        context("retries", () => {
+            it("retries a failed branch from scratch, and marks it flaky if it then passes", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+*** Before Every Branch {
+    runInstance.runner.p('before', (runInstance.runner.p('before') || 0) + 1);
+}
+
+A {
+    runInstance.runner.p('a', (runInstance.runner.p('a') || 0) + 1);
+}
+    B {
+        if(runInstance.runner.p('a') < 3) {
+            throw new Error("oops " + runInstance.runner.p('a'));
+        }
+    }
+        C -
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.retries = 2;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                let branch = tree.branches[0];
+                expect(runner.p('a')).to.equal(3);
+                expect(runner.p('before')).to.equal(3);
+
+                expect(branch.isPassed).to.be.true;
+                expect(branch.isFlaky).to.be.true;
+                expect(branch.isRunning).to.be.undefined;
+                expect(branch.steps[2].isPassed).to.be.true;
+
+                expect(branch.attempts).to.have.lengthOf(2);
+                expect(branch.attempts[0].isFailed).to.be.true;
+                expect(branch.attempts[0].steps[0].isPassed).to.be.true;
+                expect(branch.attempts[0].steps[1].error.message).to.equal("oops 1");
+                expect(branch.attempts[0].steps[2].isPassed).to.be.undefined;
+                expect(branch.attempts[1].isFailed).to.be.true;
+                expect(branch.attempts[1].steps[1].error.message).to.equal("oops 2");
+            });
+
+            it("fails a branch that fails every attempt", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A {
+    runInstance.runner.p('a', (runInstance.runner.p('a') || 0) + 1);
+    throw new Error("oops");
+}
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.retries = 1;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runner.p('a')).to.equal(2);
+                expect(tree.branches[0].isFailed).to.be.true;
+                expect(tree.branches[0].isFlaky).to.be.undefined;
+                expect(tree.branches[0].attempts).to.have.lengthOf(1);
+            });
+
+            it("doesn't retry a branch when retries are off", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A {
+    throw new Error("oops");
+}
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(tree.branches[0].isFailed).to.be.true;
+                expect(tree.branches[0].attempts).to.be.undefined;
+            });
+
+            it("uses a #retries modifier over the runner's retries", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A {
+    runInstance.runner.p('a', (runInstance.runner.p('a') || 0) + 1);
+    throw new Error("oops");
+}
+    B - #retries=3
+
+C {
+    runInstance.runner.p('c', (runInstance.runner.p('c') || 0) + 1);
+    throw new Error("oops");
+}
+    D - #retries=0
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.retries = 1;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(runner.p('a')).to.equal(4);
+                expect(runner.p('c')).to.equal(1);
+            });
+
+            it("only notifies plugins of the start and end of a branch once", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A {
+    runInstance.runner.p('a', (runInstance.runner.p('a') || 0) + 1);
+    if(runInstance.runner.p('a') == 1) {
+        throw new Error("oops");
+    }
+}
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.retries = 1;
+
+                let events = [];
+                runner.addPlugin({
+                    onBranchStart: () => events.push('start'),
+                    onStepEnd: () => events.push('step'),
+                    onBranchEnd: () => events.push('end')
+                });
+
+                let runInstance = new RunInstance(runner);
+                await runInstance.run();
+
+                expect(events).to.eql([ 'start', 'step', 'step', 'end' ]);
+            });
+        });
+
+        context("timeouts", () => {
+            it("fails a step that runs longer than the step timeout, then moves on to After Every Branch hooks", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+*** After Every Branch {
+    runInstance.runner.p('after', true);
+}
+
+A {
+    await new Promise(resolve => {}); // hangs forever
+}
+    B {
+        runInstance.runner.p('b', true);
+    }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.outputErrors = false;
+                runner.stepTimeout = 0.05;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                let branch = tree.branches[0];
+                expect(branch.isFailed).to.be.true;
+                expect(branch.steps[0].isFailed).to.be.true;
+                expect(branch.steps[0].error.message).to.equal("Step timed out after 0.05s");
+                expect(branch.steps[0].error.filename).to.equal("file.txt");
+                expect(branch.steps[0].error.lineNumber).to.equal(6);
+                expect(runner.p('b')).to.be.undefined;
+                expect(runner.p('after')).to.be.true;
+            });
+
+            it("uses a #timeout modifier on a function declaration over the runner's step timeout", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Slow
+    Quick
+
+* Slow #timeout=0 {
+    await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+* Quick {
+    await new Promise(resolve => setTimeout(resolve, 100));
+}
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.outputErrors = false;
+                runner.stepTimeout = 0.05;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                let branch = tree.branches[0];
+                expect(branch.steps[0].isPassed).to.be.true;
+                expect(branch.steps[1].isFailed).to.be.true;
+                expect(branch.steps[1].error.message).to.equal("Step timed out after 0.05s");
+            });
+
+            it("fails a branch that runs longer than the branch timeout, then moves on to After Every Branch hooks", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+*** After Every Branch {
+    runInstance.runner.p('after', true);
+}
+
+A {
+    await new Promise(resolve => setTimeout(resolve, 40));
+}
+    B {
+        await new Promise(resolve => setTimeout(resolve, 40));
+    }
+        C {
+            runInstance.runner.p('c', true);
+        }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.outputErrors = false;
+                runner.branchTimeout = 0.06;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                let branch = tree.branches[0];
+                expect(branch.isFailed).to.be.true;
+                expect(branch.steps[0].isPassed).to.be.true;
+                expect(branch.steps[1].isFailed).to.be.true;
+                expect(branch.steps[1].error.message).to.equal("Branch timed out after 0.06s");
+                expect(runner.p('c')).to.be.undefined;
+                expect(runner.p('after')).to.be.true;
+            });
+
+            it("cuts off the code of a step that timed out, so that it can't set variables for the steps after it", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A {
+    let runner = runInstance.runner;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    try {
+        g('late', true);
+    }
+    catch(e) {
+        runner.p('error', e.message);
+    }
+}
+
+B -
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.outputErrors = false;
+                runner.stepTimeout = 0.02;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+                await new Promise(resolve => setTimeout(resolve, 100)); // let A's code finish in the background
+
+                expect(tree.branches[0].steps[0].error.message).to.equal("Step timed out after 0.02s");
+                expect(tree.branches[1].steps[0].isPassed).to.be.true;
+                expect(runInstance.global).to.not.have.property('late');
+                expect(runner.p('error')).to.equal("This code ran out of time (Step timed out after 0.02s), so it can no longer affect the run");
+            });
+
+            it("cuts off the code of a hook that timed out", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+*** Before Every Branch {
+    let runner = runInstance.runner;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    try {
+        runInstance.runner.p('late', true);
+    }
+    catch(e) {
+        runner.p('error', e.message);
+    }
+}
+
+A -
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.outputErrors = false;
+                runner.stepTimeout = 0.02;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+                await new Promise(resolve => setTimeout(resolve, 100)); // let the hook's code finish in the background
+
+                expect(tree.branches[0].isFailed).to.be.true;
+                expect(runner.p('late')).to.be.undefined;
+                expect(runner.p('error')).to.equal("This code ran out of time (Step timed out after 0.02s), so it can no longer affect the run");
+            });
+
+            it("lets the code of a step that finishes in time use runInstance as usual", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A {
+    runInstance.g('x', 1);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    g('y', runInstance.g('x') + 1);
+}
+    B {
+        runInstance.runner.p('y', y);
+    }
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                runner.outputErrors = false;
+                runner.stepTimeout = 1;
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                expect(tree.branches[0].isPassed).to.be.true;
+                expect(runner.p('y')).to.equal(2);
+            });
+        });
     });
 
     describe("runStep()", () => {
@@ -2366,6 +2996,30 @@ My 'foo' Function 'bar' other text
                 expect(tree.branches[0].error).to.equal(undefined);
                 expect(tree.branches[0].steps[0].error).to.equal(undefined);
             });
+
+            it("sets {{params}} left out of a function call to their default values", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Wait until 'ok' is visible
+    Wait until 'ok' is visible (up to '3' secs)
+
+* Wait until {{element}} is visible (up to {{n = '15'}} secs) {
+    runInstance.calls = (runInstance.calls || []).concat([ element + ' ' + n ]);
+}
+                `, "file.txt");
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.run();
+
+                let steps = tree.branches[0].steps;
+                expect(runInstance.calls).to.eql([ "ok 15", "ok 3" ]);
+                expect(steps[0].log[2].text).to.equal("Function parameter {{n}} is '15' (default)");
+                expect(steps[1].log[2].text).to.equal("Function parameter {{n}} is '3'");
+                expect(tree.branches[0].isPassed).to.be.true;
+            });
         });
 
         context("{var}='string'", () => {
@@ -2640,6 +3294,29 @@ My 'foo' Function 'bar' other text
             });
         });
 
+        context("data steps", () => {
+            it("sets the {vars} from the step's row", async () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Data from 'data/users.csv'
+                `, path.join(__dirname, "file.txt"));
+
+                let runner = new Runner();
+                runner.init(tree, true);
+                let runInstance = new RunInstance(runner);
+
+                await runInstance.runStep(tree.branches[1].steps[0], tree.branches[1], false);
+
+                expect(runInstance.getGlobal("username")).to.equal("alice");
+                expect(runInstance.getGlobal("password")).to.equal("secret2");
+                expect(runInstance.getLocal("note")).to.equal("");
+                expect(tree.branches[1].steps[0].log[0].text).to.equal("Using row 2 of data/users.csv");
+
+                expect(tree.branches[1].error).to.equal(undefined);
+                expect(tree.branches[1].steps[0].error).to.equal(undefined);
+            });
+        });
+
         context("{var}=Function", () => {
             it("executes a {var} = Text { code block } step", async () => {
                 let tree = new Tree();
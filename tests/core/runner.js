@@ -546,6 +546,83 @@ A
             expect(tree.afterEverything[0].error.lineNumber).to.equal(18);
         });
 
+        it("stops running new branches once maxFailures branches have failed, and still runs After Everything steps", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+P1 -
+F1 {
+    throw new Error("oops");
+}
+F2 {
+    throw new Error("oops");
+}
+P2 -
+
+*** After Everything {
+    runInstance.runner.ranAfterEverything = true;
+}
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            runner.maxParallel = 1;
+            runner.maxFailures = 2;
+
+            let isComplete = await runner.run();
+
+            expect(tree.branches[0].isPassed).to.be.true;
+            expect(tree.branches[1].isFailed).to.be.true;
+            expect(tree.branches[2].isFailed).to.be.true;
+            expect(tree.branches[3].isCompleteOrRunning()).to.not.be.ok;
+
+            expect(runner.isBailed).to.be.true;
+            expect(runner.ranAfterEverything).to.be.true;
+            expect(isComplete).to.be.true;
+            expect(runner.serialize().isBailed).to.be.true;
+        });
+
+        it("doesn't count quarantined failures towards maxFailures", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+F1 {
+    throw new Error("oops");
+}
+P1 -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            runner.maxParallel = 1;
+            runner.maxFailures = 1;
+            tree.branches[0].isQuarantined = true;
+
+            await runner.run();
+
+            expect(tree.branches[0].isFailed).to.be.true;
+            expect(tree.branches[1].isPassed).to.be.true;
+            expect(runner.isBailed).to.be.false;
+        });
+
+        it("runs every branch if maxFailures is never reached", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+F1 {
+    throw new Error("oops");
+}
+P1 -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            runner.maxParallel = 1;
+            runner.maxFailures = 2;
+
+            await runner.run();
+
+            expect(tree.branches[1].isPassed).to.be.true;
+            expect(runner.isBailed).to.be.false;
+        });
+
         it("when a stop occurs while in a Before Everything hook, stops executing Before Everything hooks and executes all After Everything hooks", async () => {
             let tree = new Tree();
             tree.parseIn(`
@@ -750,6 +827,86 @@ A -
         });
     });
 
+    describe("reinit()", () => {
+        it("runs only the new or changed branches of a new generation of the tree", async () => {
+            let text = `
+A {
+    runInstance.runner.ran.push('A');
+}
+    B {
+        runInstance.runner.ran.push('B');
+    }
+    C {
+        runInstance.runner.ran.push('C');
+    }
+`;
+
+            let tree = new Tree();
+            tree.parseIn(text, "file.txt");
+
+            let runner = new Runner();
+            runner.ran = [];
+            runner.random = false;
+            runner.maxParallel = 1;
+            runner.init(tree);
+            await runner.run();
+
+            expect(runner.ran).to.eql([ 'A', 'B', 'A', 'C' ]);
+
+            let newTree = new Tree();
+            newTree.parseIn(text.replace(`runner.ran.push('C')`, `runner.ran.push('C2')`), "file.txt");
+
+            runner.ran = [];
+            expect(await runner.reinit(newTree)).to.equal(1);
+            expect(runner.isComplete).to.be.false;
+
+            await runner.run();
+
+            expect(runner.ran).to.eql([ 'A', 'C2' ]);
+            expect(runner.isComplete).to.be.true;
+            expect(newTree.branches.every(branch => branch.isPassed)).to.be.true;
+        });
+
+        it("adds each run to the history in --watch mode, and stops the reporter once stopped", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+`, "file.txt");
+
+            let reporter = {
+                started: true,
+                appended: [],
+                stopped: 0,
+                appendHistory() { this.appended.push(runner.tree); },
+                setTree() {},
+                stop() { this.stopped++; }
+            };
+
+            let runner = new Runner();
+            runner.init(tree);
+            runner.reporter = reporter;
+            runner.isWatch = true;
+            await runner.run();
+
+            let newTree = new Tree();
+            newTree.parseIn(`
+A -
+B -
+`, "file.txt");
+
+            await runner.reinit(newTree);
+            await runner.run();
+
+            expect(reporter.appended).to.have.lengthOf(2);
+            expect(reporter.appended[0]).to.equal(tree);
+            expect(reporter.appended[1]).to.equal(newTree);
+            expect(reporter.stopped).to.equal(0);
+
+            await runner.stop();
+            expect(reporter.stopped).to.equal(1);
+        });
+    });
+
     describe("stop()", () => {
         it("stops all running run instances, time elapsed for the Tree is properly measured", function(done) {
             let tree = new Tree();
@@ -1219,6 +1376,153 @@ Step to Inject {
         });
     });
 
+    describe("addPlugin()", () => {
+        it("notifies a plugin object of lifecycle events in order", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    B -
+    C -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            runner.maxParallel = 1;
+
+            let events = [];
+            runner.addPlugin({
+                onRunStart: (r) => events.push(`run start ${r == runner}`),
+                onBranchStart: (branch) => events.push(`branch start ${branch.steps.length}`),
+                onStepEnd: (step, branch) => events.push(`step end ${tree.stepNodeIndex[step.id].text} ${step.isPassed}`),
+                onBranchEnd: async (branch) => events.push(`branch end ${branch.isPassed}`),
+                onRunEnd: (r) => events.push(`run end ${r.isComplete}`)
+            });
+
+            await runner.run();
+
+            expect(events).to.eql([
+                `run start true`,
+                `branch start 2`,
+                `step end A true`,
+                `step end B true`,
+                `branch end true`,
+                `branch start 2`,
+                `step end A true`,
+                `step end C true`,
+                `branch end true`,
+                `run end true`
+            ]);
+        });
+
+        it("instantiates a plugin class with the runner", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+
+            class Plugin {
+                constructor(runner) {
+                    this.runner = runner;
+                    this.stepCount = 0;
+                }
+
+                onStepEnd() {
+                    this.stepCount++;
+                }
+            }
+
+            let plugin = runner.addPlugin(Plugin);
+            await runner.run();
+
+            expect(plugin.runner).to.equal(runner);
+            expect(plugin.stepCount).to.equal(1);
+        });
+
+        it("doesn't notify of a branch start again when resuming from a pause", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    ~ B -
+        C -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+
+            let events = [];
+            runner.addPlugin({
+                onRunStart: () => events.push(`run start`),
+                onBranchStart: () => events.push(`branch start`),
+                onBranchEnd: () => events.push(`branch end`),
+                onRunEnd: () => events.push(`run end`)
+            });
+
+            await runner.run();
+            await runner.run();
+
+            expect(events).to.eql([
+                `run start`,
+                `branch start`,
+                `branch end`,
+                `run end`
+            ]);
+        });
+
+        it("keeps running when a plugin throws an error", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    B -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            runner.consoleOutput = false;
+
+            let events = [];
+            runner.addPlugin({
+                onRunStart: () => { throw new Error("plugin bug"); },
+                onStepEnd: async () => { throw new Error("plugin bug"); },
+                onBranchEnd: () => events.push(`first branch end`)
+            });
+            runner.addPlugin({
+                onRunStart: () => events.push(`run start`),
+                onBranchEnd: (branch) => events.push(`second branch end ${branch.isPassed}`),
+                onRunEnd: () => events.push(`run end`)
+            });
+
+            let isComplete = await runner.run();
+
+            expect(isComplete).to.be.true;
+            expect(tree.branches[0].isPassed).to.be.true;
+            expect(events).to.eql([
+                `run start`,
+                `first branch end`,
+                `second branch end true`,
+                `run end`
+            ]);
+        });
+
+        it("throws an error if the plugin isn't an object or class", () => {
+            let runner = new Runner();
+            assert.throws(() => {
+                runner.addPlugin("foo");
+            }, "A reporter plugin must be an object or a class");
+        });
+    });
+
+    describe("loadPlugin()", () => {
+        it("throws an error if the plugin cannot be found", () => {
+            let runner = new Runner();
+            assert.throws(() => {
+                runner.loadPlugin("./nonexistent-plugin.js");
+            }, "The reporter plugin './nonexistent-plugin.js' could not be found");
+        });
+    });
+
     describe("serialize()", () => {
         it("returns a serialized object", async () => {
             let tree = new Tree();
@@ -554,6 +554,40 @@ describe("StepNode", () => {
                 assert.deepEqual(s.groups, [`one`, `two`, `three`]);
             });
 
+            it("parses the retries modifier (#retries=N)", () => {
+                s = new StepNode(0);
+                s.parseLine(`Click {button} #retries=2 #one`, "file.txt", 10);
+                assert.equal(s.text, `Click {button}`);
+                assert.equal(s.retries, 2);
+                assert.deepEqual(s.groups, [`one`]);
+
+                s = new StepNode(0);
+                s.parseLine(`#retries=0 Click {button}`, "file.txt", 10);
+                assert.equal(s.text, `Click {button}`);
+                assert.equal(s.retries, 0);
+                assert.equal(s.groups, undefined);
+            });
+
+            it("rejects a retries modifier that isn't set to a number", () => {
+                assert.throws(() => {
+                    s.parseLine(`Click {button} #retries=two`, "file.txt", 10);
+                }, "#retries must be set to a number (e.g., #retries=2) [file.txt:10]");
+            });
+
+            it("parses the timeout modifier (#timeout=N)", () => {
+                s = new StepNode(0);
+                s.parseLine(`* Log in #timeout=30 #one {`, "file.txt", 10);
+                assert.equal(s.text, `Log in`);
+                assert.equal(s.timeout, 30);
+                assert.deepEqual(s.groups, [`one`]);
+            });
+
+            it("rejects a timeout modifier that isn't set to a number", () => {
+                assert.throws(() => {
+                    s.parseLine(`* Log in #timeout=long {`, "file.txt", 10);
+                }, "#timeout must be set to a number of seconds (e.g., #timeout=30) [file.txt:10]");
+            });
+
             it("rejects a hook with an modifier", () => {
                 assert.throws(() => {
                     s.parseLine(`$ *** After Every Branch + {`, "file.txt", 10);
@@ -745,6 +779,195 @@ describe("StepNode", () => {
                 }, "A step setting {variables} cannot start with a \* [file.txt:10]");
             });
         });
+
+        context("data steps", () => {
+            it("parses Data from 'file'", () => {
+                s = new StepNode(0);
+                s.parseLine(`Data from 'users.csv' // comment`, "file.txt", 10);
+                assert.equal(s.text, `Data from 'users.csv'`);
+                assert.equal(s.isDataStep, true);
+                assert.equal(s.dataFilename, `users.csv`);
+                assert.equal(s.isFunctionCall, undefined);
+
+                s = new StepNode(0);
+                s.parseLine(`data  FROM "data/users.json" $`, "file.txt", 10);
+                assert.equal(s.isDataStep, true);
+                assert.equal(s.dataFilename, `data/users.json`);
+                assert.equal(s.isOnly, true);
+            });
+
+            it("doesn't parse a textual step or a step with a code block as a data step", () => {
+                s = new StepNode(0);
+                s.parseLine(`Data from 'users.csv' -`, "file.txt", 10);
+                assert.equal(s.isDataStep, undefined);
+                assert.equal(s.isTextualStep, true);
+
+                s = new StepNode(0);
+                s.parseLine(`Data from 'users.csv' {`, "file.txt", 10);
+                assert.equal(s.isDataStep, undefined);
+            });
+
+            it("rejects a data file that isn't a .csv or .json file", () => {
+                assert.throws(() => {
+                    s.parseLine(`Data from 'users.txt'`, "file.txt", 10);
+                }, "A data file must be a .csv or .json file [file.txt:10]");
+            });
+        });
+
+        context("Repeat steps", () => {
+            it("parses Repeat N times", () => {
+                s = new StepNode(0);
+                s.parseLine(`Repeat 3 times // comment`, "file.txt", 10);
+                assert.equal(s.text, `Repeat 3 times`);
+                assert.equal(s.isRepeat, true);
+                assert.equal(s.repeatCount, 3);
+                assert.equal(s.isFunctionCall, undefined);
+
+                s = new StepNode(0);
+                s.parseLine(`repeat 1 TIME`, "file.txt", 10);
+                assert.equal(s.isRepeat, true);
+                assert.equal(s.repeatCount, 1);
+            });
+
+            it("parses Repeat until { code block }", () => {
+                s = new StepNode(0);
+                s.parseLine(`Repeat until {`, "file.txt", 10);
+                assert.equal(s.isRepeat, true);
+                assert.equal(s.repeatCount, 10);
+
+                s = new StepNode(0);
+                s.parseLine(`Repeat up to 5 times until {`, "file.txt", 10);
+                assert.equal(s.isRepeat, true);
+                assert.equal(s.repeatCount, 5);
+            });
+
+            it("doesn't parse a Repeat until without a code block, or a Repeat N times with one, as a Repeat step", () => {
+                s = new StepNode(0);
+                s.parseLine(`Repeat until`, "file.txt", 10);
+                assert.equal(s.isRepeat, undefined);
+                assert.equal(s.isFunctionCall, true);
+
+                s = new StepNode(0);
+                s.parseLine(`Repeat 3 times {`, "file.txt", 10);
+                assert.equal(s.isRepeat, undefined);
+
+                s = new StepNode(0);
+                s.parseLine(`Repeat 3 times -`, "file.txt", 10);
+                assert.equal(s.isRepeat, undefined);
+            });
+
+            it("rejects a Repeat step that repeats 0 times", () => {
+                assert.throws(() => {
+                    s.parseLine(`Repeat 0 times`, "file.txt", 10);
+                }, "A Repeat step must repeat at least once [file.txt:10]");
+            });
+        });
+
+        context("imports", () => {
+            it("parses Import 'file' and Import 'file' as Namespace", () => {
+                s = new StepNode(0);
+                s.parseLine(`Import 'lib/auth.smash' // comment`, "file.txt", 10);
+                assert.equal(s.text, `Import 'lib/auth.smash'`);
+                assert.equal(s.isImport, true);
+                assert.equal(s.importFilename, `lib/auth.smash`);
+                assert.equal(s.importNamespace, undefined);
+                assert.equal(s.isFunctionCall, undefined);
+
+                s = new StepNode(0);
+                s.parseLine(`import "lib/auth.smash"  AS  Auth_2`, "file.txt", 10);
+                assert.equal(s.isImport, true);
+                assert.equal(s.importFilename, `lib/auth.smash`);
+                assert.equal(s.importNamespace, `Auth_2`);
+            });
+
+            it("doesn't parse a textual step or an invalid namespace as an Import", () => {
+                s = new StepNode(0);
+                s.parseLine(`Import 'lib/auth.smash' -`, "file.txt", 10);
+                assert.equal(s.isImport, undefined);
+
+                s = new StepNode(0);
+                s.parseLine(`Import 'lib/auth.smash' as My Auth`, "file.txt", 10);
+                assert.equal(s.isImport, undefined);
+                assert.equal(s.isFunctionCall, true);
+            });
+
+            it("rejects an Import with modifiers", () => {
+                assert.throws(() => {
+                    s.parseLine(`Import 'lib/auth.smash' $`, "file.txt", 10);
+                }, "An Import cannot have any modifiers ($) [file.txt:10]");
+            });
+        });
+
+        context("default parameter values", () => {
+            it("parses a function declaration with {{params}} that have default values", () => {
+                s = new StepNode(0);
+                s.parseLine(`* Open {{browser = 'chrome'}} at {{size = "1024x768"}} {{other}} {`, "file.txt", 10);
+                assert.equal(s.text, `Open {{browser = 'chrome'}} at {{size = "1024x768"}} {{other}}`);
+                assert.equal(s.isFunctionDeclaration, true);
+            });
+
+            it("rejects a default value that isn't a string literal", () => {
+                assert.throws(() => {
+                    s.parseLine(`* Open {{browser = chrome}}`, "file.txt", 10);
+                }, `The default value of a {{parameter}} must be a 'string', "string", or [string] [file.txt:10]`);
+            });
+        });
+
+        context("If, Else if, and Else", () => {
+            it("parses If {var} is 'value' and If {var} is not 'value'", () => {
+                s = new StepNode(0);
+                s.parseLine(`If {role} is 'admin' // comment`, "file.txt", 10);
+                assert.equal(s.text, `If {role} is 'admin'`);
+                assert.equal(s.isConditional, true);
+                assert.equal(s.isElse, undefined);
+                expect(s.condition).to.eql({ left: `{role}`, operator: `is`, right: `'admin'` });
+                assert.equal(s.isFunctionCall, undefined);
+
+                s = new StepNode(0);
+                s.parseLine(`if {{a}}  IS  NOT  [b {c}] +`, "file.txt", 10);
+                assert.equal(s.isConditional, true);
+                expect(s.condition).to.eql({ left: `{{a}}`, operator: `is not`, right: `[b {c}]` });
+                assert.equal(s.isCollapsed, true);
+            });
+
+            it("parses If {var}", () => {
+                s = new StepNode(0);
+                s.parseLine(`If {loggedIn}`, "file.txt", 10);
+                assert.equal(s.isConditional, true);
+                expect(s.condition).to.eql({ left: `{loggedIn}`, operator: undefined, right: undefined });
+            });
+
+            it("parses Else if and Else", () => {
+                s = new StepNode(0);
+                s.parseLine(`Else if "x" is {y}`, "file.txt", 10);
+                assert.equal(s.isConditional, true);
+                assert.equal(s.isElse, true);
+                expect(s.condition).to.eql({ left: `"x"`, operator: `is`, right: `{y}` });
+
+                s = new StepNode(0);
+                s.parseLine(`else`, "file.txt", 10);
+                assert.equal(s.isConditional, true);
+                assert.equal(s.isElse, true);
+                assert.equal(s.condition, undefined);
+            });
+
+            it("parses other steps that start with If as function calls", () => {
+                s = new StepNode(0);
+                s.parseLine(`If the popup is open, close it`, "file.txt", 10);
+                assert.equal(s.isConditional, undefined);
+                assert.equal(s.isFunctionCall, true);
+
+                s = new StepNode(0);
+                s.parseLine(`If {a} is 'b' -`, "file.txt", 10);
+                assert.equal(s.isConditional, undefined);
+                assert.equal(s.isTextualStep, true);
+
+                s = new StepNode(0);
+                s.parseLine(`* If {a}`, "file.txt", 10);
+                assert.equal(s.isConditional, undefined);
+                assert.equal(s.isFunctionDeclaration, true);
+            });
+        });
     });
 
     describe("getVarsBeingSet()", () => {
@@ -1055,6 +1278,100 @@ describe("StepNode", () => {
             functionCall.text = "Given step name here";
             expect(functionCall.isFunctionMatch(functionDeclaration)).to.equal(true);
         });
+
+        it("matches a function call that leaves out {{params}} with default values", () => {
+            functionDeclaration.text = "Wait until {{element}} is visible (up to {{n = '15'}} secs)";
+            functionCall.text = "Wait until 'ok' is visible";
+            expect(functionCall.isFunctionMatch(functionDeclaration)).to.equal(true);
+            functionCall.text = "Wait until 'ok' is visible (up to '5' secs)";
+            expect(functionCall.isFunctionMatch(functionDeclaration)).to.equal(true);
+            functionCall.text = "Wait until is visible (up to '5' secs)";
+            expect(functionCall.isFunctionMatch(functionDeclaration)).to.equal(false);
+        });
+    });
+
+    describe("getNamespace()", () => {
+        it("returns the namespace at the start of a function call", () => {
+            let s = new StepNode(0);
+            s.isFunctionCall = true;
+
+            s.text = "Auth.Log in as 'bob.smith'";
+            expect(s.getNamespace()).to.equal("Auth");
+            s.text = "{user} = Auth. Get user";
+            expect(s.getNamespace()).to.equal("Auth");
+            s.text = "Log in as 'bob.smith'";
+            expect(s.getNamespace()).to.equal(null);
+            s.text = "Auth...";
+            expect(s.getNamespace()).to.equal(null);
+        });
+    });
+
+    describe("getFunctionMatch()", () => {
+        it("only matches a function call that starts with the given namespace", () => {
+            let functionDeclaration = new StepNode(0);
+            let functionCall = new StepNode(0);
+            functionDeclaration.isFunctionDeclaration = true;
+            functionCall.isFunctionCall = true;
+
+            functionDeclaration.text = "Log in as {{user}}";
+            functionCall.text = "auth.Log in as 'bob'";
+            expect(functionCall.getFunctionMatch(functionDeclaration, "Auth")).to.eql({ text: "log in as {}", omitted: [] });
+            expect(functionCall.getFunctionMatch(functionDeclaration)).to.equal(null);
+            expect(functionCall.getFunctionMatch(functionDeclaration, "Other")).to.equal(null);
+
+            functionCall.text = "Log in as 'bob'";
+            expect(functionCall.getFunctionMatch(functionDeclaration, "Auth")).to.equal(null);
+        });
+
+        it("returns which {{params}} the function call leaves out", () => {
+            let functionDeclaration = new StepNode(0);
+            let functionCall = new StepNode(0);
+            functionDeclaration.isFunctionDeclaration = true;
+            functionCall.isFunctionCall = true;
+
+            functionDeclaration.text = "Open {{browser = 'chrome'}} {{url}} {{size = '1x1'}}";
+            functionCall.text = "Open 'http://a.com'";
+            expect(functionCall.getFunctionMatch(functionDeclaration)).to.eql({ text: "open {}", omitted: [ 0, 2 ] });
+            functionCall.text = "Open 'firefox' 'http://a.com'";
+            expect(functionCall.getFunctionMatch(functionDeclaration)).to.eql({ text: "open {} {}", omitted: [ 2 ] });
+            functionCall.text = "Close";
+            expect(functionCall.getFunctionMatch(functionDeclaration)).to.equal(null);
+        });
+    });
+
+    describe("getFunctionParams()", () => {
+        it("returns the params of a function declaration, with their default values", () => {
+            let s = new StepNode(0);
+            s.text = "F {{a}} {b = 'two'} {{ c  =  [three] }}";
+            expect(s.getFunctionParams()).to.eql([
+                { name: "a", isLocal: true, defaultValue: undefined },
+                { name: "b", isLocal: false, defaultValue: "'two'" },
+                { name: "c", isLocal: true, defaultValue: "[three]" }
+            ]);
+        });
+    });
+
+    describe("getFunctionDeclarationVariants()", () => {
+        it("returns just the canonicalized text when there are no default values", () => {
+            let s = new StepNode(0);
+            s.text = "  My {{a}}  Function ";
+            expect(s.getFunctionDeclarationVariants()).to.eql([ { text: "my {} function", omitted: [] } ]);
+        });
+
+        it("leaves out each param with a default value, along with the ( ) around it if it's alone in there", () => {
+            let s = new StepNode(0);
+            s.text = "Wait {{a = '1'}} for {{b}} (up to {{n = '15'}} secs) ({{c = 'x'}} {{d}})";
+            expect(s.getFunctionDeclarationVariants()).to.eql([
+                { text: "wait {} for {} (up to {} secs) ({} {})", omitted: [] },
+                { text: "wait {} for {} (up to {} secs) ( {})", omitted: [ 3 ] },
+                { text: "wait {} for {} ({} {})", omitted: [ 2 ] },
+                { text: "wait {} for {} ( {})", omitted: [ 2, 3 ] },
+                { text: "wait for {} (up to {} secs) ({} {})", omitted: [ 0 ] },
+                { text: "wait for {} (up to {} secs) ( {})", omitted: [ 0, 3 ] },
+                { text: "wait for {} ({} {})", omitted: [ 0, 2 ] },
+                { text: "wait for {} ( {})", omitted: [ 0, 2, 3 ] }
+            ]);
+        });
     });
 
     describe("serialize()", () => {
@@ -7,6 +7,7 @@ const Branch = require('../../src/branch.js');
 const Step = require('../../src/step.js');
 const StepNode = require('../../src/stepnode.js');
 const Comparer = require('../../packages/js/comparer.js');
+const path = require('path');
 
 function mergeStepNodesInTree(tree) {
     mergeStepNodesInBranches(tree, tree.branches);
@@ -735,6 +736,64 @@ H
             });
         });
 
+        context("imports", () => {
+            const FILENAME = path.join(__dirname, 'file.txt');
+
+            it("parses an imported file under its own root, once, and records the imports of each file", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Import 'imports/auth.smash'
+Import "imports/auth.smash" as Auth
+
+A -
+`, FILENAME);
+
+                let authFilename = path.join(__dirname, 'imports/auth.smash');
+                let helpersFilename = path.join(__dirname, 'imports/helpers.smash');
+
+                expect(Object.keys(tree.importedRoots)).to.eql([ authFilename, helpersFilename ]);
+                expect(tree.root.children.map(child => child.text)).to.eql([ "A" ]);
+                expect(tree.importedRoots[authFilename].children.map(child => child.text)).to.eql([ "Log in as {{username}}", "Secret helper", "This step is never run" ]);
+
+                expect(tree.imports[FILENAME]).to.have.lengthOf(2);
+                expect(tree.imports[FILENAME][0].root === tree.importedRoots[authFilename]).to.equal(true);
+                expect(tree.imports[FILENAME][0].namespace).to.equal(undefined);
+                expect(tree.imports[FILENAME][1].root === tree.importedRoots[authFilename]).to.equal(true);
+                expect(tree.imports[FILENAME][1].namespace).to.equal("Auth");
+                expect(tree.imports[authFilename][0].namespace).to.equal("Helpers");
+                expect(tree.imports[helpersFilename][0].root === tree.importedRoots[authFilename]).to.equal(true);
+            });
+
+            it("rejects an indented Import", () => {
+                let tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(`
+A -
+    Import 'imports/auth.smash'
+`, "file.txt");
+                }, "An Import must not be indented [file.txt:3]");
+            });
+
+            it("rejects an Import with steps under it", () => {
+                let tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(`
+Import 'imports/auth.smash'
+    A -
+`, "file.txt");
+                }, "An Import cannot have any steps under it [file.txt:2]");
+            });
+
+            it("rejects an Import of a file that can't be read", () => {
+                let tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(`
+Import 'imports/nonexistent.smash'
+`, FILENAME);
+                }, `The imported file 'imports/nonexistent.smash' could not be read [${FILENAME}:2]`);
+            });
+        });
+
         context("step blocks", () => {
             it("parses a step block at the very top", () => {
                 let tree = new Tree();
@@ -1600,6 +1659,67 @@ C`
                 }, "You cannot have a function declaration within a step block [file.txt:2]");
             });
 
+            it("rejects a step block containing an If, Else if, or Else", () => {
+                let tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(
+`A
+If {x} is 'y'
+C`
+                    , "file.txt");
+                }, "You cannot have an If, Else if, or Else within a step block [file.txt:2]");
+            });
+
+            it("links an Else if or Else to the If or Else if directly above it", () => {
+                let tree = new Tree();
+                tree.parseIn(
+`If {x} is 'a'
+    A -
+Else if {x} is 'b'
+    B -
+Else
+    C -`
+                , "file.txt");
+
+                expect(tree.root.children[1].prevConditionId).to.equal(tree.root.children[0].id);
+                expect(tree.root.children[2].prevConditionId).to.equal(tree.root.children[1].id);
+            });
+
+            it("rejects an Else if or Else that isn't directly below an If or Else if", () => {
+                let tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(
+`A -
+    B -
+Else
+    C -`
+                    , "file.txt");
+                }, "An Else if or Else must be directly below an If or Else if, at the same indent level [file.txt:3]");
+
+                tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(
+`If {x}
+    A -
+Else
+    B -
+Else if {x} is 'y'
+    C -`
+                    , "file.txt");
+                }, "An Else if or Else must be directly below an If or Else if, at the same indent level [file.txt:5]");
+
+                tree = new Tree();
+                assert.throws(() => {
+                    tree.parseIn(
+`If {x}
+    A -
+
+    Else
+        B -`
+                    , "file.txt");
+                }, "An Else if or Else must be directly below an If or Else if, at the same indent level [file.txt:4]");
+            });
+
             it("rejects a step block containing a [", () => {
                 let tree = new Tree();
                 assert.throws(() => {
@@ -3087,7 +3207,115 @@ A
         });
     });
 
+    describe("getImportedFilenames()", () => {
+        it("lists the absolute filenames of the files a file imports, without parsing it in", () => {
+            let tree = new Tree();
+            let filenames = tree.getImportedFilenames(`
+Import 'imports/auth.smash'
+Import "imports/helpers.smash" as Helpers
+Important step -
+    Import 'indented.smash'
+
+* F {
+Import 'code.smash'
+}
+`, path.join(__dirname, 'file.txt'));
+
+            expect(filenames).to.eql([ path.join(__dirname, 'imports/auth.smash'), path.join(__dirname, 'imports/helpers.smash') ]);
+            expect(Object.keys(tree.importedRoots)).to.have.lengthOf(0);
+        });
+    });
+
+    describe("getFilenamesImportedByOthers()", () => {
+        it("lists the files imported by the files that nothing imports, and by the files they import", () => {
+            let filenames = [ 'main.smash', 'imports/auth.smash', 'imports/helpers.smash', 'other.smash' ].map(filename => path.join(__dirname, filename));
+            let buffers = [
+                `Import 'imports/auth.smash'\n`,
+                `Import 'helpers.smash'\n`,
+                `Import 'auth.smash'\n`,
+                `A -\n`
+            ];
+
+            expect(new Tree().getFilenamesImportedByOthers(buffers, filenames)).to.eql([ filenames[1], filenames[2] ]);
+        });
+
+        it("leaves out nothing when every file is imported by another, since there's no file to start from", () => {
+            let filenames = [ 'a.smash', 'b.smash' ].map(filename => path.join(__dirname, filename));
+            let buffers = [ `Import 'b.smash'\n`, `Import 'a.smash'\n` ];
+
+            expect(new Tree().getFilenamesImportedByOthers(buffers, filenames)).to.eql([]);
+        });
+    });
+
     describe("findFunctionDeclarations()", () => {
+        it("finds a function in an imported file before a global function with the same name", () => {
+            const FILENAME = path.join(__dirname, 'file.txt');
+            let tree = new Tree();
+            tree.parseIn(`
+Import 'imports/auth.smash'
+
+Log in as 'bob'
+
+* Log in as {{username}}
+    Global log in -
+`, FILENAME);
+
+            let authRoot = tree.importedRoots[path.join(__dirname, 'imports/auth.smash')];
+
+            let functionDeclarations = tree.findFunctionDeclarations(new Step(tree.root.children[0].id), new Branch());
+            expect(functionDeclarations).to.have.lengthOf(1);
+            expect(functionDeclarations[0] === authRoot.children[0]).to.equal(true);
+        });
+
+        it("finds a function in an imported file, with or without its namespace", () => {
+            const FILENAME = path.join(__dirname, 'file.txt');
+            let tree = new Tree();
+            tree.parseIn(`
+Import 'imports/auth.smash' as Auth
+
+Auth.Log in as 'bob'
+
+Log in as 'bob'
+
+Auth.Secret helper
+`, FILENAME);
+
+            let authRoot = tree.importedRoots[path.join(__dirname, 'imports/auth.smash')];
+
+            let functionDeclarations = tree.findFunctionDeclarations(new Step(tree.root.children[0].id), new Branch());
+            expect(functionDeclarations).to.have.lengthOf(1);
+            expect(functionDeclarations[0] === authRoot.children[0]).to.equal(true);
+
+            assert.throws(() => {
+                tree.findFunctionDeclarations(new Step(tree.root.children[1].id), new Branch());
+            }, "The function `Log in as 'bob'` cannot be found");
+
+            assert.throws(() => {
+                tree.findFunctionDeclarations(new Step(tree.root.children[2].id), new Branch());
+            }, "The function `Auth.Secret helper` cannot be found");
+        });
+
+        it("finds a function whose {{params}} with default values are left out of the function call", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+Open browser
+
+* Open browser
+    Step one -
+
+* Open {{name = 'chrome'}} browser (at {{size = '1x1'}})
+    Step two -
+            `);
+
+            let branchAbove = new Branch();
+            let functionCall = new Step(tree.root.children[0].id);
+            let functionDeclarations = tree.findFunctionDeclarations(functionCall, branchAbove);
+
+            expect(functionDeclarations).to.have.lengthOf(2);
+            expect(functionDeclarations[0] === tree.root.children[1]).to.equal(true);
+            expect(functionDeclarations[1] === tree.root.children[2]).to.equal(true);
+        });
+
         it("finds the right function when its declaration is a sibling of the function call and is below the function call", () => {
             let tree = new Tree();
             tree.parseIn(`
@@ -7673,487 +7901,361 @@ S - ..
             });
         });
 
-        context("step blocks", () => {
-            it("branchifies a step block with no children", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-A -
-B -
-C -
-                `);
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
-
-                Comparer.expect(branches).to.match([
-                    { steps: [ { text: "A", level: 0 } ] },
-                    { steps: [ { text: "B", level: 0 } ] },
-                    { steps: [ { text: "C", level: 0 } ] },
-                ]);
-            });
+        context("data steps", () => {
+            const FILENAME = path.join(__dirname, 'file.txt');
 
-            it("branchifies a step block with children", () => {
+            it("expands a CSV file into one branch per row", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-A -
-B -
-C -
-
-    D -
+Data from 'data/users.csv'
+    Log in -
+`, FILENAME);
 
-    E -
-        F -
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0 },
-                            { text: "D", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0 },
-                            { text: "E", level: 0 },
-                            { text: "F", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "B", level: 0 },
-                            { text: "D", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "B", level: 0 },
-                            { text: "E", level: 0 },
-                            { text: "F", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "C", level: 0 },
-                            { text: "D", level: 0 },
+                            { text: "Data from 'data/users.csv'", dataRow: { index: 0, vars: { username: 'bob', password: 'secret1', '{{note}}': 'likes "quotes", commas' } } },
+                            { text: "Log in" }
                         ]
                     },
                     {
                         steps: [
-                            { text: "C", level: 0 },
-                            { text: "E", level: 0 },
-                            { text: "F", level: 0 },
+                            { text: "Data from 'data/users.csv'", dataRow: { index: 1, vars: { username: 'alice', password: 'secret2', '{{note}}': '' } } },
+                            { text: "Log in" }
                         ]
-                    },
+                    }
                 ]);
             });
 
-            it("branchifies two levels of step blocks", () => {
+            it("expands a JSON file into one branch per row", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-B -
-
-    C -
-    D -
+    Data from "data/users.json"
+    B -
+`, FILENAME);
 
-        E -
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "A", level: 0 },
-                            { text: "C", level: 0 },
-                            { text: "E", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0 },
-                            { text: "D", level: 0 },
-                            { text: "E", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "B", level: 0 },
-                            { text: "C", level: 0 },
-                            { text: "E", level: 0 },
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "B", level: 0 },
-                            { text: "D", level: 0 },
-                            { text: "E", level: 0 },
-                        ]
-                    },
+                    { steps: [ { text: "A" }, { dataRow: { index: 0, vars: { username: 'bob', age: '30' } } } ] },
+                    { steps: [ { text: "A" }, { dataRow: { index: 1, vars: { username: 'alice', age: '25' } } } ] },
+                    { steps: [ { text: "A" }, { text: "B" } ] }
                 ]);
             });
-        });
 
-        context(".. steps", () => {
-            it("branchifies a .. step with no children", () => {
+            it("expands a data step inside a function declaration", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-A - ..
-                `);
+F
+    C -
+
+* F
+    Data from 'data/users.csv'
+`, FILENAME);
+
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: true }
-                        ]
-                    }
-                ]);
+                expect(branches).to.have.lengthOf(2);
+                expect(branches.map(branch => branch.steps[1].dataRow.index)).to.eql([ 0, 1 ]);
+                expect(branches.map(branch => branch.steps[2].text)).to.eql([ 'C', 'C' ]);
             });
 
-            it("branchifies a .. step with children", () => {
+            it("rejects a data file that doesn't exist", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-A - ..
-    B -
-        C -
-    D -
-                `);
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
+Data from 'data/nonexistent.csv'
+`, FILENAME);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: true },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                        ]
-                    }
-                ]);
+                assert.throws(() => {
+                    tree.branchify(tree.root);
+                }, `The data file 'data/nonexistent.csv' could not be read [${FILENAME}:2]`);
             });
 
-            it("branchifies a .. step that is a function call and has no children", () => {
+            it("rejects a data file with no rows", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F ..
+Data from 'data/empty.csv'
+`, FILENAME);
 
-* F
-    A -
-        B -
-    C -
+                assert.throws(() => {
+                    tree.branchify(tree.root);
+                }, `The data file 'data/empty.csv' has no rows [${FILENAME}:2]`);
+            });
+        });
+
+        context("imports", () => {
+            it("branchifies calls to imported functions, which can call functions in the files they import and private functions in their own file", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+Import 'imports/auth.smash'
+Import 'imports/auth.smash' as Auth
+
+Log in as 'bob'
+    Auth.Log in as 'alice'
+`, path.join(__dirname, 'file.txt'));
 
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "B", level: 1, isSequential: undefined },
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "C", level: 1, isSequential: undefined },
-                        ]
-                    }
+                expect(branches).to.have.lengthOf(1);
+                expect(branches[0].steps.map(step => step.text)).to.eql([
+                    "Log in as 'bob'",
+                    "Helpers.Open login page",
+                    "Go to '/login'",
+                    "Wait for login page",
+                    "Login page is open",
+                    "Secret helper",
+                    "Secret step",
+                    "Auth.Log in as 'alice'",
+                    "Helpers.Open login page",
+                    "Go to '/login'",
+                    "Wait for login page",
+                    "Login page is open",
+                    "Secret helper",
+                    "Secret step"
                 ]);
             });
 
-            it("branchifies a .. step that is a function call and has children", () => {
+            it("branchifies calls from an imported file to the functions at the top of that same file", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F ..
-    D -
-        E -
-
-    G -
-    H -
+Import 'imports/helpers.smash'
 
-* F
-    A -
-        B -
-    C -
+Open login page
+`, path.join(__dirname, 'file.txt'));
 
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "B", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "G", level: 0, isSequential: undefined },
-                            { text: "H", level: 0, isSequential: undefined },
-
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "C", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "G", level: 0, isSequential: undefined },
-                            { text: "H", level: 0, isSequential: undefined },
-                        ]
-                    }
+                expect(branches).to.have.lengthOf(1);
+                expect(branches[0].steps.map(step => step.text)).to.eql([
+                    "Open login page",
+                    "Go to '/login'",
+                    "Wait for login page",
+                    "Login page is open"
                 ]);
             });
 
-            it("branchifies a .. step on a function declaration", () => {
+            it("calls a function declared in the caller's own scope over an imported function with the same name", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F
+Import 'imports/auth.smash'
 
-* F ..
-    A -
-        B -
-    C -
+Start -
+    Log in as 'bob'
+
+    * Log in as {{user}}
+        Local log in -
+`, path.join(__dirname, 'file.txt'));
 
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", level: 0, isSequential: undefined },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "B", level: 1, isSequential: undefined },
-                            { text: "C", level: 1, isSequential: undefined },
-                        ]
-                    }
+                expect(branches).to.have.lengthOf(1);
+                expect(branches[0].steps.map(step => step.text)).to.eql([
+                    "Start",
+                    "Log in as 'bob'",
+                    "Local log in"
                 ]);
             });
+        });
 
-            it("branchifies a .. step that is a function call, has children, and whose function declaration starts with a ..", () => {
+        context("If, Else if, and Else steps", () => {
+            it("puts an If and the Else ifs and Else below it into one branch, each followed by its block of every step below it", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F ..
-    D -
-        E -
-
-    G -
-    H -
-
-* F ..
+If {x} is 'a'
     A -
-        B -
+        D -
+Else if {x} is 'b'
+    B -
+
     C -
+Else
+    E -
+`, "file.txt");
 
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "B", level: 1, isSequential: undefined },
-                            { text: "C", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "G", level: 0, isSequential: undefined },
-                            { text: "H", level: 0, isSequential: undefined },
+                            { text: "If {x} is 'a'", blockLevel: undefined },
+                            { text: "A", blockLevel: 1 },
+                            { text: "D", blockLevel: 1 },
+                            { text: "Else if {x} is 'b'", blockLevel: undefined },
+                            { text: "B", blockLevel: 1 },
+                            { text: "Else", blockLevel: undefined },
+                            { text: "E", blockLevel: 1 }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "If {x} is 'a'", blockLevel: undefined },
+                            { text: "A", blockLevel: 1 },
+                            { text: "D", blockLevel: 1 },
+                            { text: "Else if {x} is 'b'", blockLevel: undefined },
+                            { text: "C", blockLevel: 1 },
+                            { text: "Else", blockLevel: undefined },
+                            { text: "E", blockLevel: 1 }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step that is a function call, has children, and where the function declaration has multiple branches", () => {
+            it("puts the steps of a function call in an If block, and the steps below the function call, into the block", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F ..
-    D -
-        E -
-
-    G -
-    H -
-
-* F ..
-    A -
+If {x}
+    F
         B -
 
-                `);
+* F
+    If {y}
+        A -
+`, "file.txt");
+
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "B", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "G", level: 0, isSequential: undefined },
-                            { text: "H", level: 0, isSequential: undefined },
+                            { text: "If {x}", level: 0, blockLevel: undefined },
+                            { text: "F", level: 0, blockLevel: 1 },
+                            { text: "If {y}", level: 1, blockLevel: 1 },
+                            { text: "A", level: 1, blockLevel: 2 },
+                            { text: "B", level: 0, blockLevel: 1 }
                         ]
                     }
                 ]);
             });
+        });
 
-            it("branchifies a .. step that is a function call, has children, where the function declaration has a function call", () => {
+        context("Repeat steps", () => {
+            it("repeats every step below a Repeat N times step, once for each branch below it", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F ..
-    D -
-        E -
-
-    G -
-    H -
-
-* F
-    A
-        I -
+Repeat 2 times
+    A -
 
-* A
     B -
-    C -
+        C -
+`, "file.txt");
 
-                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "B", level: 2, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "G", level: 0, isSequential: undefined },
-                            { text: "H", level: 0, isSequential: undefined },
-
-                            { text: "F", level: 0, isSequential: true },
-                            { text: "A", level: 1, isSequential: undefined },
-                            { text: "C", level: 2, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "G", level: 0, isSequential: undefined },
-                            { text: "H", level: 0, isSequential: undefined },
+                            { text: "Repeat 2 times", repeatIteration: { index: 0, count: 2 } },
+                            { text: "A", repeatIteration: undefined },
+                            { text: "Repeat 2 times", repeatIteration: { index: 1, count: 2 } },
+                            { text: "A", repeatIteration: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "Repeat 2 times", repeatIteration: { index: 0, count: 2 } },
+                            { text: "B", blockLevel: 1 },
+                            { text: "C", blockLevel: 1, repeatIteration: undefined },
+                            { text: "Repeat 2 times", repeatIteration: { index: 1, count: 2 } },
+                            { text: "B", blockLevel: 1 },
+                            { text: "C", blockLevel: 1, repeatIteration: undefined }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step that has a step block as a child", () => {
+            it("adds a final check to the end of a Repeat until step", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-S .. -
+Repeat up to 2 times until {
+    return true;
+}
     A -
-    B -
-    C -
-                `);
+`, "file.txt");
+
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "S", level: 0, isSequential: true },
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                        ]
-                    }
-                ]);
+                expect(branches).to.have.lengthOf(1);
+                expect(branches[0].steps.map(step => step.text)).to.eql([ "Repeat up to 2 times until", "A", "Repeat up to 2 times until", "A", "Repeat up to 2 times until" ]);
+                expect(branches[0].steps.map(step => step.repeatIteration && step.repeatIteration.index)).to.eql([ 0, undefined, 1, undefined, 2 ]);
             });
 
-            it("branchifies a .. step that has a step block as a child, and a single step as its child", () => {
+            it("repeats only the steps within the function a Repeat step is in", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-S .. -
-
-    A -
-    B -
+F
     C -
 
+* F
+    Repeat 2 times
         D -
-                `);
+`, "file.txt");
+
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "S", level: 0, isSequential: true },
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                        ]
-                    }
-                ]);
+                expect(branches).to.have.lengthOf(1);
+                expect(branches[0].steps.map(step => step.text)).to.eql([ "F", "Repeat 2 times", "D", "Repeat 2 times", "D", "C" ]);
             });
 
-            it("branchifies a .. step that has a step block as a child and the step block has function calls as a members", () => {
+            it("doesn't repeat the steps after a Repeat step in a sequential flow", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 S .. -
+    Repeat 2 times
+        A -
+    B -
+`, "file.txt");
 
-    A -
-    B
-    C
-
-        I -
-
-* B
-    D -
-    E -
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
 
-    G -
+                expect(branches).to.have.lengthOf(1);
+                expect(branches[0].steps.map(step => step.text)).to.eql([ "S", "Repeat 2 times", "A", "Repeat 2 times", "A", "B" ]);
+            });
+        });
 
-* C
-    H -
+        context("step blocks", () => {
+            it("branchifies a step block with no children", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+B -
+C -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
-                    {
-                        steps: [
-                            { text: "S", level: 0, isSequential: true },
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "I", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "D", level: 1, isSequential: undefined },
-                            { text: "I", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "E", level: 1, isSequential: undefined },
-                            { text: "I", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "I", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "I", level: 0, isSequential: undefined }
-                        ]
-                    }
+                    { steps: [ { text: "A", level: 0 } ] },
+                    { steps: [ { text: "B", level: 0 } ] },
+                    { steps: [ { text: "C", level: 0 } ] },
                 ]);
             });
 
-            it("branchifies a .. step that has a step block as a child, and another step block as its child", () => {
+            it("branchifies a step block with children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-S .. -
-
-    A -
-    B -
+A -
+B -
+C -
 
-        C -
-        D -
+    D -
+
+    E -
+        F -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8161,30 +8263,56 @@ S .. -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "S", level: 0, isSequential: true },
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined }
+                            { text: "A", level: 0 },
+                            { text: "D", level: 0 },
                         ]
-                    }
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0 },
+                            { text: "E", level: 0 },
+                            { text: "F", level: 0 },
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "B", level: 0 },
+                            { text: "D", level: 0 },
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "B", level: 0 },
+                            { text: "E", level: 0 },
+                            { text: "F", level: 0 },
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "C", level: 0 },
+                            { text: "D", level: 0 },
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "C", level: 0 },
+                            { text: "E", level: 0 },
+                            { text: "F", level: 0 },
+                        ]
+                    },
                 ]);
             });
 
-            it("branchifies a .. step that has a step block as a child, and another step block as its child, and another step as its child", () => {
+            it("branchifies two levels of step blocks", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-S .. -
-
-    A -
-    B -
+A -
+B -
 
-        C -
-        D -
+    C -
+    D -
 
-            E -
+        E -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8192,31 +8320,41 @@ S .. -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "S", level: 0, isSequential: true },
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined }
+                            { text: "A", level: 0 },
+                            { text: "C", level: 0 },
+                            { text: "E", level: 0 },
                         ]
-                    }
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0 },
+                            { text: "D", level: 0 },
+                            { text: "E", level: 0 },
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "B", level: 0 },
+                            { text: "C", level: 0 },
+                            { text: "E", level: 0 },
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "B", level: 0 },
+                            { text: "D", level: 0 },
+                            { text: "E", level: 0 },
+                        ]
+                    },
                 ]);
             });
+        });
 
-            it("branchifies a .. step that has other .. steps as children", () => {
+        context(".. steps", () => {
+            it("branchifies a .. step with no children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-S .. -
-    A - ..
-        B -
-            C -
-        D -
-    E -
+A - ..
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8224,27 +8362,20 @@ S .. -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "S", level: 0, isSequential: true },
-                            { text: "A", level: 0, isSequential: true },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined }
+                            { text: "A", level: 0, isSequential: true }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a function declaration under a .. step", () => {
+            it("branchifies a .. step with children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A - ..
-    F
-
-    * F
-        B -
+    B -
+        C -
+    D -
                 `);
-
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
@@ -8252,22 +8383,24 @@ A - ..
                     {
                         steps: [
                             { text: "A", level: 0, isSequential: true },
-                            { text: "F", level: 0, isSequential: undefined },
-                            { text: "B", level: 1, isSequential: undefined }
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
                         ]
                     }
                 ]);
             });
-        });
 
-        context(".. step blocks", () => {
-            it("branchifies a .. step block with no children", () => {
+            it("branchifies a .. step that is a function call and has no children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A -
-B -
-C -
+F ..
+
+* F
+    A -
+        B -
+    C -
+
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8275,24 +8408,31 @@ C -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined }
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "B", level: 1, isSequential: undefined },
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "C", level: 1, isSequential: undefined },
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a two .. step blocks with no children", () => {
+            it("branchifies a .. step that is a function call and has children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A -
-B -
+F ..
+    D -
+        E -
+
+    G -
+    H -
+
+* F
+    A -
+        B -
+    C -
 
-..
-C -
-D -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8300,29 +8440,35 @@ D -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined }
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "B", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "G", level: 0, isSequential: undefined },
+                            { text: "H", level: 0, isSequential: undefined },
+
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "C", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "G", level: 0, isSequential: undefined },
+                            { text: "H", level: 0, isSequential: undefined },
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step block with a single branch of children", () => {
+            it("branchifies a .. step on a function declaration", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A -
-B -
-C -
+F
+
+* F ..
+    A -
+        B -
+    C -
 
-    D -
-        E -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8330,27 +8476,30 @@ C -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined }
+                            { text: "F", level: 0, isSequential: undefined },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "B", level: 1, isSequential: undefined },
+                            { text: "C", level: 1, isSequential: undefined },
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step block with multiple branches of children", () => {
+            it("branchifies a .. step that is a function call, has children, and whose function declaration starts with a ..", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A -
-B -
-C -
-
+F ..
     D -
         E -
-    F -
+
+    G -
+    H -
+
+* F ..
+    A -
+        B -
+    C -
+
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8358,38 +8507,70 @@ C -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "B", level: 1, isSequential: undefined },
+                            { text: "C", level: 1, isSequential: undefined },
                             { text: "D", level: 0, isSequential: undefined },
-                            { text: "E", level: 0, isSequential: undefined }
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "G", level: 0, isSequential: undefined },
+                            { text: "H", level: 0, isSequential: undefined },
                         ]
-                    },
+                    }
+                ]);
+            });
+
+            it("branchifies a .. step that is a function call, has children, and where the function declaration has multiple branches", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F ..
+    D -
+        E -
+
+    G -
+    H -
+
+* F ..
+    A -
+        B -
+
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "F", level: 0, isSequential: undefined }
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "B", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "G", level: 0, isSequential: undefined },
+                            { text: "H", level: 0, isSequential: undefined },
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step block that contains function calls, where each function call has a single branch", () => {
+            it("branchifies a .. step that is a function call, has children, where the function declaration has a function call", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A
-B -
-C
+F ..
+    D -
+        E -
 
-* A
     G -
-        H -
+    H -
+
+* F
+    A
+        I -
+
+* A
+    B -
+    C -
 
-* C
-    I -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8397,28 +8578,35 @@ C
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined }
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "B", level: 2, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "G", level: 0, isSequential: undefined },
+                            { text: "H", level: 0, isSequential: undefined },
+
+                            { text: "F", level: 0, isSequential: true },
+                            { text: "A", level: 1, isSequential: undefined },
+                            { text: "C", level: 2, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "G", level: 0, isSequential: undefined },
+                            { text: "H", level: 0, isSequential: undefined },
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step block that contains a function call, whose function declaration starts with a ..", () => {
+            it("branchifies a .. step that has a step block as a child", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A
-B -
-
-* A ..
+S .. -
+    A -
+    B -
     C -
-        D -
-    E -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8426,62 +8614,63 @@ B -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
+                            { text: "S", level: 0, isSequential: true },
                             { text: "A", level: 0, isSequential: undefined },
-                            { text: "C", level: 1, isSequential: undefined },
-                            { text: "D", level: 1, isSequential: undefined },
-                            { text: "E", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined }
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
                         ]
                     }
                 ]);
-
-                expect(tree.stepNodeIndex[branches[0].steps[0].fid].isSequential).to.be.true;
             });
 
-            it("branchifies a function declaration under a .. step block", () => {
+            it("branchifies a .. step that has a step block as a child, and a single step as its child", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A -
-B -
+S .. -
 
-    F
+    A -
+    B -
+    C -
 
-    * F
-        C -
+        D -
                 `);
-
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
+                            { text: "S", level: 0, isSequential: true },
                             { text: "A", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
-                            { text: "F", level: 0, isSequential: undefined },
-                            { text: "C", level: 1, isSequential: undefined }
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step block that contains function calls, where each function declaration has multiple branches", () => {
+            it("branchifies a .. step that has a step block as a child and the step block has function calls as a members", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A
-B -
-C
+S .. -
+
+    A -
+    B
+    C
+
+        I -
+
+* B
+    D -
+    E -
 
-* A
     G -
-        H -
-    J -
 
 * C
-    I -
-    K -
+    H -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8489,67 +8678,67 @@ C
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
+                            { text: "S", level: 0, isSequential: true },
                             { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "I", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "D", level: 1, isSequential: undefined },
+                            { text: "I", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "E", level: 1, isSequential: undefined },
+                            { text: "I", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "I", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined }
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "I", level: 0, isSequential: undefined }
                         ]
-                    },
+                    }
+                ]);
+            });
+
+            it("branchifies a .. step that has a step block as a child, and another step block as its child", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+S .. -
+
+    A -
+    B -
+
+        C -
+        D -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [
+                            { text: "S", level: 0, isSequential: true },
                             { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined }
+                            { text: "D", level: 0, isSequential: undefined }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step block that contains function calls and multiple branches of children, where each function declaration has multiple branches", () => {
+            it("branchifies a .. step that has a step block as a child, and another step block as its child, and another step as its child", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-..
-A
-B -
-C
-
-    L -
+S .. -
 
-    M -
-        N -
-        O -
+    A -
+    B -
 
-* A
-    G -
-        H -
-    J -
+        C -
+        D -
 
-* C
-    I -
-    K -
+            E -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8557,150 +8746,137 @@ C
                 Comparer.expect(branches).to.match([
                     {
                         steps: [
+                            { text: "S", level: 0, isSequential: true },
                             { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "L", level: 0, isSequential: undefined }
+                            { text: "E", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined }
                         ]
-                    },
+                    }
+                ]);
+            });
+
+            it("branchifies a .. step that has other .. steps as children", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+S .. -
+    A - ..
+        B -
+            C -
+        D -
+    E -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "N", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "O", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined },
-                            { text: "L", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "N", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "G", level: 1, isSequential: undefined },
-                            { text: "H", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "O", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "L", level: 0, isSequential: undefined }
-                        ]
-                    },
-                    {
-                        steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "S", level: 0, isSequential: true },
+                            { text: "A", level: 0, isSequential: true },
                             { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "N", level: 0, isSequential: undefined }
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined }
                         ]
-                    },
+                    }
+                ]);
+            });
+
+            it("branchifies a function declaration under a .. step", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A - ..
+    F
+
+    * F
+        B -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "I", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "O", level: 0, isSequential: undefined }
+                            { text: "A", level: 0, isSequential: true },
+                            { text: "F", level: 0, isSequential: undefined },
+                            { text: "B", level: 1, isSequential: undefined }
                         ]
-                    },
+                    }
+                ]);
+            });
+        });
+
+        context(".. step blocks", () => {
+            it("branchifies a .. step block with no children", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+..
+A -
+B -
+C -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [
                             { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined },
-                            { text: "L", level: 0, isSequential: undefined }
+                            { text: "C", level: 0, isSequential: undefined }
                         ]
-                    },
+                    }
+                ]);
+            });
+
+            it("branchifies a two .. step blocks with no children", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+..
+A -
+B -
+
+..
+C -
+D -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [
                             { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
-                            { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "N", level: 0, isSequential: undefined }
+                            { text: "B", level: 0, isSequential: undefined }
                         ]
                     },
                     {
                         steps: [
-                            { text: "A", level: 0, isSequential: undefined },
-                            { text: "J", level: 1, isSequential: undefined },
-                            { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "K", level: 1, isSequential: undefined },
-                            { text: "M", level: 0, isSequential: undefined },
-                            { text: "O", level: 0, isSequential: undefined }
+                            { text: "D", level: 0, isSequential: undefined }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step that contains a .. step block", () => {
+            it("branchifies a .. step block with a single branch of children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 ..
 A -
 B -
-    ..
-    C -
+C -
+
     D -
+        E -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8711,26 +8887,24 @@ B -
                             { text: "A", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined }
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies a .. step that contains a .. step block that contains a function call, whose function declaration has multiple branches", () => {
+            it("branchifies a .. step block with multiple branches of children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 ..
 A -
 B -
-    ..
-    C
-    D -
+C -
 
-    * C
+    D -
         E -
-
-        F -
+    F -
                 `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -8741,8 +8915,8 @@ B -
                             { text: "A", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "E", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined }
+                            { text: "D", level: 0, isSequential: undefined },
+                            { text: "E", level: 0, isSequential: undefined }
                         ]
                     },
                     {
@@ -8750,90 +8924,85 @@ B -
                             { text: "A", level: 0, isSequential: undefined },
                             { text: "B", level: 0, isSequential: undefined },
                             { text: "C", level: 0, isSequential: undefined },
-                            { text: "F", level: 1, isSequential: undefined },
-                            { text: "D", level: 0, isSequential: undefined }
+                            { text: "F", level: 0, isSequential: undefined }
                         ]
                     }
                 ]);
             });
-        });
 
-        context("*** Before Every Branch hook", () => {
-            it("branchifies the *** Before Every Branch hook", () => {
+            it("branchifies a .. step block that contains function calls, where each function call has a single branch", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-A -
-    B -
+..
+A
+B -
+C
 
-    C -
-        *** Before Every Branch {
-            D
-        }
+* A
+    G -
+        H -
 
-E -
+* C
+    I -
                 `);
-
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
-                        steps: [ { text: "A" }, { text: "B" } ],
-                        beforeEveryBranch: undefined,
-                        afterEveryBranch: undefined,
-                        beforeEveryStep: undefined,
-                        afterEveryStep: undefined
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "C" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", level: 0, codeBlock: "\n            D" }
-                        ],
-                        afterEveryBranch: undefined,
-                        beforeEveryStep: undefined,
-                        afterEveryStep: undefined
-                    },
-                    {
-                        steps: [ { text: "E" } ],
-                        beforeEveryBranch: undefined,
-                        afterEveryBranch: undefined,
-                        beforeEveryStep: undefined,
-                        afterEveryStep: undefined
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined }
+                        ]
                     }
                 ]);
             });
 
-            it("branchifies an empty *** Before Every Branch hook", () => {
+            it("branchifies a .. step block that contains a function call, whose function declaration starts with a ..", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-A -
-    *** Before Every Branch {
-    }
-                `);
+..
+A
+B -
 
+* A ..
+    C -
+        D -
+    E -
+                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
-                        steps: [ { text: "A" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", level: 0, codeBlock: "" }
-                        ],
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "C", level: 1, isSequential: undefined },
+                            { text: "D", level: 1, isSequential: undefined },
+                            { text: "E", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined }
+                        ]
                     }
                 ]);
+
+                expect(tree.stepNodeIndex[branches[0].steps[0].fid].isSequential).to.be.true;
             });
 
-            it("branchifies the *** Before Every Branch hook under the root", () => {
+            it("branchifies a function declaration under a .. step block", () => {
                 let tree = new Tree();
                 tree.parseIn(`
+..
 A -
+B -
 
-*** Before Every Branch {
-    B
-}
+    F
 
-C -
+    * F
+        C -
                 `);
 
                 let branches = tree.branchify(tree.root);
@@ -8841,182 +9010,317 @@ C -
 
                 Comparer.expect(branches).to.match([
                     {
-                        steps: [ { text: "A" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", level: 0, codeBlock: "\n    B" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "C" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", level: 0, codeBlock: "\n    B" }
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "F", level: 0, isSequential: undefined },
+                            { text: "C", level: 1, isSequential: undefined }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Branch hook when it's inside a function declaration", () => {
+            it("branchifies a .. step block that contains function calls, where each function declaration has multiple branches", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F
+..
+A
+B -
+C
 
-* F
-    A -
-    B -
+* A
+    G -
+        H -
+    J -
 
-    *** Before Every Branch {
-        C
-    }
+* C
+    I -
+    K -
                 `);
-
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
-                        steps: [ { text: "F" }, { text: "A" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", level: 0, codeBlock: "\n        C" }
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined }
                         ]
                     },
                     {
-                        steps: [ { text: "F" }, { text: "B" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", level: 0, codeBlock: "\n        C" }
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Branch hook under a step block", () => {
+            it("branchifies a .. step block that contains function calls and multiple branches of children, where each function declaration has multiple branches", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-A -
-    B -
-    C -
+..
+A
+B -
+C
 
-        *** Before Every Branch {
-            D
-        }
+    L -
 
-G -
-                `);
+    M -
+        N -
+        O -
+
+* A
+    G -
+        H -
+    J -
 
+* C
+    I -
+    K -
+                `);
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
                 Comparer.expect(branches).to.match([
                     {
-                        steps: [ { text: "A" }, { text: "B" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock: "\n            D"}
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "L", level: 0, isSequential: undefined }
                         ]
                     },
                     {
-                        steps: [ { text: "A" }, { text: "C" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock: "\n            D"}
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "N", level: 0, isSequential: undefined }
                         ]
                     },
                     {
-                        steps: [ { text: "G" } ],
-                        beforeEveryBranch: undefined
-                    }
-                ]);
-            });
-
-            it("branchifies the *** Before Every Branch hook under a .. step", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-A - ..
-
-    B -
-
-    C -
-        *** Before Every Branch {
-            D
-        }
-
-G -
-                `);
-
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
-
-                Comparer.expect(branches).to.match([
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "O", level: 0, isSequential: undefined }
+                        ]
+                    },
                     {
-                        steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock: "\n            D" }
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined },
+                            { text: "L", level: 0, isSequential: undefined }
                         ]
                     },
                     {
-                        steps: [ { text: "G" } ],
-                        beforeEveryBranch: undefined
-                    }
-                ]);
-            });
-
-            it("branchifies the *** Before Every Branch hook under a .. step block", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-A -
-    ..
-    B -
-    C -
-
-        *** Before Every Branch {
-            D
-        }
-
-G -
-                `);
-
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
-
-                Comparer.expect(branches).to.match([
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "N", level: 0, isSequential: undefined }
+                        ]
+                    },
                     {
-                        steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock:"\n            D" }
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "G", level: 1, isSequential: undefined },
+                            { text: "H", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "O", level: 0, isSequential: undefined }
                         ]
                     },
                     {
-                        steps: [ { text: "G" } ],
-                        beforeEveryBranch: undefined
-                    }
-                ]);
-            });
-
-            it("rejects a *** Before Every Branch hook that has children", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-A -
-    *** Before Every Branch {
-        B
-    }
-
-        C -
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "L", level: 0, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "N", level: 0, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "I", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "O", level: 0, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined },
+                            { text: "L", level: 0, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "N", level: 0, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "J", level: 1, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "K", level: 1, isSequential: undefined },
+                            { text: "M", level: 0, isSequential: undefined },
+                            { text: "O", level: 0, isSequential: undefined }
+                        ]
+                    }
+                ]);
+            });
 
-G -
-                `, "file.txt");
+            it("branchifies a .. step that contains a .. step block", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+..
+A -
+B -
+    ..
+    C -
+    D -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
 
-                assert.throws(() => {
-                    tree.branchify(tree.root);
-                }, "A hook cannot have children [file.txt:3]");
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined }
+                        ]
+                    }
+                ]);
+            });
+
+            it("branchifies a .. step that contains a .. step block that contains a function call, whose function declaration has multiple branches", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+..
+A -
+B -
+    ..
+    C
+    D -
+
+    * C
+        E -
+
+        F -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "E", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined }
+                        ]
+                    },
+                    {
+                        steps: [
+                            { text: "A", level: 0, isSequential: undefined },
+                            { text: "B", level: 0, isSequential: undefined },
+                            { text: "C", level: 0, isSequential: undefined },
+                            { text: "F", level: 1, isSequential: undefined },
+                            { text: "D", level: 0, isSequential: undefined }
+                        ]
+                    }
+                ]);
             });
         });
 
-        context("*** After Every Branch hook", () => {
-            it("branchifies the *** After Every Branch hook", () => {
+        context("*** Before Every Branch hook", () => {
+            it("branchifies the *** Before Every Branch hook", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
     B -
 
     C -
-        *** After Every Branch {
+        *** Before Every Branch {
             D
         }
 
@@ -9036,10 +9340,10 @@ E -
                     },
                     {
                         steps: [ { text: "A" }, { text: "C" } ],
-                        beforeEveryBranch: undefined,
-                        afterEveryBranch: [
-                            { text: "After Every Branch", level: 0, codeBlock: "\n            D" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", level: 0, codeBlock: "\n            D" }
                         ],
+                        afterEveryBranch: undefined,
                         beforeEveryStep: undefined,
                         afterEveryStep: undefined
                     },
@@ -9053,11 +9357,11 @@ E -
                 ]);
             });
 
-            it("branchifies an empty *** After Every Branch hook", () => {
+            it("branchifies an empty *** Before Every Branch hook", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    *** After Every Branch {
+    *** Before Every Branch {
     }
                 `);
 
@@ -9067,19 +9371,19 @@ A -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", level: 0, codeBlock: "" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", level: 0, codeBlock: "" }
                         ],
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Branch hook under the root", () => {
+            it("branchifies the *** Before Every Branch hook under the root", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
 
-***  After  Every branch {
+*** Before Every Branch {
     B
 }
 
@@ -9092,20 +9396,20 @@ C -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" } ],
-                        afterEveryBranch: [
-                            { text: "After  Every branch", level: 0, codeBlock: "\n    B" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", level: 0, codeBlock: "\n    B" }
                         ]
                     },
                     {
                         steps: [ { text: "C" } ],
-                        afterEveryBranch: [
-                            { text: "After  Every branch", level: 0, codeBlock: "\n    B" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", level: 0, codeBlock: "\n    B" }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Branch hook when it's inside a function declaration", () => {
+            it("branchifies the *** Before Every Branch hook when it's inside a function declaration", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 F
@@ -9114,7 +9418,7 @@ F
     A -
     B -
 
-    *** After Every Branch {
+    *** Before Every Branch {
         C
     }
                 `);
@@ -9125,51 +9429,27 @@ F
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "F" }, { text: "A" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", level: 0, codeBlock: "\n        C" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", level: 0, codeBlock: "\n        C" }
                         ]
                     },
                     {
                         steps: [ { text: "F" }, { text: "B" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", level: 0, codeBlock: "\n        C" }
-                        ]
-                    }
-                ]);
-            });
-
-            it("branchifies the *** After Every Branch hook when it's inside an empty function declaration", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-F
-
-* F
-    *** After Every Branch {
-        C
-    }
-                `);
-
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
-
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [ { text: "F" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", level: 0, codeBlock: "\n        C" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", level: 0, codeBlock: "\n        C" }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Branch hook under a step block", () => {
+            it("branchifies the *** Before Every Branch hook under a step block", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
     B -
     C -
 
-        *** After Every Branch {
+        *** Before Every Branch {
             D
         }
 
@@ -9182,24 +9462,24 @@ G -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" }, { text: "B" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            D"}
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock: "\n            D"}
                         ]
                     },
                     {
                         steps: [ { text: "A" }, { text: "C" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            D"}
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock: "\n            D"}
                         ]
                     },
                     {
                         steps: [ { text: "G" } ],
-                        afterEveryBranch: undefined
+                        beforeEveryBranch: undefined
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Branch hook under a .. step", () => {
+            it("branchifies the *** Before Every Branch hook under a .. step", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A - ..
@@ -9207,7 +9487,7 @@ A - ..
     B -
 
     C -
-        *** After Every Branch {
+        *** Before Every Branch {
             D
         }
 
@@ -9220,18 +9500,18 @@ G -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            D" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock: "\n            D" }
                         ]
                     },
                     {
                         steps: [ { text: "G" } ],
-                        afterEveryBranch: undefined
+                        beforeEveryBranch: undefined
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Branch hook under a .. step block", () => {
+            it("branchifies the *** Before Every Branch hook under a .. step block", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
@@ -9239,7 +9519,7 @@ A -
     B -
     C -
 
-        *** After Every Branch {
+        *** Before Every Branch {
             D
         }
 
@@ -9252,22 +9532,22 @@ G -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock:"\n            D" }
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock:"\n            D" }
                         ]
                     },
                     {
                         steps: [ { text: "G" } ],
-                        afterEveryBranch: undefined
+                        beforeEveryBranch: undefined
                     }
                 ]);
             });
 
-            it("rejects a *** After Every Branch hook that has children", () => {
+            it("rejects a *** Before Every Branch hook that has children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    *** After Every Branch {
+    *** Before Every Branch {
         B
     }
 
@@ -9280,212 +9560,22 @@ G -
                     tree.branchify(tree.root);
                 }, "A hook cannot have children [file.txt:3]");
             });
+        });
 
-            it("handles multiple *** Before Every Branch and *** After Every Branch hooks that are siblings", () => {
+        context("*** After Every Branch hook", () => {
+            it("branchifies the *** After Every Branch hook", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
     B -
 
     C -
-        *** Before Every Branch {
-            D1
-        }
-
         *** After Every Branch {
-            G1
+            D
         }
 
-        *** Before Every Branch {
-            D2
-        }
-
-        *** Before Every Branch {
-            D3
-        }
-
-        *** After Every Branch {
-            G2
-        }
-
-        *** After Every Branch {
-            G3
-        }
-
-E -
-                `);
-
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
-
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [ { text: "A" }, { text: "B" } ],
-                        afterEveryBranch: undefined,
-                        beforeEveryBranch: undefined
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "C" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            G1" },
-                            { text: "After Every Branch", codeBlock: "\n            G2" },
-                            { text: "After Every Branch", codeBlock: "\n            G3" }
-                        ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock: "\n            D3" },
-                            { text: "Before Every Branch", codeBlock: "\n            D2" },
-                            { text: "Before Every Branch", codeBlock: "\n            D1" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "E" } ],
-                        afterEveryBranch: undefined,
-                        beforeEveryBranch: undefined
-                    }
-                ]);
-            });
-
-            it("branchifies many *** Before Every Branch and *** After Every Branch hooks in the tree", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-A -
-    B -
-        C -
-        D -
-
-            E -
-
-                *** After Every Branch {
-                    U
-                }
-
-            *** After Every Branch {
-                T
-            }
-
-        F -
-
-    H -
-    I -
-
-        *** After Every Branch {
-            S
-        }
-
-    ..
-    J -
-    K -
-
-        *** After Every Branch {
-            R
-        }
-
-        *** Before Every Branch {
-            X
-        }
-
-    L - ..
-        M -
-            N -
-
-        *** After Every Branch {
-            Q
-        }
-
-        *** Before Every Branch {
-            Y
-        }
-
-        O -
-
-    *** After Every Branch {
-        W
-    }
-G -
-    P -
-                `);
-                let branches = tree.branchify(tree.root);
-                mergeStepNodesInBranches(tree, branches);
-
-                Comparer.expect(branches).to.match([
-                    {
-                        steps: [ { text: "A" }, { text: "B" }, { text: "C" }, { text: "E" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n                    U" },
-                            { text: "After Every Branch", codeBlock: "\n                T" },
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "B" }, { text: "D" }, { text: "E" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n                    U" },
-                            { text: "After Every Branch", codeBlock: "\n                T" },
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "B" }, { text: "F" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "H" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            S" },
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "I" } ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            S" },
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "J" }, { text: "K" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock: "\n            X" }
-                        ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            R" },
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "A" }, { text: "L" }, { text: "M" }, { text: "N" }, { text: "O" } ],
-                        beforeEveryBranch: [
-                            { text: "Before Every Branch", codeBlock: "\n            Y" }
-                        ],
-                        afterEveryBranch: [
-                            { text: "After Every Branch", codeBlock: "\n            Q" },
-                            { text: "After Every Branch", codeBlock: "\n        W" }
-                        ]
-                    },
-                    {
-                        steps: [ { text: "G" }, { text: "P" } ],
-                        afterEveryBranch: undefined
-                    }
-                ]);
-            });
-        });
-
-        context("*** Before Every Step hook", () => {
-            it("branchifies the *** Before Every Step hook", () => {
-                let tree = new Tree();
-                tree.parseIn(`
-A -
-    B -
-
-    C -
-        *** Before Every Step {
-            D
-        }
-
-E -
-                `);
+E -
+                `);
 
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
@@ -9501,10 +9591,10 @@ E -
                     {
                         steps: [ { text: "A" }, { text: "C" } ],
                         beforeEveryBranch: undefined,
-                        afterEveryBranch: undefined,
-                        beforeEveryStep: [
-                            { text: "Before Every Step", level: 0, codeBlock: "\n            D" }
+                        afterEveryBranch: [
+                            { text: "After Every Branch", level: 0, codeBlock: "\n            D" }
                         ],
+                        beforeEveryStep: undefined,
                         afterEveryStep: undefined
                     },
                     {
@@ -9517,11 +9607,11 @@ E -
                 ]);
             });
 
-            it("branchifies an empty *** Before Every Step hook", () => {
+            it("branchifies an empty *** After Every Branch hook", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    *** Before Every Step {
+    *** After Every Branch {
     }
                 `);
 
@@ -9531,19 +9621,19 @@ A -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", level: 0, codeBlock: "" }
+                        afterEveryBranch: [
+                            { text: "After Every Branch", level: 0, codeBlock: "" }
                         ],
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Step hook under the root", () => {
+            it("branchifies the *** After Every Branch hook under the root", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
 
-*** Before Every Step {
+***  After  Every branch {
     B
 }
 
@@ -9556,20 +9646,20 @@ C -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", level: 0, codeBlock: "\n    B" }
+                        afterEveryBranch: [
+                            { text: "After  Every branch", level: 0, codeBlock: "\n    B" }
                         ]
                     },
                     {
                         steps: [ { text: "C" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", level: 0, codeBlock: "\n    B" }
+                        afterEveryBranch: [
+                            { text: "After  Every branch", level: 0, codeBlock: "\n    B" }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Step hook when it's inside a function declaration", () => {
+            it("branchifies the *** After Every Branch hook when it's inside a function declaration", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 F
@@ -9578,7 +9668,7 @@ F
     A -
     B -
 
-    *** Before Every Step {
+    *** After Every Branch {
         C
     }
                 `);
@@ -9589,27 +9679,51 @@ F
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "F" }, { text: "A" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", level: 0, codeBlock: "\n        C" }
+                        afterEveryBranch: [
+                            { text: "After Every Branch", level: 0, codeBlock: "\n        C" }
                         ]
                     },
                     {
                         steps: [ { text: "F" }, { text: "B" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", level: 0, codeBlock: "\n        C" }
+                        afterEveryBranch: [
+                            { text: "After Every Branch", level: 0, codeBlock: "\n        C" }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Step hook under a step block", () => {
+            it("branchifies the *** After Every Branch hook when it's inside an empty function declaration", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F
+
+* F
+    *** After Every Branch {
+        C
+    }
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "F" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", level: 0, codeBlock: "\n        C" }
+                        ]
+                    }
+                ]);
+            });
+
+            it("branchifies the *** After Every Branch hook under a step block", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
     B -
     C -
 
-        *** Before Every Step {
+        *** After Every Branch {
             D
         }
 
@@ -9622,24 +9736,24 @@ G -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" }, { text: "B" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", codeBlock: "\n            D"}
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            D"}
                         ]
                     },
                     {
                         steps: [ { text: "A" }, { text: "C" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", codeBlock: "\n            D"}
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            D"}
                         ]
                     },
                     {
                         steps: [ { text: "G" } ],
-                        beforeEveryStep: undefined
+                        afterEveryBranch: undefined
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Step hook under a .. step", () => {
+            it("branchifies the *** After Every Branch hook under a .. step", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A - ..
@@ -9647,7 +9761,7 @@ A - ..
     B -
 
     C -
-        *** Before Every Step {
+        *** After Every Branch {
             D
         }
 
@@ -9660,18 +9774,18 @@ G -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", codeBlock: "\n            D" }
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            D" }
                         ]
                     },
                     {
                         steps: [ { text: "G" } ],
-                        beforeEveryStep: undefined
+                        afterEveryBranch: undefined
                     }
                 ]);
             });
 
-            it("branchifies the *** Before Every Step hook under a .. step block", () => {
+            it("branchifies the *** After Every Branch hook under a .. step block", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
@@ -9679,7 +9793,7 @@ A -
     B -
     C -
 
-        *** Before Every Step {
+        *** After Every Branch {
             D
         }
 
@@ -9692,22 +9806,22 @@ G -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
-                        beforeEveryStep: [
-                            { text: "Before Every Step", codeBlock:"\n            D" }
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock:"\n            D" }
                         ]
                     },
                     {
                         steps: [ { text: "G" } ],
-                        beforeEveryStep: undefined
+                        afterEveryBranch: undefined
                     }
                 ]);
             });
 
-            it("rejects a *** Before Every Step hook that has children", () => {
+            it("rejects a *** After Every Branch hook that has children", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    *** Before Every Step {
+    *** After Every Branch {
         B
     }
 
@@ -9720,17 +9834,207 @@ G -
                     tree.branchify(tree.root);
                 }, "A hook cannot have children [file.txt:3]");
             });
+
+            it("handles multiple *** Before Every Branch and *** After Every Branch hooks that are siblings", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B -
+
+    C -
+        *** Before Every Branch {
+            D1
+        }
+
+        *** After Every Branch {
+            G1
+        }
+
+        *** Before Every Branch {
+            D2
+        }
+
+        *** Before Every Branch {
+            D3
+        }
+
+        *** After Every Branch {
+            G2
+        }
+
+        *** After Every Branch {
+            G3
+        }
+
+E -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" } ],
+                        afterEveryBranch: undefined,
+                        beforeEveryBranch: undefined
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "C" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            G1" },
+                            { text: "After Every Branch", codeBlock: "\n            G2" },
+                            { text: "After Every Branch", codeBlock: "\n            G3" }
+                        ],
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock: "\n            D3" },
+                            { text: "Before Every Branch", codeBlock: "\n            D2" },
+                            { text: "Before Every Branch", codeBlock: "\n            D1" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "E" } ],
+                        afterEveryBranch: undefined,
+                        beforeEveryBranch: undefined
+                    }
+                ]);
+            });
+
+            it("branchifies many *** Before Every Branch and *** After Every Branch hooks in the tree", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B -
+        C -
+        D -
+
+            E -
+
+                *** After Every Branch {
+                    U
+                }
+
+            *** After Every Branch {
+                T
+            }
+
+        F -
+
+    H -
+    I -
+
+        *** After Every Branch {
+            S
+        }
+
+    ..
+    J -
+    K -
+
+        *** After Every Branch {
+            R
+        }
+
+        *** Before Every Branch {
+            X
+        }
+
+    L - ..
+        M -
+            N -
+
+        *** After Every Branch {
+            Q
+        }
+
+        *** Before Every Branch {
+            Y
+        }
+
+        O -
+
+    *** After Every Branch {
+        W
+    }
+G -
+    P -
+                `);
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" }, { text: "C" }, { text: "E" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n                    U" },
+                            { text: "After Every Branch", codeBlock: "\n                T" },
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "B" }, { text: "D" }, { text: "E" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n                    U" },
+                            { text: "After Every Branch", codeBlock: "\n                T" },
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "B" }, { text: "F" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "H" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            S" },
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "I" } ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            S" },
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "J" }, { text: "K" } ],
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock: "\n            X" }
+                        ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            R" },
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "L" }, { text: "M" }, { text: "N" }, { text: "O" } ],
+                        beforeEveryBranch: [
+                            { text: "Before Every Branch", codeBlock: "\n            Y" }
+                        ],
+                        afterEveryBranch: [
+                            { text: "After Every Branch", codeBlock: "\n            Q" },
+                            { text: "After Every Branch", codeBlock: "\n        W" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "G" }, { text: "P" } ],
+                        afterEveryBranch: undefined
+                    }
+                ]);
+            });
         });
 
-        context("*** After Every Step hook", () => {
-            it("branchifies the *** After Every Step hook", () => {
+        context("*** Before Every Step hook", () => {
+            it("branchifies the *** Before Every Step hook", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
     B -
 
     C -
-        *** After Every Step {
+        *** Before Every Step {
             D
         }
 
@@ -9752,10 +10056,10 @@ E -
                         steps: [ { text: "A" }, { text: "C" } ],
                         beforeEveryBranch: undefined,
                         afterEveryBranch: undefined,
-                        beforeEveryStep: undefined,
-                        afterEveryStep: [
-                            { text: "After Every Step", level: 0, codeBlock: "\n            D" }
-                        ]
+                        beforeEveryStep: [
+                            { text: "Before Every Step", level: 0, codeBlock: "\n            D" }
+                        ],
+                        afterEveryStep: undefined
                     },
                     {
                         steps: [ { text: "E" } ],
@@ -9767,11 +10071,11 @@ E -
                 ]);
             });
 
-            it("branchifies an empty *** After Every Step hook", () => {
+            it("branchifies an empty *** Before Every Step hook", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    *** After Every Step {
+    *** Before Every Step {
     }
                 `);
 
@@ -9781,19 +10085,19 @@ A -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" } ],
-                        afterEveryStep: [
-                            { text: "After Every Step", level: 0, codeBlock: "" }
+                        beforeEveryStep: [
+                            { text: "Before Every Step", level: 0, codeBlock: "" }
                         ],
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Step hook under the root", () => {
+            it("branchifies the *** Before Every Step hook under the root", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
 
-*** After Every Step {
+*** Before Every Step {
     B
 }
 
@@ -9806,20 +10110,20 @@ C -
                 Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "A" } ],
-                        afterEveryStep: [
-                            { text: "After Every Step", level: 0, codeBlock: "\n    B" }
+                        beforeEveryStep: [
+                            { text: "Before Every Step", level: 0, codeBlock: "\n    B" }
                         ]
                     },
                     {
                         steps: [ { text: "C" } ],
-                        afterEveryStep: [
-                            { text: "After Every Step", level: 0, codeBlock: "\n    B" }
+                        beforeEveryStep: [
+                            { text: "Before Every Step", level: 0, codeBlock: "\n    B" }
                         ]
                     }
                 ]);
             });
 
-            it("branchifies the *** After Every Step hook when it's inside a function declaration", () => {
+            it("branchifies the *** Before Every Step hook when it's inside a function declaration", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 F
@@ -9828,7 +10132,257 @@ F
     A -
     B -
 
-    *** After Every Step {
+    *** Before Every Step {
+        C
+    }
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "F" }, { text: "A" } ],
+                        beforeEveryStep: [
+                            { text: "Before Every Step", level: 0, codeBlock: "\n        C" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "F" }, { text: "B" } ],
+                        beforeEveryStep: [
+                            { text: "Before Every Step", level: 0, codeBlock: "\n        C" }
+                        ]
+                    }
+                ]);
+            });
+
+            it("branchifies the *** Before Every Step hook under a step block", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B -
+    C -
+
+        *** Before Every Step {
+            D
+        }
+
+G -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" } ],
+                        beforeEveryStep: [
+                            { text: "Before Every Step", codeBlock: "\n            D"}
+                        ]
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "C" } ],
+                        beforeEveryStep: [
+                            { text: "Before Every Step", codeBlock: "\n            D"}
+                        ]
+                    },
+                    {
+                        steps: [ { text: "G" } ],
+                        beforeEveryStep: undefined
+                    }
+                ]);
+            });
+
+            it("branchifies the *** Before Every Step hook under a .. step", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A - ..
+
+    B -
+
+    C -
+        *** Before Every Step {
+            D
+        }
+
+G -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
+                        beforeEveryStep: [
+                            { text: "Before Every Step", codeBlock: "\n            D" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "G" } ],
+                        beforeEveryStep: undefined
+                    }
+                ]);
+            });
+
+            it("branchifies the *** Before Every Step hook under a .. step block", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    ..
+    B -
+    C -
+
+        *** Before Every Step {
+            D
+        }
+
+G -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" }, { text: "C" } ],
+                        beforeEveryStep: [
+                            { text: "Before Every Step", codeBlock:"\n            D" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "G" } ],
+                        beforeEveryStep: undefined
+                    }
+                ]);
+            });
+
+            it("rejects a *** Before Every Step hook that has children", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    *** Before Every Step {
+        B
+    }
+
+        C -
+
+G -
+                `, "file.txt");
+
+                assert.throws(() => {
+                    tree.branchify(tree.root);
+                }, "A hook cannot have children [file.txt:3]");
+            });
+        });
+
+        context("*** After Every Step hook", () => {
+            it("branchifies the *** After Every Step hook", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B -
+
+    C -
+        *** After Every Step {
+            D
+        }
+
+E -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" } ],
+                        beforeEveryBranch: undefined,
+                        afterEveryBranch: undefined,
+                        beforeEveryStep: undefined,
+                        afterEveryStep: undefined
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "C" } ],
+                        beforeEveryBranch: undefined,
+                        afterEveryBranch: undefined,
+                        beforeEveryStep: undefined,
+                        afterEveryStep: [
+                            { text: "After Every Step", level: 0, codeBlock: "\n            D" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "E" } ],
+                        beforeEveryBranch: undefined,
+                        afterEveryBranch: undefined,
+                        beforeEveryStep: undefined,
+                        afterEveryStep: undefined
+                    }
+                ]);
+            });
+
+            it("branchifies an empty *** After Every Step hook", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    *** After Every Step {
+    }
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" } ],
+                        afterEveryStep: [
+                            { text: "After Every Step", level: 0, codeBlock: "" }
+                        ],
+                    }
+                ]);
+            });
+
+            it("branchifies the *** After Every Step hook under the root", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+
+*** After Every Step {
+    B
+}
+
+C -
+                `);
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" } ],
+                        afterEveryStep: [
+                            { text: "After Every Step", level: 0, codeBlock: "\n    B" }
+                        ]
+                    },
+                    {
+                        steps: [ { text: "C" } ],
+                        afterEveryStep: [
+                            { text: "After Every Step", level: 0, codeBlock: "\n    B" }
+                        ]
+                    }
+                ]);
+            });
+
+            it("branchifies the *** After Every Step hook when it's inside a function declaration", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F
+
+* F
+    A -
+    B -
+
+    *** After Every Step {
         C
     }
                 `);
@@ -11951,19 +12505,53 @@ G -
                 ]);
             });
 
-            it("handles groups on function declarations", () => {
+            it("only keeps branches that match a group expression", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F
-    A -
+A - #checkout
+    B - #slow
+    C - #chrome
+    D - #firefox #smoke
+    E - #smoke
 
-* F #one
+F - #chrome #smoke
                 `, "file.txt");
 
+                tree.groups = ["checkout and not slow and not (chrome or firefox)", "(chrome or firefox) AND smoke"];
                 let branches = tree.branchify(tree.root);
                 mergeStepNodesInBranches(tree, branches);
 
-                Comparer.expect(branches).to.match([
+                expect(branches.map(branch => branch.steps.map(step => step.text).join(' '))).to.eql([ "A D", "A E", "F" ]);
+            });
+
+            it("keeps branches with no groups that match a not expression", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+
+B - #slow
+                `, "file.txt");
+
+                tree.groups = ["not slow"];
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                expect(branches.map(branch => branch.steps[0].text)).to.eql([ "A" ]);
+            });
+
+            it("handles groups on function declarations", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F
+    A -
+
+* F #one
+                `, "file.txt");
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
                     {
                         steps: [ { text: "F" }, { text: "A" } ],
                         groups: [ 'one' ]
@@ -12062,6 +12650,135 @@ A -
             });
         });
 
+        context("skip groups", () => {
+            it("removes branches that are part of any of the groups being skipped", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A - #flaky
+    B -
+    C - #manual
+
+D -
+    E - #smoke
+    F - #manual #smoke
+
+G -
+                `, "file.txt");
+
+                tree.skipGroups = ["flaky", "manual"];
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                expect(branches.map(branch => branch.steps.map(step => step.text).join(' '))).to.eql([ "D E", "G" ]);
+                expect(tree.skipGroupsExcluded).to.equal(3);
+            });
+
+            it("removes branches whose function declarations are part of a group being skipped", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F
+    A -
+G
+
+* F #flaky
+
+* G
+                `, "file.txt");
+
+                tree.skipGroups = ["flaky"];
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                expect(branches.map(branch => branch.steps.map(step => step.text).join(' '))).to.eql([ "G" ]);
+            });
+
+            it("applies skip groups on top of the groups being run", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A - #checkout
+    B - #flaky
+    C -
+
+D -
+                `, "file.txt");
+
+                tree.groups = ["checkout"];
+                tree.skipGroups = ["flaky"];
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                expect(branches.map(branch => branch.steps.map(step => step.text).join(' '))).to.eql([ "A C" ]);
+                expect(tree.skipGroupsExcluded).to.equal(1);
+            });
+
+            it("counts the branches excluded in a dry run", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B - #manual
+    C -
+                `, "file.txt");
+
+                tree.skipGroups = ["manual"];
+                tree.generateBranches();
+
+                expect(tree.branches).to.have.lengthOf(1);
+                expect(tree.serializeDryRun().counts.excluded).to.equal(1);
+            });
+
+            it("throws exception if a ~ exists, but is inside a group being skipped", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B - #one
+
+    ~ C - #two
+                `, "file.txt");
+
+                assert.throws(() => {
+                    tree.skipGroups = ["two"];
+                    tree.branchify(tree.root);
+                }, "This step contains a ~, but is inside one of the groups being skipped. Either remove it from the groups being skipped or remove the ~. [file.txt:5]");
+            });
+        });
+
+        context("retries", () => {
+            it("sets the retries for a branch, taking the largest #retries in it", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A - #retries=1
+    B - #retries=3
+
+    C -
+        F
+
+* F #retries=2
+
+D -
+    F
+                `, "file.txt");
+
+                let branches = tree.branchify(tree.root);
+                mergeStepNodesInBranches(tree, branches);
+
+                Comparer.expect(branches).to.match([
+                    {
+                        steps: [ { text: "A" }, { text: "B" } ],
+                        retries: 3
+                    },
+                    {
+                        steps: [ { text: "A" }, { text: "C" }, { text: "F" } ],
+                        retries: 2
+                    },
+                    {
+                        steps: [ { text: "D" }, { text: "F" } ],
+                        retries: 2,
+                        groups: undefined
+                    }
+                ]);
+            });
+        });
+
         context("multiple restrictions", () => {
             it("isolates a branch with $'s and ~", () => {
                 let tree = new Tree();
@@ -12594,444 +13311,837 @@ C - $s
                 ]);
             });
 
-            it("handles $s when it's inside a function declaration", () => {
+            it("handles $s when it's inside a function declaration", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F
+
+* F
+    $s A -
+        B -
+
+    C -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
+                    { steps: [ { text: "F" }, { text: "C" } ], isSkipped: undefined },
+                ]);
+            });
+
+            it("handles $s when it's on a function declaration", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F
+
+$s * F
+    A -
+        B -
+
+C -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
+                    { steps: [ { text: "C" } ], isSkipped: undefined },
+                ]);
+            });
+
+            it("handles $s when it's on a function call", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F $s
+
+* F
+    A -
+        B -
+
+C -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
+                    { steps: [ { text: "C" } ], isSkipped: undefined },
+                ]);
+            });
+
+            it("handles $s when it's on a function call and function declaration", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+F $s
+
+* F $s
+    A -
+        B -
+
+C -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
+                    { steps: [ { text: "C" } ], isSkipped: undefined },
+                ]);
+            });
+
+            it("handles multiple $s's inside and outside a function declaration", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+J -
+    F
+
+$s K -
+    F
+
+* F
+    $s A -
+        B -
+
+    C -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "J" }, { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
+                    { steps: [ { text: "J" }, { text: "F" }, { text: "C" } ], isSkipped: undefined },
+                    { steps: [ { text: "K" }, { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
+                    { steps: [ { text: "K" }, { text: "F" }, { text: "C" } ], isSkipped: true },
+                ]);
+            });
+
+            it("handles $s when it's inside a .. step", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A .. -
+    B - $s
+        C -
+
+$s G .. -
+    H -
+    I -
+
+J -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "A" }, { text: "B" }, { text: "C" } ], isSkipped: true },
+                    { steps: [ { text: "G" }, { text: "H" }, { text: "I" } ], isSkipped: true },
+                    { steps: [ { text: "J" } ], isSkipped: undefined },
+                ]);
+            });
+
+            it("handles $s when it's attached to a .. step block member", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+..
+A -
+$s B -
+C -
+
+    D -
+    E -
+
+F -
+                `);
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    { steps: [ { text: "A" }, { text: "B" }, { text: "C" }, { text: "D" } ], isSkipped: true },
+                    { steps: [ { text: "A" }, { text: "B" }, { text: "C" }, { text: "E" } ], isSkipped: true },
+                    { steps: [ { text: "F" } ], isSkipped: undefined },
+                ]);
+            });
+
+            it("still expands branches under a $s and throws an error if a function declaration cannot be found", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    F $s
+                `, "file.txt");
+
+                assert.throws(() => {
+                    tree.generateBranches();
+                }, `The function \`F\` cannot be found. Is there a typo, or did you mean to make this a textual step (with a - at the end)?
+
+Trace:
+   A
+   F
+
+ [file.txt:3]`);
+            });
+        });
+
+        context("debug by hash", () => {
+            it("can isolate a branch by hash", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B - $
+        C - ~
+
+D -
+    E -
+        F -
+
+H -
+    I -
+                `, "file.txt");
+
+                tree.debugHash = '30cb5a00b9b3401c1a038b06e19f1d21';
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    {
+                        steps: [ { text: "D" }, { text: "E" }, { text: "F", isDebug: true, isAfterDebug: true }  ]
+                    }
+                ]);
+            });
+
+            it("throws an exception when it can't find a branch with a given hash", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B - $
+        C - ~
+
+D -
+    E -
+        F -
+                `, "file.txt");
+
+                assert.throws(() => {
+                    tree.debugHash = 'INVALID-HASH';
+                    tree.generateBranches();
+                }, "Couldn't find the branch with the given hash");
+            });
+        });
+
+        context("moving ~'s at the end of a function call", () => {
+            it("moves ~'s at the end of a function call to the end of the last step in the function, where no steps follow the function call", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+* F
+    A -
+        B -
+
+F ~
+                `, "file.txt");
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: undefined },
+                            { text: "A", isAfterDebug: undefined },
+                            { text: "B", isAfterDebug: true }
+                        ]
+                    }
+                ]);
+            });
+
+            it("moves ~'s at the end of a function call to the end of the last step in the function, where other steps follow the function call", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+* F
+    A -
+        B -
+
+F ~
+    C -
+                `, "file.txt");
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: undefined },
+                            { text: "A", isAfterDebug: undefined },
+                            { text: "B", isAfterDebug: true },
+                            { text: "C", isAfterDebug: undefined }
+                        ]
+                    }
+                ]);
+            });
+
+            it("handles moving ~'s in multiple nested function calls, where no steps follow the function call", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+* F
+    A -
+        G
+
+* G
+    C -
+        D -
+
+F ~
+                `, "file.txt");
+
+                tree.noRandom = true;
+                tree.generateBranches();
+                mergeStepNodesInBranches(tree, tree.branches);
+
+                Comparer.expect(tree.branches).to.match([
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: undefined },
+                            { text: "A", isAfterDebug: undefined },
+                            { text: "G", isAfterDebug: undefined },
+                            { text: "C", isAfterDebug: undefined },
+                            { text: "D", isAfterDebug: true }
+                        ]
+                    }
+                ]);
+            });
+
+            it("handles moving ~'s in multiple nested function calls, where other steps follow the function call", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F
-
 * F
-    $s A -
-        B -
+    A -
+        G
 
+* G
     C -
-                `);
+        D -
+
+* E
+    H -
+
+F ~
+    E
+        I -
+                `, "file.txt");
 
                 tree.noRandom = true;
                 tree.generateBranches();
                 mergeStepNodesInBranches(tree, tree.branches);
 
                 Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
-                    { steps: [ { text: "F" }, { text: "C" } ], isSkipped: undefined },
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: undefined },
+                            { text: "A", isAfterDebug: undefined },
+                            { text: "G", isAfterDebug: undefined },
+                            { text: "C", isAfterDebug: undefined },
+                            { text: "D", isAfterDebug: true },
+                            { text: "E", isAfterDebug: undefined },
+                            { text: "H", isAfterDebug: undefined },
+                            { text: "I", isAfterDebug: undefined }
+                        ]
+                    }
                 ]);
             });
 
-            it("handles $s when it's on a function declaration", () => {
+            it("handles moving multiple ~'s in a single branch", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F
-
-$s * F
+* F
     A -
-        B -
+        B ~
 
-C -
-                `);
+* B
+    D -
+
+F ~
+    E -
+                `, "file.txt");
 
                 tree.noRandom = true;
                 tree.generateBranches();
                 mergeStepNodesInBranches(tree, tree.branches);
 
                 Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
-                    { steps: [ { text: "C" } ], isSkipped: undefined },
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: undefined },
+                            { text: "A", isAfterDebug: undefined },
+                            { text: "B", isAfterDebug: undefined },
+                            { text: "D", isAfterDebug: true },
+                            { text: "E", isAfterDebug: undefined }
+                        ]
+                    }
                 ]);
             });
 
-            it("handles $s when it's on a function call", () => {
+            it("handles moving multiple ~'s in a single branch, more complex example", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F $s
-
 * F
     A -
-        B -
+        B ~
+            C -
 
-C -
-                `);
+* B
+    D -
+
+F ~
+    E -
+                `, "file.txt");
 
                 tree.noRandom = true;
                 tree.generateBranches();
                 mergeStepNodesInBranches(tree, tree.branches);
 
                 Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
-                    { steps: [ { text: "C" } ], isSkipped: undefined },
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: undefined },
+                            { text: "A", isAfterDebug: undefined },
+                            { text: "B", isAfterDebug: undefined },
+                            { text: "D", isAfterDebug: true },
+                            { text: "C", isAfterDebug: true },
+                            { text: "E", isAfterDebug: undefined }
+                        ]
+                    }
                 ]);
             });
 
-            it("handles $s when it's on a function call and function declaration", () => {
+            it("doesn't move a ~ when it's already on the last step of a function call", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-F $s
-
-* F $s
-    A -
-        B -
+* F {
+}
 
-C -
-                `);
+F ~
+                `, "file.txt");
 
                 tree.noRandom = true;
                 tree.generateBranches();
                 mergeStepNodesInBranches(tree, tree.branches);
 
                 Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
-                    { steps: [ { text: "C" } ], isSkipped: undefined },
+                    {
+                        steps: [
+                            { text: "F", isAfterDebug: true }
+                        ]
+                    }
                 ]);
             });
+        });
 
-            it("handles multiple $s's inside and outside a function declaration", () => {
+        context("shards", () => {
+            let text = `
+A -
+B -
+C -
+D -
+E -
+F -
+G -
+H -
+            `;
+
+            function shardHashes(index, count, noRandom) {
                 let tree = new Tree();
-                tree.parseIn(`
-J -
-    F
+                tree.parseIn(text, "file.txt");
+                tree.noRandom = noRandom;
+                tree.shard = { index: index, count: count };
+                tree.generateBranches();
+                return tree.branches.map(branch => branch.hash).sort();
+            }
 
-$s K -
-    F
+            it("splits branches into shards that don't overlap and cover every branch", () => {
+                let tree = new Tree();
+                tree.parseIn(text, "file.txt");
+                tree.noRandom = true;
+                tree.generateBranches();
+                let allHashes = tree.branches.map(branch => branch.hash).sort();
 
-* F
-    $s A -
-        B -
+                let shards = [ shardHashes(1, 3, true), shardHashes(2, 3, true), shardHashes(3, 3, true) ];
+                expect([].concat(...shards).sort()).to.eql(allHashes);
+            });
 
-    C -
-                `);
+            it("chooses the same branches for a shard regardless of random order", () => {
+                expect(shardHashes(2, 3, false)).to.eql(shardHashes(2, 3, true));
+                expect(shardHashes(1, 4, false)).to.eql(shardHashes(1, 4, true));
+            });
 
+            it("keeps the order of branches within a shard", () => {
+                let tree = new Tree();
+                tree.parseIn(text, "file.txt");
                 tree.noRandom = true;
+                tree.shard = { index: 1, count: 2 };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "J" }, { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
-                    { steps: [ { text: "J" }, { text: "F" }, { text: "C" } ], isSkipped: undefined },
-                    { steps: [ { text: "K" }, { text: "F" }, { text: "A" }, { text: "B" } ], isSkipped: true },
-                    { steps: [ { text: "K" }, { text: "F" }, { text: "C" } ], isSkipped: true },
-                ]);
+                let texts = tree.branches.map(branch => tree.stepNodeIndex[branch.steps[0].id].text);
+                expect(texts).to.eql(texts.slice().sort());
             });
 
-            it("handles $s when it's inside a .. step", () => {
+            it("keeps branches that share a nonParallelId in the same shard", () => {
+                let text = `
+! A -
+    B -
+    C -
+    D -
+
+! E -
+    F -
+
+G -
+H -
+                `;
+
+                for(let i = 1; i <= 3; i++) {
+                    let tree = new Tree();
+                    tree.parseIn(text, "file.txt");
+                    tree.shard = { index: i, count: 3 };
+                    tree.generateBranches();
+
+                    let texts = tree.branches.map(branch => tree.stepNodeIndex[branch.steps[0].id].text);
+                    let numA = texts.filter(text => text == 'A').length;
+                    let numE = texts.filter(text => text == 'E').length;
+
+                    expect(numA == 0 || numA == 3).to.be.true;
+                    expect(numE == 0 || numE == 1).to.be.true;
+                }
+            });
+
+            it("ignores shards when debugging by hash", () => {
                 let tree = new Tree();
-                tree.parseIn(`
-A .. -
-    B - $s
-        C -
+                tree.parseIn(text, "file.txt");
+                tree.generateBranches();
+                let hash = tree.branches[0].hash;
 
-$s G .. -
-    H -
-    I -
+                tree = new Tree();
+                tree.parseIn(text, "file.txt");
+                tree.debugHash = hash;
+                tree.shard = { index: 1, count: 1000 };
+                tree.generateBranches();
 
-J -
-                `);
+                expect(tree.branches).to.have.lengthOf(1);
+                expect(tree.branches[0].hash).to.equal(hash);
+            });
+        });
+
+        context("pairwise", () => {
+            let text = `
+Open Chrome -
+Open Firefox -
+
+    Desktop -
+    Mobile -
+    Tablet -
+
+        User A -
+        User B -
+            `;
+
+            /**
+             * @return {Array of String} The pairs of steps (by text) that occur together in at least one of the given branches
+             */
+            function getPairs(tree, branches) {
+                let pairs = new Set();
+                branches.forEach(branch => {
+                    let texts = branch.steps.map(step => tree.stepNodeIndex[step.id].text);
+                    texts.forEach(a => texts.forEach(b => a < b && pairs.add(`${a}|${b}`)));
+                });
+                return Array.from(pairs).sort();
+            }
 
+            it("reduces branches to a set that covers every pair of steps", () => {
+                let tree = new Tree();
+                tree.parseIn(text, "file.txt");
                 tree.noRandom = true;
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
+                let allPairs = getPairs(tree, tree.branches);
+                expect(tree.branches).to.have.lengthOf(12);
 
-                Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "A" }, { text: "B" }, { text: "C" } ], isSkipped: true },
-                    { steps: [ { text: "G" }, { text: "H" }, { text: "I" } ], isSkipped: true },
-                    { steps: [ { text: "J" } ], isSkipped: undefined },
-                ]);
+                tree = new Tree();
+                tree.parseIn(text, "file.txt");
+                tree.noRandom = true;
+                tree.pairwise = 2;
+                tree.generateBranches();
+
+                expect(getPairs(tree, tree.branches)).to.eql(allPairs);
+                expect(tree.branches.length).to.be.below(12);
+                expect(tree.pairwisePruned).to.equal(12 - tree.branches.length);
             });
 
-            it("handles $s when it's attached to a .. step block member", () => {
+            it("keeps every branch when covering all combinations of every step", () => {
                 let tree = new Tree();
-                tree.parseIn(`
-..
-A -
-$s B -
-C -
+                tree.parseIn(text, "file.txt");
+                tree.pairwise = 3;
+                tree.generateBranches();
 
-    D -
-    E -
+                expect(tree.branches).to.have.lengthOf(12);
+                expect(tree.pairwisePruned).to.equal(0);
+            });
 
-F -
-                `);
+            it("chooses the same branches regardless of random order", () => {
+                function pairwiseHashes(noRandom) {
+                    let tree = new Tree();
+                    tree.parseIn(text, "file.txt");
+                    tree.noRandom = noRandom;
+                    tree.pairwise = 2;
+                    tree.generateBranches();
+                    return tree.branches.map(branch => branch.hash).sort();
+                }
 
-                tree.noRandom = true;
+                expect(pairwiseHashes(false)).to.eql(pairwiseHashes(true));
+            });
+
+            it("keeps branches with steps no other branch has", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A -
+    B -
+
+    C -
+        D -
+`, "file.txt");
+                tree.pairwise = 2;
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    { steps: [ { text: "A" }, { text: "B" }, { text: "C" }, { text: "D" } ], isSkipped: true },
-                    { steps: [ { text: "A" }, { text: "B" }, { text: "C" }, { text: "E" } ], isSkipped: true },
-                    { steps: [ { text: "F" } ], isSkipped: undefined },
-                ]);
+                expect(tree.branches).to.have.lengthOf(2);
             });
+        });
 
-            it("still expands branches under a $s and throws an error if a function declaration cannot be found", () => {
+        context("branch durations", () => {
+            it("runs the branches that took the longest last time first, keeping the ones that never ran where they are", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    F $s
-                `, "file.txt");
-
-                assert.throws(() => {
-                    tree.generateBranches();
-                }, `The function \`F\` cannot be found. Is there a typo, or did you mean to make this a textual step (with a - at the end)?
+B -
+C -
+D -
+`, "file.txt");
+                tree.noRandom = true;
+                tree.generateBranches();
+                let hashes = tree.branches.map(branch => branch.hash);
 
-Trace:
-   A
-   F
+                tree = new Tree();
+                tree.parseIn(`
+A -
+B -
+C -
+D -
+`, "file.txt");
+                tree.noRandom = true;
+                tree.branchDurations = { [hashes[0]]: 100, [hashes[2]]: 300, [hashes[3]]: 200 };
+                tree.generateBranches();
 
- [file.txt:3]`);
+                expect(tree.branches.map(branch => tree.stepNodeIndex[branch.steps[0].id].text)).to.eql([ "C", "B", "D", "A" ]);
             });
         });
 
-        context("debug by hash", () => {
-            it("can isolate a branch by hash", () => {
+        context("quarantine", () => {
+            it("marks branches as quarantined by hash", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    B - $
-        C - ~
+B -
+`, "file.txt");
+                tree.noRandom = true;
+                tree.generateBranches();
+                let hashB = tree.branches[1].hash;
 
-D -
-    E -
-        F -
+                tree = new Tree();
+                tree.parseIn(`
+A -
+B -
+`, "file.txt");
+                tree.noRandom = true;
+                tree.quarantine = [ hashB ];
+                tree.generateBranches();
 
-H -
-    I -
-                `, "file.txt");
+                expect(tree.branches[0].isQuarantined).to.equal(undefined);
+                expect(tree.branches[1].isQuarantined).to.equal(true);
+            });
 
-                tree.debugHash = '30cb5a00b9b3401c1a038b06e19f1d21';
+            it("marks branches as quarantined by group", () => {
+                let tree = new Tree();
+                tree.parseIn(`
+A - #checkout
+    B - #flaky
+    C -
+D - #flaky
+`, "file.txt");
+                tree.noRandom = true;
+                tree.quarantineGroups = [ "flaky" ];
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [ { text: "D" }, { text: "E" }, { text: "F", isDebug: true, isAfterDebug: true }  ]
-                    }
-                ]);
+                expect(tree.branches.map(branch => !!branch.isQuarantined)).to.eql([ true, false, true ]);
             });
+        });
 
-            it("throws an exception when it can't find a branch with a given hash", () => {
+        context("changed lines", () => {
+            function getBranchTexts(tree) {
+                return tree.branches.map(branch => branch.steps.map(step => tree.stepNodeIndex[step.id].text).join(' '));
+            }
+
+            it("only keeps branches with a step from a changed line", () => {
                 let tree = new Tree();
                 tree.parseIn(`
 A -
-    B - $
-        C - ~
+    B -
+    C -
 
 D -
-    E -
-        F -
-                `, "file.txt");
+`, "file.smash");
+                tree.noRandom = true;
+                tree.changedLines = { [path.resolve("file.smash")]: [ 4 ] };
+                tree.generateBranches();
 
-                assert.throws(() => {
-                    tree.debugHash = 'INVALID-HASH';
-                    tree.generateBranches();
-                }, "Couldn't find the branch with the given hash");
+                expect(getBranchTexts(tree)).to.eql([ "A C" ]);
+                expect(tree.changedSinceExcluded).to.equal(2);
             });
-        });
 
-        context("moving ~'s at the end of a function call", () => {
-            it("moves ~'s at the end of a function call to the end of the last step in the function, where no steps follow the function call", () => {
+            it("keeps branches that call a function declaration whose code block changed", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F
-    A -
-        B -
+F
+G
 
-F ~
-                `, "file.txt");
+* F {
+    one();
+}
 
+* G {
+    two();
+}
+`, "file.smash");
                 tree.noRandom = true;
+                tree.changedLines = { [path.resolve("file.smash")]: [ 7 ] };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: undefined },
-                            { text: "A", isAfterDebug: undefined },
-                            { text: "B", isAfterDebug: true }
-                        ]
-                    }
-                ]);
+                expect(getBranchTexts(tree)).to.eql([ "F" ]);
             });
 
-            it("moves ~'s at the end of a function call to the end of the last step in the function, where other steps follow the function call", () => {
+            it("only compares lines within the same file", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F
-    A -
-        B -
-
-F ~
-    C -
-                `, "file.txt");
-
+A -
+`, "a.smash");
+                tree.parseIn(`
+B -
+`, "b.smash");
                 tree.noRandom = true;
+                tree.changedLines = { [path.resolve("b.smash")]: [ 2 ] };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: undefined },
-                            { text: "A", isAfterDebug: undefined },
-                            { text: "B", isAfterDebug: true },
-                            { text: "C", isAfterDebug: undefined }
-                        ]
-                    }
-                ]);
+                expect(getBranchTexts(tree)).to.eql([ "B" ]);
             });
 
-            it("handles moving ~'s in multiple nested function calls, where no steps follow the function call", () => {
+            it("keeps every branch with a step from a file that loads a changed module", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F
-    A -
-        G
-
-* G
-    C -
-        D -
+*** Before Everything {
+    i('Helper', './js/helper.js');
+}
 
-F ~
-                `, "file.txt");
+* F {
+    Helper.run();
+}
+`, "a.smash");
+                tree.parseIn(`
+F
 
+G -
+`, "b.smash");
                 tree.noRandom = true;
+                tree.changedLines = { [path.resolve("js/helper.js")]: true };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: undefined },
-                            { text: "A", isAfterDebug: undefined },
-                            { text: "G", isAfterDebug: undefined },
-                            { text: "C", isAfterDebug: undefined },
-                            { text: "D", isAfterDebug: true }
-                        ]
-                    }
-                ]);
+                expect(getBranchTexts(tree)).to.eql([ "F" ]);
             });
 
-            it("handles moving ~'s in multiple nested function calls, where other steps follow the function call", () => {
+            it("keeps branches from a data step whose data file changed", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F
-    A -
-        G
-
-* G
-    C -
-        D -
-
-* E
-    H -
-
-F ~
-    E
-        I -
-                `, "file.txt");
+Data from 'data/users.csv'
+    Log in as {username} -
 
+A -
+`, path.join(__dirname, "file.smash"));
                 tree.noRandom = true;
+                tree.changedLines = { [path.join(__dirname, "data/users.csv")]: true };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: undefined },
-                            { text: "A", isAfterDebug: undefined },
-                            { text: "G", isAfterDebug: undefined },
-                            { text: "C", isAfterDebug: undefined },
-                            { text: "D", isAfterDebug: true },
-                            { text: "E", isAfterDebug: undefined },
-                            { text: "H", isAfterDebug: undefined },
-                            { text: "I", isAfterDebug: undefined }
-                        ]
-                    }
-                ]);
+                expect(tree.branches.length).to.be.above(0);
+                expect(tree.branches.every(branch => tree.stepNodeIndex[branch.steps[0].id].isDataStep)).to.equal(true);
             });
 
-            it("handles moving multiple ~'s in a single branch", () => {
+            it("keeps the branches that a changed hook applies to", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F
-    A -
-        B ~
-
-* B
-    D -
+A -
+    *** Before Every Branch {
+        one();
+    }
 
-F ~
-    E -
-                `, "file.txt");
+    B -
 
+C -
+`, "file.smash");
                 tree.noRandom = true;
+                tree.changedLines = { [path.resolve("file.smash")]: [ 4 ] };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: undefined },
-                            { text: "A", isAfterDebug: undefined },
-                            { text: "B", isAfterDebug: undefined },
-                            { text: "D", isAfterDebug: true },
-                            { text: "E", isAfterDebug: undefined }
-                        ]
-                    }
-                ]);
+                expect(getBranchTexts(tree)).to.eql([ "A B" ]);
             });
 
-            it("handles moving multiple ~'s in a single branch, more complex example", () => {
+            it("keeps every branch when a Before Everything or After Everything hook changed", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F
-    A -
-        B ~
-            C -
-
-* B
-    D -
+*** After Everything {
+    cleanUp();
+}
 
-F ~
-    E -
-                `, "file.txt");
+A -
 
+B -
+`, "file.smash");
                 tree.noRandom = true;
+                tree.changedLines = { [path.resolve("file.smash")]: [ 3 ] };
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: undefined },
-                            { text: "A", isAfterDebug: undefined },
-                            { text: "B", isAfterDebug: undefined },
-                            { text: "D", isAfterDebug: true },
-                            { text: "C", isAfterDebug: true },
-                            { text: "E", isAfterDebug: undefined }
-                        ]
-                    }
-                ]);
+                expect(getBranchTexts(tree)).to.eql([ "A", "B" ]);
+                expect(tree.changedSinceExcluded).to.equal(0);
             });
 
-            it("doesn't move a ~ when it's already on the last step of a function call", () => {
+            it("keeps no branches when nothing changed", () => {
                 let tree = new Tree();
                 tree.parseIn(`
-* F {
-}
-
-F ~
-                `, "file.txt");
-
-                tree.noRandom = true;
+A -
+`, "file.smash");
+                tree.changedLines = {};
                 tree.generateBranches();
-                mergeStepNodesInBranches(tree, tree.branches);
 
-                Comparer.expect(tree.branches).to.match([
-                    {
-                        steps: [
-                            { text: "F", isAfterDebug: true }
-                        ]
-                    }
-                ]);
+                expect(tree.branches).to.have.lengthOf(0);
+                expect(tree.changedSinceExcluded).to.equal(1);
             });
         });
 
@@ -13166,6 +14276,65 @@ K-1 -
         });
     });
 
+    describe("getShard()", () => {
+        it("joins groups of branches connected through different nonParallelIds", () => {
+            let tree = new Tree();
+            let branches = [
+                { hash: 'aaaaaaaa', nonParallelIds: [ '1' ] },
+                { hash: '00000001', nonParallelIds: [ '2' ] },
+                { hash: 'bbbbbbbb', nonParallelIds: [ '1', '2' ] },
+                { hash: '00000002' },
+                { hash: '00000003' }
+            ];
+
+            expect(tree.getShard(branches, 1, 2)).to.eql([ branches[3] ]);
+            expect(tree.getShard(branches, 2, 2)).to.eql([ branches[0], branches[1], branches[2], branches[4] ]);
+        });
+
+        it("returns every branch when there is one shard", () => {
+            let tree = new Tree();
+            let branches = [ { hash: 'aaaaaaaa' }, { hash: '00000001' } ];
+
+            expect(tree.getShard(branches, 1, 1)).to.eql(branches);
+        });
+    });
+
+    describe("getCoveringBranches()", () => {
+        it("breaks ties by hash and keeps the order of branches", () => {
+            let tree = new Tree();
+            let branches = [
+                { hash: 'cccccccc', steps: [ { id: 1 }, { id: 3 } ] },
+                { hash: 'aaaaaaaa', steps: [ { id: 1 }, { id: 3 } ] },
+                { hash: 'bbbbbbbb', steps: [ { id: 2 }, { id: 3 } ] }
+            ];
+
+            expect(tree.getCoveringBranches(branches, 2)).to.eql([ branches[1], branches[2] ]);
+        });
+
+        it("tells apart calls to different function declarations and rows of data steps", () => {
+            let tree = new Tree();
+            let branches = [
+                { hash: 'aaaaaaaa', steps: [ { id: 1, fid: 5 }, { id: 2, dataRow: { index: 0 } } ] },
+                { hash: 'bbbbbbbb', steps: [ { id: 1, fid: 6 }, { id: 2, dataRow: { index: 0 } } ] },
+                { hash: 'cccccccc', steps: [ { id: 1, fid: 5 }, { id: 2, dataRow: { index: 1 } } ] },
+                { hash: 'dddddddd', steps: [ { id: 1, fid: 6 }, { id: 2, dataRow: { index: 1 } } ] }
+            ];
+
+            expect(tree.getCoveringBranches(branches, 2)).to.have.lengthOf(4);
+            expect(tree.getCoveringBranches(branches, 1)).to.eql([ branches[0], branches[3] ]);
+        });
+
+        it("always keeps skipped branches", () => {
+            let tree = new Tree();
+            let branches = [
+                { hash: 'aaaaaaaa', steps: [ { id: 1 } ] },
+                { hash: 'bbbbbbbb', steps: [ { id: 1 } ], isSkipped: true }
+            ];
+
+            expect(tree.getCoveringBranches(branches, 2)).to.eql(branches);
+        });
+    });
+
     describe("serialize()", () => {
         it("outputs a serialized object for an empty tree", () => {
             let tree = new Tree();
@@ -13760,6 +14929,413 @@ G -
         });
     });
 
+    describe("sortByDuration()", () => {
+        it("sorts branches longest first, within each frequency", () => {
+            let tree = new Tree();
+            tree.branches = [
+                { hash: 'a', frequency: 'high' },
+                { hash: 'b', frequency: 'high' },
+                { hash: 'c', frequency: 'med' },
+                { hash: 'd' },
+                { hash: 'e', frequency: 'low' },
+                { hash: 'f', frequency: 'low' }
+            ];
+
+            tree.sortByDuration({ a: 10, b: 20, c: 5, d: 500, e: 0, f: 0 });
+
+            expect(tree.branches.map(branch => branch.hash)).to.eql([ 'b', 'a', 'd', 'c', 'e', 'f' ]);
+        });
+
+        it("keeps the branches with an unknown duration where they are, and sorts the rest around them", () => {
+            let tree = new Tree();
+            tree.branches = [
+                { hash: 'a', frequency: 'high' },
+                { hash: 'b', frequency: 'high' },
+                { hash: 'c', frequency: 'high' },
+                { hash: 'd' },
+                { hash: 'e' },
+                { hash: 'f' },
+                { hash: 'g' },
+                { hash: 'h', frequency: 'low' }
+            ];
+
+            tree.sortByDuration({ b: 5, c: 30, d: 50, f: 500, g: 0 });
+
+            expect(tree.branches.map(branch => branch.hash)).to.eql([ 'a', 'c', 'b', 'f', 'e', 'd', 'g', 'h' ]);
+        });
+    });
+
+    describe("serializeJUnit()", () => {
+        it("serializes an empty tree", () => {
+            let tree = new Tree();
+            tree.generateBranches();
+
+            let xml = tree.serializeJUnit();
+            expect(xml).to.equal(`<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="smashtest" tests="0" failures="0" skipped="0" time="0.000">
+    <testsuite name="smashtest" tests="0" failures="0" skipped="0" time="0.000">
+    </testsuite>
+</testsuites>
+`);
+        });
+
+        it("serializes passed, failed, skipped, and not-yet-run branches", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    B -
+
+C -
+    D <x> -
+
+E -
+
+F -
+            `);
+            tree.noRandom = true;
+            tree.generateBranches();
+
+            tree.elapsed = 3000;
+            tree.branches[0].isPassed = true;
+            tree.branches[0].elapsed = 1000;
+            tree.branches[1].isFailed = true;
+            tree.branches[1].elapsed = 2000;
+            tree.branches[1].steps[0].isPassed = true;
+            tree.branches[1].steps[1].isFailed = true;
+            tree.branches[1].steps[1].error = { message: "oops <1>", stack: "Error: oops <1>\n    at line" };
+            tree.branches[2].isSkipped = true;
+
+            let xml = tree.serializeJUnit();
+            expect(xml).to.equal(`<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="smashtest" tests="4" failures="1" skipped="2" time="3.000">
+    <testsuite name="smashtest" tests="4" failures="1" skipped="2" time="3.000">
+        <testcase name="A B" classname="smashtest" time="1.000">
+            <properties>
+                <property name="hash" value="${tree.branches[0].hash}"/>
+            </properties>
+            <system-out>A [passed]
+B [passed]
+</system-out>
+        </testcase>
+        <testcase name="C D &lt;x&gt;" classname="smashtest" time="2.000">
+            <properties>
+                <property name="hash" value="${tree.branches[1].hash}"/>
+            </properties>
+            <failure message="oops &lt;1&gt;" type="Error">Error: oops &lt;1&gt;
+    at line</failure>
+            <system-out>C [passed]
+D &lt;x&gt; [failed]
+</system-out>
+        </testcase>
+        <testcase name="E" classname="smashtest" time="0.000">
+            <properties>
+                <property name="hash" value="${tree.branches[2].hash}"/>
+            </properties>
+            <skipped/>
+            <system-out>E
+</system-out>
+        </testcase>
+        <testcase name="F" classname="smashtest" time="0.000">
+            <properties>
+                <property name="hash" value="${tree.branches[3].hash}"/>
+            </properties>
+            <skipped message="Not run"/>
+            <system-out>F
+</system-out>
+        </testcase>
+    </testsuite>
+</testsuites>
+`);
+        });
+
+        it("uses the branch's error if there is one", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+            `);
+            tree.generateBranches();
+
+            tree.branches[0].isFailed = true;
+            tree.branches[0].error = { message: "hook failed", stack: "Error: hook failed" };
+
+            let xml = tree.serializeJUnit();
+            expect(xml).to.contain(`<failure message="hook failed" type="Error">Error: hook failed</failure>`);
+        });
+
+        it("serializes an error that has no stack", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+
+B -
+            `);
+            tree.noRandom = true;
+            tree.generateBranches();
+
+            tree.branches[0].isFailed = true;
+            tree.branches[0].error = { message: "no stack <1>" };
+            tree.branches[1].isFailed = true;
+            tree.branches[1].steps[0].isFailed = true;
+            tree.branches[1].steps[0].error = {};
+
+            let xml = tree.serializeJUnit();
+            expect(xml).to.contain(`<failure message="no stack &lt;1&gt;" type="Error">no stack &lt;1&gt;</failure>`);
+            expect(xml).to.contain(`<failure message="" type="Error"></failure>`);
+        });
+
+        it("serializes a quarantined failure as skipped", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+            `);
+            tree.generateBranches();
+
+            tree.branches[0].isFailed = true;
+            tree.branches[0].isQuarantined = true;
+            tree.branches[0].error = { message: "flaky <1>", stack: "Error: flaky <1>" };
+
+            let xml = tree.serializeJUnit();
+            expect(xml).to.contain(`tests="1" failures="0" skipped="1"`);
+            expect(xml).to.contain(`<skipped message="Quarantined failure: flaky &lt;1&gt;"/>`);
+            expect(xml).to.not.contain(`<failure`);
+        });
+    });
+
+    describe("serializeTap()", () => {
+        it("serializes an empty tree", () => {
+            let tree = new Tree();
+            tree.generateBranches();
+
+            expect(tree.serializeTap()).to.equal(`TAP version 13\n1..0\n`);
+        });
+
+        it("serializes passed, failed, skipped, and not-yet-run branches", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    B #tag -
+
+C -
+    D -
+
+E -
+
+F -
+            `);
+            tree.noRandom = true;
+            tree.generateBranches();
+
+            tree.branches[0].isPassed = true;
+            tree.branches[0].elapsed = 1000;
+            tree.branches[1].isFailed = true;
+            tree.branches[1].elapsed = 2000;
+            tree.branches[1].steps[1].isFailed = true;
+            tree.branches[1].steps[1].error = { message: "oops", stack: "Error: oops\n    at line" };
+            tree.branches[2].isSkipped = true;
+
+            expect(tree.serializeTap()).to.equal(`TAP version 13
+1..4
+ok 1 - A B
+  ---
+  hash: ${tree.branches[0].hash}
+  elapsed: 1000
+  steps:
+    - "A [passed]"
+    - "B [passed]"
+  ...
+not ok 2 - C D
+  ---
+  hash: ${tree.branches[1].hash}
+  elapsed: 2000
+  message: "oops"
+  stack: "Error: oops\\n    at line"
+  steps:
+    - "C"
+    - "D [failed]"
+  ...
+ok 3 - E # SKIP
+  ---
+  hash: ${tree.branches[2].hash}
+  elapsed: 0
+  steps:
+    - "E"
+  ...
+ok 4 - F # SKIP not run
+  ---
+  hash: ${tree.branches[3].hash}
+  elapsed: 0
+  steps:
+    - "F"
+  ...
+`);
+        });
+
+        it("marks a quarantined failure as TODO", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+            `);
+            tree.generateBranches();
+
+            tree.branches[0].isFailed = true;
+            tree.branches[0].isQuarantined = true;
+
+            expect(tree.serializeTap()).to.contain(`not ok 1 - A # TODO quarantined\n`);
+        });
+    });
+
+    describe("serializeDryRun()", () => {
+        it("serializes the branches that would run, with their hashes and counts", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    B #one -
+
+.s C -
+
+D -
+            `, "file.txt");
+            tree.noRandom = true;
+            tree.generateBranches();
+            tree.branches[2].passedLastTime = true;
+
+            expect(tree.serializeDryRun()).to.eql({
+                counts: {
+                    total: 3,
+                    totalToRun: 1,
+                    skipped: 1,
+                    passedLastTime: 1,
+                    pruned: 0,
+                    excluded: 0,
+                    unchanged: 0,
+                    totalSteps: 2
+                },
+                branches: [
+                    {
+                        hash: tree.branches[0].hash,
+                        steps: [
+                            { text: "A", level: 0, filename: "file.txt", lineNumber: 2 },
+                            { text: "B", level: 0, filename: "file.txt", lineNumber: 3 }
+                        ],
+                        groups: [ "one" ]
+                    },
+                    {
+                        hash: tree.branches[1].hash,
+                        steps: [
+                            { text: "C", level: 0, filename: "file.txt", lineNumber: 5 }
+                        ],
+                        isSkipped: true
+                    },
+                    {
+                        hash: tree.branches[2].hash,
+                        steps: [
+                            { text: "D", level: 0, filename: "file.txt", lineNumber: 7 }
+                        ],
+                        passedLastTime: true
+                    }
+                ]
+            });
+        });
+    });
+
+    describe("outputDryRun()", () => {
+        it("outputs the branches that would run, with their hashes", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    F
+
+.s C -
+
+* F
+    G -
+            `, "file.txt");
+            tree.noRandom = true;
+            tree.generateBranches();
+
+            expect(tree.outputDryRun()).to.equal(`Branch 1 [${tree.branches[0].hash}]
+    A
+    F
+        G
+
+Branch 2 [${tree.branches[1].hash}] (skipped)
+    C
+`);
+        });
+
+        it("outputs nothing for an empty tree", () => {
+            let tree = new Tree();
+            tree.generateBranches();
+
+            expect(tree.outputDryRun()).to.equal(``);
+        });
+    });
+
+    describe("carryOverResults()", () => {
+        it("copies the results of completed branches with the same hash", () => {
+            let prevTree = new Tree();
+            prevTree.parseIn(`
+A -
+    B -
+    C -
+    D -
+`, "file.txt");
+            prevTree.noRandom = true;
+            prevTree.generateBranches();
+
+            prevTree.branches[0].isPassed = true;
+            prevTree.branches[0].steps[0].isPassed = true;
+            prevTree.branches[0].steps[0].elapsed = 5;
+            prevTree.branches[1].isFailed = true;
+            prevTree.branches[1].error = { message: "oops" };
+            prevTree.branches[2].isPassed = true;
+
+            let currTree = new Tree();
+            currTree.parseIn(`
+A -
+    B -
+    C -
+    D changed -
+`, "file.txt");
+            currTree.noRandom = true;
+            currTree.generateBranches();
+
+            expect(currTree.carryOverResults(prevTree)).to.equal(2);
+
+            expect(currTree.branches[0].isPassed).to.be.true;
+            expect(currTree.branches[0].isCarriedOver).to.be.true;
+            expect(currTree.branches[0].steps[0].isPassed).to.be.true;
+            expect(currTree.branches[0].steps[0].elapsed).to.equal(5);
+            expect(currTree.branches[1].isFailed).to.be.true;
+            expect(currTree.branches[1].isCarriedOver).to.be.true;
+            expect(currTree.branches[1].error).to.eql({ message: "oops" });
+            expect(currTree.branches[2].isComplete()).to.not.be.ok;
+            expect(currTree.branches[2].isCarriedOver).to.not.be.ok;
+        });
+
+        it("doesn't copy branches that didn't complete", () => {
+            let prevTree = new Tree();
+            prevTree.parseIn(`
+A -
+    B -
+`, "file.txt");
+            prevTree.noRandom = true;
+            prevTree.generateBranches();
+            prevTree.branches[0].isRunning = true;
+
+            let currTree = new Tree();
+            currTree.parseIn(`
+A -
+    B -
+`, "file.txt");
+            currTree.noRandom = true;
+            currTree.generateBranches();
+
+            expect(currTree.carryOverResults(prevTree)).to.equal(0);
+            expect(currTree.branches[0].isComplete()).to.not.be.ok;
+        });
+    });
+
     describe("markPassedFromPrevRun()", () => {
         it("merges empty previous branches into empty current branches", () => {
             let prevTree = new Tree();
@@ -15160,6 +16736,7 @@ B -
             expect(tree.counts.complete).to.equal(0);
             expect(tree.counts.total).to.equal(4);
             expect(tree.counts.totalToRun).to.equal(4);
+            expect(tree.counts.excluded).to.equal(0);
 
             expect(tree.counts.totalStepsComplete).to.equal(0);
             expect(tree.counts.totalSteps).to.equal(8);
@@ -15167,6 +16744,76 @@ B -
     });
 
     describe("updateCounts()", () => {
+        it("counts the branches excluded by skip groups", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+    B - #manual
+    C -
+`, "file.txt");
+
+            tree.skipGroups = ["manual"];
+            tree.generateBranches();
+            tree.updateCounts();
+
+            expect(tree.counts.excluded).to.equal(1);
+            expect(tree.serialize().counts.excluded).to.equal(1);
+        });
+
+        it("counts flaky branches", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+B -
+C -
+`, "file.txt");
+
+            tree.noRandom = true;
+            tree.generateBranches();
+
+            tree.branches[0].isPassed = true;
+            tree.branches[0].isFlaky = true;
+            tree.branches[0].attempts = [ {} ];
+
+            tree.branches[1].isPassed = true;
+
+            tree.branches[2].isFailed = true;
+            tree.branches[2].attempts = [ {}, {} ];
+
+            tree.updateCounts();
+
+            expect(tree.counts.passed).to.equal(2);
+            expect(tree.counts.failed).to.equal(1);
+            expect(tree.counts.flaky).to.equal(1);
+        });
+
+        it("counts quarantined failures separately from failures", () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+B -
+C -
+`, "file.txt");
+
+            tree.noRandom = true;
+            tree.generateBranches();
+
+            tree.branches[0].isFailed = true;
+            tree.branches[0].isQuarantined = true;
+
+            tree.branches[1].isFailed = true;
+
+            tree.branches[2].isPassed = true;
+            tree.branches[2].isQuarantined = true;
+
+            tree.updateCounts();
+
+            expect(tree.counts.failed).to.equal(1);
+            expect(tree.counts.quarantined).to.equal(1);
+            expect(tree.counts.passed).to.equal(1);
+            expect(tree.counts.complete).to.equal(3);
+        });
+
         it("updates counts", () => {
             let tree = new Tree();
             tree.parseIn(`
@@ -15195,6 +16842,7 @@ B -
             tree.updateCounts();
 
             expect(tree.counts.running).to.equal(1);
+            expect(tree.counts.flaky).to.equal(0);
             expect(tree.counts.passed).to.equal(2);
             expect(tree.counts.failed).to.equal(1);
             expect(tree.counts.skipped).to.equal(0);
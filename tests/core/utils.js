@@ -45,6 +45,13 @@ describe("Utils", () => {
         });
     });
 
+    describe("escapeXml()", () => {
+        it("escapes xml special chars", () => {
+            expect(utils.escapeXml(`a <b> & "c" 'd'`)).to.equal(`a &lt;b&gt; &amp; &quot;c&quot; &apos;d&apos;`);
+            expect(utils.escapeXml(`&amp;`)).to.equal(`&amp;amp;`);
+        });
+    });
+
     describe("escape()", () => {
         it("escapes special chars", () => {
             expect(utils.escape(`\n\t`)).to.equal(`\\n\\t`);
@@ -156,6 +163,188 @@ describe("Utils", () => {
         });
     });
 
+    describe("timeLimit()", () => {
+        it("settles the same way as the given promise if it finishes in time", async () => {
+            expect(await utils.timeLimit(Promise.resolve('foo'), 50, "too slow")).to.equal('foo');
+
+            let error = null;
+            try {
+                await utils.timeLimit(Promise.reject(new Error("oops")), 50, "too slow");
+            }
+            catch(e) {
+                error = e;
+            }
+            expect(error.message).to.equal("oops");
+        });
+
+        it("rejects with the given message if the promise doesn't finish in time", async () => {
+            let error = null;
+            try {
+                await utils.timeLimit(new Promise(resolve => {}), 10, "too slow");
+            }
+            catch(e) {
+                error = e;
+            }
+            expect(error.message).to.equal("too slow");
+        });
+
+        it("calls onTimeout if the promise doesn't finish in time", async () => {
+            let timedOut = false;
+            try {
+                await utils.timeLimit(new Promise(resolve => {}), 10, "too slow", () => timedOut = true);
+            }
+            catch(e) {}
+            expect(timedOut).to.be.true;
+
+            timedOut = false;
+            await utils.timeLimit(Promise.resolve('foo'), 10, "too slow", () => timedOut = true);
+            expect(timedOut).to.be.false;
+        });
+
+        it("doesn't limit time if ms is 0", async () => {
+            let promise = new Promise(resolve => {});
+            expect(utils.timeLimit(promise, 0, "too slow")).to.equal(promise);
+        });
+    });
+
+    describe("parseCsv()", () => {
+        it("parses rows of comma-separated values", () => {
+            expect(utils.parseCsv(`a,b,c\n1,2,3\n`)).to.eql([ ['a', 'b', 'c'], ['1', '2', '3'] ]);
+            expect(utils.parseCsv(`a,b\r\n1,\r\n,2`)).to.eql([ ['a', 'b'], ['1', ''], ['', '2'] ]);
+        });
+
+        it("parses quoted values with commas, newlines, and escaped quotes", () => {
+            expect(utils.parseCsv(`"a,b","line1\nline2","say ""hi"""\n`)).to.eql([ ['a,b', 'line1\nline2', 'say "hi"'] ]);
+        });
+
+        it("skips blank lines and the byte order mark", () => {
+            expect(utils.parseCsv(`\uFEFFa\n\n1\n  \n`)).to.eql([ ['a'], ['1'] ]);
+            expect(utils.parseCsv(``)).to.eql([]);
+        });
+    });
+
+    describe("parseGroupExpression()", () => {
+        it("matches a single group", () => {
+            let matches = utils.parseGroupExpression("smoke");
+            expect(matches([ 'smoke', 'slow' ])).to.equal(true);
+            expect(matches([ 'Smoke' ])).to.equal(false);
+            expect(matches([])).to.equal(false);
+        });
+
+        it("handles and, or, not, and parentheses, with not binding tightest and or loosest", () => {
+            let matches = utils.parseGroupExpression("checkout and not slow");
+            expect(matches([ 'checkout' ])).to.equal(true);
+            expect(matches([ 'checkout', 'slow' ])).to.equal(false);
+            expect(matches([ 'slow' ])).to.equal(false);
+
+            matches = utils.parseGroupExpression("(chrome OR firefox) and smoke");
+            expect(matches([ 'firefox', 'smoke' ])).to.equal(true);
+            expect(matches([ 'chrome' ])).to.equal(false);
+
+            matches = utils.parseGroupExpression("a or b and c");
+            expect(matches([ 'a' ])).to.equal(true);
+            expect(matches([ 'b' ])).to.equal(false);
+            expect(matches([ 'b', 'c' ])).to.equal(true);
+
+            matches = utils.parseGroupExpression("not not (a)");
+            expect(matches([ 'a' ])).to.equal(true);
+        });
+
+        it("throws an error for an expression that isn't written correctly", () => {
+            assert.throws(() => {
+                utils.parseGroupExpression("a and");
+            }, "Invalid group expression `a and`: expected a group name at the end");
+            assert.throws(() => {
+                utils.parseGroupExpression("(a or b");
+            }, "Invalid group expression `(a or b`: missing a )");
+            assert.throws(() => {
+                utils.parseGroupExpression("a b");
+            }, "Invalid group expression `a b`: unexpected `b`");
+            assert.throws(() => {
+                utils.parseGroupExpression("or a");
+            }, "Invalid group expression `or a`: expected a group name, but found `or`");
+        });
+    });
+
+    describe("parseDiff()", () => {
+        it("parses the added and changed lines of each .smash file", () => {
+            let diff = `diff --git a/tests/one.smash b/tests/one.smash
+index 1111111..2222222 100644
+--- a/tests/one.smash
++++ b/tests/one.smash
+@@ -3 +3 @@ A -
+-    B -
++    B changed -
+@@ -10,0 +11,2 @@ C -
++    D -
++    E -
+diff --git a/two.smash b/two.smash
+--- a/two.smash
++++ b/two.smash
+@@ -5,2 +4,0 @@
+-F -
+-G -
+`;
+            expect(utils.parseDiff(diff, "/repo")).to.eql({
+                "/repo/tests/one.smash": [ 3, 11, 12 ],
+                "/repo/two.smash": [ 4, 5 ]
+            });
+        });
+
+        it("counts other files as changed in full, and leaves out deleted files", () => {
+            let diff = `diff --git a/packages/js/helper.js b/packages/js/helper.js
+--- a/packages/js/helper.js
++++ b/packages/js/helper.js
+@@ -1 +1 @@
+-let a = 1;
++let a = 2;
+diff --git a/old.smash b/old.smash
+deleted file mode 100644
+--- a/old.smash
++++ /dev/null
+@@ -1 +0,0 @@
+-A -
+`;
+            expect(utils.parseDiff(diff, "/repo")).to.eql({
+                "/repo/packages/js/helper.js": true
+            });
+        });
+
+        it("parses filenames that git quotes or ends with a tab", () => {
+            let diff = `diff --git "a/caf\\303\\251.smash" "b/caf\\303\\251.smash"
+--- "a/caf\\303\\251.smash"
++++ "b/caf\\303\\251.smash"
+@@ -2 +2 @@
+-A -
++A changed -
+diff --git a/my tests.smash b/my tests.smash
+--- a/my tests.smash\t
++++ b/my tests.smash\t
+@@ -7 +7 @@
+-B -
++B changed -
+`;
+            expect(utils.parseDiff(diff, "/repo")).to.eql({
+                "/repo/caf\u00e9.smash": [ 2 ],
+                "/repo/my tests.smash": [ 7 ]
+            });
+        });
+
+        it("returns an empty object for an empty diff", () => {
+            expect(utils.parseDiff("", "/repo")).to.eql({});
+        });
+    });
+
+    describe("unquoteGitPath()", () => {
+        it("unquotes and unescapes a filename that git put in quotes", () => {
+            expect(utils.unquoteGitPath(`"dir/caf\\303\\251 \\"one\\" \\\\ two\\t.smash"`)).to.equal(`dir/caf\u00e9 "one" \\ two\t.smash`);
+        });
+
+        it("leaves a filename without quotes as it is", () => {
+            expect(utils.unquoteGitPath(`dir/my file.smash`)).to.equal(`dir/my file.smash`);
+        });
+    });
+
     describe("copyProps()", () => {
         it("copies properies", () => {
             let source = {
@@ -0,0 +1,145 @@
+const chai = require('chai');
+const expect = chai.expect;
+const assert = chai.assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Watcher = require('../../src/watcher.js');
+
+describe("Watcher", () => {
+    let filename = path.join(os.tmpdir(), `smashtest-watcher-test-${process.pid}.smash`);
+    let watcher = null;
+
+    beforeEach(() => {
+        fs.writeFileSync(filename, `A -\n`);
+    });
+
+    afterEach(() => {
+        watcher && watcher.stop();
+        fs.unlinkSync(filename);
+    });
+
+    /**
+     * @return {Promise} Promise that resolves when the watcher emits the given event
+     */
+    function waitFor(event) {
+        return new Promise(resolve => watcher.once(event, resolve));
+    }
+
+    /**
+     * Changes the watched file's modified time
+     */
+    function touch(secs) {
+        fs.utimesSync(filename, secs, secs);
+    }
+
+    describe("start()", () => {
+        it("re-runs", async () => {
+            let reruns = 0;
+            watcher = new Watcher(async () => reruns++);
+
+            await watcher.start();
+
+            expect(reruns).to.equal(1);
+            expect(watcher.isRerunning).to.equal(true);
+        });
+
+        it("re-runs once the current run is done if it's called during that run", async () => {
+            let reruns = 0;
+            watcher = new Watcher(async () => reruns++);
+
+            await watcher.start();
+            await watcher.start();
+            expect(reruns).to.equal(1);
+            expect(watcher.isRerunPending).to.equal(true);
+
+            watcher.done();
+            await Promise.resolve();
+
+            expect(reruns).to.equal(2);
+            expect(watcher.isRerunPending).to.equal(false);
+        });
+
+        it("emits the error of a rerun that throws, then waits for the next change", async () => {
+            watcher = new Watcher(async () => { throw new Error("oops"); });
+
+            let errors = [];
+            let waits = 0;
+            watcher.on('rerunError', e => errors.push(e.message));
+            watcher.on('waiting', () => waits++);
+
+            await watcher.start();
+
+            expect(errors).to.eql([ "oops" ]);
+            expect(waits).to.equal(1);
+            expect(watcher.isRerunning).to.equal(false);
+        });
+    });
+
+    describe("done()", () => {
+        it("waits for the next change if no file changed during the run", () => {
+            watcher = new Watcher(async () => {});
+
+            let waits = 0;
+            watcher.on('waiting', () => waits++);
+
+            watcher.done();
+
+            expect(waits).to.equal(1);
+            expect(watcher.isRerunning).to.equal(false);
+        });
+    });
+
+    describe("watch()", () => {
+        it("doesn't watch a file twice", () => {
+            watcher = new Watcher(async () => {});
+
+            watcher.watch([ filename ]);
+            watcher.watch([ filename ]);
+
+            expect(watcher.filenames).to.eql([ filename ]);
+        });
+
+        it("keeps watching after a rerun throws, and re-runs again on the next change", async () => {
+            let reruns = 0;
+            watcher = new Watcher(async () => {
+                reruns++;
+                if(reruns == 1) {
+                    throw new Error("oops");
+                }
+                watcher.done();
+            });
+            watcher.interval = 10;
+            watcher.delay = 0;
+            watcher.on('rerunError', () => {});
+
+            watcher.watch([ filename ]);
+            watcher.done();
+
+            let waiting = waitFor('waiting');
+            touch(1000);
+            await waiting;
+
+            expect(reruns).to.equal(1);
+            expect(watcher.filenames).to.eql([ filename ]);
+
+            waiting = waitFor('waiting');
+            touch(2000);
+            await waiting;
+
+            expect(reruns).to.equal(2);
+            expect(watcher.isRerunning).to.equal(false);
+        });
+    });
+
+    describe("stop()", () => {
+        it("stops watching all files", () => {
+            watcher = new Watcher(async () => {});
+
+            watcher.watch([ filename ]);
+            watcher.stop();
+
+            expect(watcher.filenames).to.eql([]);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const chai = require('chai');
+const chaiAsPromised = require("chai-as-promised");
+const expect = chai.expect;
+const getPort = require('get-port');
+const Tree = require('../../src/tree.js');
+const Runner = require('../../src/runner.js');
+const Worker = require('../../src/worker.js');
+
+chai.use(chaiAsPromised);
+
+describe("Worker", () => {
+    describe("nextBranch()", () => {
+        it("throws an error if the coordinator hands out a branch that doesn't exist", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+
+            let worker = new Worker(runner, 'http://localhost:1');
+            worker.post = async () => ({ hash: 'foo' });
+
+            await expect(worker.nextBranch()).to.be.rejectedWith("The coordinator handed out a branch that doesn't exist here (hash foo). Make sure the coordinator and workers are run with the same files and flags.");
+        });
+
+        it("throws an error if the coordinator can't be reached", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+
+            let port = await getPort();
+            let worker = new Worker(runner, `http://localhost:${port}`);
+
+            await expect(worker.nextBranch()).to.be.rejectedWith(`Could not connect to the coordinator at http://localhost:${port}`);
+        });
+
+        it("returns null if the coordinator goes away after having been reached", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+
+            let worker = new Worker(runner, 'http://localhost:1');
+            worker.isConnected = true;
+            worker.post = async () => { throw new Error("socket hang up"); };
+
+            expect(await worker.nextBranch()).to.equal(null);
+        });
+    });
+
+    describe("onBranchEnd()", () => {
+        it("stops taking branches, without throwing, if the results can't be sent", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+B -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            runner.outputErrors = false;
+
+            let worker = new Worker(runner, 'http://localhost:1');
+            worker.isConnected = true;
+            worker.post = async () => { throw new Error("400 - No running branch"); };
+
+            await worker.onBranchEnd(tree.branches[0]);
+
+            expect(worker.isDisconnected).to.be.true;
+            expect(await worker.nextBranch()).to.equal(null);
+        });
+    });
+
+    describe("sendHeartbeat()", () => {
+        it("sends the hashes of the running branches", async () => {
+            let tree = new Tree();
+            tree.parseIn(`
+A -
+B -
+`, "file.txt");
+
+            let runner = new Runner();
+            runner.init(tree, true);
+            tree.branches[1].isRunning = true;
+
+            let worker = new Worker(runner, 'http://localhost:1');
+            let posted = [];
+            worker.post = async (path, body) => posted.push([ path, body ]);
+
+            await worker.sendHeartbeat();
+            expect(posted).to.eql([ [ '/heartbeat', { hashes: [ tree.branches[1].hash ] } ] ]);
+        });
+    });
+});